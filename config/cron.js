@@ -1,5 +1,7 @@
 const cron = require('cron');
 const https = require('https');
+const { liftExpiredSuspensions } = require('../utils/accountLifecycle');
+const { sendReminderDigests } = require('../utils/reminders');
 
 // Self-ping cron job to prevent Render free tier from spinning down
 // Pings the health endpoint every 14 minutes (Render spins down after 15 min idle)
@@ -26,7 +28,33 @@ const job = new cron.CronJob('*/14 * * * *', function () {
     });
 });
 
+// Reinstate suspended accounts whose end date has passed (every 15 minutes).
+// Users are also reinstated on their next request, so this only keeps admin lists accurate.
+const suspensionExpiryJob = new cron.CronJob('*/15 * * * *', async function () {
+  try {
+    const lifted = await liftExpiredSuspensions();
+    if (lifted > 0) {
+      console.log(`✅ Cron: Lifted ${lifted} expired suspension(s)`);
+    }
+  } catch (e) {
+    console.error('❌ Cron: Suspension expiry check failed:', e.message);
+  }
+});
+
+// Daily family reminder digest (birthdays, wedding and death anniversaries) at 7 AM IST,
+// for users who opted in with notificationPreferences.familyReminders
+const reminderDigestJob = new cron.CronJob('0 7 * * *', async function () {
+  try {
+    const sent = await sendReminderDigests();
+    console.log(`✅ Cron: Sent ${sent} family reminder digest(s)`);
+  } catch (e) {
+    console.error('❌ Cron: Family reminder digest failed:', e.message);
+  }
+}, null, false, 'Asia/Kolkata');
+
 module.exports = job;
+module.exports.suspensionExpiryJob = suspensionExpiryJob;
+module.exports.reminderDigestJob = reminderDigestJob;
 
 // Cron jobs are scheduled tasks that run periodically at fixed intervals
 // We send 1 GET request every 14 minutes to keep the server awake on Render's free tier
@@ -1,9 +1,14 @@
-const { db, auth, admin } = require('../firebase');
+const storage = require('./storage');
+
+const { db, auth, admin } = storage;
 
 /**
  * Firestore Helper Functions
  * These functions provide a clean interface for Firestore operations
- * similar to Mongoose methods
+ * similar to Mongoose methods.
+ *
+ * All reads/writes go through the storage adapter selected by STORAGE_BACKEND
+ * (see config/storage), so routes work against Firestore or the in-memory store.
  */
 
 // Collection names
@@ -18,6 +23,14 @@ const COLLECTIONS = {
   SPIRITUAL_PLACES: 'spiritualPlaces',
   SPECIAL_OFFERS: 'specialOffers',
   UPCOMING_EVENTS: 'upcomingEvents',
+  SETTINGS: 'settings',
+  AUDIT_LOG: 'auditLog',
+  HOUSEHOLDS: 'households',
+  PERSONS: 'persons',
+  RELATIONSHIPS: 'relationships',
+  TREE_SHARES: 'treeShares',
+  MEMORIAL_NOTICES: 'memorialNotices',
+  REMINDER_DIGESTS: 'reminderDigests',
 };
 
 /**
@@ -26,7 +39,7 @@ const COLLECTIONS = {
 
 // Create a new document
 async function createDocument(collectionName, data, docId = null) {
-  const timestamp = admin.firestore.Timestamp.now();
+  const timestamp = storage.now();
   const documentData = {
     ...data,
     createdAt: timestamp,
@@ -34,101 +47,68 @@ async function createDocument(collectionName, data, docId = null) {
   };
 
   if (docId) {
-    await db.collection(collectionName).doc(docId).set(documentData);
+    await storage.set(collectionName, docId, documentData);
     return { id: docId, ...documentData };
   } else {
-    const docRef = await db.collection(collectionName).add(documentData);
-    return { id: docRef.id, ...documentData };
+    const id = await storage.add(collectionName, documentData);
+    return { id, ...documentData };
   }
 }
 
 // Get a document by ID
 async function getDocumentById(collectionName, docId) {
-  const doc = await db.collection(collectionName).doc(docId).get();
-  if (!doc.exists) {
-    return null;
-  }
-  return { id: doc.id, ...doc.data() };
+  return await storage.get(collectionName, docId);
 }
 
 // Get documents by field
 async function getDocumentsByField(collectionName, field, value) {
-  const snapshot = await db.collection(collectionName).where(field, '==', value).get();
-  if (snapshot.empty) {
-    return [];
-  }
-  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  return await storage.query(collectionName, {
+    conditions: [{ field, operator: '==', value }],
+  });
 }
 
 // Get all documents in a collection
 async function getAllDocuments(collectionName, orderByField = null, orderDirection = 'asc') {
-  let query = db.collection(collectionName);
-  
-  if (orderByField) {
-    query = query.orderBy(orderByField, orderDirection);
-  }
-  
-  const snapshot = await query.get();
-  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  return await storage.query(collectionName, {
+    orderBy: orderByField ? [{ field: orderByField, direction: orderDirection }] : [],
+  });
 }
 
 // Update a document
 async function updateDocument(collectionName, docId, data) {
-  const timestamp = admin.firestore.Timestamp.now();
   const updateData = {
     ...data,
-    updatedAt: timestamp,
+    updatedAt: storage.now(),
   };
 
-  await db.collection(collectionName).doc(docId).update(updateData);
+  await storage.update(collectionName, docId, updateData);
   return await getDocumentById(collectionName, docId);
 }
 
 // Delete a document
 async function deleteDocument(collectionName, docId) {
-  await db.collection(collectionName).doc(docId).delete();
+  await storage.remove(collectionName, docId);
   return { id: docId };
 }
 
 // Query documents with complex conditions
 async function queryDocuments(collectionName, conditions = [], orderByField = null, orderDirection = 'asc', limit = null) {
-  let query = db.collection(collectionName);
-
-  // Apply where conditions
-  conditions.forEach(({ field, operator, value }) => {
-    query = query.where(field, operator, value);
+  return await storage.query(collectionName, {
+    conditions,
+    orderBy: orderByField ? [{ field: orderByField, direction: orderDirection }] : [],
+    limit,
   });
-
-  // Apply ordering
-  if (orderByField) {
-    query = query.orderBy(orderByField, orderDirection);
-  }
-
-  // Apply limit
-  if (limit) {
-    query = query.limit(limit);
-  }
-
-  const snapshot = await query.get();
-  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
 }
 
 // Check if document exists
 async function documentExists(collectionName, docId) {
-  const doc = await db.collection(collectionName).doc(docId).get();
-  return doc.exists;
+  const doc = await storage.get(collectionName, docId);
+  return !!doc;
 }
 
 // Count documents in a collection
 async function countDocuments(collectionName, conditions = []) {
-  let query = db.collection(collectionName);
-  
-  conditions.forEach(({ field, operator, value }) => {
-    query = query.where(field, operator, value);
-  });
-  
-  const snapshot = await query.get();
-  return snapshot.size;
+  return await storage.count(collectionName, conditions);
 }
 
 // Find one document by conditions
@@ -139,47 +119,69 @@ async function findOneDocument(collectionName, conditions) {
 
 // Batch operations
 async function batchWrite(operations) {
-  const batch = db.batch();
-  const timestamp = admin.firestore.Timestamp.now();
-
-  operations.forEach(({ type, collectionName, docId, data }) => {
-    const docRef = db.collection(collectionName).doc(docId);
+  const timestamp = storage.now();
 
+  await storage.batch(operations.map(({ type, collectionName, docId, data }) => {
     switch (type) {
       case 'set':
-        batch.set(docRef, { ...data, createdAt: timestamp, updatedAt: timestamp });
-        break;
+        return { type, collectionName, docId, data: { ...data, createdAt: timestamp, updatedAt: timestamp } };
       case 'update':
-        batch.update(docRef, { ...data, updatedAt: timestamp });
-        break;
-      case 'delete':
-        batch.delete(docRef);
-        break;
+        return { type, collectionName, docId, data: { ...data, updatedAt: timestamp } };
+      default:
+        return { type, collectionName, docId };
     }
-  });
+  }));
+}
 
-  await batch.commit();
+// Run several reads + writes atomically.
+// The callback gets transaction-bound versions of the helpers above. Do every
+// read before the first write, and keep side effects (Firebase Auth calls, emails)
+// outside the callback: Firestore may run it more than once on contention.
+async function runTransaction(fn) {
+  return await storage.runTransaction(async (tx) => {
+    const timestamp = storage.now();
+
+    return await fn({
+      getDocumentById: (collectionName, docId) => tx.get(collectionName, docId),
+      queryDocuments: (collectionName, conditions = [], orderByField = null, orderDirection = 'asc', limit = null) =>
+        tx.query(collectionName, {
+          conditions,
+          orderBy: orderByField ? [{ field: orderByField, direction: orderDirection }] : [],
+          limit,
+        }),
+      findOneDocument: async (collectionName, conditions) => {
+        const results = await tx.query(collectionName, { conditions, limit: 1 });
+        return results.length > 0 ? results[0] : null;
+      },
+      createDocument: (collectionName, data, docId = null) => {
+        const id = docId || storage.generateId(collectionName);
+        const documentData = { ...data, createdAt: timestamp, updatedAt: timestamp };
+        tx.set(collectionName, id, documentData);
+        return { id, ...documentData };
+      },
+      updateDocument: (collectionName, docId, data) => {
+        tx.update(collectionName, docId, { ...data, updatedAt: timestamp });
+      },
+      deleteDocument: (collectionName, docId) => {
+        tx.remove(collectionName, docId);
+      },
+    });
+  });
 }
 
 // Pagination helper
 async function getPaginatedDocuments(collectionName, pageSize = 10, lastDocId = null, orderByField = 'createdAt') {
-  let query = db.collection(collectionName).orderBy(orderByField, 'desc').limit(pageSize);
-
-  if (lastDocId) {
-    const lastDoc = await db.collection(collectionName).doc(lastDocId).get();
-    if (lastDoc.exists) {
-      query = query.startAfter(lastDoc);
-    }
-  }
-
-  const snapshot = await query.get();
-  const documents = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-  const lastVisible = snapshot.docs[snapshot.docs.length - 1];
+  const documents = await storage.query(collectionName, {
+    orderBy: [{ field: orderByField, direction: 'desc' }],
+    limit: pageSize,
+    startAfter: lastDocId,
+  });
+  const lastVisible = documents[documents.length - 1];
 
   return {
     documents,
     lastDocId: lastVisible ? lastVisible.id : null,
-    hasMore: snapshot.docs.length === pageSize,
+    hasMore: documents.length === pageSize,
   };
 }
 
@@ -208,6 +210,7 @@ function dateToTimestamp(date) {
 }
 
 module.exports = {
+  storage,
   db,
   auth,
   admin,
@@ -223,6 +226,7 @@ module.exports = {
   countDocuments,
   findOneDocument,
   batchWrite,
+  runTransaction,
   getPaginatedDocuments,
   timestampToDate,
   dateToTimestamp,
@@ -0,0 +1,90 @@
+const { auth } = require('./firestore');
+
+/**
+ * Roles and permissions
+ *
+ * Routes check named permissions (requirePermission in middleware/auth.js)
+ * instead of role names, so a new committee role only needs an entry here.
+ * The role and its permissions are mirrored into Firebase custom claims
+ * ({ role, permissions }) so firestore.rules and the apps can use them too.
+ *
+ * - user:               regular member, no admin access
+ * - viewer:             read-only dashboards and statistics
+ * - content_editor:     community content (committee, gallery, sponsors, offers, events, places)
+ * - membership_officer: signup approvals and the authorized members list
+ * - admin:              everything
+ */
+
+const PERMISSIONS = {
+  DASHBOARD_VIEW: 'dashboard.view',
+  USERS_VIEW: 'users.view',
+  USERS_APPROVE: 'users.approve',
+  USERS_MANAGE: 'users.manage',
+  USERS_ROLES: 'users.roles',
+  AUTHORIZED_MEMBERS_MANAGE: 'authorized_members.manage',
+  CONTENT_MANAGE: 'content.manage',
+  SETTINGS_MANAGE: 'settings.manage',
+  AUDIT_VIEW: 'audit.view',
+};
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  viewer: [
+    PERMISSIONS.DASHBOARD_VIEW,
+  ],
+  content_editor: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.CONTENT_MANAGE,
+  ],
+  membership_officer: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.USERS_VIEW,
+    PERMISSIONS.USERS_APPROVE,
+    PERMISSIONS.AUTHORIZED_MEMBERS_MANAGE,
+  ],
+  admin: Object.values(PERMISSIONS),
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles with access to the admin app (at least one permission)
+const STAFF_ROLES = ROLES.filter((role) => ROLE_PERMISSIONS[role].length > 0);
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+function getPermissionsForRole(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasPermission(role, permission) {
+  return getPermissionsForRole(role).includes(permission);
+}
+
+// Mirror the user's role into Firebase custom claims. Best-effort: Firestore
+// stays the source of truth for the API, claims are for rules and clients.
+async function syncRoleClaims(user) {
+  const uid = user.firebaseUid || user.id;
+  try {
+    await auth.setCustomUserClaims(uid, {
+      role: user.role || 'user',
+      permissions: getPermissionsForRole(user.role || 'user'),
+    });
+    return true;
+  } catch (error) {
+    console.log(`Custom claims sync skipped for ${uid}:`, error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  STAFF_ROLES,
+  isValidRole,
+  getPermissionsForRole,
+  hasPermission,
+  syncRoleClaims,
+};
@@ -0,0 +1,164 @@
+const { db, auth, admin } = require('../../firebase');
+
+/**
+ * Firestore storage adapter
+ *
+ * Thin wrapper over firebase-admin. Every adapter exposes the same primitives
+ * (get/set/add/update/remove/query/count/batch) so config/firestore.js does not
+ * need to know which backend is active.
+ */
+
+function toDocs(snapshot) {
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+function now() {
+  return admin.firestore.Timestamp.now();
+}
+
+async function get(collectionName, docId) {
+  const doc = await db.collection(collectionName).doc(docId).get();
+  if (!doc.exists) {
+    return null;
+  }
+  return { id: doc.id, ...doc.data() };
+}
+
+async function set(collectionName, docId, data) {
+  await db.collection(collectionName).doc(docId).set(data);
+}
+
+async function add(collectionName, data) {
+  const docRef = await db.collection(collectionName).add(data);
+  return docRef.id;
+}
+
+async function update(collectionName, docId, data) {
+  await db.collection(collectionName).doc(docId).update(data);
+}
+
+async function remove(collectionName, docId) {
+  await db.collection(collectionName).doc(docId).delete();
+}
+
+function buildQuery(collectionName, { conditions = [], orderBy = [] } = {}) {
+  let q = db.collection(collectionName);
+
+  conditions.forEach(({ field, operator, value }) => {
+    q = q.where(field, operator, value);
+  });
+
+  orderBy.forEach(({ field, direction = 'asc' }) => {
+    q = q.orderBy(field, direction);
+  });
+
+  return q;
+}
+
+// options: { conditions, orderBy: [{ field, direction }], limit, startAfter (doc id) }
+async function query(collectionName, options = {}) {
+  const { limit = null, startAfter = null } = options;
+  let q = buildQuery(collectionName, options);
+
+  if (startAfter) {
+    const lastDoc = await db.collection(collectionName).doc(startAfter).get();
+    if (lastDoc.exists) {
+      q = q.startAfter(lastDoc);
+    }
+  }
+
+  if (limit) {
+    q = q.limit(limit);
+  }
+
+  const snapshot = await q.get();
+  return toDocs(snapshot);
+}
+
+async function count(collectionName, conditions = []) {
+  let q = db.collection(collectionName);
+
+  conditions.forEach(({ field, operator, value }) => {
+    q = q.where(field, operator, value);
+  });
+
+  const snapshot = await q.get();
+  return snapshot.size;
+}
+
+// operations: [{ type: 'set' | 'update' | 'delete', collectionName, docId, data }]
+async function batch(operations) {
+  const writeBatch = db.batch();
+
+  operations.forEach(({ type, collectionName, docId, data }) => {
+    const docRef = db.collection(collectionName).doc(docId);
+
+    switch (type) {
+      case 'set':
+        writeBatch.set(docRef, data);
+        break;
+      case 'update':
+        writeBatch.update(docRef, data);
+        break;
+      case 'delete':
+        writeBatch.delete(docRef);
+        break;
+    }
+  });
+
+  await writeBatch.commit();
+}
+
+// Run `fn(tx)` inside a Firestore transaction. Firestore requires every read
+// (tx.get / tx.query) to happen before the first write, and may retry `fn`.
+async function runTransaction(fn) {
+  return await db.runTransaction(async (transaction) => {
+    const tx = {
+      get: async (collectionName, docId) => {
+        const doc = await transaction.get(db.collection(collectionName).doc(docId));
+        return doc.exists ? { id: doc.id, ...doc.data() } : null;
+      },
+      query: async (collectionName, options = {}) => {
+        let q = buildQuery(collectionName, options);
+        if (options.limit) {
+          q = q.limit(options.limit);
+        }
+        const snapshot = await transaction.get(q);
+        return toDocs(snapshot);
+      },
+      set: (collectionName, docId, data) => {
+        transaction.set(db.collection(collectionName).doc(docId), data);
+      },
+      update: (collectionName, docId, data) => {
+        transaction.update(db.collection(collectionName).doc(docId), data);
+      },
+      remove: (collectionName, docId) => {
+        transaction.delete(db.collection(collectionName).doc(docId));
+      },
+    };
+
+    return await fn(tx);
+  });
+}
+
+function generateId(collectionName) {
+  return db.collection(collectionName).doc().id;
+}
+
+module.exports = {
+  name: 'firestore',
+  db,
+  auth,
+  admin,
+  now,
+  generateId,
+  get,
+  set,
+  add,
+  update,
+  remove,
+  query,
+  count,
+  batch,
+  runTransaction,
+};
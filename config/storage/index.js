@@ -0,0 +1,30 @@
+/**
+ * Storage backend selection
+ *
+ * STORAGE_BACKEND=firestore  (default) Firestore + Firebase Auth via firebase-admin
+ * STORAGE_BACKEND=memory     In-process store and auth, no credentials required
+ *
+ * The memory backend is for local development and tests only and refuses to
+ * start when NODE_ENV=production.
+ */
+
+const ADAPTERS = {
+  firestore: './firestoreAdapter',
+  memory: './memoryAdapter',
+};
+
+const backend = String(process.env.STORAGE_BACKEND || 'firestore').trim().toLowerCase();
+
+if (!ADAPTERS[backend]) {
+  throw new Error(
+    `Unknown STORAGE_BACKEND "${backend}". Expected one of: ${Object.keys(ADAPTERS).join(', ')}`
+  );
+}
+
+if (backend === 'memory' && process.env.NODE_ENV === 'production') {
+  throw new Error('STORAGE_BACKEND=memory cannot be used in production');
+}
+
+const adapter = require(ADAPTERS[backend]);
+
+module.exports = adapter;
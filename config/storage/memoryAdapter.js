@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const admin = require('firebase-admin');
+const memoryAuth = require('./memoryAuth');
+
+/**
+ * In-memory storage adapter
+ *
+ * Mirrors the Firestore adapter for local development and tests so the API can
+ * run without service-account credentials. Query semantics follow Firestore:
+ * - `where` only matches values of the same type (string '42' != number 42)
+ * - documents missing a filtered or ordered field are excluded
+ * - results without an orderBy come back in document id order
+ * - `startAfter` is a document id; its field values become the cursor
+ *
+ * Data lives only for the lifetime of the process. Optionally seed it from a
+ * JSON file ({ "<collection>": { "<docId>": { ...fields } } }) via MEMORY_STORE_SEED.
+ */
+
+const { Timestamp } = admin.firestore;
+
+// collectionName -> Map(docId -> data)
+const collections = new Map();
+
+const TYPE_ORDER = {
+  null: 0,
+  boolean: 1,
+  number: 2,
+  timestamp: 3,
+  string: 4,
+  array: 8,
+  map: 9,
+};
+
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function getCollection(collectionName) {
+  if (!collections.has(collectionName)) {
+    collections.set(collectionName, new Map());
+  }
+  return collections.get(collectionName);
+}
+
+function isTimestamp(value) {
+  return value instanceof Timestamp;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !isTimestamp(value) && !(value instanceof Date);
+}
+
+// Store values the way Firestore returns them: Dates become Timestamps and
+// nothing is shared with the caller. `undefined` is rejected, as Firestore does.
+function toStored(value) {
+  if (value === undefined) {
+    throw createError('invalid-argument', 'Cannot use "undefined" as a Firestore value');
+  }
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (isTimestamp(value)) return value;
+  if (Array.isArray(value)) return value.map(toStored);
+  if (isPlainObject(value)) {
+    const out = {};
+    Object.entries(value).forEach(([key, val]) => {
+      out[key] = toStored(val);
+    });
+    return out;
+  }
+  return value;
+}
+
+function clone(value) {
+  if (isTimestamp(value)) return value;
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    const out = {};
+    Object.entries(value).forEach(([key, val]) => {
+      out[key] = clone(val);
+    });
+    return out;
+  }
+  return value;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') return 'number';
+  if (isTimestamp(value)) return 'timestamp';
+  if (typeof value === 'string') return 'string';
+  if (Array.isArray(value)) return 'array';
+  return 'map';
+}
+
+function compareValues(a, b) {
+  const typeA = typeOf(a);
+  const typeB = typeOf(b);
+  if (typeA !== typeB) return TYPE_ORDER[typeA] - TYPE_ORDER[typeB];
+
+  switch (typeA) {
+    case 'null':
+      return 0;
+    case 'boolean':
+    case 'number':
+      return a === b ? 0 : (a < b ? -1 : 1);
+    case 'timestamp':
+      return a.toMillis() - b.toMillis() || a.nanoseconds - b.nanoseconds;
+    case 'string':
+      return a === b ? 0 : (a < b ? -1 : 1);
+    case 'array': {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const cmp = compareValues(a[i], b[i]);
+        if (cmp !== 0) return cmp;
+      }
+      return a.length - b.length;
+    }
+    default: {
+      const keysA = Object.keys(a).sort();
+      const keysB = Object.keys(b).sort();
+      for (let i = 0; i < Math.min(keysA.length, keysB.length); i++) {
+        if (keysA[i] !== keysB[i]) return keysA[i] < keysB[i] ? -1 : 1;
+        const cmp = compareValues(a[keysA[i]], b[keysB[i]]);
+        if (cmp !== 0) return cmp;
+      }
+      return keysA.length - keysB.length;
+    }
+  }
+}
+
+function readField(data, fieldPath) {
+  if (fieldPath === '__name__') {
+    return { exists: true, value: data.__id };
+  }
+  let current = data;
+  for (const part of String(fieldPath).split('.')) {
+    if (!isPlainObject(current) || !Object.prototype.hasOwnProperty.call(current, part)) {
+      return { exists: false, value: undefined };
+    }
+    current = current[part];
+  }
+  return { exists: true, value: current };
+}
+
+function matchesCondition(data, { field, operator, value }) {
+  const { exists, value: actual } = readField(data, field);
+  if (!exists) return false;
+
+  const expected = toStored(value);
+  const sameType = typeOf(actual) === typeOf(expected);
+
+  switch (operator) {
+    case '==':
+      return sameType && compareValues(actual, expected) === 0;
+    case '!=':
+      return actual !== null && compareValues(actual, expected) !== 0;
+    case '<':
+      return sameType && compareValues(actual, expected) < 0;
+    case '<=':
+      return sameType && compareValues(actual, expected) <= 0;
+    case '>':
+      return sameType && compareValues(actual, expected) > 0;
+    case '>=':
+      return sameType && compareValues(actual, expected) >= 0;
+    case 'in':
+      return (expected || []).some(v => compareValues(actual, v) === 0);
+    case 'not-in':
+      return actual !== null && !(expected || []).some(v => compareValues(actual, v) === 0);
+    case 'array-contains':
+      return Array.isArray(actual) && actual.some(v => compareValues(v, expected) === 0);
+    case 'array-contains-any':
+      return Array.isArray(actual) &&
+        actual.some(v => (expected || []).some(e => compareValues(v, e) === 0));
+    default:
+      throw createError('invalid-argument', `Unsupported operator: ${operator}`);
+  }
+}
+
+function sortKey(data, orderBy) {
+  return orderBy.map(({ field }) => readField(data, field).value).concat(data.__id);
+}
+
+function compareKeys(keyA, keyB, orderBy) {
+  for (let i = 0; i < keyA.length; i++) {
+    // Document id tie-break follows the direction of the last orderBy (as Firestore does)
+    const direction = i < orderBy.length
+      ? orderBy[i].direction
+      : (orderBy.length ? orderBy[orderBy.length - 1].direction : 'asc');
+    const cmp = compareValues(keyA[i], keyB[i]);
+    if (cmp !== 0) return direction === 'desc' ? -cmp : cmp;
+  }
+  return 0;
+}
+
+function withId(docId, data) {
+  return { ...data, __id: docId };
+}
+
+function toResult({ __id, ...data }) {
+  return { id: __id, ...clone(data) };
+}
+
+// Apply an update map; dotted keys address nested fields like Firestore's update()
+function applyUpdate(existing, data) {
+  const next = clone(existing);
+  Object.entries(toStored(data)).forEach(([key, value]) => {
+    const parts = key.split('.');
+    let target = next;
+    parts.slice(0, -1).forEach((part) => {
+      if (!isPlainObject(target[part])) target[part] = {};
+      target = target[part];
+    });
+    target[parts[parts.length - 1]] = value;
+  });
+  return next;
+}
+
+function generateId() {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  const bytes = crypto.randomBytes(20);
+  let id = '';
+  for (let i = 0; i < 20; i++) {
+    id += chars[bytes[i] % chars.length];
+  }
+  return id;
+}
+
+function now() {
+  return Timestamp.now();
+}
+
+async function get(collectionName, docId) {
+  const data = getCollection(collectionName).get(String(docId));
+  if (!data) {
+    return null;
+  }
+  return toResult(withId(String(docId), data));
+}
+
+async function set(collectionName, docId, data) {
+  getCollection(collectionName).set(String(docId), toStored(data));
+}
+
+async function add(collectionName, data) {
+  const docId = generateId();
+  await set(collectionName, docId, data);
+  return docId;
+}
+
+async function update(collectionName, docId, data) {
+  const collection = getCollection(collectionName);
+  const existing = collection.get(String(docId));
+  if (!existing) {
+    throw createError(5, `5 NOT_FOUND: No document to update: ${collectionName}/${docId}`);
+  }
+  collection.set(String(docId), applyUpdate(existing, data));
+}
+
+async function remove(collectionName, docId) {
+  getCollection(collectionName).delete(String(docId));
+}
+
+// options: { conditions, orderBy: [{ field, direction }], limit, startAfter (doc id) }
+async function query(collectionName, options = {}) {
+  const { conditions = [], orderBy = [], limit = null, startAfter = null } = options;
+  const collection = getCollection(collectionName);
+  const normalizedOrder = orderBy.map(({ field, direction = 'asc' }) => ({ field, direction }));
+
+  let docs = Array.from(collection.entries())
+    .map(([docId, data]) => withId(docId, data))
+    .filter(data => conditions.every(condition => matchesCondition(data, condition)))
+    .filter(data => normalizedOrder.every(({ field }) => readField(data, field).exists));
+
+  docs.sort((a, b) => compareKeys(sortKey(a, normalizedOrder), sortKey(b, normalizedOrder), normalizedOrder));
+
+  if (startAfter && collection.has(String(startAfter))) {
+    const cursor = sortKey(withId(String(startAfter), collection.get(String(startAfter))), normalizedOrder);
+    docs = docs.filter(data => compareKeys(sortKey(data, normalizedOrder), cursor, normalizedOrder) > 0);
+  }
+
+  if (limit) {
+    docs = docs.slice(0, limit);
+  }
+
+  return docs.map(toResult);
+}
+
+async function count(collectionName, conditions = []) {
+  const docs = await query(collectionName, { conditions });
+  return docs.length;
+}
+
+// operations: [{ type: 'set' | 'update' | 'delete', collectionName, docId, data }]
+// Validated up-front so a failing update leaves the store untouched, like a Firestore batch.
+async function batch(operations) {
+  operations.forEach(({ type, collectionName, docId }) => {
+    if (type === 'update' && !getCollection(collectionName).has(String(docId))) {
+      throw createError(5, `5 NOT_FOUND: No document to update: ${collectionName}/${docId}`);
+    }
+  });
+
+  for (const { type, collectionName, docId, data } of operations) {
+    switch (type) {
+      case 'set':
+        await set(collectionName, docId, data);
+        break;
+      case 'update':
+        await update(collectionName, docId, data);
+        break;
+      case 'delete':
+        await remove(collectionName, docId);
+        break;
+    }
+  }
+}
+
+// Transactions are serialized through a single promise chain. Reads see the
+// committed store; writes are buffered and applied together once `fn` resolves,
+// so a throwing callback leaves nothing behind.
+let transactionQueue = Promise.resolve();
+
+async function runTransaction(fn) {
+  const run = transactionQueue.then(async () => {
+    const writes = [];
+    const tx = {
+      get: (collectionName, docId) => get(collectionName, docId),
+      query: (collectionName, options = {}) => query(collectionName, options),
+      set: (collectionName, docId, data) => {
+        writes.push({ type: 'set', collectionName, docId, data });
+      },
+      update: (collectionName, docId, data) => {
+        writes.push({ type: 'update', collectionName, docId, data });
+      },
+      remove: (collectionName, docId) => {
+        writes.push({ type: 'delete', collectionName, docId });
+      },
+    };
+
+    const result = await fn(tx);
+    await batch(writes);
+    return result;
+  });
+
+  transactionQueue = run.catch(() => undefined);
+  return await run;
+}
+
+// Drop all data (handy between test cases)
+function reset() {
+  collections.clear();
+  memoryAuth.reset();
+}
+
+function loadSeed(filePath) {
+  const seed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  Object.entries(seed).forEach(([collectionName, docs]) => {
+    Object.entries(docs || {}).forEach(([docId, data]) => {
+      getCollection(collectionName).set(docId, toStored(data));
+    });
+  });
+  console.log(`🌱 Seeded in-memory store from ${filePath}`);
+}
+
+if (process.env.MEMORY_STORE_SEED) {
+  loadSeed(process.env.MEMORY_STORE_SEED);
+}
+
+module.exports = {
+  name: 'memory',
+  db: null,
+  auth: memoryAuth,
+  admin,
+  now,
+  generateId,
+  get,
+  set,
+  add,
+  update,
+  remove,
+  query,
+  count,
+  batch,
+  runTransaction,
+  reset,
+  loadSeed,
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory stand-in for firebase-admin's Auth service
+ *
+ * Implements the subset of admin.auth() the backend uses. Errors carry the same
+ * `auth/...` codes as firebase-admin so existing error handling keeps working.
+ *
+ * ID tokens: there is no Firebase project to sign tokens, so `verifyIdToken`
+ * accepts `memory:<uid>` for any existing user. `createCustomToken` returns a
+ * token in that format for convenience.
+ */
+
+const users = new Map(); // uid -> user record
+
+function createAuthError(code, message) {
+  const error = new Error(message);
+  error.code = `auth/${code}`;
+  return error;
+}
+
+function toUserRecord(record) {
+  return {
+    uid: record.uid,
+    email: record.email,
+    displayName: record.displayName,
+    disabled: record.disabled,
+    customClaims: { ...record.customClaims },
+    tokensValidAfterTime: record.tokensValidAfterTime,
+    metadata: { ...record.metadata },
+  };
+}
+
+function findByEmail(email) {
+  const normalized = String(email || '').toLowerCase();
+  return Array.from(users.values()).find(u => u.email === normalized) || null;
+}
+
+function requireUser(uid) {
+  const record = users.get(String(uid));
+  if (!record) {
+    throw createAuthError('user-not-found', 'There is no user record corresponding to the provided identifier.');
+  }
+  return record;
+}
+
+async function createUser({ uid, email, password, displayName, disabled = false } = {}) {
+  const normalizedEmail = email ? String(email).toLowerCase() : undefined;
+
+  if (normalizedEmail && findByEmail(normalizedEmail)) {
+    throw createAuthError('email-already-exists', 'The email address is already in use by another account.');
+  }
+  if (password !== undefined && String(password).length < 6) {
+    throw createAuthError('invalid-password', 'The password must be a string with at least 6 characters.');
+  }
+
+  const newUid = uid || crypto.randomBytes(14).toString('hex');
+  if (users.has(newUid)) {
+    throw createAuthError('uid-already-exists', 'The user with the provided uid already exists.');
+  }
+
+  const nowIso = new Date().toUTCString();
+  const record = {
+    uid: newUid,
+    email: normalizedEmail,
+    displayName,
+    disabled: !!disabled,
+    customClaims: {},
+    tokensValidAfterTime: nowIso,
+    metadata: { creationTime: nowIso, lastSignInTime: null },
+  };
+  users.set(newUid, record);
+  return toUserRecord(record);
+}
+
+async function getUser(uid) {
+  return toUserRecord(requireUser(uid));
+}
+
+async function getUserByEmail(email) {
+  const record = findByEmail(email);
+  if (!record) {
+    throw createAuthError('user-not-found', 'There is no user record corresponding to the provided identifier.');
+  }
+  return toUserRecord(record);
+}
+
+async function updateUser(uid, properties = {}) {
+  const record = requireUser(uid);
+
+  if (properties.email !== undefined) {
+    const normalizedEmail = String(properties.email).toLowerCase();
+    const other = findByEmail(normalizedEmail);
+    if (other && other.uid !== record.uid) {
+      throw createAuthError('email-already-exists', 'The email address is already in use by another account.');
+    }
+    record.email = normalizedEmail;
+  }
+  if (properties.password !== undefined && String(properties.password).length < 6) {
+    throw createAuthError('invalid-password', 'The password must be a string with at least 6 characters.');
+  }
+  if (properties.displayName !== undefined) record.displayName = properties.displayName;
+  if (properties.disabled !== undefined) record.disabled = !!properties.disabled;
+
+  return toUserRecord(record);
+}
+
+async function deleteUser(uid) {
+  requireUser(uid);
+  users.delete(String(uid));
+}
+
+async function setCustomUserClaims(uid, claims) {
+  const record = requireUser(uid);
+  record.customClaims = { ...(claims || {}) };
+}
+
+async function revokeRefreshTokens(uid) {
+  const record = requireUser(uid);
+  record.tokensValidAfterTime = new Date().toUTCString();
+}
+
+async function createCustomToken(uid) {
+  requireUser(uid);
+  return `memory:${uid}`;
+}
+
+async function verifyIdToken(token) {
+  const match = /^memory:(.+)$/.exec(String(token || ''));
+  if (!match) {
+    throw createAuthError('argument-error', 'Decoding Firebase ID token failed.');
+  }
+
+  const record = users.get(match[1]);
+  if (!record) {
+    throw createAuthError('user-not-found', 'There is no user record corresponding to the provided identifier.');
+  }
+  if (record.disabled) {
+    throw createAuthError('user-disabled', 'The user record is disabled.');
+  }
+
+  return {
+    ...record.customClaims,
+    uid: record.uid,
+    email: record.email,
+    auth_time: Math.floor(Date.now() / 1000),
+  };
+}
+
+function reset() {
+  users.clear();
+}
+
+module.exports = {
+  createUser,
+  getUser,
+  getUserByEmail,
+  updateUser,
+  deleteUser,
+  setCustomUserClaims,
+  revokeRefreshTokens,
+  createCustomToken,
+  verifyIdToken,
+  reset,
+};
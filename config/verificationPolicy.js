@@ -0,0 +1,90 @@
+const {
+  COLLECTIONS,
+  getDocumentById,
+  createDocument,
+  updateDocument,
+} = require('./firestore');
+
+/**
+ * Signup verification policy
+ *
+ * Controls when a signup is auto-approved against the authorized members list.
+ * Defaults match the original hard-coded behaviour; the committee can override
+ * them from the admin app (stored in settings/verificationPolicy).
+ *
+ * - autoApprove:           master switch; false sends every signup to admin review
+ * - requireMemberIdMatch:  Member ID must match the authorized record
+ * - requirePhoneMatch:     phone must match the authorized record (missing phone => pending)
+ * - phoneFallbackLookup:   if the Member ID is unknown, look the record up by phone
+ * - resetStaleLocks:       records locked by a deleted user are released and reused
+ * - blockClaimedMember:    reject (instead of queue) signups for a record a live user holds
+ */
+
+const POLICY_DOC_ID = 'verificationPolicy';
+
+const DEFAULT_POLICY = {
+  autoApprove: true,
+  requireMemberIdMatch: true,
+  requirePhoneMatch: true,
+  phoneFallbackLookup: true,
+  resetStaleLocks: true,
+  blockClaimedMember: true,
+};
+
+const POLICY_CACHE_TTL_MS = 30 * 1000;
+let policyCache = { ts: 0, data: null };
+
+function sanitizePolicy(input = {}) {
+  const policy = {};
+  Object.keys(DEFAULT_POLICY).forEach((key) => {
+    if (typeof input[key] === 'boolean') {
+      policy[key] = input[key];
+    }
+  });
+  return policy;
+}
+
+async function getVerificationPolicy() {
+  const now = Date.now();
+  if (policyCache.data && now - policyCache.ts < POLICY_CACHE_TTL_MS) {
+    return policyCache.data;
+  }
+
+  let stored = null;
+  try {
+    stored = await getDocumentById(COLLECTIONS.SETTINGS, POLICY_DOC_ID);
+  } catch (error) {
+    console.error('⚠️  Failed to load verification policy, using defaults:', error.message);
+  }
+
+  const policy = { ...DEFAULT_POLICY, ...sanitizePolicy(stored || {}) };
+  policyCache = { ts: now, data: policy };
+  return policy;
+}
+
+// Returns { policy } on success or { invalidKeys } if the payload has unknown / non-boolean keys
+async function updateVerificationPolicy(changes, updatedBy) {
+  const invalidKeys = Object.keys(changes || {}).filter(
+    (key) => !(key in DEFAULT_POLICY) || typeof changes[key] !== 'boolean'
+  );
+  if (invalidKeys.length > 0) {
+    return { invalidKeys };
+  }
+
+  const data = { ...sanitizePolicy(changes), updatedBy: updatedBy || null };
+  const existing = await getDocumentById(COLLECTIONS.SETTINGS, POLICY_DOC_ID);
+  if (existing) {
+    await updateDocument(COLLECTIONS.SETTINGS, POLICY_DOC_ID, data);
+  } else {
+    await createDocument(COLLECTIONS.SETTINGS, data, POLICY_DOC_ID);
+  }
+
+  policyCache = { ts: 0, data: null };
+  return { policy: await getVerificationPolicy() };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  getVerificationPolicy,
+  updateVerificationPolicy,
+};
@@ -1,4 +1,6 @@
-const { auth, getDocumentById, findOneDocument, COLLECTIONS } = require('../config/firestore');
+const { auth, getDocumentById, findOneDocument, COLLECTIONS, timestampToDate } = require('../config/firestore');
+const { liftExpiredSuspension, isSuspensionExpired } = require('../utils/accountLifecycle');
+const { hasPermission } = require('../config/permissions');
 
 // Verify Firebase ID token (does not require Firestore user doc)
 exports.verifyFirebaseToken = async (req, res, next) => {
@@ -88,12 +90,47 @@ exports.protect = async (req, res, next) => {
       if (user.accountStatus === 'pending') {
         return res.status(403).json({
           success: false,
-          message: 'Your account is pending admin approval.',
+          message: user.householdStatus === 'pending'
+            ? 'Your login is waiting for approval by the primary holder of your Member ID.'
+            : 'Your account is pending admin approval.',
           accountStatus: 'pending',
           requiresApproval: true,
         });
       }
 
+      if (user.accountStatus === 'suspended') {
+        let current = await liftExpiredSuspension(user);
+        // Expired, but another request or the sweep reinstated it first: use what it wrote
+        if (!current && isSuspensionExpired(user)) {
+          current = await getDocumentById(COLLECTIONS.USERS, user.id);
+        }
+
+        if (current && current.accountStatus !== 'suspended') {
+          user = current;
+          delete user.password;
+        } else {
+          const suspended = current || user;
+          const suspendedUntil = timestampToDate(suspended.suspendedUntil);
+          return res.status(403).json({
+            success: false,
+            message: suspendedUntil
+              ? `Your account is suspended until ${suspendedUntil.toISOString()}.`
+              : 'Your account has been suspended. Please contact admin.',
+            accountStatus: 'suspended',
+            suspensionReason: suspended.suspensionReason || '',
+            suspendedUntil: suspendedUntil ? suspendedUntil.toISOString() : null,
+          });
+        }
+      }
+
+      if (user.accountStatus === 'deactivated') {
+        return res.status(403).json({
+          success: false,
+          message: 'Your account has been deactivated. Please contact admin.',
+          accountStatus: 'deactivated',
+        });
+      }
+
       req.user = user;
 
       next();
@@ -123,3 +160,18 @@ exports.authorize = (...roles) => {
     next();
   };
 };
+
+// Grant access when the user's role has every listed permission (see config/permissions.js)
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.filter((permission) => !hasPermission(req.user.role, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `User role '${req.user.role}' is not authorized to access this route`,
+        missingPermissions: missing,
+      });
+    }
+    next();
+  };
+};
@@ -2,7 +2,7 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requirePermission } = require('../middleware/auth');
 const {
   COLLECTIONS,
   getAllDocuments,
@@ -12,9 +12,55 @@ const {
   deleteDocument,
   queryDocuments,
   countDocuments,
+  runTransaction,
   admin,
   auth
 } = require('../config/firestore');
+const {
+  DEFAULT_POLICY,
+  getVerificationPolicy,
+  updateVerificationPolicy,
+} = require('../config/verificationPolicy');
+const {
+  normalizeMemberId,
+  normalizePhoneLenient,
+  normalizePhoneProvided,
+  getAuthorizedByMemberId,
+  verifyMember,
+  toMatchStatus,
+} = require('../utils/memberVerification');
+const { buildCandidatePool, findCandidates } = require('../utils/candidateMatching');
+const { nameMatches } = require('../utils/nameMatching');
+const {
+  readSpreadsheet,
+  newMemberData,
+  buildImportPlan,
+  commitAuthorizedMembersImport,
+} = require('../utils/authorizedMemberImport');
+const { buildAuthorizedMembersExport, writeExportBuffer } = require('../utils/authorizedMemberExport');
+const { planTransition, transitionUser } = require('../utils/accountLifecycle');
+const {
+  householdFieldsForTransition,
+  getHousehold,
+  publicMember,
+  transferPrimary,
+  handOverHousehold,
+} = require('../utils/household');
+const { recordAudit, queryAuditLog } = require('../utils/auditLog');
+const {
+  CATEGORIES: RECONCILIATION_CATEGORIES,
+  buildReconciliationReport,
+  applySafeFixes,
+} = require('../utils/reconciliation');
+const {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  STAFF_ROLES,
+  isValidRole,
+  hasPermission,
+  syncRoleClaims,
+} = require('../config/permissions');
 
 const router = express.Router();
 
@@ -22,8 +68,27 @@ const router = express.Router();
 const DASHBOARD_CACHE_TTL_MS = 30 * 1000;
 let dashboardCache = { ts: 0, data: null };
 
-// Apply protection and admin authorization to all routes
-router.use(protect, authorize('admin'));
+// Raised inside transactions to abort with a specific HTTP status
+function approvalError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Best-effort: sign the user out of the mobile app by revoking their refresh tokens.
+// Doc id is the Firebase uid for new users; legacy docs store `firebaseUid`.
+async function revokeUserSessions(user) {
+  try {
+    await auth.revokeRefreshTokens(user.firebaseUid || user.id);
+    return true;
+  } catch (e) {
+    console.log('Refresh token revoke skipped:', e.message);
+    return false;
+  }
+}
+
+// Any staff role may reach the admin API; each route checks its own permission
+router.use(protect, authorize(...STAFF_ROLES));
 
 // ============================================
 // DASHBOARD STATS
@@ -32,7 +97,7 @@ router.use(protect, authorize('admin'));
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard statistics
 // @access  Admin only
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', requirePermission(PERMISSIONS.DASHBOARD_VIEW), async (req, res) => {
   try {
     const now = Date.now();
     if (dashboardCache.data && now - dashboardCache.ts < DASHBOARD_CACHE_TTL_MS) {
@@ -231,7 +296,7 @@ const upload = multer({
 // @route   POST /api/admin/upload-image
 // @desc    Upload an image
 // @access  Admin only
-router.post('/upload-image', upload.single('image'), (req, res) => {
+router.post('/upload-image', requirePermission(PERMISSIONS.CONTENT_MANAGE), upload.single('image'), (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -243,6 +308,13 @@ router.post('/upload-image', upload.single('image'), (req, res) => {
     // Return the URL path to access the image
     const imageUrl = `/uploads/${req.file.filename}`;
 
+    recordAudit(req, {
+      action: 'media.upload',
+      targetType: 'upload',
+      targetId: req.file.filename,
+      metadata: { size: req.file.size, mimetype: req.file.mimetype },
+    });
+
     res.json({
       success: true,
       message: 'Image uploaded successfully',
@@ -288,7 +360,7 @@ router.use((error, req, res, next) => {
 // @route   GET /api/admin/approvals
 // @desc    Get pending approval users with pagination and search
 // @access  Admin only
-router.get('/approvals', async (req, res) => {
+router.get('/approvals', requirePermission(PERMISSIONS.USERS_APPROVE), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -317,6 +389,7 @@ router.get('/approvals', async (req, res) => {
       const searchLower = String(search).toLowerCase();
       users = users.filter((user) =>
         user.name?.toLowerCase().includes(searchLower) ||
+        nameMatches(search, user.name) ||
         user.email?.toLowerCase().includes(searchLower) ||
         String(user.memberId || '').toLowerCase().includes(searchLower) ||
         String(user.phone || '').toLowerCase().includes(searchLower)
@@ -350,32 +423,31 @@ router.get('/approvals', async (req, res) => {
 });
 
 // @route   PUT /api/admin/users/:id/approve
-// @desc    Approve a pending user
+// @desc    Approve a pending user (same as POST /pending-users/:id/approve)
 // @access  Admin only
-router.put('/users/:id/approve', async (req, res) => {
+router.put('/users/:id/approve', requirePermission(PERMISSIONS.USERS_APPROVE), async (req, res) => {
   try {
-    const user = await getDocumentById(COLLECTIONS.USERS, req.params.id);
-    if (!user) {
-      return res.status(404).json({ success: false, message: 'User not found' });
-    }
-
-    const updated = await updateDocument(COLLECTIONS.USERS, req.params.id, {
-      accountStatus: 'approved',
-      requiresAdminApproval: false,
-      verificationStatus: 'verified',
-      approvedAt: admin.firestore.Timestamp.now(),
-      approvedBy: req.user.id,
+    const { updatedUser, previousUser } = await approvePendingUser(req.params.id, req.body, req.user);
+    await recordAudit(req, {
+      action: 'user.approve',
+      targetType: 'user',
+      targetId: updatedUser.id,
+      before: previousUser,
+      after: updatedUser,
     });
 
     // Email notifications are handled via Firebase Auth templates / client flows.
 
-    const { password, ...userWithoutPassword } = updated;
+    const { password, ...userWithoutPassword } = updatedUser;
     res.json({
       success: true,
       message: 'User approved',
       data: userWithoutPassword,
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
     console.error('Approve user error:', error);
     res.status(500).json({
       success: false,
@@ -386,34 +458,33 @@ router.put('/users/:id/approve', async (req, res) => {
 });
 
 // @route   PUT /api/admin/users/:id/reject
-// @desc    Reject a pending user
+// @desc    Reject a pending user (same as POST /pending-users/:id/reject)
 // @access  Admin only
-router.put('/users/:id/reject', async (req, res) => {
+router.put('/users/:id/reject', requirePermission(PERMISSIONS.USERS_APPROVE), async (req, res) => {
   try {
     const { reason } = req.body;
-    const user = await getDocumentById(COLLECTIONS.USERS, req.params.id);
-    if (!user) {
-      return res.status(404).json({ success: false, message: 'User not found' });
-    }
-
-    const updated = await updateDocument(COLLECTIONS.USERS, req.params.id, {
-      accountStatus: 'rejected',
-      requiresAdminApproval: false,
-      verificationStatus: 'unverified',
-      rejectionReason: reason || '',
-      rejectedAt: admin.firestore.Timestamp.now(),
-      rejectedBy: req.user.id,
+    const { updatedUser, previousUser } = await rejectPendingUser(req.params.id, reason, req.user);
+    await recordAudit(req, {
+      action: 'user.reject',
+      targetType: 'user',
+      targetId: updatedUser.id,
+      before: previousUser,
+      after: updatedUser,
+      metadata: { reason: updatedUser.rejectionReason },
     });
 
     // Email notifications are handled via Firebase Auth templates / client flows.
 
-    const { password, ...userWithoutPassword } = updated;
+    const { password, ...userWithoutPassword } = updatedUser;
     res.json({
       success: true,
       message: 'User rejected',
       data: userWithoutPassword,
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
     console.error('Reject user error:', error);
     res.status(500).json({
       success: false,
@@ -426,7 +497,7 @@ router.put('/users/:id/reject', async (req, res) => {
 // @route   GET /api/admin/users
 // @desc    Get all users with pagination and search
 // @access  Admin only
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission(PERMISSIONS.USERS_VIEW), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -436,7 +507,7 @@ router.get('/users', async (req, res) => {
     // Build query conditions
     let conditions = [];
     
-    if (role && ['user', 'admin'].includes(role)) {
+    if (role && isValidRole(role)) {
       conditions.push({ field: 'role', operator: '==', value: role });
     }
 
@@ -465,6 +536,7 @@ router.get('/users', async (req, res) => {
       const searchLower = search.toLowerCase();
       users = users.filter(user =>
         user.name?.toLowerCase().includes(searchLower) ||
+        nameMatches(search, user.name) ||
         user.email?.toLowerCase().includes(searchLower) ||
         user.memberId?.toLowerCase().includes(searchLower) ||
         user.phone?.toLowerCase().includes(searchLower)
@@ -501,7 +573,7 @@ router.get('/users', async (req, res) => {
 // @route   GET /api/admin/users/:id
 // @desc    Get user details with their family tree entries (read-only)
 // @access  Admin only
-router.get('/users/:id', async (req, res) => {
+router.get('/users/:id', requirePermission(PERMISSIONS.USERS_VIEW), async (req, res) => {
   try {
     const user = await getDocumentById(COLLECTIONS.USERS, req.params.id);
 
@@ -556,9 +628,11 @@ router.get('/users/:id', async (req, res) => {
 });
 
 // @route   DELETE /api/admin/users/:id
-// @desc    Delete a user and release any authorized-member lock
+// @desc    Permanently delete a user: releases any authorized-member lock, removes
+//          their family tree entries and Firebase Auth login. Use
+//          POST /users/:id/deactivate to disable an account without losing data.
 // @access  Admin only
-router.delete('/users/:id', async (req, res) => {
+router.delete('/users/:id', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
   try {
     const userId = req.params.id;
     const user = await getDocumentById(COLLECTIONS.USERS, userId);
@@ -567,6 +641,14 @@ router.delete('/users/:id', async (req, res) => {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
+    // Prevent admin from deleting themselves
+    if (user.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account',
+      });
+    }
+
     // Release authorizedMembers entries that were used by this user
     try {
       const usedEntries = await queryDocuments(COLLECTIONS.AUTHORIZED_MEMBERS, [
@@ -596,32 +678,102 @@ router.delete('/users/:id', async (req, res) => {
       console.error('Failed to release authorizedMembers lock:', e.message);
     }
 
+    // A primary holder hands the household to another member first
+    try {
+      const newPrimaryId = await handOverHousehold(user);
+      if (newPrimaryId) {
+        console.log(`🏠 Household ${user.householdId} handed over to ${newPrimaryId}`);
+      }
+    } catch (e) {
+      console.error('Failed to hand over household:', e.message);
+    }
+
     // Delete user's family tree entries
+    let deletedFamilyTreeEntries = 0;
     try {
       const entries = await queryDocuments(COLLECTIONS.FAMILY_TREE, [
         { field: 'createdBy', operator: '==', value: userId },
       ]);
       for (const entry of entries) {
         await deleteDocument(COLLECTIONS.FAMILY_TREE, entry.id);
+        deletedFamilyTreeEntries++;
       }
     } catch (e) {
       console.error('Failed to delete family tree entries:', e.message);
     }
 
+    // Keep the user's person in the family graph (relatives link to it), just unlink the account
+    try {
+      const selfPersons = await queryDocuments(COLLECTIONS.PERSONS, [
+        { field: 'userId', operator: '==', value: userId },
+      ]);
+      for (const person of selfPersons) {
+        await updateDocument(COLLECTIONS.PERSONS, person.id, { userId: null });
+      }
+    } catch (e) {
+      console.error('Failed to unlink family graph person:', e.message);
+    }
+
+    // Trees shared with this account personally (household shares stay with the household)
+    try {
+      const shares = await queryDocuments(COLLECTIONS.TREE_SHARES, [
+        { field: 'granteeType', operator: '==', value: 'user' },
+        { field: 'granteeId', operator: '==', value: userId },
+      ]);
+      for (const share of shares) {
+        await deleteDocument(COLLECTIONS.TREE_SHARES, share.id);
+      }
+    } catch (e) {
+      console.error('Failed to delete tree shares:', e.message);
+    }
+
+    // The reminder digest inbox names the user's family
+    try {
+      await deleteDocument(COLLECTIONS.REMINDER_DIGESTS, userId);
+    } catch (e) {
+      console.error('Failed to delete reminder digest:', e.message);
+    }
+
     // Delete user doc
     await deleteDocument(COLLECTIONS.USERS, userId);
 
-    // Best-effort: delete Firebase Auth user (if present)
+    // Best-effort: delete Firebase Auth user so they cannot sign in.
+    // Doc id is the Firebase uid for new users; legacy docs store `firebaseUid`.
     try {
-      await admin.auth().deleteUser(userId);
+      let firebaseUid = user.firebaseUid || userId;
+      try {
+        await auth.getUser(firebaseUid);
+      } catch (e) {
+        firebaseUid = null;
+        if (user.email) {
+          try {
+            const fbUser = await auth.getUserByEmail(String(user.email).toLowerCase());
+            firebaseUid = fbUser.uid;
+          } catch (lookupError) {
+            // ignore
+          }
+        }
+      }
+      if (firebaseUid) {
+        await auth.deleteUser(firebaseUid);
+      }
     } catch (e) {
       // Non-fatal; user may not exist in Firebase Auth.
       console.log('Firebase Auth delete skipped:', e.message);
     }
 
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: userId,
+      before: user,
+      metadata: { deletedFamilyTreeEntries },
+    });
+
     res.json({
       success: true,
       message: 'User deleted successfully',
+      deletedFamilyTreeEntries,
     });
   } catch (error) {
     console.error('Delete user error:', error);
@@ -633,10 +785,200 @@ router.delete('/users/:id', async (req, res) => {
   }
 });
 
+// @route   POST /api/admin/users/:id/suspend
+// @desc    Temporarily suspend an approved account: { reason, until? }
+//          `until` (ISO date) lifts the suspension automatically; omit for indefinite.
+// @access  Admin only
+router.post('/users/:id/suspend', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const { reason, until } = req.body || {};
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend your own account',
+      });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A suspension reason is required',
+      });
+    }
+
+    let untilDate = null;
+    if (until) {
+      untilDate = new Date(until);
+      if (Number.isNaN(untilDate.getTime()) || untilDate.getTime() <= Date.now()) {
+        return res.status(400).json({
+          success: false,
+          message: 'until must be a valid date in the future',
+        });
+      }
+    }
+
+    const { user, previous } = await transitionUser(req.params.id, 'suspend', {
+      actor: req.user,
+      reason: String(reason).trim(),
+      until: untilDate,
+    });
+    const sessionsRevoked = await revokeUserSessions(user);
+    await recordAudit(req, {
+      action: 'user.suspend',
+      targetType: 'user',
+      targetId: user.id,
+      before: previous,
+      after: user,
+      metadata: { reason: user.suspensionReason, until: untilDate, sessionsRevoked },
+    });
+    const { password, ...userWithoutPassword } = user;
+
+    console.log(`⏸️  Admin ${req.user.email} suspended user ${user.email}` +
+      (untilDate ? ` until ${untilDate.toISOString()}` : ''));
+
+    res.json({
+      success: true,
+      message: untilDate ? `User suspended until ${untilDate.toISOString()}` : 'User suspended',
+      data: userWithoutPassword,
+      sessionsRevoked,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Suspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to suspend user',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/unsuspend
+// @desc    Lift a suspension before its end date
+// @access  Admin only
+router.post('/users/:id/unsuspend', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const { user, previous } = await transitionUser(req.params.id, 'reinstate', { actor: req.user, reason });
+    await recordAudit(req, {
+      action: 'user.unsuspend',
+      targetType: 'user',
+      targetId: user.id,
+      before: previous,
+      after: user,
+      metadata: { reason: reason || null },
+    });
+    const { password, ...userWithoutPassword } = user;
+
+    console.log(`▶️  Admin ${req.user.email} lifted suspension of user ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Suspension lifted',
+      data: userWithoutPassword,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Unsuspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to lift suspension',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/deactivate
+// @desc    Deactivate an account (blocks access, keeps all data)
+// @access  Admin only
+router.post('/users/:id/deactivate', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account',
+      });
+    }
+
+    const { reason } = req.body || {};
+    const { user, previous } = await transitionUser(req.params.id, 'deactivate', { actor: req.user, reason });
+    await revokeUserSessions(user);
+    await recordAudit(req, {
+      action: 'user.deactivate',
+      targetType: 'user',
+      targetId: user.id,
+      before: previous,
+      after: user,
+      metadata: { reason: reason || null },
+    });
+    const { password, ...userWithoutPassword } = user;
+
+    console.log(`⛔ Admin ${req.user.email} deactivated user ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'User deactivated',
+      data: userWithoutPassword,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Deactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate user',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/reactivate
+// @desc    Reactivate a deactivated account, back to the state it had before deactivation
+// @access  Admin only
+router.post('/users/:id/reactivate', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const { user, previous } = await transitionUser(req.params.id, 'reactivate', { actor: req.user, reason });
+    await recordAudit(req, {
+      action: 'user.reactivate',
+      targetType: 'user',
+      targetId: user.id,
+      before: previous,
+      after: user,
+      metadata: { reason: reason || null },
+    });
+    const { password, ...userWithoutPassword } = user;
+
+    console.log(`✅ Admin ${req.user.email} reactivated user ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'User reactivated',
+      data: userWithoutPassword,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Reactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reactivate user',
+      error: error.message,
+    });
+  }
+});
+
 // @route   PUT /api/admin/users/:id
 // @desc    Update user details
 // @access  Admin only
-router.put('/users/:id', async (req, res) => {
+router.put('/users/:id', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
   try {
     const { name, email, phone, memberId, role } = req.body;
 
@@ -693,17 +1035,40 @@ router.put('/users/:id', async (req, res) => {
     if (memberId !== undefined) updateData.memberId = memberId;
     
     // Role update validation
-    if (role !== undefined) {
-      if (!['user', 'admin'].includes(role)) {
+    if (role !== undefined && role !== user.role) {
+      if (!hasPermission(req.user.role, PERMISSIONS.USERS_ROLES)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not allowed to change user roles',
+          missingPermissions: [PERMISSIONS.USERS_ROLES],
+        });
+      }
+      if (!isValidRole(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid role. Must be one of: ${ROLES.join(', ')}`,
+        });
+      }
+      if (user.id === req.user.id) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid role. Must be "user" or "admin"',
+          message: 'You cannot change your own role',
         });
       }
       updateData.role = role;
     }
 
     const updatedUser = await updateDocument(COLLECTIONS.USERS, user.id, updateData);
+    if (updateData.role) {
+      await syncRoleClaims(updatedUser);
+    }
+    await recordAudit(req, {
+      action: 'user.update',
+      targetType: 'user',
+      targetId: user.id,
+      before: user,
+      after: updatedUser,
+    });
     const { password, ...userWithoutPassword } = updatedUser;
 
     res.json({
@@ -724,7 +1089,7 @@ router.put('/users/:id', async (req, res) => {
 // @route   PUT /api/admin/users/:id/password
 // @desc    Change user password (requires current password)
 // @access  Admin only
-router.put('/users/:id/password', async (req, res) => {
+router.put('/users/:id/password', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
@@ -790,6 +1155,13 @@ router.put('/users/:id/password', async (req, res) => {
       }
     }
 
+    await recordAudit(req, {
+      action: 'user.password_change',
+      targetType: 'user',
+      targetId: user.id,
+      metadata: { firebaseUid },
+    });
+
     res.json({
       success: true,
       message: 'Password changed successfully',
@@ -804,17 +1176,28 @@ router.put('/users/:id/password', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/roles
+// @desc    List roles and the permissions each grants
+// @access  Admin only
+router.get('/roles', requirePermission(PERMISSIONS.USERS_ROLES), (req, res) => {
+  res.json({
+    success: true,
+    data: ROLES.map((role) => ({ role, permissions: ROLE_PERMISSIONS[role] })),
+    permissions: Object.values(PERMISSIONS),
+  });
+});
+
 // @route   PUT /api/admin/users/:id/role
 // @desc    Update user role (promote/demote)
 // @access  Admin only
-router.put('/users/:id/role', async (req, res) => {
+router.put('/users/:id/role', requirePermission(PERMISSIONS.USERS_ROLES), async (req, res) => {
   try {
     const { role } = req.body;
 
-    if (!role || !['user', 'admin'].includes(role)) {
+    if (!role || !isValidRole(role)) {
       return res.status(400).json({
         success: false,
-        message: 'Valid role is required (user or admin)',
+        message: `Valid role is required (${ROLES.join(', ')})`,
       });
     }
 
@@ -828,7 +1211,7 @@ router.put('/users/:id/role', async (req, res) => {
     }
 
     // Prevent admin from demoting themselves
-    if (user.id === req.user.id && role === 'user') {
+    if (user.id === req.user.id && role !== req.user.role) {
       return res.status(400).json({
         success: false,
         message: 'You cannot demote yourself',
@@ -836,12 +1219,22 @@ router.put('/users/:id/role', async (req, res) => {
     }
 
     const updatedUser = await updateDocument(COLLECTIONS.USERS, user.id, { role });
+    const claimsSynced = await syncRoleClaims(updatedUser);
+    await recordAudit(req, {
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId: user.id,
+      before: user,
+      after: updatedUser,
+      metadata: { claimsSynced },
+    });
     const { password, ...userWithoutPassword } = updatedUser;
 
     res.json({
       success: true,
-      message: `User ${role === 'admin' ? 'promoted to' : 'demoted to'} ${role}`,
+      message: `User role changed to ${role}`,
       data: userWithoutPassword,
+      permissions: ROLE_PERMISSIONS[role],
     });
   } catch (error) {
     console.error('Update role error:', error);
@@ -853,84 +1246,10 @@ router.put('/users/:id/role', async (req, res) => {
   }
 });
 
-// @route   DELETE /api/admin/users/:id
-// @desc    Delete/deactivate a user
-// @access  Admin only
-router.delete('/users/:id', async (req, res) => {
-  try {
-    const { deleteFamilyTree } = req.query; // Optional: delete family tree entries too
-
-    const user = await getDocumentById(COLLECTIONS.USERS, req.params.id);
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found',
-      });
-    }
-
-    // Prevent admin from deleting themselves
-    if (user.id === req.user.id) {
-      return res.status(400).json({
-        success: false,
-        message: 'You cannot delete your own account',
-      });
-    }
-
-    // Delete family tree entries if requested
-    let deletedCount = 0;
-    if (deleteFamilyTree === 'true') {
-      const familyTreeEntries = await queryDocuments(
-        COLLECTIONS.FAMILY_TREE,
-        [{ field: 'createdBy', operator: '==', value: user.id }]
-      );
-      
-      for (const entry of familyTreeEntries) {
-        await deleteDocument(COLLECTIONS.FAMILY_TREE, entry.id);
-        deletedCount++;
-      }
-      console.log(`Deleted ${deletedCount} family tree entries for user ${user.email}`);
-    }
-
-    await deleteDocument(COLLECTIONS.USERS, user.id);
-
-    // Best-effort cleanup: remove Firebase Auth user so they cannot sign in.
-    try {
-      let firebaseUid = user.firebaseUid || null;
-      if (!firebaseUid && user.email) {
-        try {
-          const fbUser = await auth.getUserByEmail(String(user.email).toLowerCase());
-          firebaseUid = fbUser.uid;
-        } catch (e) {
-          // ignore
-        }
-      }
-      if (firebaseUid) {
-        await auth.deleteUser(firebaseUid);
-      }
-    } catch (e) {
-      // non-fatal
-    }
-
-    res.json({
-      success: true,
-      message: 'User deleted successfully',
-      deletedFamilyTreeEntries: deleteFamilyTree === 'true',
-    });
-  } catch (error) {
-    console.error('Delete user error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to delete user',
-      error: error.message,
-    });
-  }
-});
-
 // @route   GET /api/admin/users/:id/family-tree
 // @desc    Get user's family tree entries (read-only for admin)
 // @access  Admin only
-router.get('/users/:id/family-tree', async (req, res) => {
+router.get('/users/:id/family-tree', requirePermission(PERMISSIONS.USERS_VIEW), async (req, res) => {
   try {
     const user = await getDocumentById(COLLECTIONS.USERS, req.params.id);
 
@@ -981,29 +1300,102 @@ router.get('/users/:id/family-tree', async (req, res) => {
   }
 });
 
-// ============================================
-// ADMIN STATISTICS & REPORTS
-// ============================================
-
-// @route   GET /api/admin/stats/overview
-// @desc    Get comprehensive statistics overview
+// @route   GET /api/admin/households/:memberId
+// @desc    Household of a Member ID: primary holder, active members and pending join requests
 // @access  Admin only
-router.get('/stats/overview', async (req, res) => {
+router.get('/households/:memberId', requirePermission(PERMISSIONS.USERS_VIEW), async (req, res) => {
   try {
-    const now = new Date();
-    const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const startOfWeek = new Date(now);
-    startOfWeek.setDate(now.getDate() - 7);
-    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-
-    const todayTimestamp = admin.firestore.Timestamp.fromDate(startOfToday);
-    const weekTimestamp = admin.firestore.Timestamp.fromDate(startOfWeek);
-    const monthTimestamp = admin.firestore.Timestamp.fromDate(startOfMonth);
+    const result = await getHousehold(normalizeMemberId(req.params.memberId));
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Household not found',
+      });
+    }
 
-    const [
-      totalUsers,
-      todayUsers,
-      weekUsers,
+    res.json({
+      success: true,
+      data: {
+        ...result.household,
+        primary: result.primary ? publicMember(result.primary) : null,
+        members: result.members,
+        pending: result.pending,
+      },
+    });
+  } catch (error) {
+    console.error('Get household error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch household',
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/admin/households/:memberId/primary
+// @desc    Make another active household member the primary holder: { userId }
+// @access  Admin only
+router.put('/households/:memberId/primary', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const { userId } = req.body || {};
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'userId is required',
+      });
+    }
+
+    const householdId = normalizeMemberId(req.params.memberId);
+    const { household, previousPrimaryId } = await transferPrimary(householdId, String(userId), req.user, { asAdmin: true });
+    await recordAudit(req, {
+      action: 'household.primary_change',
+      targetType: COLLECTIONS.HOUSEHOLDS,
+      targetId: householdId,
+      before: { primaryUserId: previousPrimaryId },
+      after: { primaryUserId: household.primaryUserId },
+    });
+
+    res.json({
+      success: true,
+      message: 'Primary holder updated',
+      data: household,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Change household primary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change primary holder',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// ADMIN STATISTICS & REPORTS
+// ============================================
+
+// @route   GET /api/admin/stats/overview
+// @desc    Get comprehensive statistics overview
+// @access  Admin only
+router.get('/stats/overview', requirePermission(PERMISSIONS.DASHBOARD_VIEW), async (req, res) => {
+  try {
+    const now = new Date();
+    const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const startOfWeek = new Date(now);
+    startOfWeek.setDate(now.getDate() - 7);
+    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+
+    const todayTimestamp = admin.firestore.Timestamp.fromDate(startOfToday);
+    const weekTimestamp = admin.firestore.Timestamp.fromDate(startOfWeek);
+    const monthTimestamp = admin.firestore.Timestamp.fromDate(startOfMonth);
+
+    const [
+      totalUsers,
+      todayUsers,
+      weekUsers,
       monthUsers,
       committeeCount,
       sponsorCount,
@@ -1055,9 +1447,10 @@ router.get('/stats/overview', async (req, res) => {
 // ============================================
 
 // @route   GET /api/admin/pending-users
-// @desc    Get all users pending approval
+// @desc    Get all users pending approval, with verification details and ranked
+//          candidate authorizedMembers/information records (?suggestions=false to skip)
 // @access  Admin only
-router.get('/pending-users', async (req, res) => {
+router.get('/pending-users', requirePermission(PERMISSIONS.USERS_APPROVE), async (req, res) => {
   try {
     const { page = 1, limit = 20, search = '' } = req.query;
     
@@ -1077,6 +1470,7 @@ router.get('/pending-users', async (req, res) => {
       const searchLower = search.toLowerCase();
       pendingUsers = pendingUsers.filter(user =>
         user.name?.toLowerCase().includes(searchLower) ||
+        nameMatches(search, user.name) ||
         user.email?.toLowerCase().includes(searchLower) ||
         user.memberId?.toLowerCase().includes(searchLower) ||
         user.phone?.toLowerCase().includes(searchLower)
@@ -1087,42 +1481,45 @@ router.get('/pending-users', async (req, res) => {
     const skip = (page - 1) * limit;
     const paginatedUsers = pendingUsers.slice(skip, parseInt(skip) + parseInt(limit));
     
-    // For each pending user, check if their member ID exists in authorized list
+    // Ranked candidate records (fuzzy matches) help the admin pick the right member
+    const includeSuggestions = req.query.suggestions !== 'false';
+    const candidateLimit = Math.min(20, Math.max(1, parseInt(req.query.candidateLimit) || 5));
+    let candidatePool = [];
+    if (includeSuggestions && paginatedUsers.length > 0) {
+      const [authorizedMembers, informationRecords] = await Promise.all([
+        getAllDocuments(COLLECTIONS.AUTHORIZED_MEMBERS),
+        getAllDocuments(COLLECTIONS.INFORMATION),
+      ]);
+      candidatePool = buildCandidatePool(authorizedMembers, informationRecords);
+    }
+
+    // For each pending user, re-run signup verification (read-only) against the authorized list
+    const policy = await getVerificationPolicy();
     const usersWithDetails = await Promise.all(
       paginatedUsers.map(async (user) => {
-        const authorizedMember = await queryDocuments(
-          COLLECTIONS.AUTHORIZED_MEMBERS,
-          [{ field: 'memberId', operator: '==', value: user.memberId }],
-          null,
-          'asc',
-          1
+        const verification = await verifyMember(
+          { memberId: user.memberId, phone: user.phone },
+          { policy, userId: user.id }
         );
-        
-        let matchStatus = 'not_found';
-        let matchDetails = {};
-        
-        if (authorizedMember.length > 0) {
-          const authMember = authorizedMember[0];
-          const userPhone = user.phone?.replace(/[\s\-\(\)]/g, '').trim() || '';
-          const authPhone = authMember.phoneNumber?.replace(/[\s\-\(\)]/g, '').trim() || '';
-          
-          if (userPhone === authPhone) {
-            matchStatus = 'exact_match';
-          } else {
-            matchStatus = 'phone_mismatch';
-          }
-          
-          matchDetails = {
+        const authMember = verification.authorizedMember;
+
+        return {
+          ...user,
+          matchStatus: toMatchStatus(verification),
+          matchDetails: authMember ? {
             authorizedPhone: authMember.phoneNumber,
             userPhone: user.phone,
             authorizedName: authMember.name,
-          };
-        }
-        
-        return {
-          ...user,
-          matchStatus,
-          matchDetails,
+          } : {},
+          verification: {
+            decision: verification.decision,
+            reasons: verification.reasons,
+            matches: verification.matches,
+            authorizedMemberId: authMember ? authMember.id : null,
+          },
+          ...(includeSuggestions ? {
+            candidates: findCandidates(user, candidatePool, { limit: candidateLimit }),
+          } : {}),
         };
       })
     );
@@ -1147,10 +1544,72 @@ router.get('/pending-users', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/verification-policy
+// @desc    Get the signup auto-approval policy
+// @access  Admin only
+router.get('/verification-policy', requirePermission(PERMISSIONS.USERS_APPROVE), async (req, res) => {
+  try {
+    const policy = await getVerificationPolicy();
+    res.json({
+      success: true,
+      data: policy,
+      defaults: DEFAULT_POLICY,
+    });
+  } catch (error) {
+    console.error('Get verification policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch verification policy',
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/admin/verification-policy
+// @desc    Update the signup auto-approval policy (partial, boolean flags only)
+// @access  Admin only
+router.put('/verification-policy', requirePermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const previousPolicy = await getVerificationPolicy();
+    const { policy, invalidKeys } = await updateVerificationPolicy(req.body, req.user.id);
+
+    if (invalidKeys) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid policy fields: ${invalidKeys.join(', ')}`,
+        allowedFields: Object.keys(DEFAULT_POLICY),
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'settings.verification_policy.update',
+      targetType: 'settings',
+      targetId: 'verificationPolicy',
+      before: previousPolicy,
+      after: policy,
+    });
+
+    console.log(`⚙️  Admin ${req.user.email} updated verification policy`, policy);
+
+    res.json({
+      success: true,
+      message: 'Verification policy updated',
+      data: policy,
+    });
+  } catch (error) {
+    console.error('Update verification policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update verification policy',
+      error: error.message,
+    });
+  }
+});
+
 // @route   GET /api/admin/pending-users/count
 // @desc    Get count of pending users (for notifications)
 // @access  Admin only
-router.get('/pending-users/count', async (req, res) => {
+router.get('/pending-users/count', requirePermission(PERMISSIONS.USERS_APPROVE), async (req, res) => {
   try {
     const count = await countDocuments(
       COLLECTIONS.USERS,
@@ -1171,39 +1630,151 @@ router.get('/pending-users/count', async (req, res) => {
   }
 });
 
-// @route   POST /api/admin/pending-users/:id/approve
-// @desc    Approve a pending user
-// @access  Admin only
-router.post('/pending-users/:id/approve', async (req, res) => {
-  try {
-    const user = await getDocumentById(COLLECTIONS.USERS, req.params.id);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found',
-      });
+// Approve one pending user and claim their authorizedMembers record atomically.
+// Shared by the single and bulk approve endpoints. Throws approvalError(status, message).
+async function approvePendingUser(userId, options, actor) {
+  const { authorizedMemberId, useAuthorizedMemberId = false, useAuthorizedPhone = false } = options || {};
+
+  const user = await getDocumentById(COLLECTIONS.USERS, userId);
+  if (!user) {
+    throw approvalError(404, 'User not found');
+  }
+  planTransition(user, 'approve');
+
+  // Resolve the authorized record to link (explicit id, else the user's own Member ID)
+  let linkId = authorizedMemberId ? String(authorizedMemberId) : null;
+  if (!linkId) {
+    const byMemberId = await getAuthorizedByMemberId(normalizeMemberId(user.memberId));
+    linkId = byMemberId ? byMemberId.id : null;
+  }
+
+  if (!linkId && (useAuthorizedMemberId || useAuthorizedPhone)) {
+    throw approvalError(400, 'authorizedMemberId is required to copy authorized Member ID / phone');
+  }
+
+  return await runTransaction(async (tx) => {
+    const current = await tx.getDocumentById(COLLECTIONS.USERS, user.id);
+    if (!current) {
+      throw approvalError(404, 'User not found');
     }
-    
-    if (user.accountStatus !== 'pending') {
-      return res.status(400).json({
-        success: false,
-        message: 'User is not in pending status',
+    const { update: transitionUpdate } = planTransition(current, 'approve', { actor });
+
+    let authorizedMember = null;
+    let newMemberId = null;
+    if (linkId) {
+      authorizedMember = await tx.getDocumentById(COLLECTIONS.AUTHORIZED_MEMBERS, linkId);
+      if (!authorizedMember && authorizedMemberId) {
+        throw approvalError(404, 'Authorized member not found');
+      }
+      if (authorizedMember?.isActive === false) {
+        if (authorizedMemberId) {
+          throw approvalError(409, 'Authorized member has been deactivated');
+        }
+        authorizedMember = null;
+      }
+
+      // Must be unclaimed: free, already ours, or held by a deleted user (stale lock).
+      // An implicit link (no authorizedMemberId given) is simply skipped when claimed.
+      if (authorizedMember?.isUsed === true && authorizedMember.usedBy && authorizedMember.usedBy !== user.id) {
+        const holder = await tx.getDocumentById(COLLECTIONS.USERS, authorizedMember.usedBy);
+        if (holder && authorizedMemberId) {
+          throw approvalError(409, `Authorized member is already linked to ${holder.name || holder.email || holder.id}`);
+        }
+        if (holder) {
+          authorizedMember = null;
+        }
+      }
+
+      if (authorizedMember && useAuthorizedMemberId) {
+        newMemberId = normalizeMemberId(authorizedMember.memberId || authorizedMember.id);
+        const sameMemberId = await tx.queryDocuments(COLLECTIONS.USERS, [
+          { field: 'memberId', operator: '==', value: newMemberId },
+        ], null, 'asc', 2);
+        if (sameMemberId.some((u) => u.id !== user.id)) {
+          throw approvalError(409, `Member ID ${newMemberId} already belongs to another account`);
+        }
+      }
+    }
+
+    const familyTreeEntries = newMemberId
+      ? await tx.queryDocuments(COLLECTIONS.FAMILY_TREE, [
+        { field: 'createdBy', operator: '==', value: user.id },
+      ])
+      : [];
+    const persons = newMemberId
+      ? await tx.queryDocuments(COLLECTIONS.PERSONS, [
+        { field: 'createdBy', operator: '==', value: user.id },
+      ])
+      : [];
+
+    // Writes
+    const updateData = { ...transitionUpdate, ...householdFieldsForTransition(current, 'approve') };
+    if (authorizedMember) {
+      updateData.authorizedMemberId = authorizedMember.id;
+    }
+    if (newMemberId) {
+      updateData.memberId = newMemberId;
+    }
+    if (authorizedMember && useAuthorizedPhone) {
+      updateData.phone = normalizePhoneLenient(authorizedMember.phoneNumber);
+    }
+
+    tx.updateDocument(COLLECTIONS.USERS, user.id, updateData);
+
+    familyTreeEntries.forEach((entry) => {
+      tx.updateDocument(COLLECTIONS.FAMILY_TREE, entry.id, { memberId: newMemberId });
+    });
+    persons.forEach((person) => {
+      tx.updateDocument(COLLECTIONS.PERSONS, person.id, { memberId: newMemberId });
+    });
+
+    if (authorizedMember) {
+      tx.updateDocument(COLLECTIONS.AUTHORIZED_MEMBERS, authorizedMember.id, {
+        isUsed: true,
+        usedBy: user.id,
+        usedAt: new Date(),
       });
     }
+
+    return { updatedUser: { ...current, ...updateData }, previousUser: current, authorizedMember };
+  });
+}
+
+// Reject one pending user. Shared by the single and bulk reject endpoints.
+async function rejectPendingUser(userId, reason, actor) {
+  return await runTransaction(async (tx) => {
+    const current = await tx.getDocumentById(COLLECTIONS.USERS, userId);
+    if (!current) {
+      throw approvalError(404, 'User not found');
+    }
+    const { update } = planTransition(current, 'reject', { actor, reason });
+    const updateData = { ...update, ...householdFieldsForTransition(current, 'reject') };
+    tx.updateDocument(COLLECTIONS.USERS, current.id, updateData);
+    return { updatedUser: { ...current, ...updateData }, previousUser: current };
+  });
+}
+
+// @route   POST /api/admin/pending-users/:id/approve
+// @desc    Approve a pending user and claim their authorizedMembers record.
+//          Body (all optional):
+//          - authorizedMemberId: record to link (defaults to the record matching the user's Member ID)
+//          - useAuthorizedMemberId: overwrite the user's memberId with the authorized value
+//          - useAuthorizedPhone: overwrite the user's phone with the authorized value
+// @access  Admin only
+router.post('/pending-users/:id/approve', requirePermission(PERMISSIONS.USERS_APPROVE), async (req, res) => {
+  try {
+    const { updatedUser, previousUser, authorizedMember } = await approvePendingUser(req.params.id, req.body, req.user);
+    await recordAudit(req, {
+      action: 'user.approve',
+      targetType: 'user',
+      targetId: updatedUser.id,
+      before: previousUser,
+      after: updatedUser,
+      metadata: { authorizedMemberId: authorizedMember ? authorizedMember.id : null },
+    });
     
-    // Update user status
-    const updateData = {
-      accountStatus: 'approved',
-      verificationStatus: 'verified',
-      requiresAdminApproval: false,
-      reviewedBy: req.user.id,
-      reviewedAt: admin.firestore.Timestamp.now(),
-    };
-    
-    const updatedUser = await updateDocument(COLLECTIONS.USERS, user.id, updateData);
-    
-    console.log(`✅ Admin ${req.user.email} approved user ${user.email}`);
+    console.log(`✅ Admin ${req.user.email} approved user ${updatedUser.email}` +
+      (authorizedMember ? ` (linked to authorized member ${authorizedMember.id})` : ''));
     
     // TODO: Send notification to user (email/SMS)
     // This is a placeholder for future notification implementation
@@ -1216,7 +1787,10 @@ router.post('/pending-users/:id/approve', async (req, res) => {
         id: updatedUser.id,
         name: updatedUser.name,
         email: updatedUser.email,
+        memberId: updatedUser.memberId,
+        phone: updatedUser.phone,
         accountStatus: updatedUser.accountStatus,
+        authorizedMemberId: authorizedMember ? authorizedMember.id : null,
       },
       notification: {
         placeholder: 'User notification will be implemented in production',
@@ -1224,6 +1798,9 @@ router.post('/pending-users/:id/approve', async (req, res) => {
       },
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
     console.error('Approve user error:', error);
     res.status(500).json({
       success: false,
@@ -1236,39 +1813,21 @@ router.post('/pending-users/:id/approve', async (req, res) => {
 // @route   POST /api/admin/pending-users/:id/reject
 // @desc    Reject a pending user
 // @access  Admin only
-router.post('/pending-users/:id/reject', async (req, res) => {
+router.post('/pending-users/:id/reject', requirePermission(PERMISSIONS.USERS_APPROVE), async (req, res) => {
   try {
     const { reason } = req.body;
+
+    const { updatedUser, previousUser } = await rejectPendingUser(req.params.id, reason, req.user);
+    await recordAudit(req, {
+      action: 'user.reject',
+      targetType: 'user',
+      targetId: updatedUser.id,
+      before: previousUser,
+      after: updatedUser,
+      metadata: { reason: updatedUser.rejectionReason },
+    });
     
-    const user = await getDocumentById(COLLECTIONS.USERS, req.params.id);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found',
-      });
-    }
-    
-    if (user.accountStatus !== 'pending') {
-      return res.status(400).json({
-        success: false,
-        message: 'User is not in pending status',
-      });
-    }
-    
-    // Update user status
-    const updateData = {
-      accountStatus: 'rejected',
-      verificationStatus: 'unverified',
-      requiresAdminApproval: false,
-      reviewedBy: req.user.id,
-      reviewedAt: admin.firestore.Timestamp.now(),
-      rejectionReason: reason || 'No reason provided',
-    };
-    
-    const updatedUser = await updateDocument(COLLECTIONS.USERS, user.id, updateData);
-    
-    console.log(`❌ Admin ${req.user.email} rejected user ${user.email}`);
+    console.log(`❌ Admin ${req.user.email} rejected user ${updatedUser.email}`);
     
     // TODO: Send notification to user (email/SMS)
     // This is a placeholder for future notification implementation
@@ -1290,6 +1849,9 @@ router.post('/pending-users/:id/reject', async (req, res) => {
       },
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
     console.error('Reject user error:', error);
     res.status(500).json({
       success: false,
@@ -1299,54 +1861,257 @@ router.post('/pending-users/:id/reject', async (req, res) => {
   }
 });
 
-// @route   GET /api/admin/authorized-members
-// @desc    Get all authorized members from Excel import
+// ============================================
+// BULK APPROVE / REJECT
+// ============================================
+
+const BULK_MAX_USERS = 200;
+
+const BULK_FILTER_KEYS = ['matchStatus', 'decision', 'reason'];
+
+// Resolve the target user ids for a bulk action: either an explicit `userIds` list,
+// or a `filter` over the current pending users ({ matchStatus, decision, reason }).
+// Returns null when neither is given; a filter must name at least one known key,
+// so a malformed request never selects the whole queue.
+async function resolveBulkTargets(body) {
+  const { userIds, filter } = body || {};
+
+  if (Array.isArray(userIds) && userIds.length > 0) {
+    return [...new Set(userIds.map(String))];
+  }
+
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    return null;
+  }
+
+  const unknownKeys = Object.keys(filter).filter((key) => !BULK_FILTER_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw approvalError(400, `Unknown filter key(s): ${unknownKeys.join(', ')}. Allowed: ${BULK_FILTER_KEYS.join(', ')}`);
+  }
+  const invalidKeys = BULK_FILTER_KEYS.filter(
+    (key) => filter[key] !== undefined && (typeof filter[key] !== 'string' || !filter[key].trim())
+  );
+  if (invalidKeys.length > 0) {
+    throw approvalError(400, `Filter value(s) must be non-empty strings: ${invalidKeys.join(', ')}`);
+  }
+  if (!BULK_FILTER_KEYS.some((key) => filter[key] !== undefined)) {
+    throw approvalError(400, `Filter must include at least one of: ${BULK_FILTER_KEYS.join(', ')}`);
+  }
+
+  const pendingUsers = await queryDocuments(COLLECTIONS.USERS, [
+    { field: 'accountStatus', operator: '==', value: 'pending' },
+  ]);
+  const policy = await getVerificationPolicy();
+
+  const matching = [];
+  for (const user of pendingUsers) {
+    const verification = await verifyMember(
+      { memberId: user.memberId, phone: user.phone },
+      { policy, userId: user.id }
+    );
+    if (filter.matchStatus && toMatchStatus(verification) !== filter.matchStatus) continue;
+    if (filter.decision && verification.decision !== filter.decision) continue;
+    if (filter.reason && !verification.reasons.includes(filter.reason)) continue;
+    matching.push(user.id);
+  }
+  return matching;
+}
+
+// Run `action(userId)` for each target sequentially and collect per-user results.
+// Users that are no longer pending (or missing) are reported as skipped.
+async function runBulk(userIds, action) {
+  const results = [];
+  for (const userId of userIds) {
+    try {
+      const { updatedUser, authorizedMember } = await action(userId);
+      results.push({
+        userId,
+        status: 'done',
+        accountStatus: updatedUser.accountStatus,
+        ...(authorizedMember !== undefined ? { authorizedMemberId: authorizedMember ? authorizedMember.id : null } : {}),
+      });
+    } catch (error) {
+      if (error.code === 'invalid-transition' || error.status === 404) {
+        results.push({ userId, status: 'skipped', message: error.message });
+      } else {
+        results.push({ userId, status: 'failed', message: error.message });
+      }
+    }
+  }
+
+  const count = (status) => results.filter((r) => r.status === status).length;
+  return {
+    results,
+    summary: {
+      requested: userIds.length,
+      done: count('done'),
+      skipped: count('skipped'),
+      failed: count('failed'),
+    },
+  };
+}
+
+// @route   POST /api/admin/pending-users/bulk-approve
+// @desc    Approve many pending users: { userIds: [...] } or { filter: { matchStatus: 'exact_match' } }
+//          Each user is linked to the authorized record matching their Member ID when unclaimed.
 // @access  Admin only
-router.get('/authorized-members', async (req, res) => {
+router.post('/pending-users/bulk-approve', requirePermission(PERMISSIONS.USERS_APPROVE), async (req, res) => {
   try {
-    const { page = 1, limit = 50, search = '', status = 'all' } = req.query;
-    
-    // Build conditions
-    let conditions = [];
-    
-    // Filter by usage status
-    if (status === 'used') {
-      conditions.push({ field: 'isUsed', operator: '==', value: true });
-    } else if (status === 'unused') {
-      conditions.push({ field: 'isUsed', operator: '==', value: false });
+    const userIds = await resolveBulkTargets(req.body);
+
+    if (!userIds) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide userIds or a filter',
+      });
     }
-    
-    // Get members
-    let members = await queryDocuments(
-      COLLECTIONS.AUTHORIZED_MEMBERS,
-      conditions,
-      'importedAt',
-      'desc'
-    );
-    
-    // Apply search filter in memory
-    if (search) {
-      const searchLower = search.toLowerCase();
-      members = members.filter(member =>
-        member.memberId?.toLowerCase().includes(searchLower) ||
-        member.phoneNumber?.toLowerCase().includes(searchLower) ||
-        member.name?.toLowerCase().includes(searchLower) ||
-        member.email?.toLowerCase().includes(searchLower)
-      );
+    if (userIds.length > BULK_MAX_USERS) {
+      return res.status(400).json({
+        success: false,
+        message: `Too many users (${userIds.length}). Maximum is ${BULK_MAX_USERS} per request.`,
+      });
     }
-    
-    // Get user details for usedBy field
-    const membersWithUsers = await Promise.all(
-      members.map(async (member) => {
-        if (member.usedBy) {
-          const user = await getDocumentById(COLLECTIONS.USERS, member.usedBy);
-          return {
-            ...member,
-            usedByUser: user ? { id: user.id, name: user.name, email: user.email } : null,
-          };
-        }
-        return member;
-      })
+
+    const { results, summary } = await runBulk(userIds, async (userId) => {
+      const result = await approvePendingUser(userId, {}, req.user);
+      await recordAudit(req, {
+        action: 'user.approve',
+        targetType: 'user',
+        targetId: userId,
+        before: result.previousUser,
+        after: result.updatedUser,
+        metadata: { bulk: true, authorizedMemberId: result.authorizedMember ? result.authorizedMember.id : null },
+      });
+      return result;
+    });
+
+    console.log(`✅ Admin ${req.user.email} bulk-approved ${summary.done}/${summary.requested} users`);
+
+    res.json({
+      success: true,
+      message: `Approved ${summary.done} user(s)`,
+      summary,
+      data: results,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Bulk approve error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to bulk approve users',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/admin/pending-users/bulk-reject
+// @desc    Reject many pending users with a shared reason:
+//          { userIds: [...] | filter: {...}, reason: '...' }
+// @access  Admin only
+router.post('/pending-users/bulk-reject', requirePermission(PERMISSIONS.USERS_APPROVE), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const userIds = await resolveBulkTargets(req.body);
+
+    if (!userIds) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide userIds or a filter',
+      });
+    }
+    if (userIds.length > BULK_MAX_USERS) {
+      return res.status(400).json({
+        success: false,
+        message: `Too many users (${userIds.length}). Maximum is ${BULK_MAX_USERS} per request.`,
+      });
+    }
+
+    const { results, summary } = await runBulk(userIds, async (userId) => {
+      const result = await rejectPendingUser(userId, reason, req.user);
+      await recordAudit(req, {
+        action: 'user.reject',
+        targetType: 'user',
+        targetId: userId,
+        before: result.previousUser,
+        after: result.updatedUser,
+        metadata: { bulk: true, reason: result.updatedUser.rejectionReason },
+      });
+      return result;
+    });
+
+    console.log(`❌ Admin ${req.user.email} bulk-rejected ${summary.done}/${summary.requested} users`);
+
+    res.json({
+      success: true,
+      message: `Rejected ${summary.done} user(s)`,
+      summary,
+      data: results,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Bulk reject error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to bulk reject users',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/admin/authorized-members
+// @desc    Get all authorized members from Excel import
+// @access  Admin only
+router.get('/authorized-members', requirePermission(PERMISSIONS.AUTHORIZED_MEMBERS_MANAGE), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, search = '', status = 'all' } = req.query;
+    
+    // Build conditions
+    let conditions = [];
+    
+    // Filter by usage status
+    if (status === 'used') {
+      conditions.push({ field: 'isUsed', operator: '==', value: true });
+    } else if (status === 'unused') {
+      conditions.push({ field: 'isUsed', operator: '==', value: false });
+    } else if (status === 'inactive') {
+      conditions.push({ field: 'isActive', operator: '==', value: false });
+    }
+    
+    // Get members
+    let members = await queryDocuments(
+      COLLECTIONS.AUTHORIZED_MEMBERS,
+      conditions,
+      'importedAt',
+      'desc'
+    );
+    
+    // Apply search filter in memory
+    if (search) {
+      const searchLower = search.toLowerCase();
+      members = members.filter(member =>
+        member.memberId?.toLowerCase().includes(searchLower) ||
+        member.phoneNumber?.toLowerCase().includes(searchLower) ||
+        member.name?.toLowerCase().includes(searchLower) ||
+        member.email?.toLowerCase().includes(searchLower)
+      );
+    }
+    
+    // Get user details for usedBy field
+    const membersWithUsers = await Promise.all(
+      members.map(async (member) => {
+        if (member.usedBy) {
+          const user = await getDocumentById(COLLECTIONS.USERS, member.usedBy);
+          return {
+            ...member,
+            usedByUser: user ? { id: user.id, name: user.name, email: user.email } : null,
+          };
+        }
+        return member;
+      })
     );
     
     const total = membersWithUsers.length;
@@ -1359,6 +2124,9 @@ router.get('/authorized-members', async (req, res) => {
     const unusedCount = await countDocuments(COLLECTIONS.AUTHORIZED_MEMBERS, [
       { field: 'isUsed', operator: '==', value: false }
     ]);
+    const inactiveCount = await countDocuments(COLLECTIONS.AUTHORIZED_MEMBERS, [
+      { field: 'isActive', operator: '==', value: false }
+    ]);
     
     res.json({
       success: true,
@@ -1373,6 +2141,7 @@ router.get('/authorized-members', async (req, res) => {
         total,
         used: usedCount,
         unused: unusedCount,
+        inactive: inactiveCount,
       },
     });
   } catch (error) {
@@ -1385,4 +2154,642 @@ router.get('/authorized-members', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/authorized-members/export?status=all&format=xlsx
+// @desc    Download the authorized members list joined with the holder account and
+//          family tree occupation. status: all | used | unused | inactive; format: xlsx | csv
+// @access  Admin only
+router.get('/authorized-members/export', requirePermission(PERMISSIONS.AUTHORIZED_MEMBERS_MANAGE), async (req, res) => {
+  try {
+    const status = String(req.query.status || 'all');
+    const format = String(req.query.format || 'xlsx').toLowerCase();
+
+    if (!['all', 'used', 'unused', 'inactive'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status must be one of all, used, unused, inactive',
+      });
+    }
+    if (!['xlsx', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be xlsx or csv',
+      });
+    }
+
+    const { rows, stats } = await buildAuthorizedMembersExport({ status });
+    const buffer = writeExportBuffer(rows, format);
+    const filename = `authorized-members-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    await recordAudit(req, {
+      action: 'authorized_members.export',
+      targetType: COLLECTIONS.AUTHORIZED_MEMBERS,
+      metadata: { status, format, ...stats },
+    });
+
+    res.setHeader('Content-Type', format === 'csv'
+      ? 'text/csv; charset=utf-8'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Export authorized members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export authorized members',
+      error: error.message,
+    });
+  }
+});
+
+function authorizedMemberError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Validate an admin-entered phone: '' when empty, 10 digits otherwise (throws 400)
+function parseMemberPhone(value) {
+  const phone = normalizePhoneProvided(value);
+  if (phone === null) {
+    throw authorizedMemberError(400, 'Phone number must have 10 digits');
+  }
+  return phone;
+}
+
+// Another authorized record with the same phone (stored raw, as a number, or normalized)
+async function findPhoneHolder(tx, phone, excludeId = null) {
+  const candidates = [
+    { field: 'phoneNormalized', operator: '==', value: phone },
+    { field: 'phoneNumber', operator: '==', value: phone },
+    { field: 'phoneNumber', operator: '==', value: Number(phone) },
+  ];
+  for (const condition of candidates) {
+    const found = await tx.queryDocuments(COLLECTIONS.AUTHORIZED_MEMBERS, [condition], null, 'asc', 2);
+    const other = found.find((record) => record.id !== excludeId);
+    if (other) return other;
+  }
+  return null;
+}
+
+// @route   POST /api/admin/authorized-members
+// @desc    Add a single authorized member: { memberId, phoneNumber, name?, email?, notes? }
+// @access  Admin only
+router.post('/authorized-members', requirePermission(PERMISSIONS.AUTHORIZED_MEMBERS_MANAGE), async (req, res) => {
+  try {
+    const { memberId: rawMemberId, phoneNumber: rawPhone, name, email, notes } = req.body || {};
+
+    const memberId = normalizeMemberId(rawMemberId);
+    if (!memberId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Member ID is required',
+      });
+    }
+    if (memberId.includes('/')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Member ID cannot contain "/"',
+      });
+    }
+    const phoneNumber = parseMemberPhone(rawPhone);
+
+    const member = await runTransaction(async (tx) => {
+      const existing = await tx.getDocumentById(COLLECTIONS.AUTHORIZED_MEMBERS, memberId) ||
+        (await tx.queryDocuments(COLLECTIONS.AUTHORIZED_MEMBERS, [
+          { field: 'memberIdNormalized', operator: '==', value: memberId },
+        ], null, 'asc', 1))[0];
+      if (existing) {
+        throw authorizedMemberError(409, `Member ID ${memberId} already exists`);
+      }
+
+      const phoneHolder = phoneNumber ? await findPhoneHolder(tx, phoneNumber) : null;
+      if (phoneHolder) {
+        throw authorizedMemberError(409, `Phone already belongs to Member ID ${phoneHolder.memberId || phoneHolder.id}`);
+      }
+
+      const data = {
+        ...newMemberData({
+          memberId,
+          phoneNumber,
+          name: String(name || '').trim(),
+          email: String(email || '').trim().toLowerCase(),
+          notes: String(notes || '').trim(),
+        }),
+        isActive: true,
+        importedAt: new Date(),
+        importedBy: req.user.id,
+      };
+      return tx.createDocument(COLLECTIONS.AUTHORIZED_MEMBERS, data, memberId);
+    });
+
+    await recordAudit(req, {
+      action: 'authorized_member.create',
+      targetType: COLLECTIONS.AUTHORIZED_MEMBERS,
+      targetId: member.id,
+      after: member,
+    });
+
+    console.log(`➕ Admin ${req.user.email} added authorized member ${member.memberId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Authorized member added',
+      data: member,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Create authorized member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add authorized member',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/admin/authorized-members/:id
+// @desc    Get one authorized member with the account holding it
+// @access  Admin only
+router.get('/authorized-members/:id', requirePermission(PERMISSIONS.AUTHORIZED_MEMBERS_MANAGE), async (req, res) => {
+  try {
+    const member = await getDocumentById(COLLECTIONS.AUTHORIZED_MEMBERS, req.params.id);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Authorized member not found',
+      });
+    }
+
+    const user = member.usedBy ? await getDocumentById(COLLECTIONS.USERS, member.usedBy) : null;
+
+    res.json({
+      success: true,
+      data: {
+        ...member,
+        usedByUser: user ? { id: user.id, name: user.name, email: user.email } : null,
+      },
+    });
+  } catch (error) {
+    console.error('Get authorized member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch authorized member',
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/admin/authorized-members/:id
+// @desc    Edit phoneNumber / name / email / notes (Member ID is the record's key and cannot change)
+// @access  Admin only
+router.put('/authorized-members/:id', requirePermission(PERMISSIONS.AUTHORIZED_MEMBERS_MANAGE), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const updateData = {};
+
+    if (body.phoneNumber !== undefined) {
+      const phoneNumber = parseMemberPhone(body.phoneNumber);
+      updateData.phoneNumber = phoneNumber || null;
+      updateData.phoneNormalized = phoneNumber || null;
+    }
+    if (body.name !== undefined) updateData.name = String(body.name || '').trim();
+    if (body.email !== undefined) updateData.email = String(body.email || '').trim().toLowerCase();
+    if (body.notes !== undefined) updateData.notes = String(body.notes || '').trim();
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update. Allowed fields: phoneNumber, name, email, notes',
+      });
+    }
+
+    const { member, previous } = await runTransaction(async (tx) => {
+      const current = await tx.getDocumentById(COLLECTIONS.AUTHORIZED_MEMBERS, req.params.id);
+      if (!current) {
+        throw authorizedMemberError(404, 'Authorized member not found');
+      }
+
+      if (updateData.phoneNumber) {
+        const phoneHolder = await findPhoneHolder(tx, updateData.phoneNumber, current.id);
+        if (phoneHolder) {
+          throw authorizedMemberError(409, `Phone already belongs to Member ID ${phoneHolder.memberId || phoneHolder.id}`);
+        }
+      }
+
+      // Older imports may lack the normalized Member ID used by the signup lookup
+      const data = { ...updateData };
+      if (!current.memberIdNormalized && (current.memberId || current.id)) {
+        data.memberIdNormalized = normalizeMemberId(current.memberId || current.id);
+      }
+
+      tx.updateDocument(COLLECTIONS.AUTHORIZED_MEMBERS, current.id, data);
+      return { member: { ...current, ...data }, previous: current };
+    });
+
+    await recordAudit(req, {
+      action: 'authorized_member.update',
+      targetType: COLLECTIONS.AUTHORIZED_MEMBERS,
+      targetId: member.id,
+      before: previous,
+      after: member,
+    });
+
+    res.json({
+      success: true,
+      message: 'Authorized member updated',
+      data: member,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Update authorized member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update authorized member',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/admin/authorized-members/:id/release
+// @desc    Release the lock (isUsed / usedBy) so the Member ID can be claimed again.
+//          Locks held by an existing account need { force: true }; that account is unlinked.
+// @access  Admin only
+router.post('/authorized-members/:id/release', requirePermission(PERMISSIONS.AUTHORIZED_MEMBERS_MANAGE), async (req, res) => {
+  try {
+    const force = req.body?.force === true || req.body?.force === 'true';
+
+    const { member, previous, holder } = await runTransaction(async (tx) => {
+      const current = await tx.getDocumentById(COLLECTIONS.AUTHORIZED_MEMBERS, req.params.id);
+      if (!current) {
+        throw authorizedMemberError(404, 'Authorized member not found');
+      }
+      if (current.isUsed !== true && !current.usedBy) {
+        throw authorizedMemberError(409, 'Authorized member is not in use');
+      }
+
+      const holderUser = current.usedBy ? await tx.getDocumentById(COLLECTIONS.USERS, current.usedBy) : null;
+      if (holderUser && !force) {
+        throw authorizedMemberError(409,
+          `Authorized member is linked to ${holderUser.name || holderUser.email || holderUser.id}. Pass force: true to unlink it.`);
+      }
+
+      const data = { isUsed: false, usedBy: null, usedAt: null };
+      tx.updateDocument(COLLECTIONS.AUTHORIZED_MEMBERS, current.id, data);
+      if (holderUser && holderUser.authorizedMemberId === current.id) {
+        tx.updateDocument(COLLECTIONS.USERS, holderUser.id, { authorizedMemberId: null });
+      }
+
+      return { member: { ...current, ...data }, previous: current, holder: holderUser };
+    });
+
+    await recordAudit(req, {
+      action: 'authorized_member.release',
+      targetType: COLLECTIONS.AUTHORIZED_MEMBERS,
+      targetId: member.id,
+      before: previous,
+      after: member,
+      metadata: { force, holderId: previous.usedBy || null, holderExists: !!holder },
+    });
+
+    console.log(`🔓 Admin ${req.user.email} released authorized member ${member.memberId || member.id}`);
+
+    res.json({
+      success: true,
+      message: holder ? `Released and unlinked from ${holder.email || holder.id}` : 'Released stale lock',
+      data: member,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Release authorized member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release authorized member',
+      error: error.message,
+    });
+  }
+});
+
+// Flip isActive on an authorized member. Inactive records never auto-approve a signup.
+async function setAuthorizedMemberActive(req, res, active) {
+  const reason = String(req.body?.reason || '').trim();
+  try {
+    const { member, previous } = await runTransaction(async (tx) => {
+      const current = await tx.getDocumentById(COLLECTIONS.AUTHORIZED_MEMBERS, req.params.id);
+      if (!current) {
+        throw authorizedMemberError(404, 'Authorized member not found');
+      }
+      if ((current.isActive !== false) === active) {
+        throw authorizedMemberError(409, `Authorized member is already ${active ? 'active' : 'inactive'}`);
+      }
+
+      const data = active
+        ? { isActive: true, deactivatedAt: null, deactivatedBy: null, deactivationReason: '' }
+        : { isActive: false, deactivatedAt: new Date(), deactivatedBy: req.user.id, deactivationReason: reason };
+      tx.updateDocument(COLLECTIONS.AUTHORIZED_MEMBERS, current.id, data);
+      return { member: { ...current, ...data }, previous: current };
+    });
+
+    await recordAudit(req, {
+      action: active ? 'authorized_member.reactivate' : 'authorized_member.deactivate',
+      targetType: COLLECTIONS.AUTHORIZED_MEMBERS,
+      targetId: member.id,
+      before: previous,
+      after: member,
+      metadata: { reason: reason || null },
+    });
+
+    console.log(`${active ? '✅' : '⛔'} Admin ${req.user.email} ${active ? 'reactivated' : 'deactivated'} authorized member ${member.memberId || member.id}`);
+
+    res.json({
+      success: true,
+      message: active ? 'Authorized member reactivated' : 'Authorized member deactivated',
+      data: member,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error(`${active ? 'Reactivate' : 'Deactivate'} authorized member error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to ${active ? 'reactivate' : 'deactivate'} authorized member`,
+      error: error.message,
+    });
+  }
+}
+
+// @route   POST /api/admin/authorized-members/:id/deactivate
+// @desc    Mark a member who left the samaj as inactive: { reason? }.
+//          The record is kept (and stays linked to an existing account) but new signups
+//          with this Member ID go to admin review instead of auto-approval.
+// @access  Admin only
+router.post('/authorized-members/:id/deactivate', requirePermission(PERMISSIONS.AUTHORIZED_MEMBERS_MANAGE), (req, res) =>
+  setAuthorizedMemberActive(req, res, false));
+
+// @route   POST /api/admin/authorized-members/:id/reactivate
+// @desc    Undo a deactivation
+// @access  Admin only
+router.post('/authorized-members/:id/reactivate', requirePermission(PERMISSIONS.AUTHORIZED_MEMBERS_MANAGE), (req, res) =>
+  setAuthorizedMemberActive(req, res, true));
+
+// ============================================
+// AUTHORIZED MEMBERS IMPORT
+// ============================================
+
+const SPREADSHEET_EXTENSIONS = ['.xls', '.xlsx', '.csv'];
+const MAX_IMPORT_ROWS = 20000;
+
+// Spreadsheets are parsed in memory and never written to disk
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (SPREADSHEET_EXTENSIONS.includes(path.extname(file.originalname || '').toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only .xls, .xlsx and .csv files are allowed.'), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+  },
+});
+
+function handleSpreadsheetUpload(req, res, next) {
+  spreadsheetUpload.single('file')(req, res, (error) => {
+    if (!error) return next();
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? 'File too large. Maximum size is 5MB.'
+      : error.message;
+    res.status(400).json({ success: false, message });
+  });
+}
+
+// @route   POST /api/admin/authorized-members/import?dryRun=true
+// @desc    Import authorized members from an uploaded .xls/.xlsx/.csv (multipart field "file").
+//          dryRun (default true) only reports new / changed / unchanged / conflict / invalid rows.
+//          dryRun=false re-checks the file against current data and writes new + changed rows in batches.
+// @access  Admin only
+router.post('/authorized-members/import', requirePermission(PERMISSIONS.AUTHORIZED_MEMBERS_MANAGE), handleSpreadsheetUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded',
+      });
+    }
+
+    const dryRunParam = String(req.query.dryRun ?? req.body?.dryRun ?? 'true').toLowerCase();
+    const dryRun = dryRunParam !== 'false';
+
+    let rows;
+    try {
+      rows = readSpreadsheet(req.file.buffer);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read spreadsheet: ${parseError.message}`,
+      });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No data found in file',
+      });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Too many rows (${rows.length}). Maximum is ${MAX_IMPORT_ROWS}.`,
+      });
+    }
+
+    const plan = await buildImportPlan(rows);
+
+    let result = null;
+    if (!dryRun) {
+      result = await commitAuthorizedMembersImport(plan, { importedBy: req.user.id });
+      await recordAudit(req, {
+        action: 'authorized_members.import',
+        targetType: COLLECTIONS.AUTHORIZED_MEMBERS,
+        metadata: { filename: req.file.originalname, summary: plan.summary, ...result },
+      });
+      console.log(`📥 Admin ${req.user.email} imported authorized members:`, plan.summary);
+    }
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? 'Dry run complete. Nothing was written.'
+        : `Imported ${result.created} new and ${result.updated} changed member(s)`,
+      dryRun,
+      summary: plan.summary,
+      result,
+      data: {
+        new: plan.new,
+        changed: plan.changed,
+        conflict: plan.conflict,
+        invalid: plan.invalid,
+        unchanged: plan.unchanged.map(({ row, memberId, phoneNumber }) => ({ row, memberId, phoneNumber })),
+      },
+    });
+  } catch (error) {
+    console.error('Import authorized members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import authorized members',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// DATA RECONCILIATION
+// ============================================
+
+// Parse ?categories=a,b (or an array in the body); returns null for "all" or throws 400
+function parseReconciliationCategories(value) {
+  if (!value) return null;
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map((category) => String(category).trim())
+    .filter(Boolean);
+  const unknown = list.filter((category) => !RECONCILIATION_CATEGORIES[category]);
+  if (unknown.length > 0) {
+    const error = new Error(`Unknown categories: ${unknown.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return list;
+}
+
+// @route   GET /api/admin/reconciliation?categories=stale_lock,information_phone_mismatch
+// @desc    Report inconsistencies between users, authorizedMembers and information,
+//          grouped by category with a suggested fix for each issue
+// @access  Admin only
+router.get('/reconciliation', requirePermission(PERMISSIONS.AUTHORIZED_MEMBERS_MANAGE), async (req, res) => {
+  try {
+    const categories = parseReconciliationCategories(req.query.categories);
+    const report = await buildReconciliationReport({ categories });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Reconciliation report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build reconciliation report',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/admin/reconciliation/fix
+// @desc    Rebuild the report and apply the safe fixes only: { categories? }
+//          (stale locks, dangling links, unclaimed links, normalized fields)
+// @access  Admin only
+router.post('/reconciliation/fix', requirePermission(PERMISSIONS.AUTHORIZED_MEMBERS_MANAGE), async (req, res) => {
+  try {
+    const categories = parseReconciliationCategories(req.body?.categories);
+    const report = await buildReconciliationReport({ categories });
+    const result = await applySafeFixes(report);
+
+    if (result.applied > 0) {
+      await recordAudit(req, {
+        action: 'reconciliation.fix',
+        targetType: 'reconciliation',
+        metadata: { categories, ...result },
+      });
+      console.log(`🧹 Admin ${req.user.email} applied ${result.applied} reconciliation fix(es)`);
+    }
+
+    res.json({
+      success: true,
+      message: `Applied ${result.applied} fix(es)`,
+      data: result,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Reconciliation fix error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply reconciliation fixes',
+      error: error.message,
+    });
+  }
+});
+
+// ============================================
+// AUDIT LOG
+// ============================================
+
+// @route   GET /api/admin/audit
+// @desc    Query the admin audit log, newest first.
+//          Filters: actorId, targetType, targetId, action, from, to (ISO dates)
+//          Paging: limit (max 200), cursor (nextCursor from the previous page)
+// @access  Admin only
+router.get('/audit', requirePermission(PERMISSIONS.AUDIT_VIEW), async (req, res) => {
+  try {
+    const { actorId, targetType, targetId, action, limit, cursor } = req.query;
+
+    const parseDate = (value) => {
+      if (!value) return null;
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? undefined : date;
+    };
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'from / to must be valid dates',
+      });
+    }
+
+    const { entries, nextCursor } = await queryAuditLog({
+      actorId,
+      targetType,
+      targetId,
+      action,
+      from,
+      to,
+      limit,
+      cursor,
+    });
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        count: entries.length,
+        nextCursor,
+        hasMore: !!nextCursor,
+      },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log',
+      error: error.message,
+    });
+  }
+});
+
 module.exports = router;
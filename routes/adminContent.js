@@ -1,7 +1,8 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const {
   COLLECTIONS,
   getAllDocuments,
@@ -12,10 +13,12 @@ const {
   queryDocuments,
   countDocuments,
 } = require('../config/firestore');
+const { recordAudit } = require('../utils/auditLog');
+const { nameMatches } = require('../utils/nameMatching');
 
 const router = express.Router();
 
-router.use(protect, authorize('admin'));
+router.use(protect, requirePermission(PERMISSIONS.CONTENT_MANAGE));
 
 function parsePagination(query) {
   const page = Math.max(1, parseInt(query.page, 10) || 1);
@@ -24,7 +27,7 @@ function parsePagination(query) {
   return { page, limit, skip };
 }
 
-async function listAdmin(collectionName, req, res, { sort = { order: 1, createdAt: -1 }, searchFields = [] } = {}) {
+async function listAdmin(collectionName, req, res, { sort = { order: 1, createdAt: -1 }, searchFields = [], nameFields = [] } = {}) {
   const { page, limit, skip } = parsePagination(req.query);
   const search = String(req.query.search || '').trim();
 
@@ -32,10 +35,11 @@ async function listAdmin(collectionName, req, res, { sort = { order: 1, createdA
   let data = await getAllDocuments(collectionName, 'order', 'asc');
   
   // Apply search filter
-  if (search && searchFields.length > 0) {
+  if (search && (searchFields.length > 0 || nameFields.length > 0)) {
     const searchLower = search.toLowerCase();
     data = data.filter((doc) =>
-      searchFields.some((field) => String(doc?.[field] ?? '').toLowerCase().includes(searchLower))
+      searchFields.some((field) => String(doc?.[field] ?? '').toLowerCase().includes(searchLower)) ||
+      nameMatches(search, ...nameFields.map((field) => doc?.[field]))
     );
   }
 
@@ -71,7 +75,8 @@ function requireFields(body, fields) {
 router.get('/committee', async (req, res) => {
   try {
     await listAdmin(COLLECTIONS.COMMITTEE_MEMBERS, req, res, {
-      searchFields: ['nameEn', 'city', 'phone']
+      searchFields: ['nameEn', 'city', 'phone'],
+      nameFields: ['nameEn', 'nameHi'],
     });
   } catch (error) {
     console.error('Admin list committee error:', error);
@@ -94,6 +99,12 @@ router.post('/committee', async (req, res) => {
       order: Number.isFinite(Number(req.body.order)) ? Number(req.body.order) : 0,
       isActive: req.body.isActive !== undefined ? !!req.body.isActive : true,
     });
+    await recordAudit(req, {
+      action: 'content.committee.create',
+      targetType: COLLECTIONS.COMMITTEE_MEMBERS,
+      targetId: created.id,
+      after: created,
+    });
 
     res.status(201).json({ success: true, data: created });
   } catch (error) {
@@ -112,12 +123,20 @@ router.put('/committee/:id', async (req, res) => {
     if (req.body.order !== undefined) updateData.order = Number(req.body.order) || 0;
     if (req.body.isActive !== undefined) updateData.isActive = !!req.body.isActive;
 
-    const updated = await updateDocument(COLLECTIONS.COMMITTEE_MEMBERS, req.params.id, updateData);
-
-    if (!updated) {
+    const existing = await getDocumentById(COLLECTIONS.COMMITTEE_MEMBERS, req.params.id);
+    if (!existing) {
       return res.status(404).json({ success: false, message: 'Committee member not found' });
     }
 
+    const updated = await updateDocument(COLLECTIONS.COMMITTEE_MEMBERS, req.params.id, updateData);
+    await recordAudit(req, {
+      action: 'content.committee.update',
+      targetType: COLLECTIONS.COMMITTEE_MEMBERS,
+      targetId: req.params.id,
+      before: existing,
+      after: updated,
+    });
+
     res.json({ success: true, data: updated });
   } catch (error) {
     console.error('Admin update committee error:', error);
@@ -127,7 +146,14 @@ router.put('/committee/:id', async (req, res) => {
 
 router.delete('/committee/:id', async (req, res) => {
   try {
+    const existing = await getDocumentById(COLLECTIONS.COMMITTEE_MEMBERS, req.params.id);
     await deleteDocument(COLLECTIONS.COMMITTEE_MEMBERS, req.params.id);
+    await recordAudit(req, {
+      action: 'content.committee.delete',
+      targetType: COLLECTIONS.COMMITTEE_MEMBERS,
+      targetId: req.params.id,
+      before: existing,
+    });
     res.json({ success: true, message: 'Deleted' });
   } catch (error) {
     console.error('Admin delete committee error:', error);
@@ -163,6 +189,12 @@ router.post('/gallery', async (req, res) => {
       order: Number.isFinite(Number(req.body.order)) ? Number(req.body.order) : 0,
       isActive: req.body.isActive !== undefined ? !!req.body.isActive : true,
     });
+    await recordAudit(req, {
+      action: 'content.gallery.create',
+      targetType: COLLECTIONS.GALLERY_IMAGES,
+      targetId: created.id,
+      after: created,
+    });
 
     res.status(201).json({ success: true, data: created });
   } catch (error) {
@@ -179,11 +211,20 @@ router.put('/gallery/:id', async (req, res) => {
     if (req.body.order !== undefined) updateData.order = Number(req.body.order) || 0;
     if (req.body.isActive !== undefined) updateData.isActive = !!req.body.isActive;
 
-    const updated = await updateDocument(COLLECTIONS.GALLERY_IMAGES, req.params.id, updateData);
-    if (!updated) {
+    const existing = await getDocumentById(COLLECTIONS.GALLERY_IMAGES, req.params.id);
+    if (!existing) {
       return res.status(404).json({ success: false, message: 'Gallery image not found' });
     }
 
+    const updated = await updateDocument(COLLECTIONS.GALLERY_IMAGES, req.params.id, updateData);
+    await recordAudit(req, {
+      action: 'content.gallery.update',
+      targetType: COLLECTIONS.GALLERY_IMAGES,
+      targetId: req.params.id,
+      before: existing,
+      after: updated,
+    });
+
     res.json({ success: true, data: updated });
   } catch (error) {
     console.error('Admin update gallery error:', error);
@@ -199,6 +240,12 @@ router.delete('/gallery/:id', async (req, res) => {
     }
 
     await deleteDocument(COLLECTIONS.GALLERY_IMAGES, req.params.id);
+    await recordAudit(req, {
+      action: 'content.gallery.delete',
+      targetType: COLLECTIONS.GALLERY_IMAGES,
+      targetId: req.params.id,
+      before: existing,
+    });
 
     // Best-effort cleanup for locally hosted uploads
     const imageUrl = String(existing.imageUrl || '');
@@ -244,6 +291,12 @@ router.post('/sponsors', async (req, res) => {
       order: Number.isFinite(Number(req.body.order)) ? Number(req.body.order) : 0,
       isActive: req.body.isActive !== undefined ? !!req.body.isActive : true,
     });
+    await recordAudit(req, {
+      action: 'content.sponsors.create',
+      targetType: COLLECTIONS.SPONSORS,
+      targetId: created.id,
+      after: created,
+    });
 
     res.status(201).json({ success: true, data: created });
   } catch (error) {
@@ -261,12 +314,20 @@ router.put('/sponsors/:id', async (req, res) => {
     if (req.body.order !== undefined) updateData.order = Number(req.body.order) || 0;
     if (req.body.isActive !== undefined) updateData.isActive = !!req.body.isActive;
 
-    const updated = await updateDocument(COLLECTIONS.SPONSORS, req.params.id, updateData);
-
-    if (!updated) {
+    const existing = await getDocumentById(COLLECTIONS.SPONSORS, req.params.id);
+    if (!existing) {
       return res.status(404).json({ success: false, message: 'Sponsor not found' });
     }
 
+    const updated = await updateDocument(COLLECTIONS.SPONSORS, req.params.id, updateData);
+    await recordAudit(req, {
+      action: 'content.sponsors.update',
+      targetType: COLLECTIONS.SPONSORS,
+      targetId: req.params.id,
+      before: existing,
+      after: updated,
+    });
+
     res.json({ success: true, data: updated });
   } catch (error) {
     console.error('Admin update sponsor error:', error);
@@ -276,7 +337,14 @@ router.put('/sponsors/:id', async (req, res) => {
 
 router.delete('/sponsors/:id', async (req, res) => {
   try {
+    const existing = await getDocumentById(COLLECTIONS.SPONSORS, req.params.id);
     await deleteDocument(COLLECTIONS.SPONSORS, req.params.id);
+    await recordAudit(req, {
+      action: 'content.sponsors.delete',
+      targetType: COLLECTIONS.SPONSORS,
+      targetId: req.params.id,
+      before: existing,
+    });
     res.json({ success: true, message: 'Deleted' });
   } catch (error) {
     console.error('Admin delete sponsor error:', error);
@@ -315,6 +383,12 @@ router.post('/offers', async (req, res) => {
       order: Number.isFinite(Number(req.body.order)) ? Number(req.body.order) : 0,
       isActive: req.body.isActive !== undefined ? !!req.body.isActive : true,
     });
+    await recordAudit(req, {
+      action: 'content.offers.create',
+      targetType: COLLECTIONS.SPECIAL_OFFERS,
+      targetId: created.id,
+      after: created,
+    });
 
     res.status(201).json({ success: true, data: created });
   } catch (error) {
@@ -335,12 +409,20 @@ router.put('/offers/:id', async (req, res) => {
     if (req.body.order !== undefined) updateData.order = Number(req.body.order) || 0;
     if (req.body.isActive !== undefined) updateData.isActive = !!req.body.isActive;
 
-    const updated = await updateDocument(COLLECTIONS.SPECIAL_OFFERS, req.params.id, updateData);
-
-    if (!updated) {
+    const existing = await getDocumentById(COLLECTIONS.SPECIAL_OFFERS, req.params.id);
+    if (!existing) {
       return res.status(404).json({ success: false, message: 'Offer not found' });
     }
 
+    const updated = await updateDocument(COLLECTIONS.SPECIAL_OFFERS, req.params.id, updateData);
+    await recordAudit(req, {
+      action: 'content.offers.update',
+      targetType: COLLECTIONS.SPECIAL_OFFERS,
+      targetId: req.params.id,
+      before: existing,
+      after: updated,
+    });
+
     res.json({ success: true, data: updated });
   } catch (error) {
     console.error('Admin update offer error:', error);
@@ -350,7 +432,14 @@ router.put('/offers/:id', async (req, res) => {
 
 router.delete('/offers/:id', async (req, res) => {
   try {
+    const existing = await getDocumentById(COLLECTIONS.SPECIAL_OFFERS, req.params.id);
     await deleteDocument(COLLECTIONS.SPECIAL_OFFERS, req.params.id);
+    await recordAudit(req, {
+      action: 'content.offers.delete',
+      targetType: COLLECTIONS.SPECIAL_OFFERS,
+      targetId: req.params.id,
+      before: existing,
+    });
     res.json({ success: true, message: 'Deleted' });
   } catch (error) {
     console.error('Admin delete offer error:', error);
@@ -389,6 +478,12 @@ router.post('/events', async (req, res) => {
       order: Number.isFinite(Number(req.body.order)) ? Number(req.body.order) : 0,
       isActive: req.body.isActive !== undefined ? !!req.body.isActive : true,
     });
+    await recordAudit(req, {
+      action: 'content.events.create',
+      targetType: COLLECTIONS.UPCOMING_EVENTS,
+      targetId: created.id,
+      after: created,
+    });
 
     res.status(201).json({ success: true, data: created });
   } catch (error) {
@@ -409,12 +504,20 @@ router.put('/events/:id', async (req, res) => {
     if (req.body.order !== undefined) updateData.order = Number(req.body.order) || 0;
     if (req.body.isActive !== undefined) updateData.isActive = !!req.body.isActive;
 
-    const updated = await updateDocument(COLLECTIONS.UPCOMING_EVENTS, req.params.id, updateData);
-
-    if (!updated) {
+    const existing = await getDocumentById(COLLECTIONS.UPCOMING_EVENTS, req.params.id);
+    if (!existing) {
       return res.status(404).json({ success: false, message: 'Event not found' });
     }
 
+    const updated = await updateDocument(COLLECTIONS.UPCOMING_EVENTS, req.params.id, updateData);
+    await recordAudit(req, {
+      action: 'content.events.update',
+      targetType: COLLECTIONS.UPCOMING_EVENTS,
+      targetId: req.params.id,
+      before: existing,
+      after: updated,
+    });
+
     res.json({ success: true, data: updated });
   } catch (error) {
     console.error('Admin update event error:', error);
@@ -424,7 +527,14 @@ router.put('/events/:id', async (req, res) => {
 
 router.delete('/events/:id', async (req, res) => {
   try {
+    const existing = await getDocumentById(COLLECTIONS.UPCOMING_EVENTS, req.params.id);
     await deleteDocument(COLLECTIONS.UPCOMING_EVENTS, req.params.id);
+    await recordAudit(req, {
+      action: 'content.events.delete',
+      targetType: COLLECTIONS.UPCOMING_EVENTS,
+      targetId: req.params.id,
+      before: existing,
+    });
     res.json({ success: true, message: 'Deleted' });
   } catch (error) {
     console.error('Admin delete event error:', error);
@@ -460,6 +570,12 @@ router.post('/places', async (req, res) => {
       order: Number.isFinite(Number(req.body.order)) ? Number(req.body.order) : 0,
       isActive: req.body.isActive !== undefined ? !!req.body.isActive : true,
     });
+    await recordAudit(req, {
+      action: 'content.places.create',
+      targetType: COLLECTIONS.SPIRITUAL_PLACES,
+      targetId: created.id,
+      after: created,
+    });
 
     res.status(201).json({ success: true, data: created });
   } catch (error) {
@@ -477,12 +593,20 @@ router.put('/places/:id', async (req, res) => {
     if (req.body.order !== undefined) updateData.order = Number(req.body.order) || 0;
     if (req.body.isActive !== undefined) updateData.isActive = !!req.body.isActive;
 
-    const updated = await updateDocument(COLLECTIONS.SPIRITUAL_PLACES, req.params.id, updateData);
-
-    if (!updated) {
+    const existing = await getDocumentById(COLLECTIONS.SPIRITUAL_PLACES, req.params.id);
+    if (!existing) {
       return res.status(404).json({ success: false, message: 'Place not found' });
     }
 
+    const updated = await updateDocument(COLLECTIONS.SPIRITUAL_PLACES, req.params.id, updateData);
+    await recordAudit(req, {
+      action: 'content.places.update',
+      targetType: COLLECTIONS.SPIRITUAL_PLACES,
+      targetId: req.params.id,
+      before: existing,
+      after: updated,
+    });
+
     res.json({ success: true, data: updated });
   } catch (error) {
     console.error('Admin update place error:', error);
@@ -492,7 +616,14 @@ router.put('/places/:id', async (req, res) => {
 
 router.delete('/places/:id', async (req, res) => {
   try {
+    const existing = await getDocumentById(COLLECTIONS.SPIRITUAL_PLACES, req.params.id);
     await deleteDocument(COLLECTIONS.SPIRITUAL_PLACES, req.params.id);
+    await recordAudit(req, {
+      action: 'content.places.delete',
+      targetType: COLLECTIONS.SPIRITUAL_PLACES,
+      targetId: req.params.id,
+      before: existing,
+    });
     res.json({ success: true, message: 'Deleted' });
   } catch (error) {
     console.error('Admin delete place error:', error);
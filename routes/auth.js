@@ -1,10 +1,26 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { auth, db, COLLECTIONS, createDocument, getDocumentById, getDocumentsByField, queryDocuments, findOneDocument, updateDocument } = require('../config/firestore');
+const { auth, db, COLLECTIONS, createDocument, getDocumentById, getDocumentsByField, queryDocuments, findOneDocument, updateDocument, runTransaction } = require('../config/firestore');
 const { verifyFirebaseToken } = require('../middleware/auth');
+const {
+  DECISIONS,
+  normalizeMemberId,
+  normalizePhoneProvided,
+  verifyMember,
+} = require('../utils/memberVerification');
+const { canTransition, planTransition, isSuspensionExpired } = require('../utils/accountLifecycle');
+const { getPermissionsForRole } = require('../config/permissions');
+const { prepareHouseholdJoin } = require('../utils/household');
 
 const router = express.Router();
 
+// familyReminders is opt-in: the daily birthday / anniversary digest
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+  email: true,
+  sms: false,
+  familyReminders: false,
+};
+
 async function getUserByFirebaseUid(firebaseUid) {
   if (!firebaseUid) return null;
   // Preferred: user doc id == firebase uid
@@ -20,70 +36,24 @@ async function comparePassword(enteredPassword, hashedPassword) {
   return await bcrypt.compare(enteredPassword, hashedPassword);
 }
 
+// Raised inside the signup transaction when another account already holds the
+// Member ID / email / authorized record being claimed.
+function signupConflict(message) {
+  const error = new Error(message);
+  error.code = 'signup-conflict';
+  return error;
+}
+
 // @route   POST /api/auth/signup
-// @desc    Register a new user
+// @desc    Register a new user.
+//          joinHousehold: true requests a login in the household that already holds
+//          the Member ID; the primary holder approves it (householdRelation optional).
 // @access  Public
 router.post('/signup', async (req, res) => {
   try {
-    const { name, email, password, phone, memberId } = req.body;
+    const { name, email, password, phone, memberId, joinHousehold, householdRelation } = req.body;
 
     const normalizedEmail = String(email ?? '').trim().toLowerCase();
-    const normalizeMemberId = (value) => {
-      const raw = String(value ?? '').trim();
-      if (!raw) return '';
-      // If Excel/JSON provides numeric-like strings (e.g. "999999.0" or "9.99999E5"), coerce safely.
-      if (/^[0-9]+\.[0]+$/.test(raw) || /e\+?/i.test(raw)) {
-        const n = Number(raw);
-        if (Number.isFinite(n)) return String(Math.trunc(n));
-      }
-      return raw;
-    };
-
-    const normalizePhoneLenient = (value) => {
-      const raw = String(value ?? '').trim();
-      if (!raw) return '';
-      // Handle cases like "9428499522.0" or "9.428499522E9"
-      if (/[eE]|\./.test(raw)) {
-        const n = Number(raw);
-        if (Number.isFinite(n)) {
-          const asInt = String(Math.trunc(n));
-          return asInt.length > 10 ? asInt.slice(-10) : asInt;
-        }
-      }
-      const digits = raw.replace(/\D/g, '');
-      if (!digits) return '';
-      // Compare on last 10 digits to tolerate country codes like +91
-      return digits.length > 10 ? digits.slice(-10) : digits;
-    };
-
-    const normalizePhoneProvided = (value) => {
-      const raw = String(value ?? '').trim();
-      if (!raw) return '';
-
-      // Convert numeric-ish strings coming from clients
-      let digits = raw;
-      if (/[eE]|\./.test(digits)) {
-        const n = Number(digits);
-        if (Number.isFinite(n)) {
-          digits = String(Math.trunc(n));
-        }
-      }
-
-      digits = String(digits).replace(/\D/g, '');
-      if (!digits) return '';
-
-      // Accept common prefixes:
-      // - India trunk prefix 0xxxxxxxxxx (11 digits)
-      // - India country code 91xxxxxxxxxx (12 digits)
-      if (digits.length === 11 && digits.startsWith('0')) return digits.slice(1);
-      if (digits.length === 12 && digits.startsWith('91')) return digits.slice(2);
-
-      // Exact 10 digits is the required canonical format
-      if (digits.length === 10) return digits;
-
-      // Anything else is ambiguous; do not silently truncate
-      return null;
-    };
 
     const normalizedMemberId = normalizeMemberId(memberId);
 
@@ -101,13 +71,16 @@ router.post('/signup', async (req, res) => {
       });
     }
 
-    const isReapplicable = (user) =>
-      user && (user.accountStatus === 'pending' || user.accountStatus === 'rejected');
+    const isReapplicable = (user) => user && canTransition(user, 'reapply');
 
-    // Existing user checks
-    const existingByMemberId = await findOneDocument(COLLECTIONS.USERS, [
+    // Existing user checks. A household can have several accounts per Member ID;
+    // prefer the one with this email (a re-apply).
+    const sameMemberIdUsers = await queryDocuments(COLLECTIONS.USERS, [
       { field: 'memberId', operator: '==', value: normalizedMemberId },
     ]);
+    const existingByMemberId = sameMemberIdUsers.find((u) => u.email === normalizedEmail) ||
+      sameMemberIdUsers[0] ||
+      null;
     const existingByEmail = await findOneDocument(COLLECTIONS.USERS, [
       { field: 'email', operator: '==', value: normalizedEmail },
     ]);
@@ -116,20 +89,31 @@ router.post('/signup', async (req, res) => {
     // If an account exists with the same memberId/email but is pending/rejected,
     // allow signup again by updating that same user record.
     let reapplyUser = null;
+    let joiningHousehold = false;
 
     if (existingByMemberId) {
       if (existingByMemberId.email === normalizedEmail && isReapplicable(existingByMemberId)) {
         reapplyUser = existingByMemberId;
         console.log('♻️  Re-apply detected by memberId for user:', reapplyUser.id);
+      } else if (existingByMemberId.email !== normalizedEmail && joinHousehold === true) {
+        joiningHousehold = true;
+        console.log('🏠 Household join request for Member ID:', normalizedMemberId);
       } else {
         console.log('❌ Member ID already exists:', normalizedMemberId);
         return res.status(400).json({
           success: false,
-          message: 'Member ID already exists. Please use a different Member ID.',
+          message: 'Member ID already exists. Please use a different Member ID, ' +
+            'or sign up with joinHousehold to ask the primary holder for access.',
+          householdJoinAvailable: existingByMemberId.email !== normalizedEmail,
         });
       }
     }
 
+    // A declined household member re-applies into the same household
+    if (reapplyUser?.householdRole === 'member') {
+      joiningHousehold = true;
+    }
+
     if (existingByEmail) {
       if (!reapplyUser) {
         if (existingByEmail.memberId === normalizedMemberId && isReapplicable(existingByEmail)) {
@@ -154,198 +138,48 @@ router.post('/signup', async (req, res) => {
       }
     }
 
-    console.log('✅ Proceeding with verification...');
-
-    // VERIFICATION: Check if member ID and phone number match authorized list
-    let isVerified = false;
-    let requiresAdminApproval = false;
-    let accountStatus = 'approved';
-    let verificationStatus = 'verified';
-    let authorizedMember = null;
-
-    const maybeNumber = (value) => {
-      const str = String(value ?? '').trim();
-      if (!str) return null;
-      if (!/^\d+$/.test(str)) return null;
-      const n = Number(str);
-      return Number.isFinite(n) ? n : null;
-    };
-
-    const getAuthorizedByMemberId = async (memberIdValue) => {
-      if (!memberIdValue) return null;
-
-      // Common pattern: docId is the memberId (matches firestore.rules path)
-      const byDocId = await getDocumentById(COLLECTIONS.AUTHORIZED_MEMBERS, memberIdValue);
-      if (byDocId) return byDocId;
-
-      // Field-based lookup (string then number)
-      const byStringField = await findOneDocument(COLLECTIONS.AUTHORIZED_MEMBERS, [
-        { field: 'memberId', operator: '==', value: memberIdValue },
-      ]);
-      if (byStringField) return byStringField;
-
-      const asNumber = maybeNumber(memberIdValue);
-      if (asNumber !== null) {
-        const byNumberField = await findOneDocument(COLLECTIONS.AUTHORIZED_MEMBERS, [
-          { field: 'memberId', operator: '==', value: asNumber },
-        ]);
-        if (byNumberField) return byNumberField;
-      }
-
-      // Optional normalized field if present
-      const byNormalized = await findOneDocument(COLLECTIONS.AUTHORIZED_MEMBERS, [
-        { field: 'memberIdNormalized', operator: '==', value: memberIdValue },
-      ]);
-      if (byNormalized) return byNormalized;
-
-      return null;
-    };
-
-    const getAuthorizedByPhone = async (phoneValue) => {
-      if (!phoneValue) return null;
-
-      const byStringField = await findOneDocument(COLLECTIONS.AUTHORIZED_MEMBERS, [
-        { field: 'phoneNumber', operator: '==', value: phoneValue },
-      ]);
-      if (byStringField) return byStringField;
-
-      const asNumber = maybeNumber(phoneValue);
-      if (asNumber !== null) {
-        const byNumberField = await findOneDocument(COLLECTIONS.AUTHORIZED_MEMBERS, [
-          { field: 'phoneNumber', operator: '==', value: asNumber },
-        ]);
-        if (byNumberField) return byNumberField;
-      }
-
-      const byNormalized = await findOneDocument(COLLECTIONS.AUTHORIZED_MEMBERS, [
-        { field: 'phoneNormalized', operator: '==', value: phoneValue },
-      ]);
-      if (byNormalized) return byNormalized;
-
-      return null;
-    };
-
-    try {
-      const normalizedPhone = normalizePhoneProvided(phone);
+    const normalizedPhone = normalizePhoneProvided(phone);
 
-      if (normalizedPhone === null) {
-        console.log('❌ Validation failed: Invalid phone format', String(phone ?? ''));
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid phone number. Please enter a 10-digit phone number (or +91 / leading 0).',
-        });
-      }
-      
-      console.log('🔍 Checking authorized members list...');
-      console.log('Looking for - Member ID:', normalizedMemberId, ', Phone:', normalizedPhone);
-      
-      // Strict rule: only auto-approve when BOTH memberId + phone match
-      // (Phone is optional for signup, but missing phone => pending approval)
-      if (!normalizedPhone) {
-        requiresAdminApproval = true;
-        accountStatus = 'pending';
-        verificationStatus = 'pending_admin';
-        console.log('⚠️  Phone not provided - requires admin approval');
-      } else {
-        // Look up authorized record by memberId (primary) with multiple strategies.
-        authorizedMember = await getAuthorizedByMemberId(normalizedMemberId);
-
-        // If not found by memberId, try by phone (fallback)
-        if (!authorizedMember) {
-          authorizedMember = await getAuthorizedByPhone(normalizedPhone);
-        }
-
-        if (authorizedMember?.isUsed === true) {
-          const authorizedPhone = normalizePhoneLenient(authorizedMember.phoneNumber);
-          const authorizedMemberId = normalizeMemberId(authorizedMember.memberId || authorizedMember.id);
-
-          const memberIdMatches = !!authorizedMemberId && normalizedMemberId === authorizedMemberId;
-          const phoneMatches = !!authorizedPhone && normalizedPhone === authorizedPhone;
-
-          // If this authorized entry is already used and the user is trying to reuse the same
-          // member/phone, block signup (do not create a pending duplicate account) *only if*
-          // the referenced user still exists. If the user doc was deleted, treat this as a stale lock.
-          if (memberIdMatches || phoneMatches) {
-            let usedByUser = null;
-            if (authorizedMember.usedBy) {
-              usedByUser = await getDocumentById(COLLECTIONS.USERS, authorizedMember.usedBy);
-            }
+    if (normalizedPhone === null) {
+      console.log('❌ Validation failed: Invalid phone format', String(phone ?? ''));
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid phone number. Please enter a 10-digit phone number (or +91 / leading 0).',
+      });
+    }
 
-            if (usedByUser) {
-              console.log('❌ Authorized member already used - blocking signup');
-              return res.status(400).json({
-                success: false,
-                message: 'This Member ID / phone number is already registered. Please login or contact admin.',
-              });
-            }
+    console.log('✅ Proceeding with verification...');
+    console.log('🔍 Checking authorized members list...');
+    console.log('Looking for - Member ID:', normalizedMemberId, ', Phone:', normalizedPhone);
+
+    // VERIFICATION: Check if member ID and phone number match authorized list.
+    // Household logins never claim the authorized record; the primary holder reviews them.
+    const verification = joiningHousehold
+      ? { decision: DECISIONS.PENDING, reasons: ['household_join'], authorizedMember: null }
+      : await verifyMember(
+        { memberId: normalizedMemberId, phone: normalizedPhone },
+        { applyStaleLockReset: true, userId: reapplyUser?.id || null }
+      );
 
-            console.log('♻️  Authorized member marked used but user is missing - resetting stale lock');
-            try {
-              await updateDocument(COLLECTIONS.AUTHORIZED_MEMBERS, authorizedMember.id, {
-                isUsed: false,
-                usedBy: null,
-                usedAt: null,
-              });
-              authorizedMember.isUsed = false;
-              authorizedMember.usedBy = null;
-              authorizedMember.usedAt = null;
-            } catch (resetError) {
-              console.error('⚠️  Failed to reset stale authorized lock:', resetError.message);
-            }
+    if (verification.decision === DECISIONS.BLOCKED) {
+      console.log('❌ Authorized member already used - blocking signup');
+      return res.status(400).json({
+        success: false,
+        message: 'This Member ID / phone number is already registered. Please login or contact admin.',
+      });
+    }
 
-            // Now evaluate the match normally (auto-approve only when BOTH match)
-            if (memberIdMatches && phoneMatches) {
-              isVerified = true;
-              console.log('✅ Member verified - perfect match (memberId + phone)');
-            } else {
-              requiresAdminApproval = true;
-              accountStatus = 'pending';
-              verificationStatus = 'pending_admin';
-              console.log('⚠️  Mismatch with authorized record - requires admin approval', {
-                provided: { memberId: normalizedMemberId, phone: normalizedPhone },
-                authorized: { memberId: authorizedMemberId, phone: authorizedPhone },
-              });
-            }
+    const isVerified = verification.decision === DECISIONS.AUTO_APPROVE;
+    const authorizedMember = verification.authorizedMember;
+    let requiresAdminApproval = !isVerified;
 
-            // Stop here (we already set isVerified/pending)
-          } else {
-            // Otherwise fall back to pending approval
-            requiresAdminApproval = true;
-            accountStatus = 'pending';
-            verificationStatus = 'pending_admin';
-            console.log('⚠️  Authorized member already used - requires admin approval');
-          }
-        } else if (authorizedMember) {
-          const authorizedPhone = normalizePhoneLenient(authorizedMember.phoneNumber);
-          const authorizedMemberId = normalizeMemberId(authorizedMember.memberId || authorizedMember.id);
-
-          const memberIdMatches = !!authorizedMemberId && normalizedMemberId === authorizedMemberId;
-          const phoneMatches = !!authorizedPhone && normalizedPhone === authorizedPhone;
-
-          if (memberIdMatches && phoneMatches) {
-            isVerified = true;
-            console.log('✅ Member verified - perfect match (memberId + phone)');
-          } else {
-            requiresAdminApproval = true;
-            accountStatus = 'pending';
-            verificationStatus = 'pending_admin';
-            console.log('⚠️  Mismatch with authorized record - requires admin approval', {
-              provided: { memberId: normalizedMemberId, phone: normalizedPhone },
-              authorized: { memberId: authorizedMemberId, phone: authorizedPhone },
-            });
-          }
-        } else {
-          requiresAdminApproval = true;
-          accountStatus = 'pending';
-          verificationStatus = 'pending_admin';
-          console.log('⚠️  Not found in authorized members - requires admin approval');
-        }
-      }
-    } catch (verificationError) {
-      console.error('⚠️  Verification check failed:', verificationError.message);
-      requiresAdminApproval = true;
-      accountStatus = 'pending';
-      verificationStatus = 'pending_admin';
+    if (isVerified) {
+      console.log('✅ Member verified - perfect match (memberId + phone)');
+    } else {
+      console.log('⚠️  Requires admin approval:', verification.reasons.join(', '), {
+        provided: verification.provided,
+        authorized: verification.authorized,
+      });
     }
 
     // Create/update Firebase Auth user (source of truth for password/login)
@@ -381,7 +215,10 @@ router.post('/signup', async (req, res) => {
       }
     }
 
-    // Create Firebase user if needed, otherwise update password/display name.
+    // Create Firebase user if needed. An existing account's password/display name is
+    // only updated once the claim transaction has committed (see below), so a failed
+    // re-apply never changes the password of a live login.
+    let createdFirebaseUser = false;
     try {
       if (!firebaseUid) {
         const created = await auth.createUser({
@@ -390,12 +227,7 @@ router.post('/signup', async (req, res) => {
           displayName: name,
         });
         firebaseUid = created.uid;
-      } else {
-        await auth.updateUser(firebaseUid, {
-          email: normalizedEmail,
-          password,
-          displayName: name,
-        });
+        createdFirebaseUser = true;
       }
     } catch (firebaseError) {
       const msg = String(firebaseError?.message || 'Failed to create account');
@@ -414,6 +246,18 @@ router.post('/signup', async (req, res) => {
       });
     }
 
+    // Undo the Firebase Auth account created above when a later step fails,
+    // so a failed signup never leaves an orphaned login behind.
+    const rollbackFirebaseUser = async () => {
+      if (!createdFirebaseUser) return;
+      try {
+        await auth.deleteUser(firebaseUid);
+        console.log('↩️  Rolled back Firebase Auth user:', firebaseUid);
+      } catch (rollbackError) {
+        console.error('⚠️  Failed to roll back Firebase Auth user:', firebaseUid, rollbackError.message);
+      }
+    };
+
     // Create or update user in Firestore
     const userData = {
       name,
@@ -424,82 +268,167 @@ router.post('/signup', async (req, res) => {
         ? normalizePhoneProvided(phone)
         : '',
       memberId: normalizedMemberId,
-      accountStatus,
-      verificationStatus,
-      requiresAdminApproval,
+      verificationReasons: verification.reasons,
       firebaseUid,
-      notificationPreferences: reapplyUser?.notificationPreferences || {
-        email: true,
-        sms: false,
-      },
+      notificationPreferences: reapplyUser?.notificationPreferences || { ...DEFAULT_NOTIFICATION_PREFERENCES },
     };
 
+    // For new users, use Firebase uid as Firestore doc id.
+    const userDocId = reapplyUser ? reapplyUser.id : firebaseUid;
+
+    // Claim the authorized member, write the user doc and the family tree entry in
+    // one transaction, so two signups racing for the same Member ID cannot both be
+    // auto-approved and a failure never leaves a half-created account.
     let savedUser;
-    if (reapplyUser) {
-      savedUser = await updateDocument(COLLECTIONS.USERS, reapplyUser.id, {
-        ...userData,
-        rejectionReason: '',
-        rejectedAt: null,
-        rejectedBy: null,
-        approvedAt: null,
-        approvedBy: null,
-        reappliedAt: new Date(),
+    try {
+      savedUser = await runTransaction(async (tx) => {
+        // Reads (must all happen before the first write)
+        const [currentUser, sameMemberId, sameEmail, existingEntries, householdJoin] = await Promise.all([
+          reapplyUser ? tx.getDocumentById(COLLECTIONS.USERS, userDocId) : null,
+          tx.queryDocuments(COLLECTIONS.USERS, [
+            { field: 'memberId', operator: '==', value: normalizedMemberId },
+          ], null, 'asc', 2),
+          tx.queryDocuments(COLLECTIONS.USERS, [
+            { field: 'email', operator: '==', value: normalizedEmail },
+          ], null, 'asc', 2),
+          tx.queryDocuments(COLLECTIONS.FAMILY_TREE, [
+            { field: 'createdBy', operator: '==', value: userDocId },
+          ], null, 'asc', 1),
+          joiningHousehold ? prepareHouseholdJoin(tx, normalizedMemberId).catch((error) => {
+            throw signupConflict(error.message);
+          }) : null,
+        ]);
+
+        // The account being re-applied may have been approved/deactivated meanwhile
+        if (reapplyUser && !isReapplicable(currentUser)) {
+          throw signupConflict('This account can no longer re-apply. Please login or contact admin.');
+        }
+
+        if (!joiningHousehold && sameMemberId.some((u) => u.id !== userDocId)) {
+          throw signupConflict('Member ID already exists. Please use a different Member ID.');
+        }
+        if (sameEmail.some((u) => u.id !== userDocId)) {
+          throw signupConflict('User already exists with this email');
+        }
+
+        let claimAuthorized = false;
+        if (isVerified && authorizedMember) {
+          const current = await tx.getDocumentById(COLLECTIONS.AUTHORIZED_MEMBERS, authorizedMember.id);
+
+          if (current?.isUsed === true && current.usedBy && current.usedBy !== userDocId) {
+            // Someone else claimed it since verification ran. A lock held by a deleted
+            // user is stale and can be taken over; a live holder wins.
+            const holder = await tx.getDocumentById(COLLECTIONS.USERS, current.usedBy);
+            if (holder) {
+              throw signupConflict('This Member ID / phone number is already registered. Please login or contact admin.');
+            }
+          }
+
+          claimAuthorized = !!current;
+        }
+
+        // If the authorized record vanished mid-signup, fall back to admin review.
+        const { update: transitionUpdate } = planTransition(
+          reapplyUser ? currentUser : null,
+          reapplyUser ? 'reapply' : 'signup',
+          { to: isVerified && claimAuthorized ? 'approved' : 'pending' }
+        );
+        const record = {
+          ...userData,
+          ...transitionUpdate,
+          ...(claimAuthorized ? { authorizedMemberId: authorizedMember.id } : {}),
+          ...(householdJoin ? {
+            householdId: householdJoin.householdId,
+            householdRole: 'member',
+            householdStatus: 'pending',
+            householdRelation: String(householdRelation || reapplyUser?.householdRelation || '').trim(),
+          } : {}),
+        };
+
+        // Writes
+        if (householdJoin) {
+          householdJoin.writes(tx);
+        }
+        if (reapplyUser) {
+          tx.updateDocument(COLLECTIONS.USERS, userDocId, record);
+        } else {
+          tx.createDocument(COLLECTIONS.USERS, record, userDocId);
+        }
+
+        // Auto-create/update a family tree entry on account creation
+        if (existingEntries.length > 0) {
+          tx.updateDocument(COLLECTIONS.FAMILY_TREE, existingEntries[0].id, {
+            memberId: normalizedMemberId,
+            personName: name,
+            personPhone: phone || '',
+          });
+        } else {
+          tx.createDocument(COLLECTIONS.FAMILY_TREE, {
+            createdBy: userDocId,
+            memberId: normalizedMemberId,
+            personName: name,
+            personPhone: phone || '',
+            personDateOfBirth: null,
+            personOccupation: '',
+            spouseName: '',
+            spousePhone: '',
+            fatherName: '',
+            fatherPhone: '',
+            motherName: '',
+            motherPhone: '',
+            children: [],
+            address: '',
+            notes: '',
+          });
+        }
+
+        // Mark authorized member as used if verified
+        if (claimAuthorized) {
+          tx.updateDocument(COLLECTIONS.AUTHORIZED_MEMBERS, authorizedMember.id, {
+            isUsed: true,
+            usedBy: userDocId,
+            usedAt: new Date(),
+          });
+        }
+
+        return { ...(currentUser || {}), ...record, id: userDocId };
       });
-      console.log('✅ User updated (re-apply) in Firestore:', savedUser.id);
-    } else {
-      // For new users, use Firebase uid as Firestore doc id.
-      savedUser = await createDocument(COLLECTIONS.USERS, userData, firebaseUid);
-      console.log('✅ User created in Firestore:', savedUser.id);
-    }
+    } catch (txError) {
+      await rollbackFirebaseUser();
 
-    // Auto-create/update a family tree entry on account creation
-    try {
-      const existingEntries = await queryDocuments(
-        COLLECTIONS.FAMILY_TREE,
-        [{ field: 'createdBy', operator: '==', value: savedUser.id }],
-        null,
-        'asc',
-        1
-      );
+      if (txError.code === 'signup-conflict') {
+        console.log('❌ Signup conflict:', txError.message);
+        return res.status(400).json({
+          success: false,
+          message: txError.message,
+        });
+      }
 
-      if (existingEntries.length > 0) {
-        await updateDocument(COLLECTIONS.FAMILY_TREE, existingEntries[0].id, {
-          memberId: normalizedMemberId,
-          personName: name,
-          personPhone: phone || '',
+      throw txError;
+    }
+
+    if (!createdFirebaseUser) {
+      try {
+        await auth.updateUser(firebaseUid, {
+          email: normalizedEmail,
+          password,
+          displayName: name,
         });
-        console.log('✅ Family tree entry updated for user:', savedUser.id);
-      } else {
-        await createDocument(COLLECTIONS.FAMILY_TREE, {
-          createdBy: savedUser.id,
-          memberId: normalizedMemberId,
-          personName: name,
-          personPhone: phone || '',
-          personDateOfBirth: null,
-          personOccupation: '',
-          spouseName: '',
-          spousePhone: '',
-          fatherName: '',
-          fatherPhone: '',
-          motherName: '',
-          motherPhone: '',
-          children: [],
-          address: '',
-          notes: '',
+      } catch (firebaseError) {
+        console.error('❌ Firebase Auth user update failed:', firebaseError.message);
+        return res.status(500).json({
+          success: false,
+          message: 'Your application was saved, but the password could not be updated. ' +
+            'Please reset your password or contact admin.',
+          error: process.env.NODE_ENV === 'development' ? firebaseError.message : undefined,
         });
-        console.log('✅ Family tree entry auto-created for user:', savedUser.id);
       }
-    } catch (familyTreeError) {
-      console.error('⚠️  Failed to auto-create family tree entry:', familyTreeError.message);
     }
 
-    // Mark authorized member as used if verified
-    if (isVerified && authorizedMember) {
-      await updateDocument(COLLECTIONS.AUTHORIZED_MEMBERS, authorizedMember.id, {
-        isUsed: true,
-        usedBy: savedUser.id,
-        usedAt: new Date(),
-      });
+    requiresAdminApproval = savedUser.requiresAdminApproval;
+    console.log(`✅ User ${reapplyUser ? 'updated (re-apply)' : 'created'} in Firestore:`, savedUser.id);
+    console.log('✅ Family tree entry saved for user:', savedUser.id);
+    if (savedUser.accountStatus === 'approved' && authorizedMember) {
       console.log('✅ Authorized member marked as used');
     }
 
@@ -511,9 +440,11 @@ router.post('/signup', async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: requiresAdminApproval 
-        ? 'Account created successfully. Your account is pending admin approval.'
-        : 'Account created successfully!',
+      message: savedUser.householdStatus === 'pending'
+        ? 'Account created successfully. The primary holder of this Member ID needs to approve your login.'
+        : requiresAdminApproval
+          ? 'Account created successfully. Your account is pending admin approval.'
+          : 'Account created successfully!',
       token: null,
       user: {
         id: savedUser.id,
@@ -524,6 +455,8 @@ router.post('/signup', async (req, res) => {
         accountStatus: savedUser.accountStatus,
         verificationStatus: savedUser.verificationStatus,
         requiresAdminApproval: savedUser.requiresAdminApproval,
+        householdId: savedUser.householdId || null,
+        householdStatus: savedUser.householdStatus || null,
         firebaseUid: savedUser.firebaseUid,
       },
     });
@@ -580,12 +513,31 @@ router.post('/login', async (req, res) => {
     if (user.accountStatus === 'pending') {
       return res.status(403).json({
         success: false,
-        message: 'Your account is pending admin approval.',
+        message: user.householdStatus === 'pending'
+          ? 'Your login is waiting for approval by the primary holder of your Member ID.'
+          : 'Your account is pending admin approval.',
         accountStatus: 'pending',
         requiresApproval: true,
       });
     }
 
+    if (user.accountStatus === 'suspended' && !isSuspensionExpired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been suspended. Please contact admin.',
+        accountStatus: 'suspended',
+        suspensionReason: user.suspensionReason || '',
+      });
+    }
+
+    if (user.accountStatus === 'deactivated') {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been deactivated. Please contact admin.',
+        accountStatus: 'deactivated',
+      });
+    }
+
     // Already migrated: do not accept password here.
     if (user.firebaseUid) {
       return res.status(410).json({
@@ -714,10 +666,15 @@ router.get('/me', verifyFirebaseToken, async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        permissions: getPermissionsForRole(user.role),
         memberId: user.memberId,
         phone: user.phone,
         accountStatus: user.accountStatus,
         verificationStatus: user.verificationStatus,
+        householdId: user.householdId || null,
+        householdRole: user.householdRole || null,
+        householdStatus: user.householdStatus || null,
+        notificationPreferences: { ...DEFAULT_NOTIFICATION_PREFERENCES, ...user.notificationPreferences },
       },
     });
   } catch (error) {
@@ -729,4 +686,48 @@ router.get('/me', verifyFirebaseToken, async (req, res) => {
   }
 });
 
+// @route   PUT /api/auth/notification-preferences
+// @desc    Update my notification opt-ins: { email?, sms?, familyReminders? } (booleans).
+//          familyReminders sends the daily birthday / anniversary digest.
+// @access  Private
+router.put('/notification-preferences', verifyFirebaseToken, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const updates = Object.keys(DEFAULT_NOTIFICATION_PREFERENCES).filter((key) => body[key] !== undefined);
+    const invalid = updates.filter((key) => typeof body[key] !== 'boolean');
+    if (updates.length === 0 || invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide true or false for ${invalid.length > 0 ? invalid.join(', ') : Object.keys(DEFAULT_NOTIFICATION_PREFERENCES).join(', ')}`,
+      });
+    }
+
+    const user = await getUserByFirebaseUid(req.firebaseUser?.uid);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const notificationPreferences = { ...DEFAULT_NOTIFICATION_PREFERENCES, ...user.notificationPreferences };
+    updates.forEach((key) => {
+      notificationPreferences[key] = body[key];
+    });
+    await updateDocument(COLLECTIONS.USERS, user.id, { notificationPreferences });
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: notificationPreferences,
+    });
+  } catch (error) {
+    console.error('❌ Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notification preferences',
+    });
+  }
+});
+
 module.exports = router;
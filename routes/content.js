@@ -5,6 +5,7 @@ const {
   queryDocuments,
   countDocuments,
 } = require('../config/firestore');
+const { nameMatches } = require('../utils/nameMatching');
 
 const router = express.Router();
 
@@ -15,7 +16,7 @@ function parsePagination(query) {
   return { page, limit, skip };
 }
 
-async function listWithPagination(collectionName, req, res, { searchFields = [] } = {}) {
+async function listWithPagination(collectionName, req, res, { searchFields = [], nameFields = [] } = {}) {
   const { page, limit, skip } = parsePagination(req.query);
   const search = String(req.query.search || '').trim();
 
@@ -34,10 +35,11 @@ async function listWithPagination(collectionName, req, res, { searchFields = []
   data.sort((a, b) => normalizeOrder(a.order) - normalizeOrder(b.order));
   
   // Apply search filter
-  if (search && searchFields.length > 0) {
+  if (search && (searchFields.length > 0 || nameFields.length > 0)) {
     const searchLower = search.toLowerCase();
     data = data.filter((doc) =>
-      searchFields.some((field) => String(doc?.[field] ?? '').toLowerCase().includes(searchLower))
+      searchFields.some((field) => String(doc?.[field] ?? '').toLowerCase().includes(searchLower)) ||
+      nameMatches(search, ...nameFields.map((field) => doc?.[field]))
     );
   }
 
@@ -62,7 +64,9 @@ async function listWithPagination(collectionName, req, res, { searchFields = []
 router.get('/committee', async (req, res) => {
   try {
     await listWithPagination(COLLECTIONS.COMMITTEE_MEMBERS, req, res, {
-      searchFields: ['nameEn', 'city', 'phone']
+      searchFields: ['nameEn', 'city', 'phone'],
+      // Names also match by sound and in Gujarati / Devanagari (see utils/nameMatching.js)
+      nameFields: ['nameEn', 'nameHi'],
     });
   } catch (error) {
     console.error('List committee error:', error);
@@ -0,0 +1,260 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const { COLLECTIONS, getDocumentById } = require('../config/firestore');
+const {
+  pickPersonFields,
+  assertCanView,
+  ensureSelfPerson,
+  createPerson,
+  updatePerson,
+  addRelative,
+  connectPersons,
+  deleteRelationship,
+  getSubgraph,
+  deletePerson,
+} = require('../utils/familyGraph');
+const { loadTreeAccess } = require('../utils/treeSharing');
+const { recordAudit } = require('../utils/auditLog');
+
+const router = express.Router();
+
+// All routes are protected (require authentication)
+router.use(protect);
+
+function sendGraphError(res, error, fallbackMessage) {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+  });
+}
+
+function withAccess(person, access) {
+  if (person.restricted) return person;
+  return { ...person, canEdit: access.canEdit(person) };
+}
+
+function graphResponse(graph, access) {
+  return {
+    ...graph,
+    persons: graph.persons.map((person) => withAccess(person, access)),
+  };
+}
+
+// @route   GET /api/family-graph/me
+// @desc    My own person (created on first use) and my family around it: ?depth= (default 2)
+// @access  Private
+router.get('/me', async (req, res) => {
+  try {
+    const [self, access] = await Promise.all([ensureSelfPerson(req.user), loadTreeAccess(req.user)]);
+    const graph = await getSubgraph(self.id, req.query.depth ?? 2, access);
+
+    res.json({
+      success: true,
+      data: graphResponse(graph, access),
+    });
+  } catch (error) {
+    sendGraphError(res, error, 'Server error while fetching family graph');
+  }
+});
+
+// @route   POST /api/family-graph/persons
+// @desc    Create a person not linked to anyone yet
+// @access  Private
+router.post('/persons', async (req, res) => {
+  try {
+    const person = await createPerson(req.user, pickPersonFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Person created successfully',
+      data: { ...person, canEdit: true },
+    });
+  } catch (error) {
+    sendGraphError(res, error, 'Server error while creating person');
+  }
+});
+
+// @route   GET /api/family-graph/persons/:id
+// @desc    Get a person
+// @access  Private (owners and members the tree is shared with)
+router.get('/persons/:id', async (req, res) => {
+  try {
+    const [person, access] = await Promise.all([
+      getDocumentById(COLLECTIONS.PERSONS, req.params.id),
+      loadTreeAccess(req.user),
+    ]);
+    if (!person) {
+      return res.status(404).json({
+        success: false,
+        message: 'Person not found',
+      });
+    }
+    assertCanView(access, person);
+
+    res.json({
+      success: true,
+      data: withAccess(person, access),
+    });
+  } catch (error) {
+    sendGraphError(res, error, 'Server error while fetching person');
+  }
+});
+
+// @route   PUT /api/family-graph/persons/:id
+// @desc    Update a person's details
+// @access  Private (creator, owners and editors)
+router.put('/persons/:id', async (req, res) => {
+  try {
+    const fields = pickPersonFields(req.body);
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update',
+      });
+    }
+
+    const access = await loadTreeAccess(req.user);
+    const { person } = await updatePerson(access, req.params.id, fields);
+
+    res.json({
+      success: true,
+      message: 'Person updated successfully',
+      data: withAccess(person, access),
+    });
+  } catch (error) {
+    sendGraphError(res, error, 'Server error while updating person');
+  }
+});
+
+// @route   DELETE /api/family-graph/persons/:id
+// @desc    Delete a person and all of their relationships
+// @access  Private (creator or owners)
+router.delete('/persons/:id', async (req, res) => {
+  try {
+    const access = await loadTreeAccess(req.user);
+    const { person, removedRelationships } = await deletePerson(access, req.params.id);
+    await recordAudit(req, {
+      action: 'person.delete',
+      targetType: COLLECTIONS.PERSONS,
+      targetId: person.id,
+      before: person,
+      metadata: { removedRelationships },
+    });
+
+    res.json({
+      success: true,
+      message: 'Person deleted successfully',
+      data: { removedRelationships },
+    });
+  } catch (error) {
+    sendGraphError(res, error, 'Server error while deleting person');
+  }
+});
+
+// @route   POST /api/family-graph/persons/:id/relatives
+// @desc    Add a new relative of a person: { relation: parent|child|spouse|sibling, person: {...}, marriageDate? }
+//          `relation` is what the new person is to :id (e.g. 'parent' adds a father or mother)
+// @access  Private (creator, owners and editors of :id)
+router.post('/persons/:id/relatives', async (req, res) => {
+  try {
+    const { relation, person, marriageDate } = req.body || {};
+    if (!relation || !person) {
+      return res.status(400).json({
+        success: false,
+        message: 'relation and person are required',
+      });
+    }
+
+    const access = await loadTreeAccess(req.user);
+    const result = await addRelative(
+      access,
+      req.params.id,
+      String(relation).toLowerCase(),
+      pickPersonFields(person),
+      { marriageDate }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Relative added successfully',
+      data: {
+        person: withAccess(result.person, access),
+        relationship: result.relationship,
+      },
+    });
+  } catch (error) {
+    sendGraphError(res, error, 'Server error while adding relative');
+  }
+});
+
+// @route   GET /api/family-graph/persons/:id/graph
+// @desc    Persons and relationships within ?depth= links of a person (default 2, max 6)
+// @access  Private (owners and members the tree is shared with)
+router.get('/persons/:id/graph', async (req, res) => {
+  try {
+    const access = await loadTreeAccess(req.user);
+    const graph = await getSubgraph(req.params.id, req.query.depth ?? 2, access);
+
+    res.json({
+      success: true,
+      data: graphResponse(graph, access),
+    });
+  } catch (error) {
+    sendGraphError(res, error, 'Server error while fetching family graph');
+  }
+});
+
+// @route   POST /api/family-graph/relationships
+// @desc    Link two existing persons: { fromPersonId, toPersonId, type: parent|child|spouse|sibling, marriageDate? }
+//          Reads as "from is the <type> of to"; either person may belong to a tree shared with me
+// @access  Private (must be able to edit one of the two persons and view the other)
+router.post('/relationships', async (req, res) => {
+  try {
+    const { fromPersonId, toPersonId, type, marriageDate } = req.body || {};
+    const access = await loadTreeAccess(req.user);
+    const relationship = await connectPersons(
+      access,
+      String(type || '').toLowerCase(),
+      fromPersonId ? String(fromPersonId) : '',
+      toPersonId ? String(toPersonId) : '',
+      { marriageDate }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Relationship created successfully',
+      data: relationship,
+    });
+  } catch (error) {
+    sendGraphError(res, error, 'Server error while creating relationship');
+  }
+});
+
+// @route   DELETE /api/family-graph/relationships/:id
+// @desc    Remove a link between two persons
+// @access  Private (creator of the link, or able to edit either person)
+router.delete('/relationships/:id', async (req, res) => {
+  try {
+    const access = await loadTreeAccess(req.user);
+    const relationship = await deleteRelationship(access, req.params.id);
+    await recordAudit(req, {
+      action: 'relationship.delete',
+      targetType: COLLECTIONS.RELATIONSHIPS,
+      targetId: relationship.id,
+      before: relationship,
+    });
+
+    res.json({
+      success: true,
+      message: 'Relationship removed successfully',
+    });
+  } catch (error) {
+    sendGraphError(res, error, 'Server error while removing relationship');
+  }
+});
+
+module.exports = router;
@@ -1,4 +1,6 @@
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
 const { protect } = require('../middleware/auth');
 const {
   COLLECTIONS,
@@ -8,17 +10,62 @@ const {
   deleteDocument,
   queryDocuments,
 } = require('../config/firestore');
+const { validateFamilyTreeEntry } = require('../utils/familyTreeValidation');
+const { importGedcom, exportGedcom } = require('../utils/gedcom');
+const { ensureSelfPerson, findMemberPerson, getLineage, assertCanView } = require('../utils/familyGraph');
+const {
+  treeKeyOf,
+  loadTreeAccess,
+  inviteToTree,
+  listTreeShares,
+  respondToShare,
+  updateShareRole,
+  revokeShare,
+} = require('../utils/treeSharing');
+const { calculateKinship } = require('../utils/kinship');
+const { buildTreeLayout, renderTreeSvg } = require('../utils/treeLayout');
+const { REMINDER_TYPES, upcomingFamilyEvents, getTodaysDigest } = require('../utils/reminders');
+const { recordAudit } = require('../utils/auditLog');
+const { normalizeMemberId } = require('../utils/memberVerification');
 
 const router = express.Router();
 
 // All routes are protected (require authentication)
 router.use(protect);
 
+function sendValidationErrors(res, errors) {
+  return res.status(400).json({
+    success: false,
+    message: errors.personName && Object.keys(errors).length === 1
+      ? errors.personName
+      : 'Please correct the highlighted fields',
+    errors,
+  });
+}
+
 // @route   POST /api/family-tree
-// @desc    Create a new family tree entry
+// @desc    Create a new family tree entry. children: [{ name, dateOfBirth, gender, phone, isDeceased }],
+//          marriageDate: the person's wedding with spouseName. person/spouse/father/motherIsDeceased: booleans.
+//          Invalid fields come back as `errors` keyed by field path (e.g. "children[0].dateOfBirth").
+//          memberId: the tree to add the entry to (default my own; a tree shared with me as editor)
 // @access  Private
 router.post('/', async (req, res) => {
   try {
+    const { data, errors } = validateFamilyTreeEntry(req.body || {});
+    if (errors) return sendValidationErrors(res, errors);
+
+    let memberId = treeKeyOf(req.user);
+    if (req.body?.memberId && normalizeMemberId(req.body.memberId) !== memberId) {
+      const access = await loadTreeAccess(req.user);
+      if (access.roleFor(req.body.memberId) !== 'editor') {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only add entries to your own tree or a tree shared with you for editing',
+        });
+      }
+      memberId = normalizeMemberId(req.body.memberId);
+    }
+
     const {
       personName,
       personPhone,
@@ -26,37 +73,39 @@ router.post('/', async (req, res) => {
       personOccupation,
       spouseName,
       spousePhone,
+      marriageDate,
       fatherName,
       fatherPhone,
       motherName,
       motherPhone,
+      personIsDeceased,
+      spouseIsDeceased,
+      fatherIsDeceased,
+      motherIsDeceased,
       children,
       address,
       notes,
-    } = req.body;
-
-    // Validation
-    if (!personName) {
-      return res.status(400).json({
-        success: false,
-        message: 'Person name is required',
-      });
-    }
+    } = data;
 
     // Create family tree entry
     const familyTree = await createDocument(COLLECTIONS.FAMILY_TREE, {
       createdBy: req.user.id,
-      memberId: req.user.memberId || '',
+      memberId,
       personName,
       personPhone: personPhone || '',
       personDateOfBirth: personDateOfBirth || null,
       personOccupation: personOccupation || '',
       spouseName: spouseName || '',
       spousePhone: spousePhone || '',
+      marriageDate: marriageDate || null,
       fatherName: fatherName || '',
       fatherPhone: fatherPhone || '',
       motherName: motherName || '',
       motherPhone: motherPhone || '',
+      personIsDeceased: personIsDeceased || false,
+      spouseIsDeceased: spouseIsDeceased || false,
+      fatherIsDeceased: fatherIsDeceased || false,
+      motherIsDeceased: motherIsDeceased || false,
       children: children || [],
       address: address || '',
       notes: notes || '',
@@ -83,18 +132,35 @@ router.post('/', async (req, res) => {
 });
 
 // @route   GET /api/family-tree
-// @desc    Get all family tree entries for logged-in user
+// @desc    Get all family tree entries for logged-in user, the rest of their household
+//          and the trees shared with them (`access`: owner | editor | viewer)
 // @access  Private
 router.get('/', async (req, res) => {
   try {
+    const access = await loadTreeAccess(req.user);
+
     // Firestore requires a composite index for (where createdBy == X) + orderBy(createdAt).
     // To keep this endpoint working without manual index creation, fetch by createdBy only
     // and sort in memory.
-    const familyTrees = await queryDocuments(
+    const ownEntries = await queryDocuments(
       COLLECTIONS.FAMILY_TREE,
       [{ field: 'createdBy', operator: '==', value: req.user.id }]
     );
 
+    // Household members share the Member ID and see each other's entries; shared trees likewise
+    const treeMemberIds = [access.treeKey, ...access.sharedTrees.map((tree) => tree.memberId)].filter(Boolean);
+    const treeEntries = (await Promise.all(treeMemberIds.map((memberId) => queryDocuments(
+      COLLECTIONS.FAMILY_TREE,
+      [{ field: 'memberId', operator: '==', value: memberId }]
+    )))).flat();
+
+    const byId = new Map();
+    [...ownEntries, ...treeEntries].forEach((entry) => {
+      const isOwn = entry.createdBy === req.user.id;
+      byId.set(entry.id, { ...entry, isOwn, access: isOwn ? 'owner' : access.roleFor(entry.memberId) });
+    });
+    const familyTrees = [...byId.values()];
+
     const toMillis = (ts) => {
       if (!ts) return 0;
       if (typeof ts === 'number') return ts;
@@ -124,12 +190,468 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GEDCOM files are parsed in memory and never written to disk
+const gedcomUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname || '').toLowerCase() === '.ged') {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only .ged files are allowed.'), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+  },
+});
+
+function handleGedcomUpload(req, res, next) {
+  gedcomUpload.single('file')(req, res, (error) => {
+    if (!error) return next();
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? 'File too large. Maximum size is 5MB.'
+      : error.message;
+    res.status(400).json({ success: false, message });
+  });
+}
+
+// @route   POST /api/family-tree/gedcom?selfXref=@I1@&dryRun=false
+// @desc    Import a GEDCOM 5.5.1 file (multipart field "file") as persons and relationships.
+//          selfXref maps one individual onto my own person so the file joins my tree.
+//          dryRun=true only reports what would be created.
+// @access  Private
+router.post('/gedcom', handleGedcomUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded',
+      });
+    }
+
+    const dryRun = String(req.query.dryRun ?? req.body?.dryRun ?? 'false').toLowerCase() === 'true';
+    const selfXref = req.query.selfXref || req.body?.selfXref || null;
+
+    const result = await importGedcom(req.user, req.file.buffer.toString('utf8'), { selfXref, dryRun });
+
+    if (!dryRun) {
+      await recordAudit(req, {
+        action: 'family_tree.gedcom_import',
+        targetType: COLLECTIONS.PERSONS,
+        metadata: {
+          importId: result.importId,
+          filename: req.file.originalname,
+          persons: result.persons,
+          relationships: result.relationships,
+          selfPersonId: result.selfPersonId,
+        },
+      });
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `${result.persons} persons and ${result.relationships} relationships would be imported`
+        : `Imported ${result.persons} persons and ${result.relationships} relationships`,
+      data: { dryRun, ...result },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('GEDCOM import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing GEDCOM file',
+    });
+  }
+});
+
+// @route   GET /api/family-tree/gedcom
+// @desc    Download my family tree (everything linked to my own person) as GEDCOM 5.5.1
+// @access  Private
+router.get('/gedcom', async (req, res) => {
+  try {
+    const access = await loadTreeAccess(req.user);
+    const { text } = await exportGedcom(req.user, access);
+
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="family-tree.ged"');
+    res.send(text);
+  } catch (error) {
+    console.error('GEDCOM export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting GEDCOM file',
+    });
+  }
+});
+
+// 'me' stands for the signed-in user's own person
+async function resolvePersonId(user, personId) {
+  if (!personId || personId === 'me') {
+    return (await ensureSelfPerson(user)).id;
+  }
+  return String(personId);
+}
+
+function sendLineage(direction) {
+  return async (req, res) => {
+    try {
+      const [personId, access] = await Promise.all([
+        resolvePersonId(req.user, req.params.personId),
+        loadTreeAccess(req.user),
+      ]);
+      const lineage = await getLineage(personId, direction, req.query.generations ?? 3, access);
+
+      res.json({
+        success: true,
+        data: lineage,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+      console.error(`Get ${direction} error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Server error while fetching ${direction}`,
+      });
+    }
+  };
+}
+
+// @route   GET /api/family-tree/persons/:personId/ancestors?generations=3
+// @desc    Parents, grandparents, ... of a person up to N generations (max 10); :personId may be 'me'
+// @access  Private (owners and members the tree is shared with)
+router.get('/persons/:personId/ancestors', sendLineage('ancestors'));
+
+// @route   GET /api/family-tree/persons/:personId/descendants?generations=3
+// @desc    Children, grandchildren, ... of a person down to N generations (max 10); :personId may be 'me'
+// @access  Private (owners and members the tree is shared with)
+router.get('/persons/:personId/descendants', sendLineage('descendants'));
+
+// @route   GET /api/family-tree/relationship?from=me&to=<personId> | ?toMemberId=<Member ID>
+// @desc    How two persons are related: English term, chain, Hindi / Gujarati terms and the path.
+//          `from` defaults to my own person; `toMemberId` looks up the person of that member.
+//          Persons on the path from trees I have no access to are listed without a name.
+// @access  Private (`from` and `to` must be viewable)
+router.get('/relationship', async (req, res) => {
+  try {
+    const { from, to, toMemberId } = req.query;
+    if (!to && !toMemberId) {
+      return res.status(400).json({
+        success: false,
+        message: 'to or toMemberId is required',
+      });
+    }
+
+    const access = await loadTreeAccess(req.user);
+    const fromId = await resolvePersonId(req.user, from);
+    const toId = toMemberId
+      ? (await findMemberPerson(toMemberId)).id
+      : await resolvePersonId(req.user, to);
+
+    // Persons named by id must be viewable; a Member ID lookup is fine either way
+    const named = [];
+    if (from && from !== 'me') named.push(fromId);
+    if (!toMemberId && to !== 'me') named.push(toId);
+    const namedPersons = await Promise.all(named.map((id) => getDocumentById(COLLECTIONS.PERSONS, id)));
+    namedPersons.filter(Boolean).forEach((person) => assertCanView(access, person));
+
+    const kinship = await calculateKinship(fromId, toId, access);
+
+    res.json({
+      success: true,
+      message: kinship.message,
+      data: kinship,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Relationship calculation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while calculating relationship',
+    });
+  }
+});
+
+// @route   GET /api/family-tree/layout?personId=me&up=2&down=2&line=paternal&collapsed=id1,id2&format=json
+// @desc    Ready-to-render family tree: nested nodes (d3.hierarchy friendly) with generation levels,
+//          spouses paired on one node, collapsed branches and stable node ids.
+//          format=svg returns a printable SVG of the same tree.
+// @access  Private (owners and members the tree is shared with)
+router.get('/layout', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!['json', 'svg'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be json or svg',
+      });
+    }
+    const line = String(req.query.line || 'paternal').toLowerCase();
+    if (!['paternal', 'maternal'].includes(line)) {
+      return res.status(400).json({
+        success: false,
+        message: 'line must be paternal or maternal',
+      });
+    }
+
+    const [personId, access] = await Promise.all([
+      resolvePersonId(req.user, req.query.personId),
+      loadTreeAccess(req.user),
+    ]);
+    const collapsed = String(req.query.collapsed || '').split(',').map((id) => id.trim()).filter(Boolean);
+    const layout = await buildTreeLayout(personId, {
+      up: req.query.up,
+      down: req.query.down,
+      line,
+      collapsed,
+    }, access);
+
+    if (format === 'svg') {
+      const title = `Family of ${layout.tree.name}`;
+      res.setHeader('Content-Type', 'image/svg+xml; charset=utf-8');
+      res.setHeader('Content-Disposition', 'inline; filename="family-tree.svg"');
+      return res.send(renderTreeSvg(layout, { title }));
+    }
+
+    res.json({
+      success: true,
+      data: layout,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Family tree layout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building family tree layout',
+    });
+  }
+});
+
+// @route   GET /api/family-tree/reminders?days=30&type=birthday|wedding_anniversary
+// @desc    Upcoming birthdays and wedding anniversaries (max 60 days) in my family tree entries,
+//          my household's and the trees shared with me. Death anniversaries: /api/memorials/anniversaries
+// @access  Private
+router.get('/reminders', async (req, res) => {
+  try {
+    const type = req.query.type ? String(req.query.type).toLowerCase() : null;
+    if (type && !REMINDER_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${REMINDER_TYPES.join(', ')}`,
+      });
+    }
+
+    const access = await loadTreeAccess(req.user);
+    const reminders = await upcomingFamilyEvents(access, { days: req.query.days, type });
+
+    res.json({
+      success: true,
+      count: reminders.length,
+      data: reminders,
+    });
+  } catch (error) {
+    console.error('Family reminders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reminders',
+    });
+  }
+});
+
+// @route   GET /api/family-tree/reminders/digest
+// @desc    Today's reminder digest (in-app inbox); data is null when none was sent today
+// @access  Private
+router.get('/reminders/digest', async (req, res) => {
+  try {
+    const digest = await getTodaysDigest(req.user);
+
+    res.json({
+      success: true,
+      data: digest,
+    });
+  } catch (error) {
+    console.error('Reminder digest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching the reminder digest',
+    });
+  }
+});
+
+function sendShareError(res, error, fallbackMessage) {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+  });
+}
+
+// @route   GET /api/family-tree/shares
+// @desc    Who my tree is shared with (outgoing) and trees shared with me or invitations (incoming)
+// @access  Private
+router.get('/shares', async (req, res) => {
+  try {
+    const shares = await listTreeShares(req.user);
+
+    res.json({
+      success: true,
+      data: shares,
+    });
+  } catch (error) {
+    sendShareError(res, error, 'Server error while fetching tree shares');
+  }
+});
+
+// @route   POST /api/family-tree/shares
+// @desc    Invite a member or household to my tree:
+//          { granteeType: user|household, granteeUserId | granteeEmail | granteeMemberId, role: viewer|editor, message? }
+// @access  Private (owners of the tree)
+router.post('/shares', async (req, res) => {
+  try {
+    const { granteeType, granteeUserId, granteeEmail, granteeMemberId, role, message } = req.body || {};
+    const { share, previous } = await inviteToTree(req.user, {
+      granteeType: granteeType ? String(granteeType).toLowerCase() : undefined,
+      granteeUserId,
+      granteeEmail,
+      granteeMemberId,
+      role: role ? String(role).toLowerCase() : undefined,
+      message,
+    });
+    await recordAudit(req, {
+      action: 'family_tree.share_invite',
+      targetType: COLLECTIONS.TREE_SHARES,
+      targetId: share.id,
+      before: previous,
+      after: share,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent',
+      data: share,
+    });
+  } catch (error) {
+    sendShareError(res, error, 'Server error while sharing family tree');
+  }
+});
+
+// @route   POST /api/family-tree/shares/:id/accept
+// @desc    Accept an invitation to someone else's tree
+// @access  Private (the invited member, or any active member of the invited household)
+router.post('/shares/:id/accept', async (req, res) => {
+  try {
+    const { share, previous } = await respondToShare(req.user, req.params.id, 'accept');
+    await recordAudit(req, {
+      action: 'family_tree.share_accept',
+      targetType: COLLECTIONS.TREE_SHARES,
+      targetId: share.id,
+      before: previous,
+      after: share,
+    });
+
+    res.json({
+      success: true,
+      message: 'Invitation accepted',
+      data: share,
+    });
+  } catch (error) {
+    sendShareError(res, error, 'Server error while accepting invitation');
+  }
+});
+
+// @route   POST /api/family-tree/shares/:id/decline
+// @desc    Decline an invitation to someone else's tree
+// @access  Private (the invited member, or any active member of the invited household)
+router.post('/shares/:id/decline', async (req, res) => {
+  try {
+    const { share, previous } = await respondToShare(req.user, req.params.id, 'decline');
+    await recordAudit(req, {
+      action: 'family_tree.share_decline',
+      targetType: COLLECTIONS.TREE_SHARES,
+      targetId: share.id,
+      before: previous,
+      after: share,
+    });
+
+    res.json({
+      success: true,
+      message: 'Invitation declined',
+      data: share,
+    });
+  } catch (error) {
+    sendShareError(res, error, 'Server error while declining invitation');
+  }
+});
+
+// @route   PUT /api/family-tree/shares/:id
+// @desc    Change the role of a share or pending invitation: { role: viewer|editor }
+// @access  Private (owners of the tree)
+router.put('/shares/:id', async (req, res) => {
+  try {
+    const role = String(req.body?.role || '').toLowerCase();
+    const { share, previous } = await updateShareRole(req.user, req.params.id, role);
+    await recordAudit(req, {
+      action: 'family_tree.share_role',
+      targetType: COLLECTIONS.TREE_SHARES,
+      targetId: share.id,
+      before: previous,
+      after: share,
+    });
+
+    res.json({
+      success: true,
+      message: 'Share updated',
+      data: share,
+    });
+  } catch (error) {
+    sendShareError(res, error, 'Server error while updating share');
+  }
+});
+
+// @route   DELETE /api/family-tree/shares/:id
+// @desc    Revoke a share (owners) or leave a tree shared with me (grantee)
+// @access  Private
+router.delete('/shares/:id', async (req, res) => {
+  try {
+    const { share, previous } = await revokeShare(req.user, req.params.id);
+    await recordAudit(req, {
+      action: 'family_tree.share_revoke',
+      targetType: COLLECTIONS.TREE_SHARES,
+      targetId: share.id,
+      before: previous,
+      after: share,
+    });
+
+    res.json({
+      success: true,
+      message: 'Share revoked',
+      data: share,
+    });
+  } catch (error) {
+    sendShareError(res, error, 'Server error while revoking share');
+  }
+});
+
 // @route   GET /api/family-tree/:id
 // @desc    Get a single family tree entry by ID
-// @access  Private
+// @access  Private (owners and members the tree is shared with)
 router.get('/:id', async (req, res) => {
   try {
-    const familyTree = await getDocumentById(COLLECTIONS.FAMILY_TREE, req.params.id);
+    const [familyTree, access] = await Promise.all([
+      getDocumentById(COLLECTIONS.FAMILY_TREE, req.params.id),
+      loadTreeAccess(req.user),
+    ]);
 
     if (!familyTree) {
       return res.status(404).json({
@@ -138,8 +660,7 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    // Check if user owns this entry
-    if (familyTree.createdBy !== req.user.id) {
+    if (!access.canView(familyTree)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this entry',
@@ -160,11 +681,14 @@ router.get('/:id', async (req, res) => {
 });
 
 // @route   PUT /api/family-tree/:id
-// @desc    Update a family tree entry
-// @access  Private
+// @desc    Update a family tree entry (validated like POST; only the given fields are checked)
+// @access  Private (owners and editors)
 router.put('/:id', async (req, res) => {
   try {
-    const familyTree = await getDocumentById(COLLECTIONS.FAMILY_TREE, req.params.id);
+    const [familyTree, access] = await Promise.all([
+      getDocumentById(COLLECTIONS.FAMILY_TREE, req.params.id),
+      loadTreeAccess(req.user),
+    ]);
 
     if (!familyTree) {
       return res.status(404).json({
@@ -173,8 +697,7 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    // Check if user owns this entry
-    if (familyTree.createdBy !== req.user.id) {
+    if (!access.canEdit(familyTree)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this entry',
@@ -193,29 +716,9 @@ router.put('/:id', async (req, res) => {
       }
     }
 
-    // Build update fields
-    const updateFields = [
-      'personName',
-      'personPhone',
-      'personDateOfBirth',
-      'personOccupation',
-      'spouseName',
-      'spousePhone',
-      'fatherName',
-      'fatherPhone',
-      'motherName',
-      'motherPhone',
-      'children',
-      'address',
-      'notes',
-    ];
-
-    const updateData = {};
-    updateFields.forEach(field => {
-      if (req.body[field] !== undefined) {
-        updateData[field] = req.body[field];
-      }
-    });
+    // Only the editable fields survive validation
+    const { data: updateData, errors } = validateFamilyTreeEntry(req.body, { existing: familyTree });
+    if (errors) return sendValidationErrors(res, errors);
 
     const updatedFamilyTree = await updateDocument(COLLECTIONS.FAMILY_TREE, req.params.id, updateData);
 
@@ -240,10 +743,13 @@ router.put('/:id', async (req, res) => {
 
 // @route   DELETE /api/family-tree/:id
 // @desc    Delete a family tree entry
-// @access  Private
+// @access  Private (creator, or the tree's owner; never shared editors)
 router.delete('/:id', async (req, res) => {
   try {
-    const familyTree = await getDocumentById(COLLECTIONS.FAMILY_TREE, req.params.id);
+    const [familyTree, access] = await Promise.all([
+      getDocumentById(COLLECTIONS.FAMILY_TREE, req.params.id),
+      loadTreeAccess(req.user),
+    ]);
 
     if (!familyTree) {
       return res.status(404).json({
@@ -252,8 +758,7 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    // Check if user owns this entry
-    if (familyTree.createdBy !== req.user.id) {
+    if (!access.canDelete(familyTree)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this entry',
@@ -0,0 +1,197 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const { COLLECTIONS } = require('../config/firestore');
+const {
+  getHousehold,
+  publicMember,
+  reviewJoinRequest,
+  removeHouseholdMember,
+  transferPrimary,
+} = require('../utils/household');
+const { recordAudit } = require('../utils/auditLog');
+
+const router = express.Router();
+
+// All routes are protected (require authentication)
+router.use(protect);
+
+// The caller's household; only active members have one
+function householdIdOf(req, res) {
+  if (!req.user.householdId || req.user.householdStatus !== 'active') {
+    res.status(404).json({
+      success: false,
+      message: 'You are not part of a household yet',
+    });
+    return null;
+  }
+  return req.user.householdId;
+}
+
+function sendHouseholdError(res, error, fallbackMessage) {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+  });
+}
+
+// @route   GET /api/household
+// @desc    Get my household: primary holder, members and (for the primary holder) pending requests
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const householdId = householdIdOf(req, res);
+    if (!householdId) return;
+
+    const result = await getHousehold(householdId);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Household not found',
+      });
+    }
+
+    const isPrimary = result.household.primaryUserId === req.user.id;
+
+    res.json({
+      success: true,
+      data: {
+        memberId: result.household.memberId,
+        isPrimary,
+        primary: result.primary ? publicMember(result.primary) : null,
+        members: result.members,
+        pending: isPrimary ? result.pending : [],
+      },
+    });
+  } catch (error) {
+    sendHouseholdError(res, error, 'Server error while fetching household');
+  }
+});
+
+// @route   POST /api/household/requests/:userId/approve
+// @desc    Approve a login request for this Member ID
+// @access  Private (primary holder)
+router.post('/requests/:userId/approve', async (req, res) => {
+  try {
+    const householdId = householdIdOf(req, res);
+    if (!householdId) return;
+
+    const { user, previous } = await reviewJoinRequest(householdId, req.params.userId, 'approve', req.user);
+    await recordAudit(req, {
+      action: 'household.approve',
+      targetType: 'user',
+      targetId: user.id,
+      before: previous,
+      after: user,
+      metadata: { householdId },
+    });
+
+    console.log(`🏠 ${req.user.email} approved household login ${user.email} (${householdId})`);
+
+    res.json({
+      success: true,
+      message: `${user.name || user.email} can now log in`,
+      data: publicMember(user),
+    });
+  } catch (error) {
+    sendHouseholdError(res, error, 'Server error while approving household request');
+  }
+});
+
+// @route   POST /api/household/requests/:userId/decline
+// @desc    Decline a login request: { reason? }
+// @access  Private (primary holder)
+router.post('/requests/:userId/decline', async (req, res) => {
+  try {
+    const householdId = householdIdOf(req, res);
+    if (!householdId) return;
+
+    const reason = String(req.body?.reason || '').trim() || 'Declined by the primary holder';
+    const { user, previous } = await reviewJoinRequest(householdId, req.params.userId, 'reject', req.user, { reason });
+    await recordAudit(req, {
+      action: 'household.decline',
+      targetType: 'user',
+      targetId: user.id,
+      before: previous,
+      after: user,
+      metadata: { householdId, reason },
+    });
+
+    res.json({
+      success: true,
+      message: 'Request declined',
+      data: publicMember(user),
+    });
+  } catch (error) {
+    sendHouseholdError(res, error, 'Server error while declining household request');
+  }
+});
+
+// @route   DELETE /api/household/members/:userId
+// @desc    Remove a login from the household (the account is deactivated): { reason? }
+// @access  Private (primary holder)
+router.delete('/members/:userId', async (req, res) => {
+  try {
+    const householdId = householdIdOf(req, res);
+    if (!householdId) return;
+
+    const reason = String(req.body?.reason || '').trim() || null;
+    const { user, previous } = await removeHouseholdMember(householdId, req.params.userId, req.user, { reason });
+    await recordAudit(req, {
+      action: 'household.remove',
+      targetType: 'user',
+      targetId: user.id,
+      before: previous,
+      after: user,
+      metadata: { householdId, reason },
+    });
+
+    res.json({
+      success: true,
+      message: 'Member removed from household',
+      data: publicMember(user),
+    });
+  } catch (error) {
+    sendHouseholdError(res, error, 'Server error while removing household member');
+  }
+});
+
+// @route   PUT /api/household/primary
+// @desc    Hand the primary holder role to another active member: { userId }
+// @access  Private (primary holder)
+router.put('/primary', async (req, res) => {
+  try {
+    const householdId = householdIdOf(req, res);
+    if (!householdId) return;
+
+    const { userId } = req.body || {};
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'userId is required',
+      });
+    }
+
+    const { household, previousPrimaryId } = await transferPrimary(householdId, String(userId), req.user);
+    await recordAudit(req, {
+      action: 'household.primary_change',
+      targetType: COLLECTIONS.HOUSEHOLDS,
+      targetId: householdId,
+      before: { primaryUserId: previousPrimaryId },
+      after: { primaryUserId: household.primaryUserId },
+    });
+
+    res.json({
+      success: true,
+      message: 'Primary holder updated',
+      data: household,
+    });
+  } catch (error) {
+    sendHouseholdError(res, error, 'Server error while changing primary holder');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const { COLLECTIONS, getDocumentById } = require('../config/firestore');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { loadTreeAccess } = require('../utils/treeSharing');
+const {
+  publishMemorial,
+  updateMemorial,
+  withdrawMemorial,
+  listMemorials,
+  upcomingAnniversaries,
+} = require('../utils/memorials');
+const { recordAudit } = require('../utils/auditLog');
+
+const router = express.Router();
+
+// All routes are protected (require authentication)
+router.use(protect);
+
+function sendMemorialError(res, error, fallbackMessage) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...(error.errors && { errors: error.errors }),
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+  });
+}
+
+function canManageContent(user) {
+  return hasPermission(user.role, PERMISSIONS.CONTENT_MANAGE);
+}
+
+// @route   GET /api/memorials?page=1&limit=20
+// @desc    Memorial / condolence notice feed, most recent first
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const notices = await listMemorials();
+
+    const total = notices.length;
+    const totalPages = Math.max(1, Math.ceil(total / limit));
+
+    res.json({
+      success: true,
+      data: notices.slice((page - 1) * limit, page * limit),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+      },
+    });
+  } catch (error) {
+    sendMemorialError(res, error, 'Server error while fetching memorial notices');
+  }
+});
+
+// @route   GET /api/memorials/anniversaries?days=30&scope=all|family|community
+// @desc    Death anniversaries (punyatithi) in the next N days (max 60): my family trees
+//          and trees shared with me (`family`), and published community notices (`community`)
+// @access  Private
+router.get('/anniversaries', async (req, res) => {
+  try {
+    const scope = String(req.query.scope || 'all').toLowerCase();
+    if (!['all', 'family', 'community'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'scope must be all, family or community',
+      });
+    }
+
+    const access = await loadTreeAccess(req.user);
+    const anniversaries = await upcomingAnniversaries(access, { days: req.query.days, scope });
+
+    res.json({
+      success: true,
+      count: anniversaries.length,
+      data: anniversaries,
+    });
+  } catch (error) {
+    sendMemorialError(res, error, 'Server error while fetching anniversaries');
+  }
+});
+
+// @route   GET /api/memorials/:id
+// @desc    A memorial notice (withdrawn ones only for those who may edit them)
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const notice = await getDocumentById(COLLECTIONS.MEMORIAL_NOTICES, req.params.id);
+    let visible = !!notice;
+    if (notice && notice.status !== 'published' && !canManageContent(req.user) && notice.publishedBy !== req.user.id) {
+      const access = await loadTreeAccess(req.user);
+      visible = ['owner', 'editor'].includes(access.roleFor(notice.memberId));
+    }
+    if (!visible) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notice not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: notice,
+    });
+  } catch (error) {
+    sendMemorialError(res, error, 'Server error while fetching memorial notice');
+  }
+});
+
+// @route   POST /api/memorials
+// @desc    Publish a memorial notice:
+//          { personId?, deceasedName?, dateOfDeath?, deathTithi?, age?, nativePlace?, message?,
+//            prayerMeetingDate?, prayerMeetingTime?, prayerMeetingVenue?, contactName?, contactPhone?, photoUrl? }
+//          With personId the notice is prefilled from the family tree and the person is marked deceased.
+// @access  Private (family members who can edit the person; content managers for any notice)
+router.post('/', async (req, res) => {
+  try {
+    const access = await loadTreeAccess(req.user);
+    const { notice, person } = await publishMemorial(access, req.body || {}, {
+      canManage: canManageContent(req.user),
+    });
+    await recordAudit(req, {
+      action: 'memorial.publish',
+      targetType: COLLECTIONS.MEMORIAL_NOTICES,
+      targetId: notice.id,
+      after: notice,
+      metadata: person ? { personId: person.id } : null,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Memorial notice published',
+      data: notice,
+    });
+  } catch (error) {
+    sendMemorialError(res, error, 'Server error while publishing memorial notice');
+  }
+});
+
+// @route   PUT /api/memorials/:id
+// @desc    Edit a published notice (same fields as POST, except personId)
+// @access  Private (publisher, the family, or content managers)
+router.put('/:id', async (req, res) => {
+  try {
+    const access = await loadTreeAccess(req.user);
+    const { notice, previous } = await updateMemorial(access, req.params.id, req.body || {}, {
+      canManage: canManageContent(req.user),
+    });
+    await recordAudit(req, {
+      action: 'memorial.update',
+      targetType: COLLECTIONS.MEMORIAL_NOTICES,
+      targetId: notice.id,
+      before: previous,
+      after: notice,
+    });
+
+    res.json({
+      success: true,
+      message: 'Memorial notice updated',
+      data: notice,
+    });
+  } catch (error) {
+    sendMemorialError(res, error, 'Server error while updating memorial notice');
+  }
+});
+
+// @route   DELETE /api/memorials/:id
+// @desc    Withdraw a notice from the feed: { reason? }
+// @access  Private (publisher, the family, or content managers)
+router.delete('/:id', async (req, res) => {
+  try {
+    const access = await loadTreeAccess(req.user);
+    const { notice, previous } = await withdrawMemorial(access, req.params.id, req.body?.reason, {
+      canManage: canManageContent(req.user),
+    });
+    await recordAudit(req, {
+      action: 'memorial.withdraw',
+      targetType: COLLECTIONS.MEMORIAL_NOTICES,
+      targetId: notice.id,
+      before: previous,
+      after: notice,
+    });
+
+    res.json({
+      success: true,
+      message: 'Memorial notice withdrawn',
+      data: notice,
+    });
+  } catch (error) {
+    sendMemorialError(res, error, 'Server error while withdrawing memorial notice');
+  }
+});
+
+module.exports = router;
@@ -17,6 +17,7 @@ const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '../.env') });
 
 const { auth, COLLECTIONS, createDocument, queryDocuments, updateDocument } = require('../config/firestore');
+const { syncRoleClaims } = require('../config/permissions');
 
 async function bootstrapAdmin() {
   try {
@@ -131,6 +132,7 @@ async function bootstrapAdmin() {
     };
 
     const newAdmin = await createDocument(COLLECTIONS.USERS, adminData, uid);
+    await syncRoleClaims(newAdmin);
 
     console.log('✅ Admin user created successfully!');
     console.log(`   User ID: ${newAdmin.id}`);
@@ -8,48 +8,22 @@
  * Optional columns: name, email, notes
  */
 
-const XLSX = require('xlsx');
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '../.env') });
 
-const { db, admin, COLLECTIONS, createDocument, findOneDocument } = require('../config/firestore');
-
-function normalizeMemberId(value) {
-  const raw = String(value ?? '').trim();
-  if (!raw) return '';
-  if (/^[0-9]+\.[0]+$/.test(raw) || /e\+?/i.test(raw)) {
-    const n = Number(raw);
-    if (Number.isFinite(n)) return String(Math.trunc(n));
-  }
-  return raw;
-}
-
-function normalizePhone(value) {
-  const raw = String(value ?? '').trim();
-  if (!raw) return '';
-  if (/[eE]|\./.test(raw)) {
-    const n = Number(raw);
-    if (Number.isFinite(n)) {
-      const asInt = String(Math.trunc(n));
-      return asInt.length > 10 ? asInt.slice(-10) : asInt;
-    }
-  }
-  const digits = raw.replace(/\D/g, '');
-  if (!digits) return '';
-  return digits.length > 10 ? digits.slice(-10) : digits;
-}
+const { COLLECTIONS, createDocument, findOneDocument } = require('../config/firestore');
+const {
+  readSpreadsheet,
+  mapAuthorizedMemberRow,
+  newMemberData,
+} = require('../utils/authorizedMemberImport');
 
 async function importExcelData(filePath) {
   try {
     console.log('📁 Reading Excel file:', filePath);
     
-    // Read the Excel file
-    const workbook = XLSX.readFile(filePath);
-    const sheetName = workbook.SheetNames[0]; // Use first sheet
-    const worksheet = workbook.Sheets[sheetName];
-    
-    // Convert to JSON
-    const data = XLSX.utils.sheet_to_json(worksheet);
+    // Read the first sheet as JSON rows
+    const data = readSpreadsheet(filePath);
     
     console.log(`📊 Found ${data.length} rows in Excel file`);
     
@@ -68,30 +42,8 @@ async function importExcelData(filePath) {
     for (let i = 0; i < data.length; i++) {
       const row = data[i];
       
-      // Map common column name variations (case-insensitive with more patterns)
-      const memberId = normalizeMemberId(
-        row.memberId || row.memberid || row.MemberId || row.MemberID || 
-        row.member_id || row.MEMBER_ID || row.Member_ID || row['Member ID'] || 
-        row['Member_ID'] || ''
-      );
-      
-      const phoneNumber = normalizePhone(
-        row.phoneNumber || row.phonenumber || row.PhoneNumber || row.phone || 
-        row.Phone || row.mobile || row.Mobile || row['Phone Number'] || 
-        row.Phone_Number || row['Phone_Number'] || row.PHONE_NUMBER || ''
-      );
-      
-      const name = String(
-        row.name || row.Name || row.NAME || row.fullName || row.FullName || ''
-      ).trim();
-      
-      const email = String(
-        row.email || row.Email || row.EMAIL || ''
-      ).trim().toLowerCase();
-      
-      const notes = String(
-        row.notes || row.Notes || row.remarks || row.Remarks || ''
-      ).trim();
+      const mapped = mapAuthorizedMemberRow(row);
+      const { memberId, phoneNumber } = mapped;
       
       // Validate required fields - accept if at least one exists
       if (!memberId && !phoneNumber) {
@@ -143,17 +95,7 @@ async function importExcelData(filePath) {
         }
         
         // Create new authorized member
-        const memberData = {
-          isUsed: false,
-        };
-        
-        if (memberId) memberData.memberId = memberId;
-        if (phoneNumber) memberData.phoneNumber = phoneNumber;
-        if (memberId) memberData.memberIdNormalized = memberId;
-        if (phoneNumber) memberData.phoneNormalized = phoneNumber;
-        if (name) memberData.name = name;
-        if (email) memberData.email = email;
-        if (notes) memberData.notes = notes;
+        const memberData = newMemberData(mapped);
 
         // Prefer using memberId as the document id (aligns with firestore.rules and avoids duplicates)
         await createDocument(COLLECTIONS.AUTHORIZED_MEMBERS, memberData, memberId || null);
@@ -12,6 +12,10 @@
  * - number (phone)
  * 
  * Optional: any other columns will be stored in otherFields
+ *
+ * Each row also gets the name search fields (searchName, searchTokens,
+ * searchPrefixes) used by GET /api/information/search. Rows imported before
+ * those existed: npm run reindex-info
  */
 
 const XLSX = require('xlsx');
@@ -19,6 +23,7 @@ const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '../.env') });
 
 const { db, admin, COLLECTIONS, createDocument, findOneDocument } = require('../config/firestore');
+const { searchIndexFields } = require('../utils/informationSearch');
 
 function normalizeKey(key = '') {
   return String(key).trim().toLowerCase().replace(/\s+/g, ' ');
@@ -144,6 +149,7 @@ async function importData() {
         if (fullName) infoData.fullName = fullName;
         if (number) infoData.number = number;
         if (Object.keys(otherFields).length > 0) infoData.otherFields = otherFields;
+        Object.assign(infoData, searchIndexFields(infoData));
 
         await createDocument(COLLECTIONS.INFORMATION, infoData);
 
@@ -0,0 +1,50 @@
+/**
+ * Migrate flat Family Tree entries to persons and relationships
+ *
+ * Every familyTree document (person, spouse, father, mother, children) becomes
+ * linked person documents with parent / spouse edges. Each user's oldest entry
+ * becomes their own person. Entries already migrated are skipped unless --force.
+ *
+ * Usage:
+ * node scripts/migrateFamilyTree.js [--dry-run] [--force]
+ *
+ * Example:
+ * npm run migrate-family-tree -- --dry-run
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const { migrateFamilyTree } = require('../utils/familyGraph');
+
+async function migrate({ dryRun, force }) {
+  try {
+    console.log(`🌳 Migrating family tree entries${dryRun ? ' (dry run)' : ''}...\n`);
+
+    const stats = await migrateFamilyTree({ dryRun, force });
+
+    console.log('=== MIGRATION SUMMARY ===');
+    console.log(`📄 Entries found: ${stats.entries}`);
+    console.log(`✅ Migrated: ${stats.migrated}`);
+    console.log(`⏭️  Skipped: ${stats.skipped}`);
+    console.log(`👤 Persons ${dryRun ? 'to write' : 'written'}: ${stats.persons}`);
+    console.log(`🔗 Relationships ${dryRun ? 'to write' : 'written'}: ${stats.relationships}`);
+
+    if (dryRun) {
+      console.log('\nℹ️  Dry run: nothing was written. Run without --dry-run to migrate.');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+const args = process.argv.slice(2);
+
+migrate({
+  dryRun: args.includes('--dry-run'),
+  force: args.includes('--force'),
+});
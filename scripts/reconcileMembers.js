@@ -0,0 +1,94 @@
+/**
+ * Reconcile users, authorizedMembers and information
+ *
+ * Prints every inconsistency by category with a suggested fix. With --fix the
+ * safe ones (stale locks, dangling links, unclaimed links, normalized fields)
+ * are applied; everything else is left for an admin.
+ *
+ * Usage:
+ * node scripts/reconcileMembers.js [--fix] [--json] [--category=stale_lock,...]
+ *
+ * Example:
+ * npm run reconcile-members -- --fix --category=stale_lock
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const {
+  CATEGORIES,
+  buildReconciliationReport,
+  applySafeFixes,
+} = require('../utils/reconciliation');
+
+// Issues printed per category (use --json for the full list)
+const MAX_PRINTED_ISSUES = 20;
+
+function printReport(report) {
+  console.log('=== RECONCILIATION REPORT ===');
+  console.log(`👥 Users: ${report.summary.users}`);
+  console.log(`📋 Authorized members: ${report.summary.authorizedMembers}`);
+  console.log(`📇 Information rows: ${report.summary.information}`);
+  console.log(`⚠️  Issues: ${report.summary.totalIssues} (${report.summary.autoFixable} auto-fixable)\n`);
+
+  report.categories.forEach((group) => {
+    if (group.count === 0) return;
+    console.log(`--- ${group.category} [${group.severity}] - ${group.count} issue(s), ${group.autoFixable} auto-fixable`);
+    console.log(`    ${group.description}`);
+    group.issues.slice(0, MAX_PRINTED_ISSUES).forEach((issue) => {
+      console.log(`  ${issue.fix ? '🔧' : '👀'} ${issue.message}`);
+      console.log(`     → ${issue.suggestedFix}`);
+    });
+    if (group.count > MAX_PRINTED_ISSUES) {
+      console.log(`  ... and ${group.count - MAX_PRINTED_ISSUES} more`);
+    }
+    console.log('');
+  });
+}
+
+async function reconcile({ fix, json, categories }) {
+  try {
+    const report = await buildReconciliationReport({ categories });
+
+    if (json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+
+    if (fix) {
+      const result = await applySafeFixes(report);
+      console.log(`\n🔧 Applied ${result.applied} fix(es) in ${result.writes} write(s)`);
+      Object.entries(result.byCategory).forEach(([category, count]) => {
+        console.log(`   ${category}: ${count}`);
+      });
+    } else if (!json && report.summary.autoFixable > 0) {
+      console.log('ℹ️  Run with --fix to apply the auto-fixable issues');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Reconciliation failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+const args = process.argv.slice(2);
+const categoryArg = args.find((arg) => arg.startsWith('--category='));
+const categories = categoryArg
+  ? categoryArg.split('=')[1].split(',').map((c) => c.trim()).filter(Boolean)
+  : null;
+
+const unknown = (categories || []).filter((category) => !CATEGORIES[category]);
+if (unknown.length > 0) {
+  console.log(`❌ Error: Unknown categories: ${unknown.join(', ')}`);
+  console.log(`\nAvailable categories:\n  ${Object.keys(CATEGORIES).join('\n  ')}`);
+  process.exit(1);
+}
+
+reconcile({
+  fix: args.includes('--fix'),
+  json: args.includes('--json'),
+  categories,
+});
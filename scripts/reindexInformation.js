@@ -0,0 +1,49 @@
+/**
+ * Backfill the name search fields of the information directory
+ *
+ * Computes searchName / searchTokens / searchPrefixes (see
+ * utils/informationSearch.js) for every information row. Rows that are
+ * already current are skipped unless --force. Run once after upgrading, and
+ * whenever rows are edited outside scripts/importInformation.js.
+ *
+ * Usage:
+ * node scripts/reindexInformation.js [--dry-run] [--force]
+ *
+ * Example:
+ * npm run reindex-info -- --dry-run
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const { reindexInformation } = require('../utils/informationSearch');
+
+async function reindex({ dryRun, force }) {
+  try {
+    console.log(`🔎 Indexing information rows for search${dryRun ? ' (dry run)' : ''}...\n`);
+
+    const stats = await reindexInformation({ dryRun, force });
+
+    console.log('=== REINDEX SUMMARY ===');
+    console.log(`📄 Rows found: ${stats.rows}`);
+    console.log(`✅ ${dryRun ? 'To update' : 'Updated'}: ${stats.updated}`);
+    console.log(`⏭️  Already current: ${stats.skipped}`);
+
+    if (dryRun) {
+      console.log('\nℹ️  Dry run: nothing was written. Run without --dry-run to reindex.');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Reindex failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+const args = process.argv.slice(2);
+
+reindex({
+  dryRun: args.includes('--dry-run'),
+  force: args.includes('--force'),
+});
@@ -2,21 +2,29 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
-const { admin, db } = require('./firebase');
-const cronJob = require('./config/cron');
-const bootstrapAdmin = require('./scripts/bootstrapAdmin');
 
-// Load env vars
+// Load env vars (before anything that reads STORAGE_BACKEND / Firebase credentials)
 dotenv.config();
 
-// Initialize Firebase/Firestore
-console.log('🔥 Firebase Admin SDK initialized');
-console.log('🗄️  Firestore database connected');
+const { storage } = require('./config/firestore');
+const cronJob = require('./config/cron');
+const bootstrapAdmin = require('./scripts/bootstrapAdmin');
 
-// Start cron job in production to prevent server spin-down
+// Initialize storage backend
+if (storage.name === 'memory') {
+  console.log('🧪 Using in-memory storage backend (data is not persisted)');
+} else {
+  console.log('🔥 Firebase Admin SDK initialized');
+  console.log('🗄️  Firestore database connected');
+}
+
+// Start cron jobs in production only (self-ping to prevent server spin-down,
+// suspension expiry sweep, daily family reminder digest)
 if (process.env.NODE_ENV === 'production') {
   cronJob.start();
   console.log('🔄 Cron job started - server will self-ping every 14 minutes');
+  cronJob.suspensionExpiryJob.start();
+  cronJob.reminderDigestJob.start();
 }
 
 // Bootstrap admin account if enabled
@@ -66,6 +74,15 @@ app.use('/api/content', require('./routes/content'));
 // Family tree routes
 app.use('/api/family-tree', require('./routes/familyTree'));
 
+// Family graph routes (persons and relationships)
+app.use('/api/family-graph', require('./routes/familyGraph'));
+
+// Memorial notices and death anniversaries
+app.use('/api/memorials', require('./routes/memorials'));
+
+// Household routes (shared Member ID logins)
+app.use('/api/household', require('./routes/household'));
+
 // Admin routes (protected)
 app.use('/api/admin', require('./routes/admin'));
 
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  storage,
+  COLLECTIONS,
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  createAdmin,
+  signup,
+} = require('./helpers');
+const {
+  canTransition,
+  planTransition,
+  transitionUser,
+} = require('../utils/accountLifecycle');
+
+test('planTransition allows only the listed source states', () => {
+  assert.equal(planTransition({ accountStatus: 'pending' }, 'approve').to, 'approved');
+  assert.equal(planTransition({}, 'suspend').from, 'approved');
+  assert.throws(() => planTransition({ accountStatus: 'rejected' }, 'approve'), { status: 409 });
+  assert.throws(() => planTransition({ accountStatus: 'pending' }, 'suspend'), { status: 409 });
+  assert.throws(() => planTransition({ accountStatus: 'pending' }, 'approve', { to: 'suspended' }), { status: 400 });
+  assert.throws(() => planTransition({ accountStatus: 'pending' }, 'promote'), { status: 400 });
+  assert.equal(canTransition({ accountStatus: 'rejected' }, 'reapply'), true);
+  assert.equal(canTransition({ accountStatus: 'approved' }, 'reapply'), false);
+});
+
+test('planTransition records each change in statusHistory', () => {
+  const { update } = planTransition({ accountStatus: 'pending' }, 'reject', { actor: { id: 'admin1' }, reason: 'Duplicate' });
+
+  assert.equal(update.accountStatus, 'rejected');
+  assert.equal(update.rejectionReason, 'Duplicate');
+  assert.equal(update.statusHistory.length, 1);
+  assert.deepEqual(
+    { ...update.statusHistory[0], at: undefined },
+    { action: 'reject', from: 'pending', to: 'rejected', by: 'admin1', reason: 'Duplicate', at: undefined }
+  );
+});
+
+test('reactivation returns an account to the state it was deactivated from', () => {
+  for (const state of ['pending', 'approved', 'rejected', 'suspended']) {
+    const deactivated = planTransition({ accountStatus: state }, 'deactivate').update;
+    assert.equal(deactivated.statusBeforeDeactivation, state);
+
+    const { to, update } = planTransition(deactivated, 'reactivate', { to: 'approved' });
+    assert.equal(to, state);
+    assert.equal(update.statusBeforeDeactivation, null);
+  }
+});
+
+test('accounts deactivated before the state was stored fall back to their history', () => {
+  const user = {
+    accountStatus: 'deactivated',
+    statusHistory: [{ action: 'deactivate', from: 'pending', to: 'deactivated' }],
+  };
+  assert.equal(planTransition(user, 'reactivate').to, 'pending');
+});
+
+test.describe('on the memory backend', () => {
+  let api;
+  let adminToken;
+
+  test.before(async () => {
+    api = await startApi();
+  });
+
+  test.after(async () => {
+    await api.close();
+  });
+
+  test.beforeEach(async () => {
+    reset();
+    await seedAuthorizedMembers([{ memberId: '1001', phoneNumber: '9876543210' }]);
+    adminToken = await createAdmin();
+  });
+
+  test('a deactivated pending user comes back pending, not approved', async () => {
+    const { user } = await signup(api.call, { name: 'Bina', email: 'bina@example.com', memberId: '7777', phone: '9111111111' });
+
+    const deactivate = await api.call('POST', `/api/admin/users/${user.id}/deactivate`, { reason: 'Spam' }, adminToken);
+    assert.equal(deactivate.status, 200);
+    const reactivate = await api.call('POST', `/api/admin/users/${user.id}/reactivate`, {}, adminToken);
+    assert.equal(reactivate.status, 200);
+
+    assert.equal((await storage.get(COLLECTIONS.USERS, user.id)).accountStatus, 'pending');
+  });
+
+  test('transitionUser rejects a disallowed transition and leaves the user unchanged', async () => {
+    const { user } = await signup(api.call, { name: 'Asha', email: 'asha@example.com', memberId: '1001', phone: '9876543210' });
+
+    await assert.rejects(transitionUser(user.id, 'approve'), { status: 409, code: 'invalid-transition' });
+    await assert.rejects(transitionUser('missing', 'approve'), { status: 404 });
+    assert.equal((await storage.get(COLLECTIONS.USERS, user.id)).accountStatus, 'approved');
+  });
+
+  test('both approve and reject routes go through the same transitions', async () => {
+    const { user } = await signup(api.call, { name: 'Bina', email: 'bina@example.com', memberId: '7777', phone: '9111111111' });
+
+    const rejected = await api.call('PUT', `/api/admin/users/${user.id}/reject`, { reason: 'Unknown' }, adminToken);
+    assert.equal(rejected.status, 200);
+    assert.equal((await api.call('POST', `/api/admin/pending-users/${user.id}/reject`, {}, adminToken)).status, 409);
+    assert.equal((await api.call('PUT', `/api/admin/users/${user.id}/approve`, {}, adminToken)).status, 409);
+
+    // A rejected user may re-apply, which queues them again
+    const reapplied = await signup(api.call, { name: 'Bina', email: 'bina@example.com', memberId: '7777', phone: '9111111111' });
+    assert.equal(reapplied.user.accountStatus, 'pending');
+    assert.equal((await api.call('PUT', `/api/admin/users/${user.id}/approve`, {}, adminToken)).status, 200);
+
+    const { statusHistory } = await storage.get(COLLECTIONS.USERS, user.id);
+    assert.deepEqual(statusHistory.map((entry) => entry.action), ['signup', 'reject', 'reapply', 'approve']);
+  });
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  storage,
+  COLLECTIONS,
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  createAdmin,
+  signup,
+} = require('./helpers');
+
+let api;
+let adminToken;
+
+test.before(async () => {
+  api = await startApi();
+});
+
+test.after(async () => {
+  await api.close();
+});
+
+test.beforeEach(async () => {
+  reset();
+  await seedAuthorizedMembers([
+    { memberId: '1001', phoneNumber: '9876543210' },
+    { memberId: '1003', phoneNumber: '9000000003' },
+  ]);
+  adminToken = await createAdmin();
+});
+
+const approve = (userId, body = {}) => api.call('POST', `/api/admin/pending-users/${userId}/approve`, body, adminToken);
+
+test('approval claims the record matching the user\'s own Member ID', async () => {
+  const { user } = await signup(api.call, { name: 'Bina', email: 'bina@example.com', memberId: '1003', phone: '9111111111' });
+
+  const { status, body } = await approve(user.id);
+
+  assert.equal(status, 200);
+  assert.equal(body.data.authorizedMemberId, '1003');
+  const record = await storage.get(COLLECTIONS.AUTHORIZED_MEMBERS, '1003');
+  assert.equal(record.isUsed, true);
+  assert.equal(record.usedBy, user.id);
+});
+
+test('approval can link another record and copy its Member ID and phone', async () => {
+  const { user } = await signup(api.call, { name: 'Bina', email: 'bina@example.com', memberId: '01003', phone: '9000000004' });
+
+  const { status, body } = await approve(user.id, {
+    authorizedMemberId: '1003',
+    useAuthorizedMemberId: true,
+    useAuthorizedPhone: true,
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.memberId, '1003');
+  assert.equal(body.data.phone, '9000000003');
+  const [entry] = await storage.query(COLLECTIONS.FAMILY_TREE, {
+    conditions: [{ field: 'createdBy', operator: '==', value: user.id }],
+  });
+  assert.equal(entry.memberId, '1003');
+});
+
+test('a record another account holds cannot be linked, and nothing changes', async () => {
+  const holder = await signup(api.call, { name: 'Asha', email: 'asha@example.com', memberId: '1001', phone: '9876543210' });
+  const { user } = await signup(api.call, { name: 'Dev', email: 'dev@example.com', memberId: '7777', phone: '9111111111' });
+
+  const { status } = await approve(user.id, { authorizedMemberId: '1001' });
+
+  assert.equal(status, 409);
+  assert.equal((await storage.get(COLLECTIONS.USERS, user.id)).accountStatus, 'pending');
+  assert.equal((await storage.get(COLLECTIONS.AUTHORIZED_MEMBERS, '1001')).usedBy, holder.user.id);
+});
+
+test('unknown users and records are reported', async () => {
+  const { user } = await signup(api.call, { name: 'Dev', email: 'dev@example.com', memberId: '7777', phone: '9111111111' });
+
+  assert.equal((await approve('missing')).status, 404);
+  assert.equal((await approve(user.id, { authorizedMemberId: '9999' })).status, 404);
+  assert.equal((await approve(user.id, { useAuthorizedPhone: true })).status, 400);
+});
+
+test('an approved user cannot be approved again', async () => {
+  const { user } = await signup(api.call, { name: 'Asha', email: 'asha@example.com', memberId: '1001', phone: '9876543210' });
+
+  assert.equal((await approve(user.id)).status, 409);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  storage,
+  COLLECTIONS,
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  createAdmin,
+  signup,
+} = require('./helpers');
+const { diffChanges, queryAuditLog } = require('../utils/auditLog');
+
+let api;
+let adminToken;
+
+test.before(async () => {
+  api = await startApi();
+});
+
+test.after(async () => {
+  await api.close();
+});
+
+test.beforeEach(async () => {
+  reset();
+  await seedAuthorizedMembers([{ memberId: '1001', phoneNumber: '9876543210' }]);
+  adminToken = await createAdmin();
+});
+
+async function seedEntries(entries) {
+  for (const [index, entry] of entries.entries()) {
+    await storage.set(COLLECTIONS.AUDIT_LOG, `entry${index}`, {
+      actorId: 'admin1',
+      targetType: 'user',
+      ...entry,
+      createdAt: new Date(Date.UTC(2024, 0, index + 1)),
+    });
+  }
+}
+
+test('diffChanges keeps changed fields only and redacts passwords', () => {
+  assert.deepEqual(
+    diffChanges(
+      { name: 'Asha', accountStatus: 'pending', password: 'a', updatedAt: 1 },
+      { name: 'Asha', accountStatus: 'approved', password: 'b', updatedAt: 2 }
+    ),
+    {
+      accountStatus: { before: 'pending', after: 'approved' },
+      password: { before: '[redacted]', after: '[redacted]' },
+    }
+  );
+  assert.deepEqual(diffChanges(null, { name: 'Asha' }), { name: { before: null, after: 'Asha' } });
+});
+
+test('privileged actions are recorded with actor, target and changes', async () => {
+  const { user } = await signup(api.call, { name: 'Bina', email: 'bina@example.com', memberId: '7777', phone: '9111111111' });
+  await api.call('POST', `/api/admin/pending-users/${user.id}/reject`, { reason: 'Unknown' }, adminToken);
+
+  const { status, body } = await api.call('GET', `/api/admin/audit?targetId=${user.id}`, null, adminToken);
+
+  assert.equal(status, 200);
+  assert.equal(body.data.length, 1);
+  const [entry] = body.data;
+  assert.equal(entry.action, 'user.reject');
+  assert.equal(entry.actorEmail, 'admin@example.com');
+  assert.deepEqual(entry.changes.accountStatus, { before: 'pending', after: 'rejected' });
+  assert.deepEqual(entry.metadata, { reason: 'Unknown' });
+});
+
+test('filters, the date range and the page size go to the query', async () => {
+  await seedEntries([
+    { action: 'user.approve', targetId: 'u1' },
+    { action: 'user.reject', targetId: 'u2' },
+    { action: 'user.approve', targetId: 'u3' },
+    { action: 'user.approve', targetId: 'u4', actorId: 'admin2' },
+    { action: 'user.approve', targetId: 'u5' },
+  ]);
+
+  const queries = [];
+  const originalQuery = storage.query;
+  storage.query = async (collectionName, options) => {
+    queries.push(options);
+    return originalQuery(collectionName, options);
+  };
+  try {
+    const first = await queryAuditLog({ action: 'user.approve', actorId: 'admin1', limit: 2 });
+    assert.deepEqual(first.entries.map((entry) => entry.targetId), ['u5', 'u3']);
+    assert.equal(queries[0].limit, 2);
+    assert.deepEqual(queries[0].conditions.map((condition) => condition.field), ['actorId', 'action']);
+
+    const second = await queryAuditLog({ action: 'user.approve', actorId: 'admin1', limit: 2, cursor: first.nextCursor });
+    assert.deepEqual(second.entries.map((entry) => entry.targetId), ['u1']);
+    assert.equal(second.nextCursor, null);
+  } finally {
+    storage.query = originalQuery;
+  }
+
+  const ranged = await queryAuditLog({
+    from: new Date(Date.UTC(2024, 0, 2)),
+    to: new Date(Date.UTC(2024, 0, 4)),
+  });
+  assert.deepEqual(ranged.entries.map((entry) => entry.targetId), ['u4', 'u3', 'u2']);
+});
+
+test('the audit endpoint validates dates and cursors and needs the audit permission', async () => {
+  assert.equal((await api.call('GET', '/api/admin/audit?from=yesterday', null, adminToken)).status, 400);
+  assert.equal((await api.call('GET', '/api/admin/audit?cursor=missing', null, adminToken)).status, 400);
+
+  const member = await signup(api.call, { name: 'Asha', email: 'asha@example.com', memberId: '1001', phone: '9876543210' });
+  assert.equal((await api.call('GET', '/api/admin/audit', null, member.token)).status, 403);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  storage,
+  COLLECTIONS,
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  createAdmin,
+  signup,
+} = require('./helpers');
+const { buildAuthorizedMembersExport } = require('../utils/authorizedMemberExport');
+const { readSpreadsheet, buildImportPlan } = require('../utils/authorizedMemberImport');
+
+let api;
+let adminToken;
+let holder;
+
+test.before(async () => {
+  api = await startApi();
+});
+
+test.after(async () => {
+  await api.close();
+});
+
+test.beforeEach(async () => {
+  reset();
+  await seedAuthorizedMembers([
+    { memberId: '1001', phoneNumber: '9876543210', name: 'Ramesh Shah' },
+    { memberId: '1002', phoneNumber: '9000000002', name: 'Bina Mehta' },
+  ]);
+  await storage.update(COLLECTIONS.AUTHORIZED_MEMBERS, '1002', { isActive: false });
+  adminToken = await createAdmin();
+  holder = (await signup(api.call, { name: 'Asha', email: 'asha@example.com', memberId: '1001', phone: '9876543210' })).user;
+  const [entry] = await storage.query(COLLECTIONS.FAMILY_TREE, {
+    conditions: [{ field: 'createdBy', operator: '==', value: holder.id }],
+  });
+  await storage.update(COLLECTIONS.FAMILY_TREE, entry.id, { personOccupation: 'Teacher' });
+});
+
+test('rows join the holder account and the family tree occupation', async () => {
+  const { rows, stats } = await buildAuthorizedMembersExport();
+
+  assert.deepEqual(rows.map((row) => row.memberId), ['1001', '1002']);
+  assert.equal(rows[0].usedByName, 'Asha');
+  assert.equal(rows[0].usedByEmail, 'asha@example.com');
+  assert.equal(rows[0].occupation, 'Teacher');
+  assert.deepEqual(stats, { total: 2, used: 1, unused: 1, inactive: 1, withOccupation: 1 });
+
+  assert.deepEqual((await buildAuthorizedMembersExport({ status: 'inactive' })).rows.map((row) => row.memberId), ['1002']);
+});
+
+test('the download re-imports as unchanged', async () => {
+  const { status, body, headers } = await api.call('GET', '/api/admin/authorized-members/export', null, adminToken);
+
+  assert.equal(status, 200);
+  assert.match(headers.get('content-disposition'), /authorized-members-\d{4}-\d{2}-\d{2}\.xlsx/);
+  const plan = await buildImportPlan(readSpreadsheet(body));
+  assert.equal(plan.summary.unchanged, 2);
+});
+
+test('csv is available and unknown options are refused', async () => {
+  const csv = await api.call('GET', '/api/admin/authorized-members/export?format=csv&status=used', null, adminToken);
+  assert.equal(csv.status, 200);
+  assert.equal(csv.body.toString().trim().split('\n').length, 2);
+
+  assert.equal((await api.call('GET', '/api/admin/authorized-members/export?format=pdf', null, adminToken)).status, 400);
+  assert.equal((await api.call('GET', '/api/admin/authorized-members/export?status=old', null, adminToken)).status, 400);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  storage,
+  COLLECTIONS,
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  createAdmin,
+} = require('./helpers');
+const { planAuthorizedMembersImport } = require('../utils/authorizedMemberImport');
+
+const EXISTING = [
+  { id: '1001', memberId: '1001', phoneNumber: '9876543210', name: 'Ramesh Shah' },
+  { id: '1002', memberId: '1002', phoneNumber: '9000000002', name: 'Bina Mehta' },
+  { id: '1006', memberId: '1006', phoneNumber: '9000000006' },
+];
+
+test('rows are classified against the stored list, whatever the column names', () => {
+  const plan = planAuthorizedMembersImport([
+    { 'Member ID': '1001', 'Phone Number': '9876543210', Name: 'Ramesh Shah' },
+    { member_id: '1002', mobile: '9000000002', name: 'Bina Patel' },
+    { MemberID: '1003.0', phone: '+91 90000 00003' },
+    { memberId: '1004', phone: '9000000006' },
+    { memberId: '1005', phone: '12345' },
+    { name: 'Nobody' },
+    { memberId: '1003', phone: '9000000009' },
+  ], EXISTING);
+
+  assert.deepEqual(plan.summary, { totalRows: 7, new: 1, changed: 1, unchanged: 1, conflict: 2, invalid: 2 });
+  assert.deepEqual(plan.new.map((entry) => [entry.row, entry.memberId, entry.phoneNumber]), [[4, '1003', '9000000003']]);
+  assert.deepEqual(plan.changed[0].changes, { name: { before: 'Bina Mehta', after: 'Bina Patel' } });
+  assert.deepEqual(plan.conflict.map((entry) => entry.reason), [
+    'Phone already belongs to Member ID 1006',
+    'Conflicts with row 4 of the file',
+  ]);
+  assert.deepEqual(plan.invalid.map((entry) => entry.row), [6, 7]);
+});
+
+test.describe('the import endpoint', () => {
+  let api;
+  let adminToken;
+
+  test.before(async () => {
+    api = await startApi();
+  });
+
+  test.after(async () => {
+    await api.close();
+  });
+
+  test.beforeEach(async () => {
+    reset();
+    await seedAuthorizedMembers([{ memberId: '1001', phoneNumber: '9876543210', name: 'Ramesh Shah' }]);
+    adminToken = await createAdmin();
+  });
+
+  const upload = (csv, { filename = 'members.csv', query = '' } = {}) => {
+    const form = new FormData();
+    form.append('file', new Blob([csv], { type: 'text/csv' }), filename);
+    return api.call('POST', `/api/admin/authorized-members/import${query}`, form, adminToken);
+  };
+
+  const CSV = 'Member ID,Phone Number,Name\n1001,9876543210,Ramesh Bhai Shah\n1003,9000000003,Chetan Shah\n';
+
+  test('a dry run reports the diff and writes nothing', async () => {
+    const { status, body } = await upload(CSV);
+
+    assert.equal(status, 200);
+    assert.equal(body.dryRun, true);
+    assert.deepEqual(body.summary, { totalRows: 2, new: 1, changed: 1, unchanged: 0, conflict: 0, invalid: 0 });
+    assert.equal(await storage.get(COLLECTIONS.AUTHORIZED_MEMBERS, '1003'), null);
+  });
+
+  test('dryRun=false writes new and changed rows, and a second run finds nothing to do', async () => {
+    const { status, body } = await upload(CSV, { query: '?dryRun=false' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.result, { created: 1, updated: 1, batches: 1 });
+    const created = await storage.get(COLLECTIONS.AUTHORIZED_MEMBERS, '1003');
+    assert.equal(created.phoneNormalized, '9000000003');
+    assert.equal(created.isUsed, false);
+    assert.equal((await storage.get(COLLECTIONS.AUTHORIZED_MEMBERS, '1001')).name, 'Ramesh Bhai Shah');
+
+    const again = await upload(CSV);
+    assert.equal(again.body.summary.unchanged, 2);
+  });
+
+  test('other file types and empty files are refused', async () => {
+    assert.equal((await upload(CSV, { filename: 'members.txt' })).status, 400);
+    assert.equal((await upload('Member ID,Phone Number\n')).status, 400);
+  });
+});
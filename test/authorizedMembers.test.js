@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  storage,
+  COLLECTIONS,
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  createAdmin,
+  signup,
+} = require('./helpers');
+
+let api;
+let adminToken;
+
+test.before(async () => {
+  api = await startApi();
+});
+
+test.after(async () => {
+  await api.close();
+});
+
+test.beforeEach(async () => {
+  reset();
+  await seedAuthorizedMembers([{ memberId: '1001', phoneNumber: '9876543210' }]);
+  adminToken = await createAdmin();
+});
+
+const admin = (method, path, body) => api.call(method, `/api/admin/authorized-members${path}`, body, adminToken);
+
+test('an added member is normalized so signup finds it', async () => {
+  const { status, body } = await admin('POST', '', { memberId: '1005.0', phoneNumber: '+91 90000 00005', name: ' Esha ' });
+
+  assert.equal(status, 201);
+  assert.equal(body.data.id, '1005');
+  assert.equal(body.data.memberIdNormalized, '1005');
+  assert.equal(body.data.phoneNormalized, '9000000005');
+  assert.equal(body.data.name, 'Esha');
+
+  const { user } = await signup(api.call, { name: 'Esha', email: 'esha@example.com', memberId: '1005', phone: '9000000005' });
+  assert.equal(user.accountStatus, 'approved');
+});
+
+test('duplicate Member IDs and phones are refused', async () => {
+  assert.equal((await admin('POST', '', { memberId: '1001', phoneNumber: '9000000005' })).status, 409);
+  assert.equal((await admin('POST', '', { memberId: '1005', phoneNumber: '9876543210' })).status, 409);
+  assert.equal((await admin('POST', '', { phoneNumber: '9000000005' })).status, 400);
+});
+
+test('edits keep the normalized phone in step', async () => {
+  await admin('POST', '', { memberId: '1005', phoneNumber: '9000000005' });
+
+  const { status, body } = await admin('PUT', '/1005', { phoneNumber: '090000 00006', notes: 'Moved' });
+  assert.equal(status, 200);
+  assert.equal(body.data.phoneNormalized, '9000000006');
+  assert.equal(body.data.notes, 'Moved');
+
+  assert.equal((await admin('PUT', '/1005', { phoneNumber: '9876543210' })).status, 409);
+  assert.equal((await admin('PUT', '/1005', { memberId: '2000' })).status, 400);
+  assert.equal((await admin('PUT', '/missing', { name: 'X' })).status, 404);
+});
+
+test('a lock held by a live account needs force to release and unlinks it', async () => {
+  const { user } = await signup(api.call, { name: 'Asha', email: 'asha@example.com', memberId: '1001', phone: '9876543210' });
+
+  assert.equal((await admin('POST', '/1001/release', {})).status, 409);
+  const released = await admin('POST', '/1001/release', { force: true });
+  assert.equal(released.status, 200);
+  assert.equal(released.body.data.isUsed, false);
+  assert.equal((await storage.get(COLLECTIONS.USERS, user.id)).authorizedMemberId, null);
+  assert.equal((await admin('POST', '/1001/release', {})).status, 409);
+});
+
+test('a deactivated member no longer auto-approves until reactivated', async () => {
+  const deactivated = await admin('POST', '/1001/deactivate', { reason: 'Left the samaj' });
+  assert.equal(deactivated.status, 200);
+  assert.equal((await admin('POST', '/1001/deactivate', {})).status, 409);
+
+  const queued = await signup(api.call, { name: 'Asha', email: 'asha@example.com', memberId: '1001', phone: '9876543210' });
+  assert.equal(queued.user.accountStatus, 'pending');
+
+  assert.equal((await admin('POST', '/1001/reactivate', {})).status, 200);
+  assert.equal((await storage.get(COLLECTIONS.AUTHORIZED_MEMBERS, '1001')).isActive, true);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  storage,
+  COLLECTIONS,
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  createAdmin,
+  signup,
+} = require('./helpers');
+
+let api;
+let adminToken;
+let pending;
+
+test.before(async () => {
+  api = await startApi();
+});
+
+test.after(async () => {
+  await api.close();
+});
+
+test.beforeEach(async () => {
+  reset();
+  await seedAuthorizedMembers([
+    { memberId: '1001', phoneNumber: '9876543210' },
+    { memberId: '1003', phoneNumber: '9000000003' },
+  ]);
+  adminToken = await createAdmin();
+  pending = [
+    (await signup(api.call, { name: 'Bina', email: 'bina@example.com', memberId: '1003', phone: '9111111111' })).user,
+    (await signup(api.call, { name: 'Chetan', email: 'chetan@example.com', memberId: '7777', phone: '9876543219' })).user,
+  ];
+});
+
+const bulk = (action, body) => api.call('POST', `/api/admin/pending-users/bulk-${action}`, body, adminToken);
+
+test('bulk approve by id approves each user and claims their authorized record', async () => {
+  const { status, body } = await bulk('approve', { userIds: [pending[0].id] });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.summary, { requested: 1, done: 1, skipped: 0, failed: 0 });
+  assert.equal((await storage.get(COLLECTIONS.USERS, pending[0].id)).accountStatus, 'approved');
+  assert.equal((await storage.get(COLLECTIONS.USERS, pending[1].id)).accountStatus, 'pending');
+  assert.equal((await storage.get(COLLECTIONS.AUTHORIZED_MEMBERS, '1003')).usedBy, pending[0].id);
+});
+
+test('bulk approve skips users that are no longer pending', async () => {
+  await bulk('approve', { userIds: [pending[0].id] });
+  const { body } = await bulk('approve', { userIds: [pending[0].id, pending[1].id] });
+
+  assert.deepEqual(body.summary, { requested: 2, done: 1, skipped: 1, failed: 0 });
+});
+
+test('bulk reject applies the shared reason', async () => {
+  const { status } = await bulk('reject', { userIds: [pending[1].id], reason: 'Not a member' });
+
+  assert.equal(status, 200);
+  const user = await storage.get(COLLECTIONS.USERS, pending[1].id);
+  assert.equal(user.accountStatus, 'rejected');
+  assert.equal(user.rejectionReason, 'Not a member');
+});
+
+test('a filter selects by verification result', async () => {
+  const { body } = await bulk('reject', { filter: { reason: 'member_not_found' }, reason: 'Unknown Member ID' });
+
+  assert.deepEqual(body.data.map((result) => result.userId), [pending[1].id]);
+  assert.equal((await storage.get(COLLECTIONS.USERS, pending[0].id)).accountStatus, 'pending');
+});
+
+test('an empty, unknown or blank filter never selects the whole queue', async () => {
+  for (const filter of [{}, { matchstatus: 'exact_match' }, { decision: '' }]) {
+    const { status } = await bulk('approve', { filter });
+    assert.equal(status, 400, JSON.stringify(filter));
+  }
+  assert.equal((await bulk('approve', {})).status, 400);
+
+  const users = await Promise.all(pending.map((user) => storage.get(COLLECTIONS.USERS, user.id)));
+  assert.deepEqual(users.map((user) => user.accountStatus), ['pending', 'pending']);
+});
+
+test('bulk actions need an admin', async () => {
+  const member = await signup(api.call, { name: 'Asha', email: 'asha@example.com', memberId: '1001', phone: '9876543210' });
+  const { status } = await api.call('POST', '/api/admin/pending-users/bulk-approve', { userIds: [pending[0].id] }, member.token);
+
+  assert.equal(status, 403);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  createAdmin,
+  signup,
+} = require('./helpers');
+const {
+  compareMemberIds,
+  comparePhones,
+  nameSimilarity,
+  buildCandidatePool,
+  findCandidates,
+} = require('../utils/candidateMatching');
+
+test('member IDs match across leading zeros, transpositions and one typo', () => {
+  assert.equal(compareMemberIds('1001', '1001').kind, 'exact');
+  assert.equal(compareMemberIds('01001', '1001').kind, 'leading_zero_or_format');
+  assert.equal(compareMemberIds('1010', '1001').kind, 'transposed');
+  assert.equal(compareMemberIds('1002', '1001').kind, 'one_character_different');
+  assert.equal(compareMemberIds('2345', '1001'), null);
+});
+
+test('phones match when one or two digits differ', () => {
+  assert.equal(comparePhones('9876543210', '+91 98765 43210').kind, 'exact');
+  assert.equal(comparePhones('9876543211', '9876543210').kind, 'one_digit_different');
+  assert.equal(comparePhones('9876543299', '9876543210').kind, 'two_digits_different');
+  assert.equal(comparePhones('9876549999', '9876543210'), null);
+});
+
+test('names compare token by token', () => {
+  assert.equal(nameSimilarity('Asha Shah', 'shah asha'), 1);
+  assert.ok(nameSimilarity('Ramesh Shah', 'Ramesh') > 0.99);
+  assert.ok(nameSimilarity('Ramesh', 'Suresh') < 0.88);
+});
+
+test('candidates are ranked by the combined score and unclaimed records first', () => {
+  const pool = buildCandidatePool(
+    [
+      { id: '1001', memberId: '1001', phoneNumber: '9876543210', isUsed: false },
+      { id: '1010', memberId: '1010', phoneNumber: '9876543210', isUsed: true, usedBy: 'u1' },
+      { id: '5555', memberId: '5555', phoneNumber: '9000000000', name: 'Someone Else' },
+    ],
+    [{ id: 'info1', memberId: '1001', fullName: 'Ramesh Shah', number: '9876543210' }]
+  );
+
+  // The authorized record borrows its name from the information row
+  assert.equal(pool[0].name, 'Ramesh Shah');
+  assert.equal(pool[3].authorizedMemberId, '1001');
+
+  const candidates = findCandidates({ name: 'Ramesh Shah', memberId: '01001', phone: '9876543211' }, pool);
+  assert.deepEqual(candidates.map((candidate) => `${candidate.source}:${candidate.id}`), [
+    'authorizedMembers:1001',
+    'information:info1',
+    'authorizedMembers:1010',
+  ]);
+  assert.deepEqual(candidates[0].signals.map((signal) => signal.type), ['member_id', 'phone', 'name']);
+  assert.equal(findCandidates({ name: 'Ramesh Shah', memberId: '01001', phone: '' }, pool, { limit: 1 }).length, 1);
+});
+
+test('the pending list shows ranked candidates for each pending user', async () => {
+  const api = await startApi();
+  try {
+    reset();
+    await seedAuthorizedMembers([
+      { memberId: '1001', phoneNumber: '9876543210', name: 'Ramesh Shah' },
+      { memberId: '2002', phoneNumber: '9000000002', name: 'Bina Mehta' },
+    ]);
+    const adminToken = await createAdmin();
+    await signup(api.call, { name: 'Ramesh Shah', email: 'ramesh@example.com', memberId: '1010', phone: '9876543219' });
+
+    const { status, body } = await api.call('GET', '/api/admin/pending-users', null, adminToken);
+    assert.equal(status, 200);
+    assert.equal(body.data[0].matchStatus, 'not_found');
+    assert.deepEqual(body.data[0].candidates.map((candidate) => candidate.authorizedMemberId), ['1001']);
+
+    const skipped = await api.call('GET', '/api/admin/pending-users?suggestions=false', null, adminToken);
+    assert.equal(skipped.body.data[0].candidates, undefined);
+  } finally {
+    await api.close();
+  }
+});
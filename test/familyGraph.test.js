@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  storage,
+  COLLECTIONS,
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  signup,
+} = require('./helpers');
+const { migrateFamilyTree } = require('../utils/familyGraph');
+
+let api;
+let asha;
+let bina;
+
+test.before(async () => {
+  api = await startApi();
+});
+
+test.after(async () => {
+  await api.close();
+});
+
+test.beforeEach(async () => {
+  reset();
+  await seedAuthorizedMembers([
+    { memberId: '1001', phoneNumber: '9876543210' },
+    { memberId: '1002', phoneNumber: '9000000002' },
+  ]);
+  asha = await signup(api.call, { name: 'Asha', email: 'asha@example.com', memberId: '1001', phone: '9876543210' });
+  bina = await signup(api.call, { name: 'Bina', email: 'bina@example.com', memberId: '1002', phone: '9000000002' });
+});
+
+const me = async (token) => (await api.call('GET', '/api/family-graph/me', null, token)).body.data;
+const addRelative = (personId, relation, person, token) => api.call(
+  'POST',
+  `/api/family-graph/persons/${personId}/relatives`,
+  { relation, person },
+  token
+);
+
+test('relatives added to my own person come back in my graph', async () => {
+  const { rootId } = await me(asha.token);
+  const father = await addRelative(rootId, 'parent', { name: 'Ramesh', gender: 'male' }, asha.token);
+  await addRelative(rootId, 'parent', { name: 'Sita', gender: 'female' }, asha.token);
+  await addRelative(father.body.data.person.id, 'parent', { name: 'Kanji' }, asha.token);
+
+  assert.equal(father.status, 201);
+  assert.equal(father.body.data.relationship.fromPersonId, father.body.data.person.id);
+  assert.equal(father.body.data.relationship.toPersonId, rootId);
+
+  const graph = await me(asha.token);
+  assert.deepEqual(graph.persons.map((person) => person.name).sort(), ['Asha', 'Kanji', 'Ramesh', 'Sita']);
+  assert.equal(graph.relationships.length, 3);
+  graph.persons.forEach((person) => assert.equal(person.canEdit, true));
+});
+
+test('a third parent is refused', async () => {
+  const { rootId } = await me(asha.token);
+  await addRelative(rootId, 'parent', { name: 'Ramesh' }, asha.token);
+  await addRelative(rootId, 'parent', { name: 'Sita' }, asha.token);
+
+  const third = await addRelative(rootId, 'parent', { name: 'Kanji' }, asha.token);
+  assert.equal(third.status, 409);
+
+  const stepParent = await api.call('POST', '/api/family-graph/persons', { name: 'Kanji' }, asha.token);
+  const linked = await api.call('POST', '/api/family-graph/relationships', {
+    fromPersonId: stepParent.body.data.id,
+    toPersonId: rootId,
+    type: 'parent',
+  }, asha.token);
+  assert.equal(linked.status, 409);
+});
+
+test('a link that makes a person their own ancestor is refused', async () => {
+  const { rootId } = await me(asha.token);
+  const father = (await addRelative(rootId, 'parent', { name: 'Ramesh' }, asha.token)).body.data.person;
+  const grandfather = (await addRelative(father.id, 'parent', { name: 'Kanji' }, asha.token)).body.data.person;
+
+  const loop = await api.call('POST', '/api/family-graph/relationships', {
+    fromPersonId: rootId,
+    toPersonId: grandfather.id,
+    type: 'parent',
+  }, asha.token);
+  assert.equal(loop.status, 400);
+  assert.match(loop.body.message, /own ancestor/);
+
+  // The same loop written the other way round ("grandfather is the child of me")
+  const reversed = await api.call('POST', '/api/family-graph/relationships', {
+    fromPersonId: grandfather.id,
+    toPersonId: rootId,
+    type: 'child',
+  }, asha.token);
+  assert.equal(reversed.status, 400);
+  assert.equal((await me(asha.token)).relationships.length, 2);
+});
+
+test('persons in a tree not shared with me are restricted stubs', async () => {
+  const ashaRoot = (await me(asha.token)).rootId;
+  const binaRoot = (await me(bina.token)).rootId;
+
+  const linked = await api.call('POST', '/api/family-graph/relationships', {
+    fromPersonId: ashaRoot,
+    toPersonId: binaRoot,
+    type: 'sibling',
+  }, asha.token);
+  assert.equal(linked.status, 403);
+  assert.equal((await api.call('GET', `/api/family-graph/persons/${binaRoot}`, null, asha.token)).status, 403);
+  assert.equal((await addRelative(binaRoot, 'child', { name: 'Mira' }, asha.token)).status, 403);
+
+  // A link made elsewhere still shows, but only as an id
+  await storage.set(COLLECTIONS.RELATIONSHIPS, 'spouse_link', {
+    type: 'spouse',
+    fromPersonId: ashaRoot,
+    toPersonId: binaRoot,
+    personIds: [ashaRoot, binaRoot],
+  });
+  const graph = await me(asha.token);
+  assert.deepEqual(graph.persons.find((person) => person.id === binaRoot), { id: binaRoot, restricted: true });
+});
+
+test('flat family tree entries migrate once into persons and relationships', async () => {
+  const [entry] = await storage.query(COLLECTIONS.FAMILY_TREE, {
+    conditions: [{ field: 'createdBy', operator: '==', value: asha.user.id }],
+  });
+  await storage.update(COLLECTIONS.FAMILY_TREE, entry.id, {
+    fatherName: 'Ramesh',
+    motherName: 'Sita',
+    spouseName: 'Dev',
+    children: [{ name: 'Mira', dateOfBirth: '2015-04-01' }],
+  });
+
+  const dryRun = await migrateFamilyTree({ dryRun: true });
+  assert.equal(dryRun.migrated, 2);
+  assert.equal(await storage.get(COLLECTIONS.PERSONS, `self_${asha.user.id}`), null);
+
+  const stats = await migrateFamilyTree();
+  assert.deepEqual(stats, { entries: 2, migrated: 2, skipped: 0, persons: 6, relationships: 6 });
+  assert.equal((await migrateFamilyTree()).skipped, 2);
+
+  const graph = await me(asha.token);
+  assert.equal(graph.rootId, `self_${asha.user.id}`);
+  assert.deepEqual(graph.persons.map((person) => person.name).sort(), ['Asha', 'Dev', 'Mira', 'Ramesh', 'Sita']);
+});
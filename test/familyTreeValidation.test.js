@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+// The validators share phone rules with utils/memberVerification, which loads the storage backend
+require('./helpers');
+const {
+  parsePartialDate,
+  checkMarriageDate,
+  validateFamilyTreeEntry,
+} = require('../utils/familyTreeValidation');
+
+test('parsePartialDate keeps partial dates and converts DD/MM/YYYY', () => {
+  assert.equal(parsePartialDate('1990-05-17'), '1990-05-17');
+  assert.equal(parsePartialDate('1990-05-17T00:00:00Z'), '1990-05-17');
+  assert.equal(parsePartialDate('17/5/1990'), '1990-05-17');
+  assert.equal(parsePartialDate('1990-05'), '1990-05');
+  assert.equal(parsePartialDate('1990'), '1990');
+  assert.equal(parsePartialDate(''), '');
+  assert.equal(parsePartialDate('1990-02-30'), null);
+  assert.equal(parsePartialDate('1990-13'), null);
+  assert.equal(parsePartialDate('yesterday'), null);
+});
+
+test('a valid entry is cleaned and normalized', () => {
+  const { data, errors } = validateFamilyTreeEntry({
+    personName: '  Asha Shah ',
+    personPhone: '+91 98765 43210',
+    personDateOfBirth: '17/05/1980',
+    spouseName: 'Raj',
+    marriageDate: '2005',
+    children: ['Kush', { name: 'Luv', dateOfBirth: '2008-01-02', gender: 'Male', isDeceased: true }],
+  });
+
+  assert.equal(errors, null);
+  assert.equal(data.personName, 'Asha Shah');
+  assert.equal(data.personPhone, '9876543210');
+  assert.equal(data.personDateOfBirth, '1980-05-17');
+  assert.equal(data.marriageDate, '2005');
+  assert.deepEqual(data.children, [
+    { name: 'Kush', dateOfBirth: '', gender: '', phone: '', isDeceased: false },
+    { name: 'Luv', dateOfBirth: '2008-01-02', gender: 'male', phone: '', isDeceased: true },
+  ]);
+});
+
+test('errors are keyed by field path', () => {
+  const { errors } = validateFamilyTreeEntry({
+    personName: '',
+    personPhone: '12345',
+    personDateOfBirth: '2999-01-01',
+    spouseIsDeceased: 'yes',
+    children: [{ name: '', gender: 'robot' }],
+  });
+
+  assert.deepEqual(Object.keys(errors).sort(), [
+    'children[0].gender',
+    'children[0].name',
+    'personDateOfBirth',
+    'personName',
+    'personPhone',
+    'spouseIsDeceased',
+  ]);
+  assert.equal(errors.personDateOfBirth, 'Date of birth cannot be in the future');
+});
+
+test('children must be born after the person, who was at least 12 by then', () => {
+  const before = validateFamilyTreeEntry({
+    personName: 'Asha',
+    personDateOfBirth: '1980-01-01',
+    children: [{ name: 'Kush', dateOfBirth: '1979-12-31' }],
+  });
+  assert.equal(before.errors['children[0].dateOfBirth'], 'Must be after the date of birth of the person');
+
+  const young = validateFamilyTreeEntry({
+    personName: 'Asha',
+    personDateOfBirth: '1980-01-01',
+    children: [{ name: 'Kush', dateOfBirth: '1985' }],
+  });
+  assert.match(young.errors['children[0].dateOfBirth'], /younger than 12/);
+
+  // A year only rules nothing out unless impossible
+  const partial = validateFamilyTreeEntry({
+    personName: 'Asha',
+    personDateOfBirth: '1980',
+    children: [{ name: 'Kush', dateOfBirth: '1992' }],
+  });
+  assert.equal(partial.errors, null);
+});
+
+test('updates check new values against the stored entry', () => {
+  const existing = {
+    personName: 'Asha',
+    personDateOfBirth: '1980-01-01',
+    marriageDate: '2005-06-01',
+    children: [{ name: 'Kush', dateOfBirth: '2008-01-01' }],
+  };
+
+  assert.equal(validateFamilyTreeEntry({ personPhone: '9876543210' }, { existing }).errors, null);
+  assert.equal(
+    validateFamilyTreeEntry({ personDateOfBirth: '2010-01-01' }, { existing }).errors.personDateOfBirth,
+    'Conflicts with the date of birth of Kush'
+  );
+  assert.equal(
+    validateFamilyTreeEntry({ marriageDate: '1975' }, { existing }).errors.marriageDate,
+    'Must be after the date of birth of the person'
+  );
+});
+
+test('checkMarriageDate rejects future weddings', () => {
+  const now = Date.UTC(2024, 0, 1);
+  assert.equal(checkMarriageDate('2025-01-01', null, now), 'Marriage date cannot be in the future');
+  assert.equal(checkMarriageDate('2020-01-01', '1990', now), null);
+});
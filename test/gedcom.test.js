@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  storage,
+  COLLECTIONS,
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  signup,
+} = require('./helpers');
+const { parseGedcomDate, formatGedcomDate } = require('../utils/gedcom');
+
+const FAMILY = [
+  '0 HEAD',
+  '1 CHAR UTF-8',
+  '0 @I1@ INDI',
+  '1 NAME Asha /Shah/',
+  '1 SEX F',
+  '1 BIRT',
+  '2 DATE 3 MAR 1990',
+  '0 @I2@ INDI',
+  '1 NAME Ramesh /Shah/',
+  '1 SEX M',
+  '1 BIRT',
+  '2 DATE ABT 1960',
+  '1 DEAT',
+  '2 DATE 12 JAN 2020',
+  '0 @I3@ INDI',
+  '1 NAME Sita /Shah/',
+  '1 SEX F',
+  '0 @I4@ INDI',
+  '1 NAME Dev /Shah/',
+  '1 SEX M',
+  '0 @F1@ FAM',
+  '1 HUSB @I2@',
+  '1 WIFE @I3@',
+  '1 MARR',
+  '2 DATE 1985',
+  '1 CHIL @I1@',
+  '1 CHIL @I4@',
+  '0 TRLR',
+  '',
+].join('\n');
+
+test('dates keep the precision the file gives them', () => {
+  assert.equal(parseGedcomDate('3 MAR 1990'), '1990-03-03');
+  assert.equal(parseGedcomDate('ABT 1960'), '1960');
+  assert.equal(parseGedcomDate('BET 1950 AND 1955'), '1950');
+  assert.equal(parseGedcomDate('MAR 1990'), '1990-03');
+  assert.equal(parseGedcomDate('Spring'), '');
+  assert.equal(formatGedcomDate('1990-03-03'), '3 MAR 1990');
+  assert.equal(formatGedcomDate('1990-03'), 'MAR 1990');
+});
+
+test.describe('the GEDCOM endpoints', () => {
+  let api;
+  let asha;
+
+  test.before(async () => {
+    api = await startApi();
+  });
+
+  test.after(async () => {
+    await api.close();
+  });
+
+  test.beforeEach(async () => {
+    reset();
+    await seedAuthorizedMembers([
+      { memberId: '1001', phoneNumber: '9876543210' },
+      { memberId: '1002', phoneNumber: '9000000002' },
+    ]);
+    asha = await signup(api.call, { name: 'Asha', email: 'asha@example.com', memberId: '1001', phone: '9876543210' });
+  });
+
+  const upload = (text, token, query = '', filename = 'family.ged') => {
+    const form = new FormData();
+    form.append('file', new Blob([text], { type: 'text/plain' }), filename);
+    return api.call('POST', `/api/family-tree/gedcom${query}`, form, token);
+  };
+
+  const namesAndDates = (persons) => persons
+    .map((person) => [person.name, person.dateOfBirth, person.isDeceased, person.dateOfDeath])
+    .sort((a, b) => a[0].localeCompare(b[0]));
+
+  test('a dry run counts what would be imported and writes nothing', async () => {
+    const { status, body } = await upload(FAMILY, asha.token, '?selfXref=@I1@&dryRun=true');
+
+    assert.equal(status, 200);
+    assert.equal(body.data.persons, 3);
+    assert.equal(body.data.relationships, 5);
+    assert.deepEqual(await storage.query(COLLECTIONS.RELATIONSHIPS, {}), []);
+  });
+
+  test('an export re-imports into another tree as the same family', async () => {
+    const imported = await upload(FAMILY, asha.token, '?selfXref=@I1@');
+    assert.equal(imported.status, 201);
+
+    const graph = (await api.call('GET', '/api/family-graph/me?depth=3', null, asha.token)).body.data;
+    assert.equal(graph.persons.length, 4);
+    assert.equal(graph.relationships.length, 5);
+    // Empty fields of my own person are filled in from the file
+    assert.equal(graph.persons.find((person) => person.id === graph.rootId).dateOfBirth, '1990-03-03');
+
+    const exported = await api.call('GET', '/api/family-tree/gedcom', null, asha.token);
+    assert.equal(exported.status, 200);
+    const text = exported.body.toString();
+    assert.match(text, /^0 HEAD/);
+    assert.match(text, /1 NAME Ramesh \/Shah\//);
+    assert.match(text, /0 TRLR\s*$/);
+
+    const bina = await signup(api.call, { name: 'Bina', email: 'bina@example.com', memberId: '1002', phone: '9000000002' });
+    const again = await upload(text, bina.token);
+    assert.equal(again.status, 201);
+    assert.equal(again.body.data.persons, 4);
+    assert.equal(again.body.data.relationships, 5);
+
+    const copies = await storage.query(COLLECTIONS.PERSONS, {
+      conditions: [{ field: 'gedcomImportId', operator: '==', value: again.body.data.importId }],
+    });
+    assert.deepEqual(namesAndDates(copies), namesAndDates(graph.persons));
+  });
+
+  test('files that are not GEDCOM or name an unknown self are refused', async () => {
+    assert.equal((await upload(FAMILY, asha.token, '', 'family.txt')).status, 400);
+    assert.equal((await upload('0 HEAD\n0 TRLR\n', asha.token)).status, 400);
+    assert.equal((await upload(FAMILY, asha.token, '?selfXref=@I9@')).status, 400);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Test helpers: the API on the in-memory storage backend
+ *
+ * Mounts the same routes as server.js on an ephemeral port with
+ * STORAGE_BACKEND=memory, so tests need no Firebase project. Memory ID tokens
+ * are `memory:<uid>` (see config/storage/memoryAuth.js). Call reset() between
+ * tests for an empty store.
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const { once } = require('node:events');
+const express = require('express');
+const { storage, auth, COLLECTIONS } = require('../config/firestore');
+
+const ROUTES = {
+  '/api/auth': '../routes/auth',
+  '/api/family-tree': '../routes/familyTree',
+  '/api/family-graph': '../routes/familyGraph',
+  '/api/memorials': '../routes/memorials',
+  '/api/household': '../routes/household',
+  '/api/admin': '../routes/admin',
+  '/api/admin/content': '../routes/adminContent',
+  '/api/information': '../routes/information',
+};
+
+// The routes log every step; keep test output readable
+console.log = () => {};
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  Object.entries(ROUTES).forEach(([path, route]) => app.use(path, require(route)));
+  return app;
+}
+
+/**
+ * Start the API.
+ *
+ * @returns {Promise<{ call: Function, close: Function }>} call(method, path, body?, token?) → { status, body, headers }
+ *   (body is a Buffer for non-JSON responses such as file downloads)
+ */
+async function startApi() {
+  const server = createApp().listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // A FormData body is sent as a multipart upload, anything else as JSON
+  const call = async (method, path, body = null, token = null) => {
+    const isUpload = body instanceof FormData;
+    const response = await fetch(base + path, {
+      method,
+      headers: {
+        ...(isUpload ? {} : { 'content-type': 'application/json' }),
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+      },
+      body: isUpload ? body : (body ? JSON.stringify(body) : undefined),
+    });
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return {
+      status: response.status,
+      body: isJson ? await response.json() : Buffer.from(await response.arrayBuffer()),
+      headers: response.headers,
+    };
+  };
+
+  const close = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+
+  return { call, close };
+}
+
+function reset() {
+  storage.reset();
+}
+
+// Authorized member records, as imported from the membership list
+async function seedAuthorizedMembers(records) {
+  for (const { memberId, phoneNumber, name = '' } of records) {
+    await storage.set(COLLECTIONS.AUTHORIZED_MEMBERS, memberId, {
+      memberId,
+      phoneNumber,
+      name,
+      isUsed: false,
+      isActive: true,
+      importedAt: '2024-01-01',
+    });
+  }
+}
+
+async function createAdmin(email = 'admin@example.com') {
+  const { uid } = await auth.createUser({ email, password: 'secret123', displayName: 'Admin' });
+  await storage.set(COLLECTIONS.USERS, uid, {
+    name: 'Admin',
+    email,
+    role: 'admin',
+    memberId: 'ADMIN',
+    phone: '',
+    accountStatus: 'approved',
+    verificationStatus: 'verified',
+    requiresAdminApproval: false,
+    firebaseUid: uid,
+  });
+  return `memory:${uid}`;
+}
+
+/**
+ * Sign up through the API.
+ *
+ * @returns {Promise<{ status, body, user, token }>} user and token are null when signup failed
+ */
+async function signup(call, fields) {
+  const { status, body } = await call('POST', '/api/auth/signup', { password: 'secret123', ...fields });
+  const user = body.user || null;
+  return { status, body, user, token: user ? `memory:${user.id}` : null };
+}
+
+module.exports = {
+  storage,
+  COLLECTIONS,
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  createAdmin,
+  signup,
+};
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  storage,
+  COLLECTIONS,
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  createAdmin,
+  signup,
+} = require('./helpers');
+
+let api;
+let primary;
+let joiner;
+
+test.before(async () => {
+  api = await startApi();
+});
+
+test.after(async () => {
+  await api.close();
+});
+
+test.beforeEach(async () => {
+  reset();
+  await seedAuthorizedMembers([{ memberId: '1001', phoneNumber: '9876543210' }]);
+  primary = await signup(api.call, { name: 'Asha', email: 'asha@example.com', memberId: '1001', phone: '9876543210' });
+  joiner = await signup(api.call, {
+    name: 'Dev',
+    email: 'dev@example.com',
+    memberId: '1001',
+    phone: '9876543211',
+    joinHousehold: true,
+    householdRelation: 'son',
+  });
+});
+
+const household = (token) => api.call('GET', '/api/household', null, token);
+
+test('the primary holder sees the join request and approves it', async () => {
+  const before = await household(primary.token);
+  assert.equal(before.body.data.isPrimary, true);
+  assert.deepEqual(before.body.data.pending.map((member) => [member.email, member.householdRelation]), [['dev@example.com', 'son']]);
+  assert.equal((await api.call('GET', '/api/family-tree', null, joiner.token)).status, 403);
+
+  const approved = await api.call('POST', `/api/household/requests/${joiner.user.id}/approve`, {}, primary.token);
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.data.accountStatus, 'approved');
+
+  const after = await household(joiner.token);
+  assert.equal(after.body.data.isPrimary, false);
+  assert.deepEqual(after.body.data.pending, []);
+  assert.deepEqual(after.body.data.members.map((member) => member.email).sort(), ['asha@example.com', 'dev@example.com']);
+  // Joining never claims the authorized record a second time
+  assert.equal((await storage.get(COLLECTIONS.AUTHORIZED_MEMBERS, '1001')).usedBy, primary.user.id);
+});
+
+test('a declined request leaves the household untouched', async () => {
+  const declined = await api.call('POST', `/api/household/requests/${joiner.user.id}/decline`, {}, primary.token);
+
+  assert.equal(declined.status, 200);
+  const user = await storage.get(COLLECTIONS.USERS, joiner.user.id);
+  assert.equal(user.accountStatus, 'rejected');
+  assert.equal(user.householdStatus, 'declined');
+  assert.equal((await api.call('POST', `/api/household/requests/${joiner.user.id}/approve`, {}, primary.token)).status, 404);
+});
+
+test('the primary role can be handed over, and only the primary holder manages the household', async () => {
+  await api.call('POST', `/api/household/requests/${joiner.user.id}/approve`, {}, primary.token);
+
+  assert.equal((await api.call('PUT', '/api/household/primary', { userId: primary.user.id }, joiner.token)).status, 403);
+  assert.equal((await api.call('PUT', '/api/household/primary', { userId: primary.user.id }, primary.token)).status, 409);
+  assert.equal((await api.call('PUT', '/api/household/primary', {}, primary.token)).status, 400);
+
+  const transfer = await api.call('PUT', '/api/household/primary', { userId: joiner.user.id }, primary.token);
+  assert.equal(transfer.status, 200);
+  assert.equal((await household(joiner.token)).body.data.isPrimary, true);
+  assert.equal((await storage.get(COLLECTIONS.USERS, primary.user.id)).householdRole, 'member');
+
+  // The new primary holder can remove the old one, whose login is deactivated
+  assert.equal((await api.call('DELETE', `/api/household/members/${joiner.user.id}`, null, joiner.token)).status, 400);
+  const removed = await api.call('DELETE', `/api/household/members/${primary.user.id}`, null, joiner.token);
+  assert.equal(removed.status, 200);
+  assert.equal(removed.body.data.accountStatus, 'deactivated');
+  assert.equal(removed.body.data.householdStatus, 'removed');
+});
+
+test('a primary holder whose account is deleted hands the household to the next member', async () => {
+  await api.call('POST', `/api/household/requests/${joiner.user.id}/approve`, {}, primary.token);
+  const adminToken = await createAdmin();
+
+  const deleted = await api.call('DELETE', `/api/admin/users/${primary.user.id}`, null, adminToken);
+  assert.equal(deleted.status, 200);
+
+  assert.equal((await household(joiner.token)).body.data.isPrimary, true);
+  const admin = await api.call('GET', '/api/admin/households/1001', null, adminToken);
+  assert.equal(admin.body.data.primary.id, joiner.user.id);
+});
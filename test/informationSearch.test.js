@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  storage,
+  COLLECTIONS,
+  startApi,
+  reset,
+  createAdmin,
+} = require('./helpers');
+const { MAX_CANDIDATES, searchIndexFields } = require('../utils/informationSearch');
+
+let api;
+let token;
+
+async function seedInformation(rows) {
+  for (const [id, firstName, middleName, lastName] of rows) {
+    const info = { firstName, middleName, lastName, fullName: [firstName, middleName, lastName].filter(Boolean).join(' ') };
+    await storage.set(COLLECTIONS.INFORMATION, id, { ...info, ...searchIndexFields(info) });
+  }
+}
+
+test.before(async () => {
+  api = await startApi();
+});
+
+test.after(async () => {
+  await api.close();
+});
+
+test.beforeEach(async () => {
+  reset();
+  token = await createAdmin();
+  await seedInformation([
+    ['i1', 'Bhavesh', 'Kumar', 'Shah'],
+    ['i2', 'Bhavesh', '', 'Shah'],
+    ['i3', 'Bhavin', 'Ramesh', 'Shah'],
+    ['i4', 'Ramesh', 'Bhavesh', 'Mehta'],
+  ]);
+});
+
+const search = (query) => api.call('GET', `/api/information/search?${query}`, null, token);
+
+test('results are ranked exact, first + last, then partial', async () => {
+  const { status, body } = await search('name=bhavesh%20shah');
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.map((row) => [row.id, row.match]), [['i2', 'exact'], ['i1', 'first_last']]);
+
+  // Partial matches only, so by name
+  const partial = await search('name=bhav%20sh');
+  assert.deepEqual(partial.body.data.map((row) => [row.id, row.match]), [['i1', 'partial'], ['i2', 'partial'], ['i3', 'partial']]);
+});
+
+test('names are found however they are spelled or scripted', async () => {
+  for (const name of ['bavesh shah', 'Bhavésh Shah', 'ભાવેશ શાહ']) {
+    const { body } = await search(`name=${encodeURIComponent(name)}`);
+    assert.deepEqual(body.data.map((row) => row.id), ['i2', 'i1'], name);
+  }
+});
+
+test('a one-letter query finds nothing rather than failing', async () => {
+  const { status, body } = await search('name=b');
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data, []);
+  assert.equal(body.pagination.nextCursor, null);
+});
+
+test('pages follow the cursor without repeats', async () => {
+  const first = await search('name=bhav&limit=2');
+  assert.equal(first.body.pagination.hasNextPage, true);
+
+  const second = await search(`name=bhav&limit=2&cursor=${first.body.pagination.nextCursor}`);
+  const ids = [...first.body.data, ...second.body.data].map((row) => row.id);
+  assert.deepEqual(ids.sort(), ['i1', 'i2', 'i3', 'i4']);
+  assert.equal(second.body.pagination.hasNextPage, false);
+
+  assert.equal((await search('name=bhav&cursor=nonsense')).status, 400);
+});
+
+test('a name matching more rows than are read is reported as truncated', async () => {
+  const rows = Array.from({ length: MAX_CANDIDATES + 5 }, (_, i) => [`s${String(i).padStart(4, '0')}`, 'Sanjay', '', 'Shah']);
+  await seedInformation(rows);
+
+  const limits = [];
+  const query = storage.query;
+  storage.query = (collectionName, options) => {
+    if (collectionName === COLLECTIONS.INFORMATION) limits.push(options.limit);
+    return query(collectionName, options);
+  };
+  try {
+    const { body } = await search('name=sa');
+    assert.equal(body.pagination.truncated, true);
+    assert.ok(limits.length > 0);
+    limits.forEach((limit) => assert.ok(limit && limit <= MAX_CANDIDATES + 1));
+
+    assert.equal((await search('name=bhavesh')).body.pagination.truncated, false);
+  } finally {
+    storage.query = query;
+  }
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  signup,
+} = require('./helpers');
+const { englishRelationship, describeChain } = require('../utils/kinship');
+
+test('chains are named in English', () => {
+  assert.equal(englishRelationship('FBS', 'male'), 'first cousin');
+  assert.equal(englishRelationship('FBSS', 'male'), 'first cousin once removed');
+  assert.equal(englishRelationship('FFB', 'male'), 'great-uncle');
+  assert.equal(englishRelationship('HZ', 'female'), 'sister-in-law');
+  assert.equal(describeChain('MBD'), "mother's brother's daughter");
+});
+
+test.describe('the relationship endpoint', () => {
+  let api;
+  let asha;
+  let bina;
+  let people;
+
+  test.before(async () => {
+    api = await startApi();
+  });
+
+  test.after(async () => {
+    await api.close();
+  });
+
+  test.beforeEach(async () => {
+    reset();
+    await seedAuthorizedMembers([
+      { memberId: '1001', phoneNumber: '9876543210' },
+      { memberId: '1002', phoneNumber: '9000000002' },
+    ]);
+    asha = await signup(api.call, { name: 'Asha', email: 'asha@example.com', memberId: '1001', phone: '9876543210' });
+    bina = await signup(api.call, { name: 'Bina', email: 'bina@example.com', memberId: '1002', phone: '9000000002' });
+
+    const { rootId } = (await api.call('GET', '/api/family-graph/me', null, asha.token)).body.data;
+    people = { me: rootId };
+    const add = async (key, anchor, relation, name, gender) => {
+      const { body } = await api.call('POST', `/api/family-graph/persons/${people[anchor]}/relatives`, {
+        relation,
+        person: { name, gender },
+      }, asha.token);
+      people[key] = body.data.person.id;
+    };
+    await add('father', 'me', 'parent', 'Ramesh', 'male');
+    await add('mother', 'me', 'parent', 'Sita', 'female');
+    await add('grandfather', 'father', 'parent', 'Kanji', 'male');
+    await add('kaka', 'grandfather', 'child', 'Mahesh', 'male');
+    await add('cousin', 'kaka', 'child', 'Kiran', 'male');
+    await add('fai', 'father', 'sibling', 'Geeta', 'female');
+    await add('mama', 'mother', 'sibling', 'Nilesh', 'male');
+  });
+
+  const kinship = async (to, token = asha.token) => api.call('GET', `/api/family-tree/relationship?to=${to}`, null, token);
+
+  test('relatives are named with the Hindi and Gujarati term for their side of the family', async () => {
+    const expected = {
+      grandfather: ['FF', 'grandfather', { hi: 'dada', gu: 'dada' }],
+      kaka: ['FB', 'uncle', { hi: 'chacha / tau', gu: 'kaka' }],
+      cousin: ['FBS', 'first cousin', { hi: 'chachera bhai', gu: 'pitrai bhai' }],
+      fai: ['FZ', 'aunt', { hi: 'bua', gu: 'fai' }],
+      mama: ['MB', 'uncle', { hi: 'mama', gu: 'mama' }],
+    };
+
+    for (const [key, [chain, relationship, terms]] of Object.entries(expected)) {
+      const { status, body } = await kinship(people[key]);
+      assert.equal(status, 200);
+      assert.equal(body.data.chain, chain, key);
+      assert.equal(body.data.relationship, relationship, key);
+      assert.deepEqual(body.data.terms, terms, key);
+    }
+  });
+
+  test('the path back names each step, and from can be any person in my tree', async () => {
+    const { body } = await api.call('GET', `/api/family-tree/relationship?from=${people.cousin}&to=me`, null, asha.token);
+
+    // Asha has no gender on record, so she is a child rather than a daughter
+    assert.equal(body.data.chain, 'FBC');
+    assert.equal(body.data.relationship, 'first cousin');
+    assert.deepEqual(body.data.path.map((step) => step.name), ['Mahesh', 'Kanji', 'Ramesh', 'Asha']);
+  });
+
+  test('unrelated persons and persons outside my trees', async () => {
+    const binaRoot = (await api.call('GET', '/api/family-graph/me', null, bina.token)).body.data.rootId;
+    const stranger = await api.call('POST', '/api/family-graph/persons', { name: 'Paresh' }, asha.token);
+
+    const unrelated = await kinship(stranger.body.data.id);
+    assert.equal(unrelated.status, 200);
+    assert.equal(unrelated.body.data.related, false);
+
+    assert.equal((await kinship(binaRoot)).status, 403);
+    assert.equal((await api.call('GET', '/api/family-tree/relationship', null, asha.token)).status, 400);
+  });
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  storage,
+  COLLECTIONS,
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  createAdmin,
+  signup,
+} = require('./helpers');
+const {
+  DECISIONS,
+  normalizeMemberId,
+  normalizePhoneProvided,
+  verifyMember,
+  toMatchStatus,
+} = require('../utils/memberVerification');
+const { DEFAULT_POLICY } = require('../config/verificationPolicy');
+
+const policy = (overrides = {}) => ({ policy: { ...DEFAULT_POLICY, ...overrides } });
+
+test.beforeEach(async () => {
+  reset();
+  await seedAuthorizedMembers([
+    { memberId: '1001', phoneNumber: '9876543210' },
+    { memberId: '1003', phoneNumber: '9000000003.0' },
+  ]);
+});
+
+test('Member IDs and phones are normalized the way Excel exports them', () => {
+  assert.equal(normalizeMemberId(' 999999.0 '), '999999');
+  assert.equal(normalizeMemberId('9.99999E5'), '999999');
+  assert.equal(normalizePhoneProvided('+91 98765 43210'), '9876543210');
+  assert.equal(normalizePhoneProvided('098765 43210'), '9876543210');
+  assert.equal(normalizePhoneProvided(''), '');
+  assert.equal(normalizePhoneProvided('12345'), null);
+});
+
+test('a matching Member ID and phone is auto-approved', async () => {
+  const verification = await verifyMember({ memberId: '1003', phone: '9000000003' }, policy());
+
+  assert.equal(verification.decision, DECISIONS.AUTO_APPROVE);
+  assert.deepEqual(verification.reasons, []);
+  assert.equal(verification.authorizedMember.id, '1003');
+  assert.equal(toMatchStatus(verification), 'exact_match');
+});
+
+test('mismatches and unknown records are queued with reason codes', async () => {
+  const mismatch = await verifyMember({ memberId: '1001', phone: '9111111111' }, policy());
+  assert.equal(mismatch.decision, DECISIONS.PENDING);
+  assert.deepEqual(mismatch.reasons, ['phone_mismatch']);
+  assert.equal(toMatchStatus(mismatch), 'phone_mismatch');
+
+  const missing = await verifyMember({ memberId: '1001', phone: '' }, policy());
+  assert.deepEqual(missing.reasons, ['phone_missing']);
+
+  const unknown = await verifyMember({ memberId: '7777', phone: '9111111111' }, policy());
+  assert.deepEqual(unknown.reasons, ['member_not_found']);
+  assert.equal(toMatchStatus(unknown), 'not_found');
+
+  // Found only through the phone fallback: the Member ID itself is wrong
+  const byPhone = await verifyMember({ memberId: '7777', phone: '9876543210' }, policy());
+  assert.equal(byPhone.authorizedMember.id, '1001');
+  assert.deepEqual(byPhone.reasons, ['member_id_mismatch']);
+
+  const noFallback = await verifyMember({ memberId: '7777', phone: '9876543210' }, policy({ phoneFallbackLookup: false }));
+  assert.deepEqual(noFallback.reasons, ['member_not_found']);
+});
+
+test('the policy decides which matches are required', async () => {
+  const phoneOptional = await verifyMember({ memberId: '1001', phone: '9111111111' }, policy({ requirePhoneMatch: false }));
+  assert.equal(phoneOptional.decision, DECISIONS.AUTO_APPROVE);
+
+  const manual = await verifyMember({ memberId: '1001', phone: '9876543210' }, policy({ autoApprove: false }));
+  assert.equal(manual.decision, DECISIONS.PENDING);
+  assert.deepEqual(manual.reasons, ['auto_approve_disabled']);
+});
+
+test('inactive records are never auto-approved', async () => {
+  await storage.update(COLLECTIONS.AUTHORIZED_MEMBERS, '1001', { isActive: false });
+
+  const verification = await verifyMember({ memberId: '1001', phone: '9876543210' }, policy());
+  assert.deepEqual(verification.reasons, ['member_inactive']);
+});
+
+test('a record held by a live account blocks, one held by a deleted account is released', async () => {
+  await storage.set(COLLECTIONS.USERS, 'holder', { name: 'Asha', memberId: '1001' });
+  await storage.update(COLLECTIONS.AUTHORIZED_MEMBERS, '1001', { isUsed: true, usedBy: 'holder' });
+  await storage.update(COLLECTIONS.AUTHORIZED_MEMBERS, '1003', { isUsed: true, usedBy: 'deleted-user' });
+
+  const held = await verifyMember({ memberId: '1001', phone: '9876543210' }, policy());
+  assert.equal(held.decision, DECISIONS.BLOCKED);
+  assert.deepEqual(held.reasons, ['already_used']);
+  assert.equal(
+    (await verifyMember({ memberId: '1001', phone: '9876543210' }, policy({ blockClaimedMember: false }))).decision,
+    DECISIONS.PENDING
+  );
+  // The holder re-verifying its own record is not "already used"
+  assert.equal((await verifyMember({ memberId: '1001', phone: '9876543210' }, { ...policy(), userId: 'holder' })).decision, DECISIONS.AUTO_APPROVE);
+
+  const readOnly = await verifyMember({ memberId: '1003', phone: '9000000003' }, policy());
+  assert.equal(readOnly.decision, DECISIONS.AUTO_APPROVE);
+  assert.deepEqual(readOnly.reasons, ['stale_lock_reset']);
+  assert.equal((await storage.get(COLLECTIONS.AUTHORIZED_MEMBERS, '1003')).isUsed, true);
+
+  await verifyMember({ memberId: '1003', phone: '9000000003' }, { ...policy(), applyStaleLockReset: true });
+  assert.equal((await storage.get(COLLECTIONS.AUTHORIZED_MEMBERS, '1003')).isUsed, false);
+});
+
+test.describe('the stored policy', () => {
+  let api;
+  let adminToken;
+
+  test.before(async () => {
+    api = await startApi();
+  });
+
+  test.after(async () => {
+    await api.close();
+  });
+
+  test.beforeEach(async () => {
+    adminToken = await createAdmin();
+  });
+
+  test.afterEach(async () => {
+    await api.call('PUT', '/api/admin/verification-policy', DEFAULT_POLICY, adminToken);
+  });
+
+  test('admins tune signup and the pending list without code changes', async () => {
+    const invalid = await api.call('PUT', '/api/admin/verification-policy', { requirePhone: false }, adminToken);
+    assert.equal(invalid.status, 400);
+
+    const updated = await api.call('PUT', '/api/admin/verification-policy', { requirePhoneMatch: false }, adminToken);
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.data.requirePhoneMatch, false);
+
+    const { user } = await signup(api.call, { name: 'Asha', email: 'asha@example.com', memberId: '1001', phone: '9111111111' });
+    assert.equal(user.accountStatus, 'approved');
+
+    await api.call('PUT', '/api/admin/verification-policy', { autoApprove: false }, adminToken);
+    const queued = await signup(api.call, { name: 'Bina', email: 'bina@example.com', memberId: '1003', phone: '9000000003' });
+    assert.equal(queued.user.accountStatus, 'pending');
+
+    const { body } = await api.call('GET', '/api/admin/pending-users?suggestions=false', null, adminToken);
+    assert.deepEqual(body.data.map((pending) => pending.verification.reasons), [['auto_approve_disabled']]);
+  });
+});
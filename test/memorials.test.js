@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  storage,
+  COLLECTIONS,
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  createAdmin,
+  signup,
+} = require('./helpers');
+
+let api;
+let asha;
+let bina;
+let ba;
+
+// A date `daysFromToday` days from now (UTC), `yearsAgo` years back; four years keeps 29 February valid
+function pastDate(daysFromToday, yearsAgo = 4) {
+  const date = new Date(Date.now() + daysFromToday * 24 * 60 * 60 * 1000);
+  date.setUTCFullYear(date.getUTCFullYear() - yearsAgo);
+  return date.toISOString().slice(0, 10);
+}
+
+test.before(async () => {
+  api = await startApi();
+});
+
+test.after(async () => {
+  await api.close();
+});
+
+test.beforeEach(async () => {
+  reset();
+  await seedAuthorizedMembers([
+    { memberId: '1001', phoneNumber: '9876543210' },
+    { memberId: '1002', phoneNumber: '9000000002' },
+  ]);
+  asha = await signup(api.call, { name: 'Asha', email: 'asha@example.com', memberId: '1001', phone: '9876543210' });
+  bina = await signup(api.call, { name: 'Bina', email: 'bina@example.com', memberId: '1002', phone: '9000000002' });
+
+  const { rootId } = (await api.call('GET', '/api/family-graph/me', null, asha.token)).body.data;
+  ba = (await api.call('POST', `/api/family-graph/persons/${rootId}/relatives`, {
+    relation: 'parent',
+    person: { name: 'Kamla', gender: 'female', dateOfBirth: pastDate(2, 80) },
+  }, asha.token)).body.data.person;
+});
+
+const publish = (body, token = asha.token) => api.call('POST', '/api/memorials', body, token);
+
+test('the family publishes a notice prefilled from the tree, which marks the person deceased', async () => {
+  const dateOfDeath = pastDate(3);
+  const { status, body } = await publish({ personId: ba.id, dateOfDeath, deathTithi: 'Kartik Vad 5' });
+
+  assert.equal(status, 201);
+  assert.equal(body.data.deceasedName, 'Kamla');
+  assert.equal(body.data.memberId, '1001');
+  assert.equal(body.data.deathMonthDay, dateOfDeath.slice(5));
+
+  const person = await storage.get(COLLECTIONS.PERSONS, ba.id);
+  assert.equal(person.isDeceased, true);
+  assert.equal(person.dateOfDeath, dateOfDeath);
+  assert.equal(person.deathTithi, 'Kartik Vad 5');
+
+  assert.equal((await publish({ personId: ba.id, dateOfDeath })).status, 409);
+  const feed = await api.call('GET', '/api/memorials', null, bina.token);
+  assert.deepEqual(feed.body.data.map((notice) => notice.deceasedName), ['Kamla']);
+});
+
+test('only the family or a content manager can publish', async () => {
+  assert.equal((await publish({ personId: ba.id, dateOfDeath: pastDate(3) }, bina.token)).status, 403);
+  assert.equal((await publish({ deceasedName: 'Shanti', dateOfDeath: pastDate(3) }, bina.token)).status, 403);
+  assert.equal((await publish({ personId: ba.id, dateOfDeath: pastDate(3, -1) })).status, 400);
+
+  const adminToken = await createAdmin();
+  const community = await publish({ deceasedName: 'Shanti', dateOfDeath: pastDate(3) }, adminToken);
+  assert.equal(community.status, 201);
+  assert.equal(community.body.data.personId, null);
+});
+
+test('a withdrawn notice leaves the feed but stays visible to the family', async () => {
+  const { body } = await publish({ personId: ba.id, dateOfDeath: pastDate(3) });
+
+  assert.equal((await api.call('DELETE', `/api/memorials/${body.data.id}`, { reason: 'Duplicate' }, bina.token)).status, 403);
+  const withdrawn = await api.call('DELETE', `/api/memorials/${body.data.id}`, { reason: 'Duplicate' }, asha.token);
+  assert.equal(withdrawn.status, 200);
+  assert.equal(withdrawn.body.data.status, 'withdrawn');
+
+  assert.deepEqual((await api.call('GET', '/api/memorials', null, bina.token)).body.data, []);
+  assert.equal((await api.call('GET', `/api/memorials/${body.data.id}`, null, bina.token)).status, 404);
+  assert.equal((await api.call('GET', `/api/memorials/${body.data.id}`, null, asha.token)).status, 200);
+});
+
+test('punyatithi comes up for the family, and birthdays stop once a person is deceased', async () => {
+  const birthdays = async () => (await api.call('GET', '/api/family-tree/reminders?type=birthday', null, asha.token))
+    .body.data.map((event) => event.name);
+  assert.deepEqual(await birthdays(), ['Kamla']);
+
+  await publish({ personId: ba.id, dateOfDeath: pastDate(3) });
+
+  assert.deepEqual(await birthdays(), []);
+  const { body } = await api.call('GET', '/api/memorials/anniversaries?days=7&scope=family', null, asha.token);
+  assert.deepEqual(body.data.map((item) => [item.name, item.daysAway, item.years]), [['Kamla', 3, 4]]);
+
+  // Other members see it through the community notice
+  const community = await api.call('GET', '/api/memorials/anniversaries?days=7', null, bina.token);
+  assert.deepEqual(community.body.data.map((item) => [item.source, item.name]), [['community', 'Kamla']]);
+  assert.equal((await api.call('GET', '/api/memorials/anniversaries?scope=world', null, asha.token)).status, 400);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  transliterate,
+  normalizeName,
+  phoneticKey,
+  phoneticTokens,
+  nameMatches,
+} = require('../utils/nameMatching');
+
+test('transliterate spells Gujarati and Devanagari alike, with schwa deletion', () => {
+  assert.equal(transliterate('मेहता'), 'mehtaa');
+  assert.equal(transliterate('ભાવેશ'), transliterate('भावेश'));
+  assert.equal(transliterate('नरेन्द्र'), 'narendra');
+  assert.equal(transliterate('Shah 12'), 'Shah 12');
+});
+
+test('transliterate spells ज्ञ / જ્ઞ as "gn"', () => {
+  assert.equal(transliterate('जिज्ञा'), 'jignaa');
+  assert.equal(transliterate('જીજ્ઞેશ'), 'jiignesh');
+});
+
+test('normalizeName strips accents and punctuation', () => {
+  assert.equal(normalizeName('  Bhavésh-Kumar  SHAH '), 'bhavesh kumar shah');
+  assert.equal(normalizeName(null), '');
+});
+
+test('phoneticKey folds the spellings the module header promises', () => {
+  const pairs = [
+    ['bhavesh', 'bavesh'],
+    ['dhaval', 'daval'],
+    ['khushi', 'kusi'],
+    ['shah', 'sah'],
+    ['chhaya', 'chaya'],
+    ['chhaya', 'caya'],
+    ['phalguni', 'falguni'],
+    ['vishwas', 'vishvas'],
+    ['zubin', 'jubin'],
+    ['deepa', 'dipa'],
+    ['pooja', 'puja'],
+    ['shah', 'sha'],
+    ['aarti', 'arti'],
+    ['datta', 'data'],
+    ['krishna', 'krishn'],
+    ['prajna', 'pragna'],
+  ];
+  pairs.forEach(([a, b]) => assert.equal(phoneticKey(a), phoneticKey(b), `${a} / ${b}`));
+});
+
+test('phoneticKey folds the Gujarati spelling of "eh" only before another syllable', () => {
+  assert.equal(phoneticKey('mahetaa'), phoneticKey('mehta'));
+  assert.equal(phoneticKey('maheta'), phoneticKey('mehta'));
+  assert.equal(phoneticKey('mahesh'), 'mahes');
+  assert.equal(phoneticKey('mahendra'), 'mahendr');
+});
+
+// Script spellings drop the final "a" (कृष्ण is "krishn"), so names that differ
+// only by it share a key; ranking, not matching, tells them apart
+test('phoneticKey merges names that differ only by a trailing "a", by design', () => {
+  assert.equal(phoneticKey('amita'), phoneticKey('amit'));
+  assert.equal(phoneticKey('harsha'), phoneticKey('harsh'));
+  assert.ok(nameMatches('amit', 'Amita'));
+});
+
+test('phoneticKey keeps the trailing "a" of short words', () => {
+  assert.equal(phoneticKey('sha'), 'sa');
+  assert.notEqual(phoneticKey('sha'), phoneticKey('s'));
+});
+
+test('phoneticTokens reads every script', () => {
+  assert.deepEqual(phoneticTokens('ભાવેશ શાહ'), ['baves', 'sa']);
+  assert.deepEqual(phoneticTokens('Bhavesh Shah'), ['baves', 'sa']);
+  assert.deepEqual(phoneticTokens(''), []);
+});
+
+test('nameMatches compares word prefixes across scripts and spellings', () => {
+  assert.ok(nameMatches('chhaya', 'Chaya'));
+  assert.ok(nameMatches('Jignesh', 'જીજ્ઞેશ'));
+  assert.ok(nameMatches('jignesh', 'जिज्ञेश'));
+  assert.ok(nameMatches('bavesh sha', 'ભાવેશ શાહ'));
+  assert.ok(nameMatches('krishna', 'कृष्ण'));
+  assert.ok(nameMatches('mehta', 'मेहता'));
+  assert.ok(nameMatches('bhav', 'Bhavesh Shah'));
+  assert.ok(nameMatches('shah', 'Ramesh', 'Ramesh Shah'));
+});
+
+test('common Gujarati surnames match their English spelling', () => {
+  const pairs = [
+    ['Shah', 'શાહ'],
+    ['Mehta', 'મહેતા'],
+    ['Mehta', 'મેહતા'],
+    ['Patel', 'પટેલ'],
+    ['Desai', 'દેસાઈ'],
+    ['Joshi', 'જોશી'],
+    ['Doshi', 'દોશી'],
+    ['Parikh', 'પરીખ'],
+    ['Trivedi', 'ત્રિવેદી'],
+    ['Gandhi', 'ગાંધી'],
+    ['Mahesh', 'મહેશ'],
+    ['Mahendra', 'મહેન્દ્ર'],
+  ];
+  pairs.forEach(([english, gujarati]) => {
+    assert.ok(nameMatches(english, gujarati), `${english} / ${gujarati}`);
+    assert.ok(nameMatches(gujarati, english), `${gujarati} / ${english}`);
+  });
+});
+
+test('nameMatches needs every query word', () => {
+  assert.ok(!nameMatches('bhavesh patel', 'Bhavesh Shah'));
+  assert.ok(!nameMatches('', 'Bhavesh'));
+  assert.ok(!nameMatches('mehul', 'Mehta'));
+});
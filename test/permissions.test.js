@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  storage,
+  COLLECTIONS,
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  createAdmin,
+  signup,
+} = require('./helpers');
+const { auth } = require('../config/firestore');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+
+let api;
+let adminToken;
+let staff;
+
+test.before(async () => {
+  api = await startApi();
+});
+
+test.after(async () => {
+  await api.close();
+});
+
+test.beforeEach(async () => {
+  reset();
+  await seedAuthorizedMembers([{ memberId: '1001', phoneNumber: '9876543210' }]);
+  adminToken = await createAdmin();
+  staff = await signup(api.call, { name: 'Asha', email: 'asha@example.com', memberId: '1001', phone: '9876543210' });
+});
+
+const setRole = (userId, role, token = adminToken) => api.call('PUT', `/api/admin/users/${userId}/role`, { role }, token);
+const statusOf = async (method, path) => (await api.call(method, path, null, staff.token)).status;
+
+test('each committee role grants only its permissions', () => {
+  assert.equal(hasPermission('admin', PERMISSIONS.AUDIT_VIEW), true);
+  assert.equal(hasPermission('content_editor', PERMISSIONS.CONTENT_MANAGE), true);
+  assert.equal(hasPermission('content_editor', PERMISSIONS.USERS_VIEW), false);
+  assert.equal(hasPermission('membership_officer', PERMISSIONS.AUTHORIZED_MEMBERS_MANAGE), true);
+  assert.equal(hasPermission('membership_officer', PERMISSIONS.SETTINGS_MANAGE), false);
+  assert.equal(hasPermission('viewer', PERMISSIONS.DASHBOARD_VIEW), true);
+  assert.equal(hasPermission('user', PERMISSIONS.DASHBOARD_VIEW), false);
+  assert.equal(hasPermission('unknown', PERMISSIONS.DASHBOARD_VIEW), false);
+});
+
+test('a role change is mirrored into custom claims', async () => {
+  const { status, body } = await setRole(staff.user.id, 'membership_officer');
+
+  assert.equal(status, 200);
+  assert.ok(body.permissions.includes(PERMISSIONS.USERS_APPROVE));
+  const { customClaims } = await auth.getUser(staff.user.id);
+  assert.equal(customClaims.role, 'membership_officer');
+  assert.deepEqual(customClaims.permissions, body.permissions);
+});
+
+test('content editors manage content but not users', async () => {
+  await setRole(staff.user.id, 'content_editor');
+
+  assert.equal(await statusOf('GET', '/api/admin/content/committee'), 200);
+  assert.equal(await statusOf('GET', '/api/admin/users'), 403);
+  assert.equal(await statusOf('GET', '/api/admin/pending-users'), 403);
+});
+
+test('membership officers approve signups and manage authorized members only', async () => {
+  await setRole(staff.user.id, 'membership_officer');
+
+  assert.equal(await statusOf('GET', '/api/admin/pending-users'), 200);
+  assert.equal(await statusOf('GET', '/api/admin/authorized-members'), 200);
+  assert.equal(await statusOf('GET', '/api/admin/content/committee'), 403);
+  assert.equal(await statusOf('GET', '/api/admin/audit'), 403);
+  assert.equal((await setRole(staff.user.id, 'admin', staff.token)).status, 403);
+});
+
+test('viewers only see dashboards', async () => {
+  await setRole(staff.user.id, 'viewer');
+
+  assert.equal(await statusOf('GET', '/api/admin/dashboard'), 200);
+  assert.equal(await statusOf('GET', '/api/admin/pending-users'), 403);
+});
+
+test('unknown roles and self-demotion are refused', async () => {
+  assert.equal((await setRole(staff.user.id, 'superuser')).status, 400);
+
+  const [admin] = await storage.query(COLLECTIONS.USERS, { conditions: [{ field: 'role', operator: '==', value: 'admin' }] });
+  assert.equal((await setRole(admin.id, 'viewer')).status, 400);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  storage,
+  COLLECTIONS,
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  createAdmin,
+  signup,
+} = require('./helpers');
+
+let api;
+let adminToken;
+
+test.before(async () => {
+  api = await startApi();
+});
+
+test.after(async () => {
+  await api.close();
+});
+
+test.beforeEach(async () => {
+  reset();
+  await seedAuthorizedMembers([
+    { memberId: '1001', phoneNumber: '9876543210' },
+    { memberId: '1002', phoneNumber: '9000000002' },
+  ]);
+  adminToken = await createAdmin();
+  await storage.update(COLLECTIONS.AUTHORIZED_MEMBERS, '1002', { isUsed: true, usedBy: 'deleted-user' });
+  await storage.set(COLLECTIONS.INFORMATION, 'info1', { memberId: '1001', number: '9111111111', fullName: 'Asha Shah' });
+  const { user } = await signup(api.call, { name: 'Chetan', email: 'chetan@example.com', memberId: '7777', phone: '9876543219' });
+  await api.call('POST', `/api/admin/pending-users/${user.id}/approve`, {}, adminToken);
+});
+
+const report = async (categories) => {
+  const { body } = await api.call('GET', `/api/admin/reconciliation?categories=${categories}`, null, adminToken);
+  return Object.fromEntries(body.data.categories.map((group) => [group.category, group]));
+};
+
+test('each drift is listed under its category with a suggested fix', async () => {
+  const groups = await report('stale_lock,user_member_not_authorized,information_phone_mismatch');
+
+  assert.deepEqual(Object.keys(groups), ['stale_lock', 'user_member_not_authorized', 'information_phone_mismatch']);
+  assert.equal(groups.stale_lock.count, 1);
+  assert.equal(groups.stale_lock.autoFixable, 1);
+  assert.equal(groups.stale_lock.issues[0].refs.authorizedMemberId, '1002');
+  assert.equal(groups.user_member_not_authorized.count, 1);
+  assert.equal(groups.user_member_not_authorized.autoFixable, 0);
+  assert.equal(groups.information_phone_mismatch.issues[0].refs.informationId, 'info1');
+  groups.information_phone_mismatch.issues.forEach((issue) => assert.ok(issue.suggestedFix));
+});
+
+test('only the safe fixes are applied', async () => {
+  const { status, body } = await api.call('POST', '/api/admin/reconciliation/fix', {
+    categories: ['stale_lock', 'information_phone_mismatch'],
+  }, adminToken);
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data, { applied: 1, writes: 1, byCategory: { stale_lock: 1 } });
+  const released = await storage.get(COLLECTIONS.AUTHORIZED_MEMBERS, '1002');
+  assert.equal(released.isUsed, false);
+  assert.equal(released.usedBy, null);
+  assert.equal((await storage.get(COLLECTIONS.INFORMATION, 'info1')).number, '9111111111');
+
+  const groups = await report('stale_lock,information_phone_mismatch');
+  assert.equal(groups.stale_lock.count, 0);
+  assert.equal(groups.information_phone_mismatch.count, 1);
+});
+
+test('unknown categories are refused', async () => {
+  assert.equal((await api.call('GET', '/api/admin/reconciliation?categories=typos', null, adminToken)).status, 400);
+  assert.equal((await api.call('POST', '/api/admin/reconciliation/fix', { categories: ['typos'] }, adminToken)).status, 400);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  storage,
+  COLLECTIONS,
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  signup,
+} = require('./helpers');
+const { sendReminderDigests } = require('../utils/reminders');
+
+let api;
+let asha;
+
+// A date `daysFromToday` days from now (UTC), `yearsAgo` years back; four-year steps keep 29 February valid
+function pastDate(daysFromToday, yearsAgo) {
+  const date = new Date(Date.now() + daysFromToday * 24 * 60 * 60 * 1000);
+  date.setUTCFullYear(date.getUTCFullYear() - yearsAgo);
+  return date.toISOString().slice(0, 10);
+}
+
+test.before(async () => {
+  api = await startApi();
+});
+
+test.after(async () => {
+  await api.close();
+});
+
+test.beforeEach(async () => {
+  reset();
+  await seedAuthorizedMembers([{ memberId: '1001', phoneNumber: '9876543210' }]);
+  asha = await signup(api.call, { name: 'Asha', email: 'asha@example.com', memberId: '1001', phone: '9876543210' });
+
+  const [entry] = await storage.query(COLLECTIONS.FAMILY_TREE, {
+    conditions: [{ field: 'createdBy', operator: '==', value: asha.user.id }],
+  });
+  await storage.update(COLLECTIONS.FAMILY_TREE, entry.id, {
+    personDateOfBirth: pastDate(7, 32),
+    spouseName: 'Dev',
+    marriageDate: pastDate(0, 8),
+    children: [
+      { name: 'Mira', dateOfBirth: pastDate(7, 4) },
+      // Legacy entries may hold a child with a date of birth but no name
+      { dateOfBirth: pastDate(7, 4) },
+      { name: 'Ravi', dateOfBirth: pastDate(7, 12), isDeceased: true },
+    ],
+  });
+});
+
+test('birthdays and wedding anniversaries come up in date order, without unnamed or deceased children', async () => {
+  const { status, body } = await api.call('GET', '/api/family-tree/reminders?days=10', null, asha.token);
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.map((event) => [event.type, event.name, event.daysAway, event.years]), [
+    ['wedding_anniversary', 'Asha & Dev', 0, 8],
+    ['birthday', 'Asha', 7, 32],
+    ['birthday', 'Mira', 7, 4],
+  ]);
+
+  const birthdays = await api.call('GET', '/api/family-tree/reminders?days=10&type=birthday', null, asha.token);
+  assert.equal(birthdays.body.data.length, 2);
+  assert.equal((await api.call('GET', '/api/family-tree/reminders?type=diwali', null, asha.token)).status, 400);
+});
+
+test('the daily digest reaches opted-in users once a day and shows in their inbox', async () => {
+  assert.equal(await sendReminderDigests(), 0);
+  assert.equal((await api.call('GET', '/api/family-tree/reminders/digest', null, asha.token)).body.data, null);
+
+  const optIn = await api.call('PUT', '/api/auth/notification-preferences', { familyReminders: true }, asha.token);
+  assert.equal(optIn.status, 200);
+
+  assert.equal(await sendReminderDigests(), 1);
+  assert.equal(await sendReminderDigests(), 0);
+
+  const { body } = await api.call('GET', '/api/family-tree/reminders/digest', null, asha.token);
+  assert.deepEqual(body.data.today.map((item) => item.name), ['Asha & Dev']);
+  assert.deepEqual(body.data.upcoming.map((item) => item.name), ['Asha', 'Mira']);
+});
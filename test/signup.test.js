@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  storage,
+  COLLECTIONS,
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  signup,
+} = require('./helpers');
+const { auth } = require('../config/firestore');
+
+let api;
+
+test.before(async () => {
+  api = await startApi();
+});
+
+test.after(async () => {
+  await api.close();
+});
+
+test.beforeEach(async () => {
+  reset();
+  await seedAuthorizedMembers([
+    { memberId: '1001', phoneNumber: '9876543210', name: 'Ramesh Shah' },
+    { memberId: '1003', phoneNumber: '9000000003' },
+  ]);
+});
+
+test('signup with a matching Member ID and phone is approved and claims the record', async () => {
+  const { status, user } = await signup(api.call, {
+    name: 'Asha Shah',
+    email: 'asha@example.com',
+    memberId: '1001',
+    phone: '+91 98765 43210',
+  });
+
+  assert.equal(status, 201);
+  assert.equal(user.accountStatus, 'approved');
+
+  const record = await storage.get(COLLECTIONS.AUTHORIZED_MEMBERS, '1001');
+  assert.equal(record.isUsed, true);
+  assert.equal(record.usedBy, user.id);
+});
+
+test('signup with a phone that does not match waits for an admin and claims nothing', async () => {
+  const { status, user } = await signup(api.call, {
+    name: 'Bina',
+    email: 'bina@example.com',
+    memberId: '1003',
+    phone: '9111111111',
+  });
+
+  assert.equal(status, 201);
+  assert.equal(user.accountStatus, 'pending');
+
+  const record = await storage.get(COLLECTIONS.AUTHORIZED_MEMBERS, '1003');
+  assert.equal(record.isUsed, false);
+});
+
+test('signup with an unknown Member ID waits for an admin', async () => {
+  const { status, user } = await signup(api.call, {
+    name: 'Chetan',
+    email: 'chetan@example.com',
+    memberId: '7777',
+    phone: '9876543219',
+  });
+
+  assert.equal(status, 201);
+  assert.equal(user.accountStatus, 'pending');
+});
+
+test('a second signup on a claimed Member ID is refused unless it asks to join the household', async () => {
+  await signup(api.call, { name: 'Asha', email: 'asha@example.com', memberId: '1001', phone: '9876543210' });
+
+  const second = await signup(api.call, { name: 'Dev', email: 'dev@example.com', memberId: '1001', phone: '9876543210' });
+  assert.equal(second.status, 400);
+  assert.equal(second.body.householdJoinAvailable, true);
+
+  const joiner = await signup(api.call, {
+    name: 'Dev',
+    email: 'dev@example.com',
+    memberId: '1001',
+    phone: '9876543211',
+    joinHousehold: true,
+  });
+  assert.equal(joiner.status, 201);
+  assert.equal(joiner.user.householdStatus, 'pending');
+});
+
+test('two signups racing for one Member ID approve only one and leave no orphaned login', async () => {
+  const results = await Promise.all([
+    signup(api.call, { name: 'Asha', email: 'asha@example.com', memberId: '1001', phone: '9876543210' }),
+    signup(api.call, { name: 'Dev', email: 'dev@example.com', memberId: '1001', phone: '9876543210' }),
+  ]);
+
+  assert.deepEqual(results.map((result) => result.status).sort(), [201, 400]);
+  const winner = results.find((result) => result.status === 201).user;
+  assert.equal((await storage.get(COLLECTIONS.AUTHORIZED_MEMBERS, '1001')).usedBy, winner.id);
+  await assert.rejects(auth.getUserByEmail(winner.email === 'asha@example.com' ? 'dev@example.com' : 'asha@example.com'));
+});
+
+test('signup requires name, email, password and Member ID', async () => {
+  const { status } = await signup(api.call, { name: 'Eshan', email: 'eshan@example.com' });
+  assert.equal(status, 400);
+});
+
+test.describe('re-applying after a rejection', () => {
+  let rejected;
+  let passwordUpdates;
+  let originalUpdateUser;
+  let originalRunTransaction;
+
+  test.beforeEach(async () => {
+    rejected = (await signup(api.call, { name: 'Bina', email: 'bina@example.com', memberId: '1003', phone: '9111111111' })).user;
+    await storage.update(COLLECTIONS.USERS, rejected.id, { accountStatus: 'rejected' });
+
+    passwordUpdates = [];
+    originalUpdateUser = auth.updateUser;
+    originalRunTransaction = storage.runTransaction;
+    auth.updateUser = async (uid, properties) => {
+      passwordUpdates.push(uid);
+      return originalUpdateUser(uid, properties);
+    };
+  });
+
+  test.afterEach(() => {
+    auth.updateUser = originalUpdateUser;
+    storage.runTransaction = originalRunTransaction;
+  });
+
+  test('updates the existing login once the claim commits', async () => {
+    const { status, user } = await signup(api.call, { name: 'Bina', email: 'bina@example.com', memberId: '1003', phone: '9000000003' });
+
+    assert.equal(status, 201);
+    assert.equal(user.accountStatus, 'approved');
+    assert.deepEqual(passwordUpdates, [rejected.id]);
+  });
+
+  test('leaves the password alone when the claim transaction fails', async () => {
+    // An admin approves the account between verification and the transaction
+    storage.runTransaction = async (fn) => {
+      await storage.update(COLLECTIONS.USERS, rejected.id, { accountStatus: 'approved' });
+      return originalRunTransaction(fn);
+    };
+
+    const { status } = await signup(api.call, { name: 'Bina', email: 'bina@example.com', memberId: '1003', phone: '9000000003' });
+
+    assert.equal(status, 400);
+    assert.deepEqual(passwordUpdates, []);
+    assert.ok(await auth.getUser(rejected.id));
+  });
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  storage,
+  COLLECTIONS,
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  createAdmin,
+  signup,
+} = require('./helpers');
+const {
+  isSuspensionExpired,
+  liftExpiredSuspension,
+  liftExpiredSuspensions,
+} = require('../utils/accountLifecycle');
+
+let api;
+let adminToken;
+let member;
+
+test.before(async () => {
+  api = await startApi();
+});
+
+test.after(async () => {
+  await api.close();
+});
+
+test.beforeEach(async () => {
+  reset();
+  await seedAuthorizedMembers([{ memberId: '1001', phoneNumber: '9876543210' }]);
+  adminToken = await createAdmin();
+  member = await signup(api.call, { name: 'Asha', email: 'asha@example.com', memberId: '1001', phone: '9876543210' });
+});
+
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+const suspend = (userId, body) => api.call('POST', `/api/admin/users/${userId}/suspend`, body, adminToken);
+
+test('isSuspensionExpired only applies to suspensions with a past end date', () => {
+  const past = new Date(Date.now() - 1000);
+  assert.equal(isSuspensionExpired({ accountStatus: 'suspended', suspendedUntil: past }), true);
+  assert.equal(isSuspensionExpired({ accountStatus: 'suspended', suspendedUntil: new Date(Date.now() + 1000) }), false);
+  assert.equal(isSuspensionExpired({ accountStatus: 'suspended', suspendedUntil: null }), false);
+  assert.equal(isSuspensionExpired({ accountStatus: 'approved', suspendedUntil: past }), false);
+});
+
+test('a suspension needs a reason and a future end date, and never the admin\'s own account', async () => {
+  assert.equal((await suspend(member.user.id, { until: inOneHour() })).status, 400);
+  assert.equal((await suspend(member.user.id, { reason: 'Spam', until: '2000-01-01' })).status, 400);
+  assert.equal((await suspend(member.user.id, { reason: 'Spam', until: 'soon' })).status, 400);
+
+  const admin = await storage.query(COLLECTIONS.USERS, { conditions: [{ field: 'role', operator: '==', value: 'admin' }] });
+  assert.equal((await suspend(admin[0].id, { reason: 'Spam' })).status, 400);
+
+  const { status, body } = await suspend(member.user.id, { reason: 'Spam', until: inOneHour() });
+  assert.equal(status, 200);
+  assert.equal(body.data.suspensionReason, 'Spam');
+});
+
+test('a suspended user is blocked until the suspension ends', async () => {
+  const { user, token } = member;
+  await suspend(user.id, { reason: 'Spam', until: inOneHour() });
+
+  const blocked = await api.call('GET', '/api/family-tree', null, token);
+  assert.equal(blocked.status, 403);
+  assert.equal(blocked.body.accountStatus, 'suspended');
+
+  await storage.update(COLLECTIONS.USERS, user.id, { suspendedUntil: new Date(Date.now() - 1000) });
+  const allowed = await api.call('GET', '/api/family-tree', null, token);
+  assert.equal(allowed.status, 200);
+  assert.equal((await storage.get(COLLECTIONS.USERS, user.id)).accountStatus, 'approved');
+});
+
+test('a request that loses the race to lift a suspension still gets through', async () => {
+  const { user, token } = member;
+  await storage.update(COLLECTIONS.USERS, user.id, { accountStatus: 'suspended', suspendedUntil: new Date(Date.now() - 1000) });
+  const stale = { id: user.id, ...(await storage.get(COLLECTIONS.USERS, user.id)) };
+
+  // Another request lifts it between this request's read and its own lift
+  assert.ok(await liftExpiredSuspension(stale));
+  const originalGet = storage.get;
+  let first = true;
+  storage.get = async (collectionName, docId) => {
+    if (collectionName === COLLECTIONS.USERS && first) {
+      first = false;
+      return { ...stale };
+    }
+    return originalGet(collectionName, docId);
+  };
+  try {
+    const { status } = await api.call('GET', '/api/family-tree', null, token);
+    assert.equal(status, 200);
+  } finally {
+    storage.get = originalGet;
+  }
+});
+
+test('an admin can lift a suspension early', async () => {
+  await suspend(member.user.id, { reason: 'Spam' });
+
+  const lifted = await api.call('POST', `/api/admin/users/${member.user.id}/unsuspend`, {}, adminToken);
+  assert.equal(lifted.status, 200);
+  assert.equal((await api.call('GET', '/api/family-tree', null, member.token)).status, 200);
+  assert.equal((await api.call('POST', `/api/admin/users/${member.user.id}/unsuspend`, {}, adminToken)).status, 409);
+});
+
+test('the sweep lifts only expired suspensions', async () => {
+  const other = await signup(api.call, { name: 'Bina', email: 'bina@example.com', memberId: '7777', phone: '9111111111' });
+  await api.call('POST', `/api/admin/pending-users/${other.user.id}/approve`, {}, adminToken);
+  await suspend(member.user.id, { reason: 'Spam', until: inOneHour() });
+  await suspend(other.user.id, { reason: 'Spam', until: inOneHour() });
+  await storage.update(COLLECTIONS.USERS, member.user.id, { suspendedUntil: new Date(Date.now() - 1000) });
+
+  assert.equal(await liftExpiredSuspensions(), 1);
+  assert.equal((await storage.get(COLLECTIONS.USERS, member.user.id)).accountStatus, 'approved');
+  assert.equal((await storage.get(COLLECTIONS.USERS, other.user.id)).accountStatus, 'suspended');
+  assert.equal(await liftExpiredSuspensions(), 0);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  signup,
+} = require('./helpers');
+
+let api;
+let asha;
+let people;
+
+test.before(async () => {
+  api = await startApi();
+});
+
+test.after(async () => {
+  await api.close();
+});
+
+test.beforeEach(async () => {
+  reset();
+  await seedAuthorizedMembers([{ memberId: '1001', phoneNumber: '9876543210' }]);
+  asha = await signup(api.call, { name: 'Asha', email: 'asha@example.com', memberId: '1001', phone: '9876543210' });
+
+  const { rootId } = (await api.call('GET', '/api/family-graph/me', null, asha.token)).body.data;
+  people = { me: rootId };
+  const add = async (key, anchor, relation, person) => {
+    const { body } = await api.call('POST', `/api/family-graph/persons/${people[anchor]}/relatives`, {
+      relation,
+      person,
+    }, asha.token);
+    people[key] = body.data.person.id;
+  };
+  await add('father', 'me', 'parent', { name: 'Ramesh', gender: 'male' });
+  await add('mother', 'me', 'parent', { name: 'Sita', gender: 'female' });
+  await add('grandfather', 'father', 'parent', { name: 'Kanji', gender: 'male' });
+  await add('nani', 'mother', 'parent', { name: 'Gauri', gender: 'female' });
+  await add('brother', 'father', 'child', { name: 'Dev', gender: 'male', dateOfBirth: '1988-01-01' });
+  await add('daughter', 'me', 'child', { name: 'Mira', gender: 'female' });
+  await add('grandson', 'daughter', 'child', { name: 'Arjun', gender: 'male' });
+  await api.call('POST', '/api/family-graph/relationships', {
+    fromPersonId: people.father,
+    toPersonId: people.mother,
+    type: 'spouse',
+  }, asha.token);
+});
+
+const layout = (query) => api.call('GET', `/api/family-tree/layout?${query}`, null, asha.token);
+
+test('the tree climbs the paternal line and pairs spouses on one node', async () => {
+  const { status, body } = await layout('personId=me&up=2&down=1');
+
+  assert.equal(status, 200);
+  const { tree } = body.data;
+  assert.equal(body.data.rootPersonId, people.grandfather);
+  assert.deepEqual(body.data.generations, { up: 2, down: 1 });
+  assert.equal(tree.generation, -2);
+
+  const [father] = tree.children;
+  assert.equal(father.name, 'Ramesh');
+  assert.deepEqual(father.spouses.map((spouse) => spouse.name), ['Sita']);
+  // Children of either spouse, oldest first
+  assert.deepEqual(father.children.map((child) => child.name), ['Dev', 'Asha']);
+
+  const me = father.children[1];
+  assert.equal(me.isFocus, true);
+  assert.equal(me.generation, 0);
+  const [daughter] = me.children;
+  assert.equal(daughter.collapsed, true);
+  assert.equal(daughter.childCount, 1);
+  assert.deepEqual(daughter.children, []);
+});
+
+test('the maternal line and collapsed branches', async () => {
+  const { body } = await layout(`up=2&down=2&line=maternal&collapsed=${people.father}`);
+
+  assert.equal(body.data.rootPersonId, people.nani);
+  const [mother] = body.data.tree.children;
+  assert.equal(mother.name, 'Sita');
+  assert.equal(mother.collapsed, undefined);
+
+  const collapsed = (await layout(`up=1&collapsed=${people.father}`)).body.data.tree;
+  assert.equal(collapsed.id, people.father);
+  assert.equal(collapsed.collapsed, true);
+  assert.equal(collapsed.childCount, 2);
+});
+
+test('the same tree renders as SVG, and bad options are refused', async () => {
+  const svg = await layout('format=svg');
+  assert.equal(svg.status, 200);
+  assert.match(svg.headers.get('content-type'), /image\/svg\+xml/);
+  assert.match(svg.body.toString(), /<svg[\s\S]*Kanji[\s\S]*<\/svg>/);
+
+  assert.equal((await layout('line=sideways')).status, 400);
+  assert.equal((await layout('format=pdf')).status, 400);
+  assert.equal((await layout('personId=missing')).status, 404);
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+  startApi,
+  reset,
+  seedAuthorizedMembers,
+  signup,
+} = require('./helpers');
+const { loadTreeAccess } = require('../utils/treeSharing');
+
+let api;
+let owner;
+let householdMember;
+let guest;
+let entry;
+
+test.before(async () => {
+  api = await startApi();
+});
+
+test.after(async () => {
+  await api.close();
+});
+
+test.beforeEach(async () => {
+  reset();
+  await seedAuthorizedMembers([
+    { memberId: '1001', phoneNumber: '9876543210' },
+    { memberId: '1003', phoneNumber: '9000000003' },
+  ]);
+
+  owner = await signup(api.call, { name: 'Asha', email: 'asha@example.com', memberId: '1001', phone: '9876543210' });
+  householdMember = await signup(api.call, {
+    name: 'Dev',
+    email: 'dev@example.com',
+    memberId: '1001',
+    phone: '9876543211',
+    joinHousehold: true,
+  });
+  await api.call('POST', `/api/household/requests/${householdMember.user.id}/approve`, {}, owner.token);
+  guest = await signup(api.call, { name: 'Bina', email: 'bina@example.com', memberId: '1003', phone: '9000000003' });
+
+  entry = (await api.call('POST', '/api/family-tree', { personName: 'Ba' }, owner.token)).body.data;
+});
+
+async function shareWithGuest(role) {
+  const invite = await api.call('POST', '/api/family-tree/shares', {
+    granteeType: 'user',
+    granteeUserId: guest.user.id,
+    role,
+  }, owner.token);
+  assert.equal(invite.status, 201);
+  await api.call('POST', `/api/family-tree/shares/${invite.body.data.id}/accept`, {}, guest.token);
+  return invite.body.data;
+}
+
+test('entries belong to the tree of the household that created them', async () => {
+  const own = await api.call('POST', '/api/family-tree', { personName: 'Kaka' }, householdMember.token);
+
+  assert.equal(entry.memberId, '1001');
+  assert.equal(own.body.data.memberId, '1001');
+});
+
+test('an editor share can view and edit but not delete', async () => {
+  await shareWithGuest('editor');
+
+  assert.equal((await api.call('GET', `/api/family-tree/${entry.id}`, null, guest.token)).status, 200);
+  assert.equal((await api.call('PUT', `/api/family-tree/${entry.id}`, { notes: 'x' }, guest.token)).status, 200);
+  assert.equal((await api.call('DELETE', `/api/family-tree/${entry.id}`, null, guest.token)).status, 403);
+});
+
+test('an editor share can add entries to the shared tree', async () => {
+  const target = { personName: 'Fai', memberId: '1001' };
+  assert.equal((await api.call('POST', '/api/family-tree', target, guest.token)).status, 403);
+
+  await shareWithGuest('editor');
+  const added = await api.call('POST', '/api/family-tree', target, guest.token);
+  assert.equal(added.status, 201);
+  assert.equal(added.body.data.memberId, '1001');
+  assert.equal(added.body.data.createdBy, guest.user.id);
+
+  // Without memberId it is still my own tree
+  assert.equal((await api.call('POST', '/api/family-tree', { personName: 'Kaka' }, guest.token)).body.data.memberId, '1003');
+});
+
+test('a viewer share can only view', async () => {
+  await shareWithGuest('viewer');
+
+  assert.equal((await api.call('GET', `/api/family-tree/${entry.id}`, null, guest.token)).status, 200);
+  assert.equal((await api.call('PUT', `/api/family-tree/${entry.id}`, { notes: 'x' }, guest.token)).status, 403);
+  assert.equal((await api.call('DELETE', `/api/family-tree/${entry.id}`, null, guest.token)).status, 403);
+  assert.equal((await api.call('POST', '/api/family-tree', { personName: 'Fai', memberId: '1001' }, guest.token)).status, 403);
+});
+
+test('without a share other members see nothing', async () => {
+  assert.equal((await api.call('GET', `/api/family-tree/${entry.id}`, null, guest.token)).status, 403);
+});
+
+test('any owner of the tree can delete an entry, not only its creator', async () => {
+  const { status } = await api.call('DELETE', `/api/family-tree/${entry.id}`, null, householdMember.token);
+  assert.equal(status, 200);
+});
+
+const RULES = fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8');
+
+function rulesFor(from, to) {
+  const block = RULES.slice(RULES.indexOf(from), RULES.indexOf(to));
+  return (operation) => block.slice(block.indexOf(`allow ${operation}:`)).split(';')[0].replace(/\s+/g, ' ');
+}
+
+// firestore.rules has to enforce the same model as loadTreeAccess().canDelete
+test('firestore.rules deletes familyTree entries with the canDelete predicate', async () => {
+  const rule = rulesFor('match /familyTree/{entryId}', 'match /persons/{personId}');
+
+  assert.equal(
+    rule('delete'),
+    'allow delete: if isAuthenticated() && isApproved() && (resource.data.createdBy == request.auth.uid || isTreeOwner(resource.data.memberId))'
+  );
+  assert.match(
+    rule('create'),
+    /request\.resource\.data\.memberId == myTreeKey\(\) \|\| canEditTree\(request\.resource\.data\.memberId\)/
+  );
+  assert.match(rule('update'), /keepsTreeFields\(\) &&/);
+
+  // The same predicate, evaluated the way the rule does, agrees with canDelete
+  const access = await loadTreeAccess(householdMember.user);
+  const myTreeKey = access.treeKey;
+  const rulesCanDelete = (doc) => doc.createdBy === householdMember.user.id ||
+    (typeof doc.memberId === 'string' && doc.memberId !== '' && doc.memberId === myTreeKey);
+  const docs = [
+    { createdBy: householdMember.user.id, memberId: '' },
+    { createdBy: owner.user.id, memberId: '1001' },
+    { createdBy: guest.user.id, memberId: '1003' },
+    { createdBy: guest.user.id, memberId: '' },
+  ];
+  docs.forEach((doc) => assert.equal(access.canDelete(doc), rulesCanDelete(doc), JSON.stringify(doc)));
+});
+
+// Tree ownership is read from the caller's user doc, so users must not be able to rewrite it
+test('firestore.rules keep users from changing the fields tree ownership is read from', () => {
+  const rule = rulesFor('match /users/{userId}', 'match /authorizedMembers/{memberId}');
+  const listed = RULES.slice(RULES.indexOf('function privilegedUserFields()'));
+  const privileged = listed.slice(listed.indexOf('['), listed.indexOf(']'));
+
+  ['role', 'accountStatus', 'memberId', 'householdId', 'householdStatus', 'householdRole'].forEach((field) => {
+    assert.match(privileged, new RegExp(`'${field}'`), field);
+  });
+  assert.match(rule('update'), /isOwner\(userId\) && !request\.resource\.data\.diff\(resource\.data\)\.affectedKeys\(\)\.hasAny\(privilegedUserFields\(\)\)/);
+  assert.match(rule('create'), /!request\.resource\.data\.keys\(\)\.hasAny\(privilegedUserFields\(\)\)/);
+});
@@ -0,0 +1,240 @@
+/**
+ * Account Lifecycle
+ *
+ * The single place that changes a user's accountStatus. Every admin endpoint
+ * (approve, reject, bulk actions, deactivate/reactivate) and the signup
+ * re-apply flow go through planTransition / transitionUser, so the allowed
+ * transitions and the fields written for each state live here only.
+ *
+ * States: pending, approved, rejected, suspended, deactivated
+ * (users created before the verification system have no accountStatus and
+ * are treated as approved).
+ *
+ * Each transition is appended to `statusHistory` on the user doc:
+ *   { action, from, to, by, reason, at }
+ *
+ * Deactivation remembers the state it interrupted (`statusBeforeDeactivation`)
+ * and reactivation returns the account to it, so a pending or rejected user
+ * cannot come back approved without a review.
+ *
+ * Suspensions may carry an end date (`suspendedUntil`); once it passes the
+ * account is reinstated by liftExpiredSuspension (on the user's next request)
+ * or by the periodic liftExpiredSuspensions sweep.
+ */
+
+const {
+  COLLECTIONS,
+  queryDocuments,
+  runTransaction,
+  timestampToDate,
+} = require('../config/firestore');
+
+const ACCOUNT_STATES = ['pending', 'approved', 'rejected', 'suspended', 'deactivated'];
+
+// action -> allowed source states (null = no account yet) and target states
+const TRANSITIONS = {
+  signup: { from: [null], to: ['pending', 'approved'] },
+  reapply: { from: ['pending', 'rejected'], to: ['pending', 'approved'] },
+  approve: { from: ['pending'], to: ['approved'] },
+  reject: { from: ['pending'], to: ['rejected'] },
+  suspend: { from: ['approved'], to: ['suspended'] },
+  reinstate: { from: ['suspended'], to: ['approved'] },
+  deactivate: { from: ['pending', 'approved', 'rejected', 'suspended'], to: ['deactivated'] },
+  reactivate: { from: ['deactivated'], to: ['pending', 'approved', 'rejected', 'suspended'] },
+};
+
+// Fields implied by the target state
+const STATE_FIELDS = {
+  pending: { verificationStatus: 'pending_admin', requiresAdminApproval: true },
+  approved: { verificationStatus: 'verified', requiresAdminApproval: false },
+  rejected: { verificationStatus: 'unverified', requiresAdminApproval: false },
+  suspended: {},
+  deactivated: {},
+};
+
+const MAX_HISTORY_ENTRIES = 50;
+
+function lifecycleError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = 'invalid-transition';
+  return error;
+}
+
+function getAccountState(user) {
+  if (!user) return null;
+  return user.accountStatus || 'approved';
+}
+
+// The state a deactivated account returns to. Accounts deactivated before it
+// was recorded fall back to their last deactivation in statusHistory.
+function stateBeforeDeactivation(user) {
+  if (user?.statusBeforeDeactivation) return user.statusBeforeDeactivation;
+  const history = Array.isArray(user?.statusHistory) ? user.statusHistory : [];
+  const last = [...history].reverse().find((entry) => entry && entry.action === 'deactivate');
+  return last?.from || 'approved';
+}
+
+// Target state of an action: reactivate always restores, others default to their first target
+function targetState(user, action, to) {
+  if (action === 'reactivate') return stateBeforeDeactivation(user);
+  return to || TRANSITIONS[action].to[0];
+}
+
+function canTransition(user, action, to) {
+  const rule = TRANSITIONS[action];
+  if (!rule) return false;
+  const target = targetState(user, action, to);
+  return rule.from.includes(getAccountState(user)) && rule.to.includes(target);
+}
+
+// Bookkeeping fields written alongside the state change
+function actionFields(action, from, by, reason, at, options) {
+  switch (action) {
+    case 'approve':
+      return { reviewedBy: by, reviewedAt: at, rejectionReason: '' };
+    case 'reject':
+      return { reviewedBy: by, reviewedAt: at, rejectionReason: reason || 'No reason provided' };
+    case 'reapply':
+      return { reviewedBy: null, reviewedAt: null, rejectionReason: '', reappliedAt: at };
+    case 'suspend':
+      return {
+        suspendedBy: by,
+        suspendedAt: at,
+        suspensionReason: reason || '',
+        suspendedUntil: options.until || null,
+      };
+    case 'reinstate':
+      return { suspendedBy: null, suspendedAt: null, suspensionReason: '', suspendedUntil: null };
+    case 'deactivate':
+      return {
+        deactivatedBy: by,
+        deactivatedAt: at,
+        deactivationReason: reason || '',
+        statusBeforeDeactivation: from,
+      };
+    case 'reactivate':
+      return { deactivatedBy: null, deactivatedAt: null, deactivationReason: '', statusBeforeDeactivation: null };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Validate a transition and build the update for the user doc. Pure, so it can
+ * be used inside a caller's transaction.
+ *
+ * @param {Object|null} user - current user doc (null for a brand-new signup)
+ * @param {String} action - key of TRANSITIONS
+ * @param {Object} [options]
+ * @param {String} [options.to] - target state when the action allows several
+ *   (ignored by reactivate, which restores the state before deactivation)
+ * @param {Object} [options.actor] - user performing the change ({ id }); null for self-service
+ * @param {String} [options.reason]
+ * @param {Date} [options.until] - suspension end date (suspend only)
+ * @returns {{ from, to, update }}
+ * @throws lifecycleError (status 409) when the transition is not allowed
+ */
+function planTransition(user, action, options = {}) {
+  const rule = TRANSITIONS[action];
+  if (!rule) {
+    throw lifecycleError(400, `Unknown account action "${action}"`);
+  }
+
+  const from = getAccountState(user);
+  const to = targetState(user, action, options.to);
+
+  if (!rule.to.includes(to)) {
+    throw lifecycleError(400, `Action "${action}" cannot move an account to "${to}"`);
+  }
+  if (!rule.from.includes(from)) {
+    throw lifecycleError(409, `Cannot ${action} an account that is ${from || 'new'}`);
+  }
+
+  const by = options.actor?.id || null;
+  const reason = options.reason || null;
+  const at = new Date();
+
+  const history = Array.isArray(user?.statusHistory) ? user.statusHistory : [];
+  const entry = { action, from, to, by, reason, at };
+
+  return {
+    from,
+    to,
+    update: {
+      accountStatus: to,
+      ...STATE_FIELDS[to],
+      ...actionFields(action, from, by, reason, at, options),
+      statusHistory: [...history, entry].slice(-MAX_HISTORY_ENTRIES),
+    },
+  };
+}
+
+/**
+ * Apply a lifecycle action to a stored user in its own transaction.
+ *
+ * @returns {Promise<{ user, previous, from, to }>} user is the updated doc, previous the doc before
+ * @throws lifecycleError (404 when the user does not exist, 409 for a disallowed transition)
+ */
+async function transitionUser(userId, action, options = {}) {
+  return await runTransaction(async (tx) => {
+    const user = await tx.getDocumentById(COLLECTIONS.USERS, userId);
+    if (!user) {
+      throw lifecycleError(404, 'User not found');
+    }
+
+    const { from, to, update } = planTransition(user, action, options);
+    tx.updateDocument(COLLECTIONS.USERS, userId, update);
+
+    return { user: { ...user, ...update }, previous: user, from, to };
+  });
+}
+
+function isSuspensionExpired(user, now = new Date()) {
+  if (getAccountState(user) !== 'suspended' || !user.suspendedUntil) return false;
+  const until = timestampToDate(user.suspendedUntil);
+  return until instanceof Date && until.getTime() <= now.getTime();
+}
+
+/**
+ * Reinstate a suspended user whose end date has passed.
+ *
+ * @returns {Promise<Object|null>} the reinstated user, or null if still suspended
+ */
+async function liftExpiredSuspension(user) {
+  if (!isSuspensionExpired(user)) return null;
+  try {
+    const { user: reinstated } = await transitionUser(user.id, 'reinstate', { reason: 'Suspension expired' });
+    console.log(`⏰ Suspension expired for user ${user.email || user.id}`);
+    return reinstated;
+  } catch (error) {
+    // Already reinstated by another request / the sweep
+    if (error.code === 'invalid-transition') return null;
+    throw error;
+  }
+}
+
+// Reinstate every suspended account whose end date has passed. Returns the count.
+async function liftExpiredSuspensions() {
+  const suspended = await queryDocuments(COLLECTIONS.USERS, [
+    { field: 'accountStatus', operator: '==', value: 'suspended' },
+  ]);
+
+  let lifted = 0;
+  for (const user of suspended) {
+    if (await liftExpiredSuspension(user)) lifted++;
+  }
+  return lifted;
+}
+
+module.exports = {
+  ACCOUNT_STATES,
+  TRANSITIONS,
+  getAccountState,
+  canTransition,
+  planTransition,
+  transitionUser,
+  isSuspensionExpired,
+  liftExpiredSuspension,
+  liftExpiredSuspensions,
+};
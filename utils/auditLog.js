@@ -0,0 +1,144 @@
+/**
+ * Admin Audit Log
+ *
+ * Append-only record of privileged actions in the admin routes. Each entry:
+ * {
+ *   action,                  // e.g. 'user.approve', 'content.committee.update'
+ *   actorId, actorEmail,
+ *   targetType, targetId,    // e.g. 'user' / uid, 'committeeMembers' / doc id
+ *   changes,                 // { field: { before, after } } for changed fields only
+ *   metadata,                // action-specific extras (reason, bulk, ...)
+ *   ip, userAgent,
+ *   createdAt,
+ * }
+ *
+ * Entries are never updated or deleted by the API; firestore.rules denies
+ * client writes to the collection.
+ */
+
+const {
+  COLLECTIONS,
+  createDocument,
+  getDocumentById,
+  storage,
+} = require('../config/firestore');
+
+// Never copied into an audit entry
+const REDACTED_FIELDS = ['password'];
+// Bookkeeping fields that change on every write and add noise to diffs
+const IGNORED_FIELDS = ['createdAt', 'updatedAt', 'statusHistory'];
+
+const MAX_QUERY_LIMIT = 200;
+
+function toComparable(value) {
+  if (value === undefined) return null;
+  if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+/**
+ * Field-level diff between two snapshots of a document.
+ * `before` is null for creates and `after` is null for deletes.
+ */
+function diffChanges(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach((key) => {
+    if (key === 'id' || IGNORED_FIELDS.includes(key)) return;
+
+    const from = toComparable(before?.[key]);
+    const to = toComparable(after?.[key]);
+    if (JSON.stringify(from) === JSON.stringify(to)) return;
+
+    changes[key] = REDACTED_FIELDS.includes(key)
+      ? { before: '[redacted]', after: '[redacted]' }
+      : { before: from, after: to };
+  });
+
+  return changes;
+}
+
+function requestIp(req) {
+  const forwarded = String(req.headers?.['x-forwarded-for'] || '').split(',')[0].trim();
+  return forwarded || req.ip || req.socket?.remoteAddress || null;
+}
+
+/**
+ * Record a privileged action. Never throws: a failed audit write is logged and
+ * must not fail the admin action itself.
+ *
+ * @param {Object} req - express request (actor and IP are taken from it)
+ * @param {Object} entry - { action, targetType, targetId, before, after, metadata }
+ */
+async function recordAudit(req, { action, targetType, targetId = null, before = null, after = null, metadata = {} }) {
+  try {
+    return await createDocument(COLLECTIONS.AUDIT_LOG, {
+      action,
+      actorId: req.user?.id || null,
+      actorEmail: req.user?.email || null,
+      targetType,
+      targetId: targetId === null ? null : String(targetId),
+      changes: diffChanges(before, after),
+      metadata: JSON.parse(JSON.stringify(metadata || {})),
+      ip: requestIp(req),
+      userAgent: req.headers?.['user-agent'] || null,
+    });
+  } catch (error) {
+    console.error(`⚠️  Failed to write audit log entry (${action}):`, error.message);
+    return null;
+  }
+}
+
+function auditError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Query audit entries, newest first.
+ *
+ * Equality filters, the createdAt range, the order and the page size all go to
+ * the query, so each page reads at most `limit` entries. Filtered queries use
+ * the (field, createdAt desc) composite indexes in firestore.indexes.json;
+ * Firestore merges them when several filters are combined.
+ *
+ * @param {Object} filters - { actorId, targetType, targetId, action, from, to (Dates), limit, cursor (entry id) }
+ * @returns {Promise<{ entries, nextCursor }>}
+ * @throws auditError (400) for a cursor that is not an audit entry
+ */
+async function queryAuditLog({ actorId, targetType, targetId, action, from, to, limit = 50, cursor = null } = {}) {
+  const conditions = [];
+  if (actorId) conditions.push({ field: 'actorId', operator: '==', value: String(actorId) });
+  if (targetType) conditions.push({ field: 'targetType', operator: '==', value: String(targetType) });
+  if (targetId) conditions.push({ field: 'targetId', operator: '==', value: String(targetId) });
+  if (action) conditions.push({ field: 'action', operator: '==', value: String(action) });
+  if (from) conditions.push({ field: 'createdAt', operator: '>=', value: from });
+  if (to) conditions.push({ field: 'createdAt', operator: '<=', value: to });
+
+  const pageSize = Math.min(MAX_QUERY_LIMIT, Math.max(1, parseInt(limit, 10) || 50));
+
+  if (cursor && !(await getDocumentById(COLLECTIONS.AUDIT_LOG, String(cursor)))) {
+    throw auditError(400, 'Invalid cursor');
+  }
+
+  const entries = await storage.query(COLLECTIONS.AUDIT_LOG, {
+    conditions,
+    orderBy: [{ field: 'createdAt', direction: 'desc' }],
+    limit: pageSize,
+    startAfter: cursor ? String(cursor) : null,
+  });
+
+  return {
+    entries,
+    nextCursor: entries.length === pageSize ? entries[entries.length - 1].id : null,
+  };
+}
+
+module.exports = {
+  diffChanges,
+  recordAudit,
+  queryAuditLog,
+};
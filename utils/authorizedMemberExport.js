@@ -0,0 +1,160 @@
+/**
+ * Authorized Members export
+ *
+ * Shared by scripts/exportAuthorizedMembers.js and the admin download endpoint.
+ * Builds the membership list as a spreadsheet, joining each authorizedMembers
+ * record with:
+ * - users:      name / email of the account holding the record (usedBy)
+ * - familyTree: occupation, from the most recently updated entry with the same
+ *               Member ID (falling back to entries created by the holder)
+ *
+ * The column names are the ones mapAuthorizedMemberRow understands, so an
+ * exported file can be edited and imported again.
+ */
+
+const XLSX = require('xlsx');
+const {
+  COLLECTIONS,
+  getAllDocuments,
+  timestampToDate,
+} = require('../config/firestore');
+const { normalizeMemberId, normalizePhoneLenient } = require('./memberVerification');
+
+const EXPORT_COLUMNS = [
+  { header: 'Member_ID', width: 12 },
+  { header: 'Phone_Number', width: 15 },
+  { header: 'Name', width: 20 },
+  { header: 'Email', width: 25 },
+  { header: 'Occupation', width: 20 },
+  { header: 'Used', width: 8 },
+  { header: 'Used_By', width: 20 },
+  { header: 'Used_By_Email', width: 25 },
+  { header: 'Active', width: 8 },
+  { header: 'Notes', width: 30 },
+];
+
+function toMillis(value) {
+  const date = timestampToDate(value);
+  if (date instanceof Date) return date.getTime();
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+// Latest non-empty occupation per key (Member ID or creator id)
+function indexOccupations(familyTreeEntries) {
+  const byMemberId = new Map();
+  const byCreator = new Map();
+
+  const sorted = familyTreeEntries
+    .filter((entry) => String(entry.personOccupation || '').trim())
+    .sort((a, b) => toMillis(b.updatedAt || b.createdAt) - toMillis(a.updatedAt || a.createdAt));
+
+  sorted.forEach((entry) => {
+    const occupation = String(entry.personOccupation).trim();
+    const memberId = normalizeMemberId(entry.memberId);
+    if (memberId && !byMemberId.has(memberId)) byMemberId.set(memberId, occupation);
+    if (entry.createdBy && !byCreator.has(entry.createdBy)) byCreator.set(entry.createdBy, occupation);
+  });
+
+  return { byMemberId, byCreator };
+}
+
+function matchesStatus(member, status) {
+  switch (status) {
+    case 'used':
+      return member.isUsed === true;
+    case 'unused':
+      return member.isUsed !== true;
+    case 'inactive':
+      return member.isActive === false;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Load and join the export rows, sorted by Member ID.
+ *
+ * @param {Object} [options] - { status: 'all' | 'used' | 'unused' | 'inactive' }
+ * @returns {Promise<{ rows, stats }>}
+ */
+async function buildAuthorizedMembersExport({ status = 'all' } = {}) {
+  const [members, users, familyTreeEntries] = await Promise.all([
+    getAllDocuments(COLLECTIONS.AUTHORIZED_MEMBERS),
+    getAllDocuments(COLLECTIONS.USERS),
+    getAllDocuments(COLLECTIONS.FAMILY_TREE),
+  ]);
+
+  const usersById = new Map(users.map((user) => [user.id, user]));
+  const occupations = indexOccupations(familyTreeEntries);
+
+  const rows = members
+    .filter((member) => matchesStatus(member, status))
+    .map((member) => {
+      const memberId = normalizeMemberId(member.memberId || member.id);
+      const holder = member.usedBy ? usersById.get(member.usedBy) : null;
+      const occupation = occupations.byMemberId.get(memberId) ||
+        (holder ? occupations.byCreator.get(holder.id) : null) ||
+        member.occupation || '';
+
+      return {
+        memberId,
+        phoneNumber: normalizePhoneLenient(member.phoneNumber),
+        name: member.name || '',
+        email: member.email || '',
+        occupation,
+        isUsed: member.isUsed === true,
+        usedByName: holder ? holder.name || '' : '',
+        usedByEmail: holder ? holder.email || '' : '',
+        isActive: member.isActive !== false,
+        notes: member.notes || '',
+      };
+    })
+    .sort((a, b) => a.memberId.localeCompare(b.memberId, undefined, { numeric: true }));
+
+  const stats = {
+    total: rows.length,
+    used: rows.filter((row) => row.isUsed).length,
+    unused: rows.filter((row) => !row.isUsed).length,
+    inactive: rows.filter((row) => !row.isActive).length,
+    withOccupation: rows.filter((row) => row.occupation).length,
+  };
+
+  return { rows, stats };
+}
+
+function buildExportWorkbook(rows) {
+  const data = [
+    EXPORT_COLUMNS.map((column) => column.header),
+    ...rows.map((row) => [
+      row.memberId,
+      row.phoneNumber,
+      row.name,
+      row.email,
+      row.occupation,
+      row.isUsed ? 'Yes' : 'No',
+      row.usedByName,
+      row.usedByEmail,
+      row.isActive ? 'Yes' : 'No',
+      row.notes,
+    ]),
+  ];
+
+  const workbook = XLSX.utils.book_new();
+  const worksheet = XLSX.utils.aoa_to_sheet(data);
+  worksheet['!cols'] = EXPORT_COLUMNS.map((column) => ({ wch: column.width }));
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Members');
+  return workbook;
+}
+
+// Serialize the workbook; bookType is 'xlsx' or 'csv'
+function writeExportBuffer(rows, bookType = 'xlsx') {
+  return XLSX.write(buildExportWorkbook(rows), { type: 'buffer', bookType });
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  buildAuthorizedMembersExport,
+  buildExportWorkbook,
+  writeExportBuffer,
+};
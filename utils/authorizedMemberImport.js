@@ -0,0 +1,263 @@
+/**
+ * Authorized Members import
+ *
+ * Shared by scripts/importAuthorizedMembers.js and the admin import endpoint.
+ * Reads the committee's .xls / .xlsx / .csv export, maps the usual column
+ * name variations, and classifies every row against the current
+ * authorizedMembers collection:
+ *
+ * - new:        no record with this Member ID or phone
+ * - changed:    record found; phone / name / email / notes differ
+ * - unchanged:  record found and identical
+ * - conflict:   Member ID and phone point at different records, the phone
+ *               belongs to another Member ID, or the file repeats a Member ID
+ *               / phone with different data
+ * - invalid:    neither Member ID nor phone, or a phone that is not 10 digits
+ *
+ * Only new and changed rows are written by commitAuthorizedMembersImport.
+ */
+
+const XLSX = require('xlsx');
+const {
+  COLLECTIONS,
+  getAllDocuments,
+  batchWrite,
+  storage,
+} = require('../config/firestore');
+const { normalizeMemberId, normalizePhoneLenient } = require('./memberVerification');
+
+const IMPORT_FIELDS = ['phoneNumber', 'name', 'email', 'notes'];
+
+// Firestore allows 500 writes per batch
+const BATCH_SIZE = 400;
+
+function readSpreadsheet(input) {
+  const workbook = Buffer.isBuffer(input)
+    ? XLSX.read(input, { type: 'buffer' })
+    : XLSX.readFile(input);
+  const sheetName = workbook.SheetNames[0]; // Use first sheet
+  return XLSX.utils.sheet_to_json(workbook.Sheets[sheetName]);
+}
+
+// Map common column name variations (case-insensitive with more patterns)
+function mapAuthorizedMemberRow(row) {
+  const memberId = normalizeMemberId(
+    row.memberId || row.memberid || row.MemberId || row.MemberID ||
+    row.member_id || row.MEMBER_ID || row.Member_ID || row['Member ID'] ||
+    row['Member_ID'] || ''
+  );
+
+  const phoneNumber = normalizePhoneLenient(
+    row.phoneNumber || row.phonenumber || row.PhoneNumber || row.phone ||
+    row.Phone || row.mobile || row.Mobile || row['Phone Number'] ||
+    row.Phone_Number || row['Phone_Number'] || row.PHONE_NUMBER || ''
+  );
+
+  const name = String(
+    row.name || row.Name || row.NAME || row.fullName || row.FullName || ''
+  ).trim();
+
+  const email = String(
+    row.email || row.Email || row.EMAIL || ''
+  ).trim().toLowerCase();
+
+  const notes = String(
+    row.notes || row.Notes || row.remarks || row.Remarks || ''
+  ).trim();
+
+  return { memberId, phoneNumber, name, email, notes };
+}
+
+function recordMemberId(record) {
+  return normalizeMemberId(record.memberIdNormalized || record.memberId || '');
+}
+
+function recordPhone(record) {
+  return normalizePhoneLenient(record.phoneNormalized || record.phoneNumber || '');
+}
+
+function indexExisting(existingMembers) {
+  const byMemberId = new Map();
+  const byPhone = new Map();
+  existingMembers.forEach((record) => {
+    const memberId = recordMemberId(record);
+    const phone = recordPhone(record);
+    if (memberId && !byMemberId.has(memberId)) byMemberId.set(memberId, record);
+    if (phone && !byPhone.has(phone)) byPhone.set(phone, record);
+  });
+  // Docs keyed by Member ID: a new row must never overwrite one via set()
+  existingMembers.forEach((record) => {
+    if (!byMemberId.has(record.id)) byMemberId.set(record.id, record);
+  });
+  return { byMemberId, byPhone };
+}
+
+// Fields that differ between the file and the stored record (empty file cells never clear data)
+function diffRow(mapped, record) {
+  const changes = {};
+  IMPORT_FIELDS.forEach((field) => {
+    if (!mapped[field]) return;
+    const current = field === 'phoneNumber' ? recordPhone(record) : String(record[field] ?? '').trim();
+    if (mapped[field] !== current) {
+      changes[field] = { before: current || null, after: mapped[field] };
+    }
+  });
+  return changes;
+}
+
+/**
+ * Classify spreadsheet rows against the stored authorized members.
+ *
+ * @param {Array<Object>} rows - raw rows from readSpreadsheet
+ * @param {Array<Object>} existingMembers - current authorizedMembers docs
+ * @returns {{ summary, new, changed, unchanged, conflict, invalid }}
+ *   each entry: { row (spreadsheet row number), memberId, phoneNumber, ... }
+ */
+function planAuthorizedMembersImport(rows, existingMembers) {
+  const { byMemberId, byPhone } = indexExisting(existingMembers);
+  const plan = { new: [], changed: [], unchanged: [], conflict: [], invalid: [] };
+  const seenMemberIds = new Map();
+  const seenPhones = new Map();
+
+  rows.forEach((raw, index) => {
+    // Spreadsheet row number (header is row 1); sheet_to_json skips blank rows
+    const rowNumber = raw.__rowNum__ !== undefined ? raw.__rowNum__ + 1 : index + 2;
+    const mapped = mapAuthorizedMemberRow(raw);
+    const entry = { row: rowNumber, ...mapped };
+
+    if (!mapped.memberId && !mapped.phoneNumber) {
+      plan.invalid.push({ ...entry, reason: 'Both Member ID and phone are missing' });
+      return;
+    }
+    if (mapped.phoneNumber && mapped.phoneNumber.length !== 10) {
+      plan.invalid.push({ ...entry, reason: 'Phone number must have 10 digits' });
+      return;
+    }
+
+    // Repeats inside the file
+    const duplicateOf = (mapped.memberId && seenMemberIds.get(mapped.memberId)) ||
+      (mapped.phoneNumber && seenPhones.get(mapped.phoneNumber));
+    if (duplicateOf) {
+      const same = duplicateOf.memberId === mapped.memberId && duplicateOf.phoneNumber === mapped.phoneNumber;
+      if (same) {
+        plan.unchanged.push({ ...entry, reason: `Duplicate of row ${duplicateOf.row}` });
+      } else {
+        plan.conflict.push({ ...entry, reason: `Conflicts with row ${duplicateOf.row} of the file` });
+      }
+      return;
+    }
+    if (mapped.memberId) seenMemberIds.set(mapped.memberId, entry);
+    if (mapped.phoneNumber) seenPhones.set(mapped.phoneNumber, entry);
+
+    const byId = mapped.memberId ? byMemberId.get(mapped.memberId) : null;
+    const byPh = mapped.phoneNumber ? byPhone.get(mapped.phoneNumber) : null;
+
+    if (byId && byPh && byId.id !== byPh.id) {
+      plan.conflict.push({
+        ...entry,
+        reason: `Phone already belongs to Member ID ${recordMemberId(byPh) || byPh.id}`,
+        existingId: byId.id,
+        conflictingId: byPh.id,
+      });
+      return;
+    }
+    if (!byId && byPh && mapped.memberId && recordMemberId(byPh) && recordMemberId(byPh) !== mapped.memberId) {
+      plan.conflict.push({
+        ...entry,
+        reason: `Phone already belongs to Member ID ${recordMemberId(byPh)}`,
+        conflictingId: byPh.id,
+      });
+      return;
+    }
+
+    const existing = byId || byPh;
+    if (!existing) {
+      plan.new.push(entry);
+      return;
+    }
+
+    const changes = diffRow(mapped, existing);
+    if (Object.keys(changes).length === 0) {
+      plan.unchanged.push({ ...entry, existingId: existing.id });
+    } else {
+      plan.changed.push({ ...entry, existingId: existing.id, isUsed: existing.isUsed === true, changes });
+    }
+  });
+
+  plan.summary = {
+    totalRows: rows.length,
+    new: plan.new.length,
+    changed: plan.changed.length,
+    unchanged: plan.unchanged.length,
+    conflict: plan.conflict.length,
+    invalid: plan.invalid.length,
+  };
+  return plan;
+}
+
+async function buildImportPlan(rows) {
+  const existingMembers = await getAllDocuments(COLLECTIONS.AUTHORIZED_MEMBERS);
+  return planAuthorizedMembersImport(rows, existingMembers);
+}
+
+function newMemberData(entry) {
+  const memberData = { isUsed: false };
+  if (entry.memberId) memberData.memberId = entry.memberId;
+  if (entry.phoneNumber) memberData.phoneNumber = entry.phoneNumber;
+  if (entry.memberId) memberData.memberIdNormalized = entry.memberId;
+  if (entry.phoneNumber) memberData.phoneNormalized = entry.phoneNumber;
+  if (entry.name) memberData.name = entry.name;
+  if (entry.email) memberData.email = entry.email;
+  if (entry.notes) memberData.notes = entry.notes;
+  return memberData;
+}
+
+/**
+ * Write the new and changed rows of a plan in batches.
+ *
+ * @returns {Promise<{ created, updated, batches }>}
+ */
+async function commitAuthorizedMembersImport(plan, { importedBy = null } = {}) {
+  const operations = [];
+
+  plan.new.forEach((entry) => {
+    operations.push({
+      type: 'set',
+      collectionName: COLLECTIONS.AUTHORIZED_MEMBERS,
+      // Prefer using memberId as the document id (aligns with firestore.rules and avoids duplicates)
+      docId: entry.memberId || storage.generateId(COLLECTIONS.AUTHORIZED_MEMBERS),
+      data: { ...newMemberData(entry), importedAt: new Date(), importedBy },
+    });
+  });
+
+  plan.changed.forEach((entry) => {
+    const data = {};
+    Object.keys(entry.changes).forEach((field) => {
+      data[field] = entry.changes[field].after;
+    });
+    if (data.phoneNumber) data.phoneNormalized = data.phoneNumber;
+    operations.push({
+      type: 'update',
+      collectionName: COLLECTIONS.AUTHORIZED_MEMBERS,
+      docId: entry.existingId,
+      data: { ...data, importedBy },
+    });
+  });
+
+  let batches = 0;
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    await batchWrite(operations.slice(i, i + BATCH_SIZE));
+    batches++;
+  }
+
+  return { created: plan.new.length, updated: plan.changed.length, batches };
+}
+
+module.exports = {
+  readSpreadsheet,
+  mapAuthorizedMemberRow,
+  newMemberData,
+  planAuthorizedMembersImport,
+  buildImportPlan,
+  commitAuthorizedMembersImport,
+};
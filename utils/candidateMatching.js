@@ -0,0 +1,249 @@
+/**
+ * Candidate Matching for pending signups
+ *
+ * When a signup cannot be auto-verified, suggest which authorizedMembers /
+ * information records the person most likely is, so an admin can approve and
+ * link in one step instead of searching the Excel sheet by hand.
+ *
+ * Signals (each 0..1, combined into a weighted score):
+ * - member_id: exact, leading-zero / formatting difference, adjacent transposition,
+ *              one character different
+ * - phone:     exact, one or two digits different
+ * - name:      token-wise Jaro-Winkler similarity
+ */
+
+const {
+  normalizeMemberId,
+  normalizePhoneLenient,
+} = require('./memberVerification');
+
+const SIGNAL_WEIGHTS = {
+  member_id: 0.5,
+  phone: 0.4,
+  name: 0.35,
+};
+
+const MIN_NAME_SIMILARITY = 0.88;
+const MIN_CANDIDATE_SCORE = 0.3;
+
+function normalizeName(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function jaroWinkler(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const matchWindow = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - matchWindow);
+    const end = Math.min(i + matchWindow + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (bMatches[j] || a[i] !== b[j]) continue;
+      aMatches[i] = true;
+      bMatches[j] = true;
+      matches++;
+      break;
+    }
+  }
+
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+// Average, over the shorter name's tokens, of the best Jaro-Winkler match in the other name
+function nameSimilarity(a, b) {
+  const tokensA = normalizeName(a).split(' ').filter(Boolean);
+  const tokensB = normalizeName(b).split(' ').filter(Boolean);
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  const total = shorter.reduce(
+    (sum, token) => sum + Math.max(...longer.map((other) => jaroWinkler(token, other))),
+    0
+  );
+  return total / shorter.length;
+}
+
+function countDifferences(a, b) {
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) diff++;
+  }
+  return diff;
+}
+
+function isAdjacentTransposition(a, b) {
+  if (a.length !== b.length || a === b) return false;
+  const diffs = [];
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) diffs.push(i);
+  }
+  return diffs.length === 2 && diffs[1] === diffs[0] + 1 &&
+    a[diffs[0]] === b[diffs[1]] && a[diffs[1]] === b[diffs[0]];
+}
+
+function canonicalMemberId(value) {
+  return normalizeMemberId(value)
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+    .replace(/^([A-Z]*)0+(?=\d)/, '$1');
+}
+
+function compareMemberIds(provided, candidate) {
+  const a = normalizeMemberId(provided).toUpperCase();
+  const b = normalizeMemberId(candidate).toUpperCase();
+  if (!a || !b) return null;
+  if (a === b) return { kind: 'exact', score: 1 };
+
+  const ca = canonicalMemberId(a);
+  const cb = canonicalMemberId(b);
+  if (ca && ca === cb) return { kind: 'leading_zero_or_format', score: 0.9 };
+  if (isAdjacentTransposition(ca, cb)) return { kind: 'transposed', score: 0.75 };
+  if (ca.length === cb.length && ca.length >= 3 && countDifferences(ca, cb) === 1) {
+    return { kind: 'one_character_different', score: 0.5 };
+  }
+  return null;
+}
+
+function comparePhones(provided, candidate) {
+  const a = normalizePhoneLenient(provided);
+  const b = normalizePhoneLenient(candidate);
+  if (a.length !== 10 || b.length !== 10) return null;
+
+  const diff = countDifferences(a, b);
+  if (diff === 0) return { kind: 'exact', score: 1 };
+  if (diff === 1) return { kind: 'one_digit_different', score: 0.8 };
+  if (diff === 2) return { kind: 'two_digits_different', score: 0.6 };
+  return null;
+}
+
+function compareNames(provided, candidate) {
+  const score = nameSimilarity(provided, candidate);
+  if (score < MIN_NAME_SIMILARITY) return null;
+  return { kind: score >= 0.999 ? 'exact' : 'similar', score: Math.round(score * 100) / 100 };
+}
+
+function scoreCandidate(user, candidate) {
+  const signals = [];
+  const memberId = compareMemberIds(user.memberId, candidate.memberId);
+  if (memberId) signals.push({ type: 'member_id', ...memberId });
+  const phone = comparePhones(user.phone, candidate.phone);
+  if (phone) signals.push({ type: 'phone', ...phone });
+  const name = compareNames(user.name, candidate.name);
+  if (name) signals.push({ type: 'name', ...name });
+
+  const score = Math.min(
+    1,
+    signals.reduce((sum, signal) => sum + signal.score * SIGNAL_WEIGHTS[signal.type], 0)
+  );
+
+  return { score: Math.round(score * 100) / 100, signals };
+}
+
+function informationName(info) {
+  return info.fullName || [info.firstName, info.middleName, info.lastName].filter(Boolean).join(' ');
+}
+
+/**
+ * Build the candidate pool once per request (authorizedMembers + information).
+ * Authorized records without a name borrow it from the information row with the
+ * same Member ID, and information rows point at their authorized record if any.
+ */
+function buildCandidatePool(authorizedMembers = [], informationRecords = []) {
+  const authorizedByMemberId = new Map();
+  authorizedMembers.forEach((member) => {
+    const key = normalizeMemberId(member.memberId || member.id);
+    if (key) authorizedByMemberId.set(key, member);
+  });
+
+  const infoNameByMemberId = new Map();
+  informationRecords.forEach((info) => {
+    const key = normalizeMemberId(info.memberId);
+    if (key && !infoNameByMemberId.has(key)) infoNameByMemberId.set(key, informationName(info));
+  });
+
+  const pool = [];
+
+  authorizedMembers.forEach((member) => {
+    const memberId = normalizeMemberId(member.memberId || member.id);
+    pool.push({
+      source: 'authorizedMembers',
+      id: member.id,
+      authorizedMemberId: member.id,
+      memberId,
+      phone: member.phoneNumber || '',
+      name: member.name || infoNameByMemberId.get(memberId) || '',
+      isUsed: member.isUsed === true,
+      usedBy: member.usedBy || null,
+    });
+  });
+
+  informationRecords.forEach((info) => {
+    const memberId = normalizeMemberId(info.memberId);
+    const authorized = authorizedByMemberId.get(memberId);
+    pool.push({
+      source: 'information',
+      id: info.id,
+      authorizedMemberId: authorized ? authorized.id : null,
+      memberId,
+      phone: info.number || '',
+      name: informationName(info),
+      isUsed: authorized ? authorized.isUsed === true : false,
+      usedBy: authorized ? authorized.usedBy || null : null,
+    });
+  });
+
+  return pool;
+}
+
+/**
+ * Rank candidate records for a pending user.
+ *
+ * @param {Object} user - { name, memberId, phone }
+ * @param {Array} pool - from buildCandidatePool
+ * @param {Object} [options] - { limit = 5, minScore = 0.3 }
+ * @returns {Array} candidates sorted by score (highest first)
+ */
+function findCandidates(user, pool, { limit = 5, minScore = MIN_CANDIDATE_SCORE } = {}) {
+  return pool
+    .map((candidate) => ({ ...candidate, ...scoreCandidate(user, candidate) }))
+    .filter((candidate) => candidate.signals.length > 0 && candidate.score >= minScore)
+    .sort((a, b) => b.score - a.score || Number(a.isUsed) - Number(b.isUsed))
+    .slice(0, limit);
+}
+
+module.exports = {
+  normalizeName,
+  jaroWinkler,
+  nameSimilarity,
+  compareMemberIds,
+  comparePhones,
+  buildCandidatePool,
+  findCandidates,
+};
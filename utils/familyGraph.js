@@ -0,0 +1,741 @@
+/**
+ * Family graph: persons and relationships
+ *
+ * Replaces the flat familyTree entries (one doc per user with spouseName /
+ * fatherName / motherName / children) with linked people, so trees can span
+ * generations and connect to other members' relatives.
+ *
+ * persons/{id}:
+ *   { name, gender, dateOfBirth, occupation, phone, email, address, notes,
+ *     isDeceased, dateOfDeath, deathTithi,   // life status; the tithi is free text
+ *     memberId,     // Member ID (household) that owns the person
+ *     userId,       // account this person is, if any (one "self" person per user)
+ *     createdBy }
+ *
+ * relationships/{id}: typed edges, stored in canonical form
+ *   { type: 'parent' | 'spouse' | 'sibling',
+ *     fromPersonId, toPersonId,   // parent: from is the parent of to
+ *     personIds: [from, to],      // for array-contains lookups
+ *     marriageDate,               // spouse only, optional; YYYY-MM-DD, YYYY-MM or YYYY
+ *     createdBy }
+ *
+ * 'child' is accepted as input and stored as the inverse 'parent' edge. Edge ids
+ * are derived from the type and the two person ids, so the same link can never
+ * be stored twice. A person has at most MAX_PARENTS parents and can never be
+ * their own ancestor; both are checked when a parent edge is added, since
+ * kinship and the tree layout walk these edges.
+ *
+ * Who may view, edit or delete a person follows family tree sharing (see
+ * utils/treeSharing.js): functions that check access take the `access` object
+ * from loadTreeAccess(). Traversals stop at persons the caller cannot view and
+ * return them as `{ id, restricted: true }` stubs, so links out of a shared
+ * tree are visible without exposing the other family's data.
+ */
+
+const {
+  COLLECTIONS,
+  createDocument,
+  getDocumentById,
+  getAllDocuments,
+  queryDocuments,
+  batchWrite,
+  runTransaction,
+  timestampToDate,
+} = require('../config/firestore');
+const { pickPrimaryHolder } = require('./household');
+const { treeKeyOf } = require('./treeSharing');
+const { normalizeMemberId } = require('./memberVerification');
+const { parsePartialDate, checkMarriageDate } = require('./familyTreeValidation');
+
+const RELATIONSHIP_TYPES = ['parent', 'child', 'spouse', 'sibling'];
+const GENDERS = ['male', 'female', 'other', ''];
+
+const PERSON_FIELDS = [
+  'name', 'gender', 'dateOfBirth', 'occupation', 'phone', 'email', 'address', 'notes',
+  'dateOfDeath', 'deathTithi',
+];
+const MAX_TITHI_LENGTH = 100;
+
+const MAX_GRAPH_DEPTH = 6;
+const MAX_GRAPH_PERSONS = 500;
+const MAX_GENERATIONS = 10;
+const MAX_PARENTS = 2;
+
+// Firestore allows 500 writes per batch
+const BATCH_SIZE = 400;
+
+function graphError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Pick and clean the editable person fields from a request body
+function pickPersonFields(body = {}) {
+  const data = {};
+  PERSON_FIELDS.forEach((field) => {
+    if (body[field] === undefined) return;
+    data[field] = body[field] === null ? '' : String(body[field]).trim();
+  });
+  if (data.gender !== undefined) {
+    data.gender = data.gender.toLowerCase();
+    if (!GENDERS.includes(data.gender)) {
+      throw graphError(400, `gender must be one of ${GENDERS.filter(Boolean).join(', ')}`);
+    }
+  }
+  if (data.email !== undefined) data.email = data.email.toLowerCase();
+
+  if (body.isDeceased !== undefined) {
+    data.isDeceased = body.isDeceased === true || String(body.isDeceased).toLowerCase() === 'true';
+  }
+  if (data.dateOfDeath !== undefined) {
+    const date = parsePartialDate(data.dateOfDeath);
+    if (date === null) throw graphError(400, 'dateOfDeath must be a valid date (YYYY-MM-DD, or DD/MM/YYYY)');
+    data.dateOfDeath = date;
+  }
+  if (data.deathTithi !== undefined && data.deathTithi.length > MAX_TITHI_LENGTH) {
+    throw graphError(400, `deathTithi must be at most ${MAX_TITHI_LENGTH} characters`);
+  }
+  if (data.isDeceased === false) {
+    if (data.dateOfDeath || data.deathTithi) {
+      throw graphError(400, 'A living person cannot have a date of death or tithi');
+    }
+    data.dateOfDeath = '';
+    data.deathTithi = '';
+  } else if (data.dateOfDeath || data.deathTithi) {
+    data.isDeceased = true;
+  }
+  return data;
+}
+
+// No death in the future or before birth (partial dates compared on their common precision)
+function checkLifeDates(person) {
+  const { dateOfBirth = '', dateOfDeath = '' } = person;
+  if (!dateOfDeath) return;
+  if (dateOfDeath > new Date().toISOString().slice(0, 10)) {
+    throw graphError(400, 'dateOfDeath cannot be in the future');
+  }
+  const precision = Math.min(dateOfBirth.length, dateOfDeath.length);
+  if (dateOfBirth && dateOfDeath.slice(0, precision) < dateOfBirth.slice(0, precision)) {
+    throw graphError(400, 'dateOfDeath cannot be before dateOfBirth');
+  }
+}
+
+// What a caller who cannot view a person gets to see of it
+function restrictedPerson(person) {
+  return { id: person.id, restricted: true };
+}
+
+function assertCanView(access, person) {
+  if (access && !access.canView(person)) {
+    throw graphError(403, 'You do not have access to this person');
+  }
+}
+
+/**
+ * Canonical form of a link between two persons.
+ * 'A child of B' is stored as 'B parent of A'; symmetric types sort the ids.
+ *
+ * @returns {{ id, type, fromPersonId, toPersonId }}
+ */
+function canonicalRelationship(type, fromPersonId, toPersonId) {
+  if (!RELATIONSHIP_TYPES.includes(type)) {
+    throw graphError(400, `type must be one of ${RELATIONSHIP_TYPES.join(', ')}`);
+  }
+  if (!fromPersonId || !toPersonId) {
+    throw graphError(400, 'fromPersonId and toPersonId are required');
+  }
+  if (fromPersonId === toPersonId) {
+    throw graphError(400, 'A person cannot be related to themselves');
+  }
+
+  let from = fromPersonId;
+  let to = toPersonId;
+  let storedType = type;
+  if (type === 'child') {
+    storedType = 'parent';
+    from = toPersonId;
+    to = fromPersonId;
+  } else if (type !== 'parent' && from > to) {
+    [from, to] = [to, from];
+  }
+
+  return { id: `${storedType}_${from}_${to}`, type: storedType, fromPersonId: from, toPersonId: to };
+}
+
+function relationshipData(edge, createdBy, details = {}) {
+  const data = {
+    type: edge.type,
+    fromPersonId: edge.fromPersonId,
+    toPersonId: edge.toPersonId,
+    personIds: [edge.fromPersonId, edge.toPersonId],
+    createdBy,
+  };
+  if (edge.type === 'spouse' && details.marriageDate) {
+    const marriageDate = parsePartialDate(details.marriageDate);
+    if (marriageDate === null) throw graphError(400, 'marriageDate must be a valid date (YYYY-MM-DD)');
+    const problem = marriageDate && checkMarriageDate(marriageDate);
+    if (problem) throw graphError(400, problem);
+    data.marriageDate = marriageDate;
+  }
+  return data;
+}
+
+function newPersonData(fields, user, extra = {}) {
+  return {
+    name: '',
+    gender: '',
+    dateOfBirth: '',
+    occupation: '',
+    phone: '',
+    email: '',
+    address: '',
+    notes: '',
+    isDeceased: false,
+    dateOfDeath: '',
+    deathTithi: '',
+    ...fields,
+    memberId: treeKeyOf(user),
+    userId: null,
+    createdBy: user.id,
+    ...extra,
+  };
+}
+
+function selfPersonId(userId) {
+  return `self_${userId}`;
+}
+
+/**
+ * The person representing the signed-in user, created on first use.
+ */
+async function ensureSelfPerson(user) {
+  const existing = await queryDocuments(COLLECTIONS.PERSONS, [
+    { field: 'userId', operator: '==', value: user.id },
+  ], null, 'asc', 1);
+  if (existing.length > 0) return existing[0];
+
+  return await runTransaction(async (tx) => {
+    const id = selfPersonId(user.id);
+    const current = await tx.getDocumentById(COLLECTIONS.PERSONS, id);
+    if (current) return current;
+    return tx.createDocument(COLLECTIONS.PERSONS, newPersonData({
+      name: user.name || '',
+      phone: user.phone || '',
+      email: user.email || '',
+    }, user, { userId: user.id }), id);
+  });
+}
+
+async function createPerson(user, fields) {
+  if (!fields.name) {
+    throw graphError(400, 'Person name is required');
+  }
+  checkLifeDates(fields);
+  return await createDocument(COLLECTIONS.PERSONS, newPersonData(fields, user));
+}
+
+async function updatePerson(access, personId, fields) {
+  if (fields.name !== undefined && !fields.name) {
+    throw graphError(400, 'Person name cannot be empty');
+  }
+
+  return await runTransaction(async (tx) => {
+    const person = await tx.getDocumentById(COLLECTIONS.PERSONS, personId);
+    if (!person) throw graphError(404, 'Person not found');
+    if (!access.canEdit(person)) throw graphError(403, 'Not authorized to update this person');
+    checkLifeDates({ ...person, ...fields });
+
+    tx.updateDocument(COLLECTIONS.PERSONS, person.id, fields);
+    return { person: { ...person, ...fields }, previous: person };
+  });
+}
+
+/**
+ * The person of the account holding a Member ID (the household's primary
+ * holder), for looking up members met in person.
+ */
+async function findMemberPerson(memberId) {
+  const normalized = normalizeMemberId(memberId);
+  const users = normalized
+    ? await queryDocuments(COLLECTIONS.USERS, [{ field: 'memberId', operator: '==', value: normalized }])
+    : [];
+  const holder = pickPrimaryHolder(users);
+  if (!holder) throw graphError(404, `No member found with Member ID ${normalized}`);
+
+  const [person] = await queryDocuments(COLLECTIONS.PERSONS, [
+    { field: 'userId', operator: '==', value: holder.id },
+  ], null, 'asc', 1);
+  if (!person) throw graphError(404, `Member ${normalized} has not set up their family tree yet`);
+  return person;
+}
+
+function parentEdgesOf(tx, personId) {
+  return tx.queryDocuments(COLLECTIONS.RELATIONSHIPS, [
+    { field: 'toPersonId', operator: '==', value: personId },
+    { field: 'type', operator: '==', value: 'parent' },
+  ]);
+}
+
+/**
+ * Check a new "parentId is a parent of childId" edge inside a transaction
+ * (reads only, so call it before any write): the child keeps at most
+ * MAX_PARENTS parents, and the child must not already be an ancestor of the
+ * parent. parentId is null for a person about to be created.
+ *
+ * @throws graphError (409) for a third parent, (400) for a cycle
+ */
+async function assertParentLink(tx, parentId, childId) {
+  const parents = (await parentEdgesOf(tx, childId)).filter((edge) => edge.fromPersonId !== parentId);
+  if (parents.length >= MAX_PARENTS) {
+    throw graphError(409, `A person cannot have more than ${MAX_PARENTS} parents`);
+  }
+  if (!parentId) return;
+
+  // Walk up from the parent; reaching the child would close a loop
+  const seen = new Set([parentId]);
+  let frontier = [parentId];
+  while (frontier.length > 0 && seen.size < MAX_GRAPH_PERSONS) {
+    const edges = (await Promise.all(frontier.map((id) => parentEdgesOf(tx, id)))).flat();
+    frontier = [];
+    for (const edge of edges) {
+      if (edge.fromPersonId === childId) {
+        throw graphError(400, 'This link would make a person their own ancestor');
+      }
+      if (!seen.has(edge.fromPersonId)) {
+        seen.add(edge.fromPersonId);
+        frontier.push(edge.fromPersonId);
+      }
+    }
+  }
+}
+
+/**
+ * Create a person and link it to an existing one in one transaction.
+ *
+ * @param {String} relation - how the new person relates to `personId`
+ *   ('parent' = the new person is a parent of personId, etc.)
+ * @returns {Promise<{ person, relationship }>}
+ */
+async function addRelative(access, personId, relation, fields, details = {}) {
+  const { user } = access;
+  if (!RELATIONSHIP_TYPES.includes(relation)) {
+    throw graphError(400, `relation must be one of ${RELATIONSHIP_TYPES.join(', ')}`);
+  }
+  if (!fields.name) {
+    throw graphError(400, 'Person name is required');
+  }
+  checkLifeDates(fields);
+
+  return await runTransaction(async (tx) => {
+    const anchor = await tx.getDocumentById(COLLECTIONS.PERSONS, personId);
+    if (!anchor) throw graphError(404, 'Person not found');
+    if (!access.canEdit(anchor)) throw graphError(403, 'Not authorized to add relatives to this person');
+    // A new child has no parents yet and a new person has no descendants, so
+    // only a new parent needs a check
+    if (relation === 'parent') await assertParentLink(tx, null, anchor.id);
+
+    const person = tx.createDocument(COLLECTIONS.PERSONS, newPersonData(fields, user));
+    const edge = canonicalRelationship(relation, person.id, anchor.id);
+    const relationship = tx.createDocument(COLLECTIONS.RELATIONSHIPS, relationshipData(edge, user.id, details), edge.id);
+
+    return { person, relationship };
+  });
+}
+
+/**
+ * Link two existing persons. The caller must be able to edit one of them and
+ * view the other, so members can connect their relatives to persons in trees
+ * shared with them.
+ */
+async function connectPersons(access, type, fromPersonId, toPersonId, details = {}) {
+  const edge = canonicalRelationship(type, fromPersonId, toPersonId);
+
+  return await runTransaction(async (tx) => {
+    const [from, to, existing] = await Promise.all([
+      tx.getDocumentById(COLLECTIONS.PERSONS, edge.fromPersonId),
+      tx.getDocumentById(COLLECTIONS.PERSONS, edge.toPersonId),
+      tx.getDocumentById(COLLECTIONS.RELATIONSHIPS, edge.id),
+    ]);
+    if (!from || !to) throw graphError(404, 'Person not found');
+    const allowed = (access.canEdit(from) && access.canView(to)) || (access.canEdit(to) && access.canView(from));
+    if (!allowed) {
+      throw graphError(403, 'Not authorized to link these persons');
+    }
+    if (existing) throw graphError(409, 'These persons are already linked this way');
+    if (edge.type === 'parent') await assertParentLink(tx, edge.fromPersonId, edge.toPersonId);
+
+    return tx.createDocument(COLLECTIONS.RELATIONSHIPS, relationshipData(edge, access.user.id, details), edge.id);
+  });
+}
+
+/**
+ * Remove a link. Allowed for whoever created it or can edit either person.
+ */
+async function deleteRelationship(access, relationshipId) {
+  return await runTransaction(async (tx) => {
+    const relationship = await tx.getDocumentById(COLLECTIONS.RELATIONSHIPS, relationshipId);
+    if (!relationship) throw graphError(404, 'Relationship not found');
+
+    const [from, to] = await Promise.all([
+      tx.getDocumentById(COLLECTIONS.PERSONS, relationship.fromPersonId),
+      tx.getDocumentById(COLLECTIONS.PERSONS, relationship.toPersonId),
+    ]);
+    if (relationship.createdBy !== access.user.id && !access.canEdit(from) && !access.canEdit(to)) {
+      throw graphError(403, 'Not authorized to remove this relationship');
+    }
+
+    tx.deleteDocument(COLLECTIONS.RELATIONSHIPS, relationship.id);
+    return relationship;
+  });
+}
+
+async function getRelationshipsOf(personId) {
+  return await queryDocuments(COLLECTIONS.RELATIONSHIPS, [
+    { field: 'personIds', operator: 'array-contains', value: personId },
+  ]);
+}
+
+/**
+ * Persons and relationships reachable from `rootId` within `depth` links.
+ *
+ * @param {Object} [access] - from loadTreeAccess(); without it nothing is restricted
+ * @returns {Promise<{ rootId, depth, truncated, persons, relationships }>}
+ */
+async function getSubgraph(rootId, depth = 2, access = null) {
+  const maxDepth = Math.min(MAX_GRAPH_DEPTH, Math.max(0, parseInt(depth, 10) || 0));
+
+  const root = await getDocumentById(COLLECTIONS.PERSONS, rootId);
+  if (!root) throw graphError(404, 'Person not found');
+  assertCanView(access, root);
+
+  const persons = new Map([[root.id, root]]);
+  const relationships = new Map();
+  let frontier = [root.id];
+  let truncated = false;
+
+  for (let level = 0; level < maxDepth && frontier.length > 0 && !truncated; level++) {
+    const next = [];
+    for (const personId of frontier) {
+      const edges = await getRelationshipsOf(personId);
+      for (const edge of edges) {
+        relationships.set(edge.id, edge);
+        const otherId = edge.fromPersonId === personId ? edge.toPersonId : edge.fromPersonId;
+        if (persons.has(otherId) || next.includes(otherId)) continue;
+        if (persons.size + next.length >= MAX_GRAPH_PERSONS) {
+          truncated = true;
+          continue;
+        }
+        next.push(otherId);
+      }
+    }
+
+    const loaded = (await Promise.all(next.map((id) => getDocumentById(COLLECTIONS.PERSONS, id)))).filter(Boolean);
+    const visible = loaded.filter((person) => !access || access.canView(person));
+    loaded.forEach((person) => persons.set(person.id, visible.includes(person) ? person : restrictedPerson(person)));
+    frontier = visible.map((person) => person.id);
+  }
+
+  return {
+    rootId: root.id,
+    depth: maxDepth,
+    truncated,
+    persons: [...persons.values()],
+    // Only edges between returned persons
+    relationships: [...relationships.values()].filter(
+      (edge) => persons.has(edge.fromPersonId) && persons.has(edge.toPersonId)
+    ),
+  };
+}
+
+/**
+ * Ancestors or descendants of a person, following parent edges only.
+ * Each returned person carries its `generation` (1 = parents / children).
+ *
+ * @param {String} direction - 'ancestors' | 'descendants'
+ * @param {Object} [access] - from loadTreeAccess(); without it nothing is restricted
+ * @returns {Promise<{ rootId, direction, generations, truncated, persons, relationships }>}
+ */
+async function getLineage(rootId, direction, generations = 3, access = null) {
+  const maxGenerations = Math.min(MAX_GENERATIONS, Math.max(1, parseInt(generations, 10) || 1));
+  const [ownEnd, otherEnd] = direction === 'ancestors'
+    ? ['toPersonId', 'fromPersonId']
+    : ['fromPersonId', 'toPersonId'];
+
+  const root = await getDocumentById(COLLECTIONS.PERSONS, rootId);
+  if (!root) throw graphError(404, 'Person not found');
+  assertCanView(access, root);
+
+  const persons = new Map([[root.id, { ...root, generation: 0 }]]);
+  const relationships = [];
+  let frontier = [root.id];
+  let truncated = false;
+
+  for (let generation = 1; generation <= maxGenerations && frontier.length > 0 && !truncated; generation++) {
+    const next = [];
+    for (const personId of frontier) {
+      const edges = await queryDocuments(COLLECTIONS.RELATIONSHIPS, [
+        { field: ownEnd, operator: '==', value: personId },
+        { field: 'type', operator: '==', value: 'parent' },
+      ]);
+      for (const edge of edges) {
+        relationships.push(edge);
+        const otherId = edge[otherEnd];
+        // The same person can be reached twice (cousin marriages); keep the nearest generation
+        if (persons.has(otherId) || next.includes(otherId)) continue;
+        if (persons.size + next.length >= MAX_GRAPH_PERSONS) {
+          truncated = true;
+          continue;
+        }
+        next.push(otherId);
+      }
+    }
+
+    const loaded = (await Promise.all(next.map((id) => getDocumentById(COLLECTIONS.PERSONS, id)))).filter(Boolean);
+    const visible = loaded.filter((person) => !access || access.canView(person));
+    loaded.forEach((person) => persons.set(person.id, {
+      ...(visible.includes(person) ? person : restrictedPerson(person)),
+      generation,
+    }));
+    frontier = visible.map((person) => person.id);
+  }
+
+  return {
+    rootId: root.id,
+    direction,
+    generations: maxGenerations,
+    truncated,
+    persons: [...persons.values()],
+    relationships: relationships.filter(
+      (edge) => persons.has(edge.fromPersonId) && persons.has(edge.toPersonId)
+    ),
+  };
+}
+
+/**
+ * Delete a person and every relationship touching it. Persons that represent
+ * an account cannot be deleted.
+ *
+ * @returns {Promise<{ person, removedRelationships }>}
+ */
+async function deletePerson(access, personId) {
+  const edges = await getRelationshipsOf(personId);
+
+  return await runTransaction(async (tx) => {
+    const person = await tx.getDocumentById(COLLECTIONS.PERSONS, personId);
+    if (!person) throw graphError(404, 'Person not found');
+    if (!access.canDelete(person)) throw graphError(403, 'Not authorized to delete this person');
+    if (person.userId) throw graphError(400, 'This person is linked to an account and cannot be deleted');
+
+    tx.deleteDocument(COLLECTIONS.PERSONS, person.id);
+    edges.forEach((edge) => tx.deleteDocument(COLLECTIONS.RELATIONSHIPS, edge.id));
+
+    return { person, removedRelationships: edges.length };
+  });
+}
+
+// ============================================
+// MIGRATION FROM FLAT familyTree ENTRIES
+// ============================================
+
+function childFields(child) {
+  if (typeof child === 'string') return { name: child.trim() };
+  if (!child || typeof child !== 'object') return { name: '' };
+  return {
+    name: String(child.name || child.childName || '').trim(),
+    gender: ['male', 'female', 'other'].includes(String(child.gender || '').toLowerCase())
+      ? String(child.gender).toLowerCase()
+      : '',
+    dateOfBirth: String(child.dateOfBirth || child.dob || '').trim(),
+    occupation: String(child.occupation || '').trim(),
+    phone: String(child.phone || '').trim(),
+    isDeceased: child.isDeceased === true,
+  };
+}
+
+/**
+ * Plan the persons and relationships for one flat familyTree entry.
+ * Ids are derived from the entry id so a re-run overwrites instead of duplicating.
+ *
+ * @param {Object} entry - familyTree doc
+ * @param {Object} [options] - { isSelf: the entry describes its creator's own account }
+ * @returns {{ persons: [{ id, data }], relationships: [{ id, data }] }}
+ */
+function planEntryMigration(entry, { isSelf = false } = {}) {
+  const owner = { id: entry.createdBy, memberId: entry.memberId };
+  const persons = [];
+  const relationships = [];
+
+  const selfId = isSelf ? selfPersonId(entry.createdBy) : `ft_${entry.id}`;
+  persons.push({
+    id: selfId,
+    data: newPersonData({
+      name: String(entry.personName || '').trim(),
+      phone: String(entry.personPhone || '').trim(),
+      dateOfBirth: entry.personDateOfBirth ? String(entry.personDateOfBirth).trim() : '',
+      occupation: String(entry.personOccupation || '').trim(),
+      address: String(entry.address || '').trim(),
+      notes: String(entry.notes || '').trim(),
+      isDeceased: entry.personIsDeceased === true,
+    }, owner, { userId: isSelf ? entry.createdBy : null, migratedFrom: entry.id }),
+  });
+
+  const addRelative = (suffix, fields, relation, details) => {
+    if (!fields.name) return;
+    const id = `ft_${entry.id}_${suffix}`;
+    persons.push({ id, data: newPersonData(fields, owner, { migratedFrom: entry.id }) });
+    const edge = canonicalRelationship(relation, id, selfId);
+    relationships.push({ id: edge.id, data: relationshipData(edge, entry.createdBy, details) });
+  };
+
+  addRelative(
+    'spouse',
+    {
+      name: String(entry.spouseName || '').trim(),
+      phone: String(entry.spousePhone || '').trim(),
+      isDeceased: entry.spouseIsDeceased === true,
+    },
+    'spouse',
+    { marriageDate: entry.marriageDate }
+  );
+  addRelative('father', {
+    name: String(entry.fatherName || '').trim(),
+    phone: String(entry.fatherPhone || '').trim(),
+    gender: 'male',
+    isDeceased: entry.fatherIsDeceased === true,
+  }, 'parent');
+  addRelative('mother', {
+    name: String(entry.motherName || '').trim(),
+    phone: String(entry.motherPhone || '').trim(),
+    gender: 'female',
+    isDeceased: entry.motherIsDeceased === true,
+  }, 'parent');
+
+  (Array.isArray(entry.children) ? entry.children : []).forEach((child, index) => {
+    addRelative(`child${index + 1}`, childFields(child), 'child');
+  });
+
+  // Father and mother of the same person are spouses
+  const father = persons.find((p) => p.id.endsWith('_father'));
+  const mother = persons.find((p) => p.id.endsWith('_mother'));
+  if (father && mother) {
+    const edge = canonicalRelationship('spouse', father.id, mother.id);
+    relationships.push({ id: edge.id, data: relationshipData(edge, entry.createdBy) });
+  }
+
+  // Children of the entry are also children of the spouse
+  const spouse = persons.find((p) => p.id.endsWith('_spouse'));
+  if (spouse) {
+    persons.filter((p) => /_child\d+$/.test(p.id)).forEach((child) => {
+      const edge = canonicalRelationship('parent', spouse.id, child.id);
+      relationships.push({ id: edge.id, data: relationshipData(edge, entry.createdBy) });
+    });
+  }
+
+  return { persons, relationships };
+}
+
+function toMillis(value) {
+  const date = timestampToDate(value);
+  return date instanceof Date ? date.getTime() : 0;
+}
+
+/**
+ * Migrate flat familyTree entries into persons and relationships.
+ *
+ * Each creator's oldest entry is taken to describe the creator themself and
+ * becomes their self person; other entries become standalone persons with
+ * their relatives. Migrated entries are stamped with `migratedAt` and skipped
+ * on the next run unless `force` is set. The flat entries are kept.
+ *
+ * @param {Object} [options] - { dryRun, force }
+ * @returns {Promise<{ entries, migrated, skipped, persons, relationships }>}
+ */
+async function migrateFamilyTree({ dryRun = false, force = false } = {}) {
+  const [entries, selfPersons] = await Promise.all([
+    getAllDocuments(COLLECTIONS.FAMILY_TREE),
+    queryDocuments(COLLECTIONS.PERSONS, [{ field: 'userId', operator: '!=', value: null }]),
+  ]);
+  const existingSelf = new Set(selfPersons.map((person) => person.id));
+
+  const oldestByCreator = new Map();
+  [...entries]
+    .sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt))
+    .forEach((entry) => {
+      if (entry.createdBy && !oldestByCreator.has(entry.createdBy)) {
+        oldestByCreator.set(entry.createdBy, entry.id);
+      }
+    });
+
+  const operations = [];
+  const stats = { entries: entries.length, migrated: 0, skipped: 0, persons: 0, relationships: 0 };
+
+  entries.forEach((entry) => {
+    if ((entry.migratedAt && !force) || !entry.createdBy) {
+      stats.skipped++;
+      return;
+    }
+
+    const isSelf = oldestByCreator.get(entry.createdBy) === entry.id;
+    const plan = planEntryMigration(entry, { isSelf });
+    const [selfPerson, ...relatives] = plan.persons;
+
+    // A self person the user already edited through the new endpoints wins
+    if (!(isSelf && existingSelf.has(selfPerson.id))) {
+      operations.push({ type: 'set', collectionName: COLLECTIONS.PERSONS, docId: selfPerson.id, data: selfPerson.data });
+      stats.persons++;
+    }
+    relatives.forEach(({ id, data }) => {
+      operations.push({ type: 'set', collectionName: COLLECTIONS.PERSONS, docId: id, data });
+      stats.persons++;
+    });
+    plan.relationships.forEach(({ id, data }) => {
+      operations.push({ type: 'set', collectionName: COLLECTIONS.RELATIONSHIPS, docId: id, data });
+      stats.relationships++;
+    });
+    operations.push({
+      type: 'update',
+      collectionName: COLLECTIONS.FAMILY_TREE,
+      docId: entry.id,
+      data: { migratedAt: new Date(), migratedPersonId: selfPerson.id },
+    });
+    stats.migrated++;
+  });
+
+  if (!dryRun) {
+    for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+      await batchWrite(operations.slice(i, i + BATCH_SIZE));
+    }
+  }
+
+  return stats;
+}
+
+module.exports = {
+  RELATIONSHIP_TYPES,
+  GENDERS,
+  PERSON_FIELDS,
+  MAX_GRAPH_DEPTH,
+  MAX_GENERATIONS,
+  graphError,
+  pickPersonFields,
+  restrictedPerson,
+  assertCanView,
+  canonicalRelationship,
+  relationshipData,
+  newPersonData,
+  selfPersonId,
+  ensureSelfPerson,
+  findMemberPerson,
+  createPerson,
+  updatePerson,
+  addRelative,
+  connectPersons,
+  deleteRelationship,
+  getRelationshipsOf,
+  getSubgraph,
+  getLineage,
+  deletePerson,
+  planEntryMigration,
+  migrateFamilyTree,
+};
@@ -0,0 +1,313 @@
+/**
+ * Family tree entry validation
+ *
+ * Checks POST / PUT /api/family-tree payloads and returns the cleaned entry
+ * plus errors keyed by field path, so the app can highlight each field:
+ *
+ *   { personPhone: 'Phone number must have 10 digits ...',
+ *     'children[1].dateOfBirth': 'Must be after the date of birth of the person' }
+ *
+ * - Phones are normalized with the signup rules (10 digits, +91 / leading 0 accepted).
+ * - Dates of birth are stored as YYYY-MM-DD, YYYY-MM or YYYY; DD/MM/YYYY and
+ *   ISO timestamps are accepted and converted. No future dates, nobody older
+ *   than MAX_AGE_YEARS.
+ * - `children` is a list of { name, dateOfBirth, gender, phone }; plain
+ *   strings (older app versions) are read as names.
+ * - `marriageDate` (the person and spouseName) takes the same formats; it
+ *   cannot be in the future or before the person's date of birth.
+ * - personIsDeceased / spouseIsDeceased / fatherIsDeceased / motherIsDeceased
+ *   and children[].isDeceased are booleans (default false).
+ * - Consistency: each child is born after the person, who was at least
+ *   MIN_PARENT_AGE_YEARS old by then. With partial dates only impossible
+ *   combinations are rejected.
+ */
+
+const { normalizePhoneProvided } = require('./memberVerification');
+
+const NAME_FIELDS = ['personName', 'spouseName', 'fatherName', 'motherName'];
+const PHONE_FIELDS = ['personPhone', 'spousePhone', 'fatherPhone', 'motherPhone'];
+const DECEASED_FIELDS = ['personIsDeceased', 'spouseIsDeceased', 'fatherIsDeceased', 'motherIsDeceased'];
+const TEXT_LIMITS = {
+  personOccupation: 100,
+  address: 500,
+  notes: 2000,
+};
+const CHILD_GENDERS = ['male', 'female', 'other', ''];
+
+const MAX_NAME_LENGTH = 100;
+const MAX_CHILDREN = 30;
+const MAX_AGE_YEARS = 120;
+const MIN_PARENT_AGE_YEARS = 12;
+
+const PHONE_MESSAGE = 'Phone number must have 10 digits (or +91 / leading 0)';
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function isCalendarDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Normalize a (possibly partial) date to YYYY-MM-DD, YYYY-MM or YYYY.
+ *
+ * @returns {String|null} '' when empty, null when not a valid date
+ */
+function parsePartialDate(value) {
+  if (value === undefined || value === null) return '';
+  const raw = String(value).trim();
+  if (!raw) return '';
+
+  let match = raw.match(/^(\d{4})-(\d{2})-(\d{2})(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/);
+  if (match) {
+    const [, year, month, day] = match.map(Number);
+    return isCalendarDate(year, month, day) ? `${match[1]}-${match[2]}-${match[3]}` : null;
+  }
+  match = raw.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (match) {
+    const [, day, month, year] = match.map(Number);
+    return isCalendarDate(year, month, day) ? `${year}-${pad(month)}-${pad(day)}` : null;
+  }
+  match = raw.match(/^(\d{4})-(\d{2})$/);
+  if (match) {
+    return Number(match[2]) >= 1 && Number(match[2]) <= 12 ? raw : null;
+  }
+  return /^\d{4}$/.test(raw) ? raw : null;
+}
+
+// Earliest and latest day a (possibly partial) date can stand for, as UTC millis
+function dateRange(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  if (day) {
+    const time = Date.UTC(year, month - 1, day);
+    return [time, time];
+  }
+  if (month) return [Date.UTC(year, month - 1, 1), Date.UTC(year, month, 0)];
+  return [Date.UTC(year, 0, 1), Date.UTC(year, 11, 31)];
+}
+
+function yearsLater(time, years) {
+  const date = new Date(time);
+  date.setUTCFullYear(date.getUTCFullYear() + years);
+  return date.getTime();
+}
+
+// Plausibility of one date of birth on its own
+function checkDateOfBirth(value, now) {
+  const [earliest, latest] = dateRange(value);
+  if (earliest > now) return 'Date of birth cannot be in the future';
+  if (latest < yearsLater(now, -MAX_AGE_YEARS)) return `Date of birth cannot be more than ${MAX_AGE_YEARS} years ago`;
+  return null;
+}
+
+// A parent must be at least MIN_PARENT_AGE_YEARS old at the child's birth
+function checkChildAfterParent(childDate, parentDate) {
+  const [, childLatest] = dateRange(childDate);
+  const [parentEarliest] = dateRange(parentDate);
+  if (childLatest <= parentEarliest) return 'Must be after the date of birth of the person';
+  if (childLatest < yearsLater(parentEarliest, MIN_PARENT_AGE_YEARS)) {
+    return `The person would have been younger than ${MIN_PARENT_AGE_YEARS} at this child's birth`;
+  }
+  return null;
+}
+
+// A wedding date on its own and against the person's date of birth
+function checkMarriageDate(value, personDate, now = Date.now()) {
+  const [earliest, latest] = dateRange(value);
+  if (earliest > now) return 'Marriage date cannot be in the future';
+  if (personDate && latest <= dateRange(personDate)[0]) {
+    return 'Must be after the date of birth of the person';
+  }
+  return null;
+}
+
+function readText(value, field, maxLength, errors) {
+  if (value === null) return '';
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    errors[field] = 'Must be text';
+    return undefined;
+  }
+  const text = String(value).trim();
+  if (text.length > maxLength) {
+    errors[field] = `Must be at most ${maxLength} characters`;
+    return undefined;
+  }
+  return text;
+}
+
+function readPhone(value, field, errors) {
+  if (value !== null && typeof value !== 'string' && typeof value !== 'number') {
+    errors[field] = PHONE_MESSAGE;
+    return undefined;
+  }
+  const phone = normalizePhoneProvided(value);
+  if (phone === null) {
+    errors[field] = PHONE_MESSAGE;
+    return undefined;
+  }
+  return phone;
+}
+
+function readFlag(value, field, errors) {
+  if (value === null) return false;
+  if (typeof value !== 'boolean') {
+    errors[field] = 'Must be true or false';
+    return undefined;
+  }
+  return value;
+}
+
+function readDate(value, field, errors, now) {
+  if (value !== null && typeof value !== 'string') {
+    errors[field] = 'Must be a date (YYYY-MM-DD)';
+    return undefined;
+  }
+  const date = parsePartialDate(value);
+  if (date === null) {
+    errors[field] = 'Must be a valid date (YYYY-MM-DD, or DD/MM/YYYY)';
+    return undefined;
+  }
+  const problem = date && checkDateOfBirth(date, now);
+  if (problem) {
+    errors[field] = problem;
+    return undefined;
+  }
+  return date;
+}
+
+function readChild(child, index, errors, now) {
+  const path = `children[${index}]`;
+  if (typeof child === 'string') child = { name: child };
+  if (!child || typeof child !== 'object' || Array.isArray(child)) {
+    errors[path] = 'Must be an object with name, dateOfBirth, gender and phone';
+    return null;
+  }
+
+  const name = readText(child.name ?? '', `${path}.name`, MAX_NAME_LENGTH, errors);
+  if (name === '') errors[`${path}.name`] = 'Name is required';
+
+  const gender = String(child.gender ?? '').trim().toLowerCase();
+  if (!CHILD_GENDERS.includes(gender)) {
+    errors[`${path}.gender`] = `Must be one of ${CHILD_GENDERS.filter(Boolean).join(', ')}`;
+  }
+
+  return {
+    name: name || '',
+    dateOfBirth: readDate(child.dateOfBirth ?? child.dob ?? '', `${path}.dateOfBirth`, errors, now) || '',
+    gender,
+    phone: readPhone(child.phone ?? '', `${path}.phone`, errors) || '',
+    isDeceased: readFlag(child.isDeceased ?? false, `${path}.isDeceased`, errors) || false,
+  };
+}
+
+/**
+ * Validate a family tree entry payload.
+ *
+ * @param {Object} body - request body
+ * @param {Object} [options] - { existing: current entry, for updates (only the given fields are checked) }
+ * @returns {{ data: Object, errors: Object|null }} data holds only the fields present in body
+ */
+function validateFamilyTreeEntry(body = {}, { existing = null } = {}) {
+  const now = Date.now();
+  const errors = {};
+  const data = {};
+  const has = (field) => body[field] !== undefined;
+
+  NAME_FIELDS.forEach((field) => {
+    if (!has(field)) return;
+    const name = readText(body[field], field, MAX_NAME_LENGTH, errors);
+    if (name !== undefined) data[field] = name;
+  });
+  if (!existing && !has('personName')) errors.personName = 'Person name is required';
+  if (data.personName === '') errors.personName = 'Person name is required';
+
+  PHONE_FIELDS.forEach((field) => {
+    if (!has(field)) return;
+    const phone = readPhone(body[field], field, errors);
+    if (phone !== undefined) data[field] = phone;
+  });
+
+  DECEASED_FIELDS.forEach((field) => {
+    if (!has(field)) return;
+    const flag = readFlag(body[field], field, errors);
+    if (flag !== undefined) data[field] = flag;
+  });
+
+  Object.entries(TEXT_LIMITS).forEach(([field, maxLength]) => {
+    if (!has(field)) return;
+    const text = readText(body[field], field, maxLength, errors);
+    if (text !== undefined) data[field] = text;
+  });
+
+  if (has('personDateOfBirth')) {
+    const date = readDate(body.personDateOfBirth, 'personDateOfBirth', errors, now);
+    if (date !== undefined) data.personDateOfBirth = date || null;
+  }
+
+  if (has('marriageDate')) {
+    if (body.marriageDate !== null && typeof body.marriageDate !== 'string') {
+      errors.marriageDate = 'Must be a date (YYYY-MM-DD)';
+    } else {
+      const date = parsePartialDate(body.marriageDate);
+      if (date === null) errors.marriageDate = 'Must be a valid date (YYYY-MM-DD, or DD/MM/YYYY)';
+      else data.marriageDate = date || null;
+    }
+  }
+
+  if (has('children')) {
+    if (body.children === null) {
+      data.children = [];
+    } else if (!Array.isArray(body.children)) {
+      errors.children = 'Must be a list of children';
+    } else if (body.children.length > MAX_CHILDREN) {
+      errors.children = `At most ${MAX_CHILDREN} children`;
+    } else {
+      data.children = body.children.map((child, index) => readChild(child, index, errors, now));
+    }
+  }
+
+  // Children against the person, using stored values for fields not being changed
+  const parentDate = data.personDateOfBirth !== undefined
+    ? data.personDateOfBirth
+    : parsePartialDate(existing?.personDateOfBirth);
+  const children = data.children || (has('personDateOfBirth') && Array.isArray(existing?.children) ? existing.children : []);
+  if (parentDate && !errors.personDateOfBirth) {
+    children.forEach((child, index) => {
+      const childDate = child && typeof child === 'object' ? parsePartialDate(child.dateOfBirth ?? child.dob) : '';
+      const field = `children[${index}].dateOfBirth`;
+      if (!childDate || errors[field]) return;
+      const problem = checkChildAfterParent(childDate, parentDate);
+      if (!problem) return;
+      if (data.children) {
+        errors[field] = problem;
+      } else {
+        errors.personDateOfBirth = `Conflicts with the date of birth of ${child.name || `child ${index + 1}`}`;
+      }
+    });
+  }
+
+  const marriageDate = data.marriageDate !== undefined
+    ? data.marriageDate
+    : parsePartialDate(existing?.marriageDate);
+  if (marriageDate && !errors.marriageDate && !errors.personDateOfBirth) {
+    const problem = checkMarriageDate(marriageDate, parentDate, now);
+    if (problem && data.marriageDate !== undefined) errors.marriageDate = problem;
+    else if (problem) errors.personDateOfBirth = 'Conflicts with the marriage date';
+  }
+
+  return {
+    data,
+    errors: Object.keys(errors).length > 0 ? errors : null,
+  };
+}
+
+module.exports = {
+  MAX_CHILDREN,
+  MAX_AGE_YEARS,
+  MIN_PARENT_AGE_YEARS,
+  parsePartialDate,
+  checkMarriageDate,
+  validateFamilyTreeEntry,
+};
@@ -0,0 +1,528 @@
+/**
+ * GEDCOM 5.5.1 import / export for the family graph
+ *
+ * Import: INDI records become persons, FAM records become spouse edges
+ * (HUSB + WIFE, with the MARR date) and parent edges to each CHIL. Siblings
+ * are implied by the shared parents. One individual can be mapped onto the
+ * user's own person (`selfXref`), which attaches the whole file to their tree;
+ * otherwise the imported persons stand on their own, owned by the user's
+ * Member ID like any person they create. DEAT marks a person deceased, with
+ * its date and, for files we exported, the tithi.
+ *
+ * Export: the user's tree (everything reachable from their own person) as
+ * INDI and FAM records. Children are grouped into families by their pair of
+ * parents; siblings without recorded parents share a parentless FAM.
+ */
+
+const crypto = require('crypto');
+const {
+  COLLECTIONS,
+  batchWrite,
+  runTransaction,
+} = require('../config/firestore');
+const {
+  MAX_GRAPH_DEPTH,
+  graphError,
+  canonicalRelationship,
+  relationshipData,
+  newPersonData,
+  ensureSelfPerson,
+  getSubgraph,
+} = require('./familyGraph');
+
+const MAX_GEDCOM_PERSONS = 2000;
+
+// Firestore allows 500 writes per batch
+const BATCH_SIZE = 400;
+
+// GEDCOM lines are limited to 255 characters; long values continue with CONC
+const MAX_LINE_VALUE = 200;
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// ============================================
+// PARSING
+// ============================================
+
+const LINE_PATTERN = /^\s*(\d+)\s+(?:(@[^@]+@)\s+)?([A-Za-z0-9_]+)(?:\s(.*))?$/;
+
+/**
+ * Parse GEDCOM text into a tree of records.
+ *
+ * @returns {{ records: Array<{ level, xref, tag, value, children }>, warnings: String[] }}
+ */
+function parseLines(text) {
+  const warnings = [];
+  const records = [];
+  const stack = [];
+
+  String(text).replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((raw, index) => {
+    if (!raw.trim()) return;
+    const match = raw.match(LINE_PATTERN);
+    if (!match) {
+      warnings.push(`Line ${index + 1}: could not be read and was skipped`);
+      return;
+    }
+
+    const node = {
+      level: parseInt(match[1], 10),
+      xref: match[2] || null,
+      tag: match[3].toUpperCase(),
+      value: match[4] ?? '',
+      children: [],
+    };
+
+    while (stack.length > 0 && stack[stack.length - 1].level >= node.level) stack.pop();
+
+    if (node.level === 0) {
+      records.push(node);
+    } else if (stack.length === 0 || stack[stack.length - 1].level !== node.level - 1) {
+      warnings.push(`Line ${index + 1}: unexpected level ${node.level} and was skipped`);
+      return;
+    } else {
+      stack[stack.length - 1].children.push(node);
+    }
+    stack.push(node);
+  });
+
+  return { records, warnings };
+}
+
+function child(node, tag) {
+  if (!node) return null;
+  return node.children.find((c) => c.tag === tag) || null;
+}
+
+function childrenOf(node, tag) {
+  if (!node) return [];
+  return node.children.filter((c) => c.tag === tag);
+}
+
+// Value with its CONC / CONT continuation lines
+function fullText(node) {
+  if (!node) return '';
+  return node.children.reduce((text, c) => {
+    if (c.tag === 'CONC') return text + c.value;
+    if (c.tag === 'CONT') return `${text}\n${c.value}`;
+    return text;
+  }, node.value).trim();
+}
+
+// "Ram /Shah/" -> "Ram Shah"
+function cleanName(value) {
+  return String(value || '').replace(/\//g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * GEDCOM date -> 'YYYY-MM-DD', 'YYYY-MM' or 'YYYY'. Qualifiers (ABT, BEF, ...)
+ * and ranges keep their first date; anything unreadable returns ''.
+ */
+function parseGedcomDate(value) {
+  const text = String(value || '').toUpperCase()
+    .replace(/^(ABT|ABOUT|EST|CAL|BEF|AFT|FROM|BET|INT)\s+/, '')
+    .replace(/\s+(AND|TO)\s+.*$/, '')
+    .replace(/\(.*\)/, '')
+    .trim();
+
+  const match = text.match(/^(?:(\d{1,2})\s+)?(?:([A-Z]{3})\s+)?(\d{4})$/);
+  if (!match) return '';
+
+  const [, day, monthName, year] = match;
+  if (!monthName) return day ? '' : year;
+  const month = MONTHS.indexOf(monthName) + 1;
+  if (month === 0) return year;
+
+  const mm = String(month).padStart(2, '0');
+  return day ? `${year}-${mm}-${String(day).padStart(2, '0')}` : `${year}-${mm}`;
+}
+
+/**
+ * Read individuals and families from a GEDCOM file.
+ *
+ * @returns {{ individuals: Map<xref, Object>, families: Array, warnings: String[] }}
+ */
+function parseGedcom(text) {
+  const { records, warnings } = parseLines(text);
+
+  const head = records.find((r) => r.tag === 'HEAD');
+  if (!head) {
+    throw graphError(400, 'Not a GEDCOM file: HEAD record is missing');
+  }
+  const version = child(child(head, 'GEDC'), 'VERS')?.value?.trim();
+  if (version && !version.startsWith('5.5')) {
+    warnings.push(`GEDCOM version ${version} is not 5.5.1; some data may be missed`);
+  }
+  const charset = child(head, 'CHAR')?.value?.trim().toUpperCase();
+  if (charset && !['UTF-8', 'UTF8', 'ASCII'].includes(charset)) {
+    warnings.push(`Character set ${charset} is read as UTF-8; accented names may look wrong`);
+  }
+
+  const notes = new Map(records.filter((r) => r.tag === 'NOTE' && r.xref).map((r) => [r.xref, fullText(r)]));
+  const noteText = (node) => {
+    if (!node) return '';
+    return notes.get(node.value.trim()) ?? fullText(node);
+  };
+
+  const individuals = new Map();
+  records.filter((r) => r.tag === 'INDI').forEach((record) => {
+    if (!record.xref) {
+      warnings.push('An individual without an id was skipped');
+      return;
+    }
+    const nameNode = child(record, 'NAME');
+    let name = cleanName(nameNode?.value);
+    if (!name && nameNode) {
+      name = cleanName(`${child(nameNode, 'GIVN')?.value || ''} ${child(nameNode, 'SURN')?.value || ''}`);
+    }
+    const sex = String(child(record, 'SEX')?.value || '').trim().toUpperCase();
+    const residence = child(record, 'RESI');
+    const death = child(record, 'DEAT');
+    // Our own exports keep the punyatithi as a note on the death event
+    const tithi = childrenOf(death, 'NOTE').map(noteText).find((text) => /^Tithi:/i.test(text));
+
+    individuals.set(record.xref, {
+      xref: record.xref,
+      name,
+      gender: sex === 'M' ? 'male' : sex === 'F' ? 'female' : '',
+      dateOfBirth: parseGedcomDate(child(child(record, 'BIRT'), 'DATE')?.value),
+      isDeceased: !!death,
+      dateOfDeath: parseGedcomDate(child(death, 'DATE')?.value),
+      deathTithi: tithi ? tithi.replace(/^Tithi:\s*/i, '').trim() : '',
+      occupation: fullText(child(record, 'OCCU')),
+      phone: (child(residence, 'PHON') || child(record, 'PHON'))?.value?.trim() || '',
+      email: ((child(residence, 'EMAIL') || child(record, 'EMAIL'))?.value?.trim() || '').toLowerCase(),
+      address: fullText(child(residence, 'ADDR') || child(record, 'ADDR')),
+      notes: childrenOf(record, 'NOTE').map(noteText).filter(Boolean).join('\n'),
+    });
+  });
+
+  const families = records.filter((r) => r.tag === 'FAM').map((record) => ({
+    xref: record.xref,
+    husband: child(record, 'HUSB')?.value?.trim() || null,
+    wife: child(record, 'WIFE')?.value?.trim() || null,
+    children: childrenOf(record, 'CHIL').map((c) => c.value.trim()),
+    marriageDate: parseGedcomDate(child(child(record, 'MARR'), 'DATE')?.value),
+  }));
+
+  return { individuals, families, warnings };
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+function personIdFor(importId, xref) {
+  return `ged_${importId}_${xref.replace(/[^A-Za-z0-9]/g, '')}`;
+}
+
+/**
+ * Create persons and relationships from a GEDCOM file under the user's tree.
+ *
+ * @param {Object} user
+ * @param {String} text - file contents
+ * @param {Object} [options] - { selfXref: individual to merge into the user's own person, dryRun }
+ * @returns {Promise<{ importId, persons, relationships, selfPersonId, warnings }>}
+ */
+async function importGedcom(user, text, { selfXref = null, dryRun = false } = {}) {
+  const { individuals, families, warnings } = parseGedcom(text);
+
+  if (individuals.size === 0) {
+    throw graphError(400, 'No individuals found in the GEDCOM file');
+  }
+  if (individuals.size > MAX_GEDCOM_PERSONS) {
+    throw graphError(400, `Too many individuals (${individuals.size}). Maximum is ${MAX_GEDCOM_PERSONS} per import.`);
+  }
+
+  const selfKey = selfXref ? `@${String(selfXref).replace(/@/g, '')}@` : null;
+  if (selfKey && !individuals.has(selfKey)) {
+    throw graphError(400, `Individual ${selfKey} not found in the GEDCOM file`);
+  }
+
+  const importId = crypto.randomBytes(4).toString('hex');
+  const self = selfKey ? await ensureSelfPerson(user) : null;
+
+  const ids = new Map();
+  const persons = [];
+  individuals.forEach((individual, xref) => {
+    if (xref === selfKey) {
+      ids.set(xref, self.id);
+      return;
+    }
+    const { xref: _, ...fields } = individual;
+    if (!fields.name) {
+      fields.name = 'Unknown';
+      warnings.push(`${xref} has no name and was imported as "Unknown"`);
+    }
+    const id = personIdFor(importId, xref);
+    ids.set(xref, id);
+    persons.push({ id, data: newPersonData(fields, user, { gedcomImportId: importId, gedcomXref: xref }) });
+  });
+
+  const relationships = new Map();
+  const missing = new Set();
+  const link = (type, fromXref, toXref, details) => {
+    const from = ids.get(fromXref);
+    const to = ids.get(toXref);
+    if (!from || !to) {
+      const unknown = !from ? fromXref : toXref;
+      if (!missing.has(unknown)) warnings.push(`Family links to unknown individual ${unknown} were skipped`);
+      missing.add(unknown);
+      return;
+    }
+    if (from === to) return;
+    const edge = canonicalRelationship(type, from, to);
+    relationships.set(edge.id, relationshipData(edge, user.id, details));
+  };
+
+  families.forEach((family) => {
+    if (family.husband && family.wife) {
+      link('spouse', family.husband, family.wife, { marriageDate: family.marriageDate });
+    }
+    family.children.forEach((childXref) => {
+      [family.husband, family.wife].filter(Boolean).forEach((parentXref) => {
+        link('parent', parentXref, childXref);
+      });
+    });
+  });
+
+  // Fill in empty fields of the user's own person, never overwrite them
+  let selfUpdate = null;
+  if (self) {
+    const { xref: _, ...fields } = individuals.get(selfKey);
+    selfUpdate = Object.fromEntries(
+      Object.entries(fields).filter(([field, value]) => value && !self[field])
+    );
+  }
+
+  const result = {
+    importId,
+    persons: persons.length,
+    relationships: relationships.size,
+    selfPersonId: self ? self.id : null,
+    warnings,
+  };
+  if (dryRun) return result;
+
+  const operations = [
+    ...persons.map(({ id, data }) => ({ type: 'set', collectionName: COLLECTIONS.PERSONS, docId: id, data })),
+    ...[...relationships].map(([id, data]) => ({ type: 'set', collectionName: COLLECTIONS.RELATIONSHIPS, docId: id, data })),
+  ];
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    await batchWrite(operations.slice(i, i + BATCH_SIZE));
+  }
+
+  if (selfUpdate && Object.keys(selfUpdate).length > 0) {
+    await runTransaction(async (tx) => {
+      const current = await tx.getDocumentById(COLLECTIONS.PERSONS, self.id);
+      const update = Object.fromEntries(
+        Object.entries(selfUpdate).filter(([field]) => !current[field])
+      );
+      if (Object.keys(update).length > 0) tx.updateDocument(COLLECTIONS.PERSONS, self.id, update);
+    });
+  }
+
+  return result;
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+function formatGedcomDate(value) {
+  const match = String(value || '').match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+  if (!match) return '';
+  const [, year, month, day] = match;
+  const monthName = month ? MONTHS[parseInt(month, 10) - 1] : null;
+  if (!monthName) return year;
+  return day ? `${parseInt(day, 10)} ${monthName} ${year}` : `${monthName} ${year}`;
+}
+
+// "Ram Kumar Shah" -> "Ram Kumar /Shah/"
+function formatGedcomName(name) {
+  const parts = String(name || '').replace(/\//g, '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return '';
+  if (parts.length === 1) return parts[0];
+  return `${parts.slice(0, -1).join(' ')} /${parts[parts.length - 1]}/`;
+}
+
+// One tag with its value, split into CONT (newlines) and CONC (length) lines
+function textLines(level, tag, value) {
+  const lines = [];
+  String(value).split(/\r\n|\r|\n/).forEach((paragraph, index) => {
+    const chunks = paragraph.match(new RegExp(`.{1,${MAX_LINE_VALUE}}`, 'g')) || [''];
+    chunks.forEach((chunk, chunkIndex) => {
+      if (index === 0 && chunkIndex === 0) {
+        lines.push(`${level} ${tag}${chunk ? ` ${chunk}` : ''}`);
+      } else {
+        lines.push(`${level + 1} ${chunkIndex === 0 ? 'CONT' : 'CONC'}${chunk ? ` ${chunk}` : ''}`);
+      }
+    });
+  });
+  return lines;
+}
+
+/**
+ * Group relationships into GEDCOM families.
+ *
+ * @returns {Array<{ parents: String[], children: String[], marriageDate }>}
+ */
+function buildFamilies(persons, relationships) {
+  const families = new Map();
+  const familyFor = (parents) => {
+    const key = [...parents].sort().join('|');
+    if (!families.has(key)) families.set(key, { parents: [...parents].sort(), children: [], marriageDate: '' });
+    return families.get(key);
+  };
+
+  const parentsOf = new Map();
+  relationships.filter((r) => r.type === 'parent').forEach((r) => {
+    if (!parentsOf.has(r.toPersonId)) parentsOf.set(r.toPersonId, []);
+    parentsOf.get(r.toPersonId).push(r.fromPersonId);
+  });
+
+  const spouses = relationships.filter((r) => r.type === 'spouse');
+  spouses.forEach((r) => {
+    familyFor([r.fromPersonId, r.toPersonId]).marriageDate = r.marriageDate || '';
+  });
+
+  parentsOf.forEach((parents, childId) => {
+    // Two parents form one family; more than two (e.g. step-parents) pair up by marriage when possible
+    let groups = [parents];
+    if (parents.length > 2) {
+      const married = spouses.find((r) => parents.includes(r.fromPersonId) && parents.includes(r.toPersonId));
+      const pair = married ? [married.fromPersonId, married.toPersonId] : parents.slice(0, 2);
+      groups = [pair, ...parents.filter((p) => !pair.includes(p)).map((p) => [p])];
+    }
+    groups.forEach((group) => familyFor(group).children.push(childId));
+  });
+
+  // Siblings with no recorded parents share a family without parents
+  const groupOf = new Map();
+  relationships.filter((r) => r.type === 'sibling').forEach((r) => {
+    if (parentsOf.has(r.fromPersonId) || parentsOf.has(r.toPersonId)) return;
+    const group = groupOf.get(r.fromPersonId) || groupOf.get(r.toPersonId) || new Set();
+    [r.fromPersonId, r.toPersonId].forEach((id) => {
+      const existing = groupOf.get(id);
+      if (existing && existing !== group) existing.forEach((other) => { group.add(other); groupOf.set(other, group); });
+      group.add(id);
+      groupOf.set(id, group);
+    });
+  });
+  [...new Set(groupOf.values())].forEach((group) => {
+    families.set(`siblings|${[...group].sort().join('|')}`, { parents: [], children: [...group].sort(), marriageDate: '' });
+  });
+
+  return [...families.values()];
+}
+
+/**
+ * GEDCOM 5.5.1 text for a set of persons and relationships.
+ */
+function buildGedcom(persons, relationships, { submitterName = '' } = {}) {
+  const xrefs = new Map(persons.map((person, index) => [person.id, `@I${index + 1}@`]));
+  const byId = new Map(persons.map((person) => [person.id, person]));
+  const families = buildFamilies(persons, relationships);
+
+  const familiesAsSpouse = new Map();
+  const familiesAsChild = new Map();
+  const addTo = (map, id, fam) => {
+    if (!map.has(id)) map.set(id, []);
+    map.get(id).push(fam);
+  };
+  families.forEach((family, index) => {
+    family.xref = `@F${index + 1}@`;
+    family.parents.forEach((id) => addTo(familiesAsSpouse, id, family.xref));
+    family.children.forEach((id) => addTo(familiesAsChild, id, family.xref));
+  });
+
+  const today = new Date();
+  const lines = [
+    '0 HEAD',
+    '1 SOUR THALI_YUVA_SANGH',
+    '2 NAME Thali Yuva Sangh',
+    `1 DATE ${today.getUTCDate()} ${MONTHS[today.getUTCMonth()]} ${today.getUTCFullYear()}`,
+    '1 SUBM @SUB1@',
+    '1 GEDC',
+    '2 VERS 5.5.1',
+    '2 FORM LINEAGE-LINKED',
+    '1 CHAR UTF-8',
+    '0 @SUB1@ SUBM',
+    ...textLines(1, 'NAME', submitterName || 'Unknown'),
+  ];
+
+  persons.forEach((person) => {
+    lines.push(`0 ${xrefs.get(person.id)} INDI`);
+    lines.push(...textLines(1, 'NAME', formatGedcomName(person.name) || 'Unknown'));
+    lines.push(`1 SEX ${person.gender === 'male' ? 'M' : person.gender === 'female' ? 'F' : 'U'}`);
+    const birthDate = formatGedcomDate(person.dateOfBirth);
+    if (birthDate) lines.push('1 BIRT', `2 DATE ${birthDate}`);
+    if (person.isDeceased) {
+      const deathDate = formatGedcomDate(person.dateOfDeath);
+      lines.push(deathDate ? '1 DEAT' : '1 DEAT Y');
+      if (deathDate) lines.push(`2 DATE ${deathDate}`);
+      if (person.deathTithi) lines.push(...textLines(2, 'NOTE', `Tithi: ${person.deathTithi}`));
+    }
+    if (person.occupation) lines.push(...textLines(1, 'OCCU', person.occupation));
+    if (person.address || person.phone || person.email) {
+      lines.push('1 RESI');
+      if (person.address) lines.push(...textLines(2, 'ADDR', person.address));
+      if (person.phone) lines.push(`2 PHON ${person.phone}`);
+      if (person.email) lines.push(`2 EMAIL ${person.email}`);
+    }
+    if (person.notes) lines.push(...textLines(1, 'NOTE', person.notes));
+    (familiesAsChild.get(person.id) || []).forEach((fam) => lines.push(`1 FAMC ${fam}`));
+    (familiesAsSpouse.get(person.id) || []).forEach((fam) => lines.push(`1 FAMS ${fam}`));
+  });
+
+  families.forEach((family) => {
+    lines.push(`0 ${family.xref} FAM`);
+    // HUSB / WIFE by gender; unknown genders fill whichever slot is free
+    const parents = family.parents.map((id) => byId.get(id)).filter(Boolean);
+    let husband = parents.find((person) => person.gender === 'male') || null;
+    let wife = parents.find((person) => person.gender === 'female') || null;
+    parents.filter((person) => person !== husband && person !== wife).forEach((person) => {
+      if (!husband) husband = person;
+      else if (!wife) wife = person;
+    });
+    if (husband) lines.push(`1 HUSB ${xrefs.get(husband.id)}`);
+    if (wife) lines.push(`1 WIFE ${xrefs.get(wife.id)}`);
+    family.children.forEach((id) => lines.push(`1 CHIL ${xrefs.get(id)}`));
+    const marriageDate = formatGedcomDate(family.marriageDate);
+    if (marriageDate) lines.push('1 MARR', `2 DATE ${marriageDate}`);
+  });
+
+  lines.push('0 TRLR');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * The user's tree (everything reachable from their own person) as GEDCOM.
+ * Persons the user has no access to are left out, with their links.
+ *
+ * @param {Object} [access] - from loadTreeAccess()
+ * @returns {Promise<{ text, persons, truncated }>}
+ */
+async function exportGedcom(user, access = null) {
+  const self = await ensureSelfPerson(user);
+  const graph = await getSubgraph(self.id, MAX_GRAPH_DEPTH, access);
+  const persons = graph.persons.filter((person) => !person.restricted);
+  const included = new Set(persons.map((person) => person.id));
+  const relationships = graph.relationships.filter((edge) =>
+    included.has(edge.fromPersonId) && included.has(edge.toPersonId));
+  const text = buildGedcom(persons, relationships, { submitterName: user.name });
+  return {
+    text,
+    persons: persons.length,
+    truncated: graph.truncated,
+  };
+}
+
+module.exports = {
+  MAX_GEDCOM_PERSONS,
+  parseGedcom,
+  parseGedcomDate,
+  formatGedcomDate,
+  importGedcom,
+  buildGedcom,
+  exportGedcom,
+};
@@ -0,0 +1,312 @@
+/**
+ * Households
+ *
+ * A Member ID belongs to a whole family. The account that holds it (the first
+ * approved signup) is the household's primary holder; spouses and adult
+ * children sign up with the same Member ID and `joinHousehold: true`, and stay
+ * pending until the primary holder (or an admin) approves them.
+ *
+ * households/{memberId}: { memberId, primaryUserId }
+ * users:
+ *   householdId        Member ID of the household
+ *   householdRole      'primary' | 'member'
+ *   householdStatus    'pending' | 'active' | 'declined' | 'removed'
+ *   householdRelation  optional, e.g. 'spouse', 'son'
+ *
+ * The household doc is created lazily on the first join request. Accounts
+ * created before households existed simply have no household fields.
+ *
+ * Family tree entries carry the Member ID, so active household members see and
+ * edit each other's entries: the household owns the tree (see treeSharing.js).
+ */
+
+const {
+  COLLECTIONS,
+  getDocumentById,
+  queryDocuments,
+  runTransaction,
+  timestampToDate,
+} = require('../config/firestore');
+const { getAccountState, planTransition } = require('./accountLifecycle');
+const { normalizeMemberId } = require('./memberVerification');
+
+const HOUSEHOLD_ROLES = ['primary', 'member'];
+const HOUSEHOLD_STATUSES = ['pending', 'active', 'declined', 'removed'];
+
+// Users read per household (a family, not a mailing list)
+const MAX_HOUSEHOLD_USERS = 50;
+
+function householdError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function toMillis(value) {
+  const date = timestampToDate(value);
+  return date instanceof Date ? date.getTime() : 0;
+}
+
+/**
+ * Pick the primary holder among the accounts using a Member ID: the current
+ * primary, else the account linked to the authorized record, else the oldest
+ * approved account. Only approved accounts qualify.
+ */
+function pickPrimaryHolder(users) {
+  const approved = users.filter((user) => getAccountState(user) === 'approved' && user.householdRole !== 'member');
+  return approved.find((user) => user.householdRole === 'primary') ||
+    approved.find((user) => user.authorizedMemberId) ||
+    approved.sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt))[0] ||
+    null;
+}
+
+/**
+ * Resolve (and if needed plan the creation of) the household a new account
+ * wants to join. Transaction reads only; the caller applies `writes(tx)` after
+ * its own reads.
+ *
+ * @returns {Promise<{ householdId, primary, writes }>}
+ * @throws householdError(409) when no approved account holds the Member ID
+ */
+async function prepareHouseholdJoin(tx, memberId) {
+  const householdId = normalizeMemberId(memberId);
+  const [household, users] = await Promise.all([
+    tx.getDocumentById(COLLECTIONS.HOUSEHOLDS, householdId),
+    tx.queryDocuments(COLLECTIONS.USERS, [
+      { field: 'memberId', operator: '==', value: householdId },
+    ], null, 'asc', MAX_HOUSEHOLD_USERS),
+  ]);
+
+  let primary = household ? users.find((user) => user.id === household.primaryUserId) : null;
+  if (primary && getAccountState(primary) !== 'approved') primary = null;
+  if (!primary) primary = pickPrimaryHolder(users);
+
+  if (!primary) {
+    throw householdError(409, 'No approved account holds this Member ID yet. Please try again once it is approved.');
+  }
+
+  const writes = (writeTx) => {
+    if (!household) {
+      writeTx.createDocument(COLLECTIONS.HOUSEHOLDS, { memberId: householdId, primaryUserId: primary.id }, householdId);
+    } else if (household.primaryUserId !== primary.id) {
+      writeTx.updateDocument(COLLECTIONS.HOUSEHOLDS, householdId, { primaryUserId: primary.id });
+    }
+    if (primary.householdRole !== 'primary' || primary.householdStatus !== 'active' || primary.householdId !== householdId) {
+      writeTx.updateDocument(COLLECTIONS.USERS, primary.id, {
+        householdId,
+        householdRole: 'primary',
+        householdStatus: 'active',
+      });
+    }
+  };
+
+  return { householdId, primary, writes };
+}
+
+// Household fields to write alongside an account lifecycle change of a joiner
+function householdFieldsForTransition(user, action) {
+  if (!user?.householdId || user.householdRole !== 'member') return {};
+  switch (action) {
+    case 'approve':
+      return user.householdStatus === 'pending' ? { householdStatus: 'active' } : {};
+    case 'reject':
+      return user.householdStatus === 'pending' ? { householdStatus: 'declined' } : {};
+    default:
+      return {};
+  }
+}
+
+function isActiveHouseholdMember(user) {
+  return !!user?.householdId && user.householdStatus === 'active';
+}
+
+function publicMember(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    phone: user.phone || '',
+    householdRole: user.householdRole || null,
+    householdStatus: user.householdStatus || null,
+    householdRelation: user.householdRelation || '',
+    accountStatus: getAccountState(user),
+    createdAt: user.createdAt || null,
+  };
+}
+
+/**
+ * Load a household with its accounts.
+ *
+ * @returns {Promise<{ household, primary, members, pending } | null>}
+ */
+async function getHousehold(householdId) {
+  const household = await getDocumentById(COLLECTIONS.HOUSEHOLDS, householdId);
+  if (!household) return null;
+
+  const users = await queryDocuments(COLLECTIONS.USERS, [
+    { field: 'householdId', operator: '==', value: householdId },
+  ]);
+
+  return {
+    household,
+    primary: users.find((user) => user.id === household.primaryUserId) || null,
+    members: users.filter((user) => user.householdStatus === 'active').map(publicMember),
+    pending: users.filter((user) => user.householdStatus === 'pending').map(publicMember),
+  };
+}
+
+// asAdmin: the caller already checked admin permissions (admin routes)
+function assertPrimary(household, actor, asAdmin) {
+  if (asAdmin || household.primaryUserId === actor.id) return;
+  throw householdError(403, 'Only the primary holder can manage this household');
+}
+
+/**
+ * Approve or decline a pending join request.
+ *
+ * @param {String} decision - 'approve' | 'reject'
+ * @param {Object} [options] - { reason, asAdmin }
+ * @returns {Promise<{ user, previous }>}
+ */
+async function reviewJoinRequest(householdId, userId, decision, actor, { reason = null, asAdmin = false } = {}) {
+  return await runTransaction(async (tx) => {
+    const [household, user] = await Promise.all([
+      tx.getDocumentById(COLLECTIONS.HOUSEHOLDS, householdId),
+      tx.getDocumentById(COLLECTIONS.USERS, userId),
+    ]);
+    if (!household) throw householdError(404, 'Household not found');
+    assertPrimary(household, actor, asAdmin);
+
+    if (!user || user.householdId !== householdId || user.householdStatus !== 'pending') {
+      throw householdError(404, 'Join request not found');
+    }
+
+    const { update } = planTransition(user, decision, { actor, reason });
+    const data = { ...update, ...householdFieldsForTransition(user, decision) };
+    tx.updateDocument(COLLECTIONS.USERS, user.id, data);
+
+    return { user: { ...user, ...data }, previous: user };
+  });
+}
+
+/**
+ * Remove an account from the household. Its login is deactivated: it only
+ * existed to share this Member ID.
+ *
+ * @param {Object} [options] - { reason, asAdmin }
+ * @returns {Promise<{ user, previous }>}
+ */
+async function removeHouseholdMember(householdId, userId, actor, { reason = null, asAdmin = false } = {}) {
+  return await runTransaction(async (tx) => {
+    const [household, user] = await Promise.all([
+      tx.getDocumentById(COLLECTIONS.HOUSEHOLDS, householdId),
+      tx.getDocumentById(COLLECTIONS.USERS, userId),
+    ]);
+    if (!household) throw householdError(404, 'Household not found');
+    assertPrimary(household, actor, asAdmin);
+
+    if (!user || user.householdId !== householdId || user.householdStatus !== 'active') {
+      throw householdError(404, 'Household member not found');
+    }
+    if (user.id === household.primaryUserId) {
+      throw householdError(400, 'Transfer the primary role before removing the primary holder');
+    }
+
+    const { update } = planTransition(user, 'deactivate', {
+      actor,
+      reason: reason || 'Removed from household',
+    });
+    const data = { ...update, householdStatus: 'removed' };
+    tx.updateDocument(COLLECTIONS.USERS, user.id, data);
+
+    return { user: { ...user, ...data }, previous: user };
+  });
+}
+
+/**
+ * Hand the primary role to another active, approved member.
+ *
+ * @param {Object} [options] - { asAdmin }
+ * @returns {Promise<{ household, previousPrimaryId }>}
+ */
+async function transferPrimary(householdId, newPrimaryId, actor, { asAdmin = false } = {}) {
+  return await runTransaction(async (tx) => {
+    const [household, next] = await Promise.all([
+      tx.getDocumentById(COLLECTIONS.HOUSEHOLDS, householdId),
+      tx.getDocumentById(COLLECTIONS.USERS, newPrimaryId),
+    ]);
+    if (!household) throw householdError(404, 'Household not found');
+    assertPrimary(household, actor, asAdmin);
+
+    if (!next || next.householdId !== householdId || next.householdStatus !== 'active') {
+      throw householdError(404, 'Household member not found');
+    }
+    if (getAccountState(next) !== 'approved') {
+      throw householdError(409, 'The new primary holder must have an approved account');
+    }
+    if (next.id === household.primaryUserId) {
+      throw householdError(409, 'This account is already the primary holder');
+    }
+
+    const previousPrimaryId = household.primaryUserId;
+    const previous = previousPrimaryId
+      ? await tx.getDocumentById(COLLECTIONS.USERS, previousPrimaryId)
+      : null;
+
+    tx.updateDocument(COLLECTIONS.HOUSEHOLDS, householdId, { primaryUserId: next.id });
+    tx.updateDocument(COLLECTIONS.USERS, next.id, { householdRole: 'primary' });
+    if (previous) {
+      tx.updateDocument(COLLECTIONS.USERS, previous.id, { householdRole: 'member' });
+    }
+
+    return { household: { ...household, primaryUserId: next.id }, previousPrimaryId };
+  });
+}
+
+/**
+ * Called before an account is deleted: a primary holder hands the household to
+ * the oldest other active member, or the household is removed when none is left.
+ *
+ * @returns {Promise<String|null>} new primary user id, if any
+ */
+async function handOverHousehold(user) {
+  if (!user?.householdId || user.householdRole !== 'primary') return null;
+
+  return await runTransaction(async (tx) => {
+    const [household, users] = await Promise.all([
+      tx.getDocumentById(COLLECTIONS.HOUSEHOLDS, user.householdId),
+      tx.queryDocuments(COLLECTIONS.USERS, [
+        { field: 'householdId', operator: '==', value: user.householdId },
+      ], null, 'asc', MAX_HOUSEHOLD_USERS),
+    ]);
+    if (!household || household.primaryUserId !== user.id) return null;
+
+    const next = users
+      .filter((other) => other.id !== user.id && other.householdStatus === 'active' && getAccountState(other) === 'approved')
+      .sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt))[0];
+
+    if (!next) {
+      tx.deleteDocument(COLLECTIONS.HOUSEHOLDS, household.id);
+      return null;
+    }
+    tx.updateDocument(COLLECTIONS.HOUSEHOLDS, household.id, { primaryUserId: next.id });
+    tx.updateDocument(COLLECTIONS.USERS, next.id, { householdRole: 'primary' });
+    return next.id;
+  });
+}
+
+module.exports = {
+  HOUSEHOLD_ROLES,
+  HOUSEHOLD_STATUSES,
+  householdError,
+  pickPrimaryHolder,
+  prepareHouseholdJoin,
+  householdFieldsForTransition,
+  isActiveHouseholdMember,
+  publicMember,
+  getHousehold,
+  reviewJoinRequest,
+  removeHouseholdMember,
+  transferPrimary,
+  handOverHousehold,
+};
@@ -0,0 +1,220 @@
+/**
+ * Information directory search index
+ *
+ * Each information row stores precomputed search fields, written by
+ * scripts/importInformation.js (and backfilled by scripts/reindexInformation.js):
+ *
+ *   searchName:     normalized full name ('bhavesh kumar shah')
+ *   searchTokens:   normalized name words (['bhavesh', 'kumar', 'shah'])
+ *   phoneticTokens: phonetic keys of the words (['baves', 'kumar', 'sah'])
+ *   searchPrefixes: every prefix of every phonetic key (['b', 'ba', ..., 'sah'])
+ *
+ * Names and queries are transliterated and folded the same way (see
+ * utils/nameMatching.js), so "Bavesh", "Bhavésh" and "ભાવેશ" all find Bhavesh.
+ * A search fetches the rows whose searchPrefixes contain the longest query key
+ * (one array-contains query, in document id order), keeps those where every
+ * query key starts one of the row's keys, and ranks them: exact full name,
+ * then first + last name, then partial matches; within a rank, rows spelled
+ * like the query come first. Pages are cut with an opaque cursor holding the
+ * sort key of the last row returned.
+ *
+ * Short keys match a large share of the directory, so a query key needs
+ * MIN_QUERY_KEY_LENGTH letters (shorter queries find nothing) and at most
+ * MAX_CANDIDATES rows are read per lookup. A search that hits the cap is
+ * reported as `truncated`: its ranking only covers the rows read, and typing
+ * more of the name narrows it.
+ *
+ * Rows indexed before phonetic matching have searchPrefixes of the plain name
+ * words and no phoneticTokens. Until `npm run reindex-info` has run, the
+ * longest plain query word is looked up as well and those rows' keys are
+ * derived from their names, so they keep turning up in results.
+ */
+
+const {
+  COLLECTIONS,
+  queryDocuments,
+  getAllDocuments,
+  batchWrite,
+} = require('../config/firestore');
+const { normalizeName, phoneticTokens } = require('./nameMatching');
+
+const MAX_PREFIX_LENGTH = 20;
+// "Shah" is "sa", so two letters are enough for any surname
+const MIN_QUERY_KEY_LENGTH = 2;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_CANDIDATES = 500;
+
+const MATCH_TYPES = ['exact', 'first_last', 'partial'];
+
+// Firestore allows 500 writes per batch
+const BATCH_SIZE = 400;
+
+function searchError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function tokensOf(value) {
+  return normalizeName(value).split(' ').filter(Boolean);
+}
+
+/**
+ * Search fields for an information row.
+ *
+ * @param {Object} info - { firstName, middleName, lastName, fullName }
+ * @returns {{ searchName: String, searchTokens: String[], phoneticTokens: String[], searchPrefixes: String[] }}
+ */
+function searchIndexFields(info) {
+  const fullName = info.fullName || [info.firstName, info.middleName, info.lastName].filter(Boolean).join(' ');
+  const names = [fullName, info.firstName, info.middleName, info.lastName];
+  const searchTokens = [...new Set(names.flatMap(tokensOf))];
+  const phonetic = [...new Set(names.flatMap(phoneticTokens))];
+  const searchPrefixes = new Set();
+  phonetic.forEach((token) => {
+    for (let i = 1; i <= Math.min(token.length, MAX_PREFIX_LENGTH); i++) {
+      searchPrefixes.add(token.slice(0, i));
+    }
+  });
+
+  return {
+    searchName: normalizeName(fullName),
+    searchTokens,
+    phoneticTokens: phonetic,
+    searchPrefixes: [...searchPrefixes],
+  };
+}
+
+// Phonetic keys of a row, derived from its names when it predates phoneticTokens
+function rowKeys(info) {
+  return Array.isArray(info.phoneticTokens) ? info.phoneticTokens : searchIndexFields(info).phoneticTokens;
+}
+
+// [rank, words not spelled as typed, name, id]: compared left to right, smaller first
+function sortKey(info, query) {
+  const soundsLike = (value) => phoneticTokens(value).join(' ') === query.phonetic;
+  let rank = 2;
+  if (soundsLike(info.fullName || info.searchName)) rank = 0;
+  else if (soundsLike(`${info.firstName || ''} ${info.lastName || ''}`)) rank = 1;
+  const searchTokens = Array.isArray(info.searchTokens) ? info.searchTokens : [];
+  const spelled = query.words.filter((word) => searchTokens.includes(word)).length;
+  return [rank, query.words.length - spelled, info.searchName || normalizeName(info.fullName), info.id];
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return -1;
+    if (a[i] > b[i]) return 1;
+  }
+  return 0;
+}
+
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const valid = Array.isArray(key) && key.length === 4 &&
+      Number.isInteger(key[0]) && Number.isInteger(key[1]) &&
+      typeof key[2] === 'string' && typeof key[3] === 'string';
+    if (valid) return key;
+  } catch (error) {
+    // fall through
+  }
+  throw searchError(400, 'Invalid cursor');
+}
+
+/**
+ * Ranked, paged name search over the information directory.
+ *
+ * @param {String} name - query (first name, first + last, or full name; words may be partial)
+ * @param {Object} [options] - { limit (default 20, max 100), cursor: from the previous page }
+ * @returns {Promise<{ results: Array, nextCursor: String|null, truncated: Boolean }>}
+ *   no results until a query word has MIN_QUERY_KEY_LENGTH letters
+ * @throws searchError (400) for an invalid cursor
+ */
+async function searchInformation(name, { limit, cursor } = {}) {
+  const keys = phoneticTokens(name);
+  const longest = keys.reduce((a, b) => (b.length > a.length ? b : a), '');
+  if (longest.length < MIN_QUERY_KEY_LENGTH) return { results: [], nextCursor: null, truncated: false };
+
+  const parsedLimit = parseInt(limit, 10);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Number.isFinite(parsedLimit) ? parsedLimit : DEFAULT_PAGE_SIZE));
+  const after = cursor ? decodeCursor(cursor) : null;
+
+  const query = { words: tokensOf(name), phonetic: keys.join(' ') };
+  const longestWord = query.words.reduce((a, b) => (b.length > a.length ? b : a), '');
+  const lookups = [...new Set([longest, longestWord].filter(Boolean).map((value) => value.slice(0, MAX_PREFIX_LENGTH)))];
+  const found = await Promise.all(lookups.map((value) => queryDocuments(COLLECTIONS.INFORMATION, [
+    { field: 'searchPrefixes', operator: 'array-contains', value },
+  ], null, 'asc', MAX_CANDIDATES + 1)));
+  const truncated = found.some((rows) => rows.length > MAX_CANDIDATES);
+  const candidates = new Map(found.flatMap((rows) => rows.slice(0, MAX_CANDIDATES)).map((info) => [info.id, info]));
+
+  const ranked = [...candidates.values()]
+    .filter((info) => {
+      const words = rowKeys(info);
+      return keys.every((key) => words.some((word) => word.startsWith(key)));
+    })
+    .map((info) => ({ info, key: sortKey(info, query) }))
+    .filter(({ key }) => !after || compareKeys(key, after) > 0)
+    .sort((a, b) => compareKeys(a.key, b.key));
+
+  const page = ranked.slice(0, pageSize);
+  return {
+    results: page.map(({ info, key }) => ({
+      id: info.id,
+      firstName: info.firstName,
+      middleName: info.middleName,
+      lastName: info.lastName,
+      fullName: info.fullName,
+      memberId: info.memberId,
+      number: info.number,
+      match: MATCH_TYPES[key[0]],
+    })),
+    nextCursor: ranked.length > pageSize ? encodeCursor(page[page.length - 1].key) : null,
+    truncated,
+  };
+}
+
+/**
+ * (Re)compute the search fields of every information row.
+ *
+ * @param {Object} [options] - { dryRun, force: rewrite rows whose fields are already current }
+ * @returns {Promise<{ rows: Number, updated: Number, skipped: Number }>}
+ */
+async function reindexInformation({ dryRun = false, force = false } = {}) {
+  const rows = await getAllDocuments(COLLECTIONS.INFORMATION);
+  const operations = [];
+
+  rows.forEach((info) => {
+    const fields = searchIndexFields(info);
+    const current = Object.keys(fields).every(
+      (field) => JSON.stringify(info[field]) === JSON.stringify(fields[field])
+    );
+    if (current && !force) return;
+    operations.push({ type: 'update', collectionName: COLLECTIONS.INFORMATION, docId: info.id, data: fields });
+  });
+
+  if (!dryRun) {
+    for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+      await batchWrite(operations.slice(i, i + BATCH_SIZE));
+    }
+  }
+
+  return { rows: rows.length, updated: operations.length, skipped: rows.length - operations.length };
+}
+
+module.exports = {
+  MATCH_TYPES,
+  MIN_QUERY_KEY_LENGTH,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  MAX_CANDIDATES,
+  searchIndexFields,
+  searchInformation,
+  reindexInformation,
+};
@@ -0,0 +1,357 @@
+/**
+ * Kinship calculator
+ *
+ * Finds the shortest chain of relationships between two persons in the family
+ * graph and names it:
+ *
+ * - `chain`: kinship notation, one letter per step from the first person
+ *   (F father, M mother, P parent, B brother, Z sister, G sibling, S son,
+ *   D daughter, C child, H husband, W wife, E spouse). Going up to a parent and
+ *   straight back down to another of their children is one sibling step.
+ * - `description`: the chain spelled out ("father's brother's son").
+ * - `relationship`: the English term ("first cousin once removed",
+ *   "sister-in-law"), falling back to the description for long in-law chains.
+ * - `terms`: Hindi and Gujarati terms (kaka, mama, fai, ...) when the chain has
+ *   one. These depend on which side of the family the link goes through, which
+ *   is why they are looked up on the chain rather than the English term.
+ */
+
+const { COLLECTIONS, getDocumentById } = require('../config/firestore');
+const { graphError, getRelationshipsOf } = require('./familyGraph');
+
+// Relationship steps searched, and persons visited, before giving up
+const MAX_KINSHIP_STEPS = 12;
+const MAX_KINSHIP_PERSONS = 2000;
+
+const STEP_LETTERS = {
+  up: { male: 'F', female: 'M', other: 'P' },
+  down: { male: 'S', female: 'D', other: 'C' },
+  sibling: { male: 'B', female: 'Z', other: 'G' },
+  spouse: { male: 'H', female: 'W', other: 'E' },
+};
+
+const LETTER_WORDS = {
+  F: 'father', M: 'mother', P: 'parent',
+  S: 'son', D: 'daughter', C: 'child',
+  B: 'brother', Z: 'sister', G: 'sibling',
+  H: 'husband', W: 'wife', E: 'spouse',
+};
+
+const SIBLING = 'BZG';
+const SPOUSE = 'HWE';
+
+// Romanized Hindi (hi) and Gujarati (gu) terms by chain. Where the term depends
+// on relative age (chacha / tau), both are given.
+const KINSHIP_TERMS = {
+  F: { hi: 'pita', gu: 'pita' },
+  M: { hi: 'mata', gu: 'mata' },
+  B: { hi: 'bhai', gu: 'bhai' },
+  Z: { hi: 'behen', gu: 'ben' },
+  S: { hi: 'beta', gu: 'dikro' },
+  D: { hi: 'beti', gu: 'dikri' },
+  H: { hi: 'pati', gu: 'pati' },
+  W: { hi: 'patni', gu: 'patni' },
+
+  FF: { hi: 'dada', gu: 'dada' },
+  FM: { hi: 'dadi', gu: 'dadi' },
+  MF: { hi: 'nana', gu: 'nana' },
+  MM: { hi: 'nani', gu: 'nani' },
+  FFF: { hi: 'pardada', gu: 'pardada' },
+  FFM: { hi: 'pardadi', gu: 'pardadi' },
+  MMF: { hi: 'parnana', gu: 'parnana' },
+  MMM: { hi: 'parnani', gu: 'parnani' },
+  MFF: { hi: 'parnana', gu: 'parnana' },
+  MFM: { hi: 'parnani', gu: 'parnani' },
+  SS: { hi: 'pota', gu: 'pautra' },
+  SD: { hi: 'poti', gu: 'pautri' },
+  DS: { hi: 'nati', gu: 'dohitra' },
+  DD: { hi: 'natin', gu: 'dohitri' },
+
+  FB: { hi: 'chacha / tau', gu: 'kaka' },
+  FBW: { hi: 'chachi / tai', gu: 'kaki' },
+  FZ: { hi: 'bua', gu: 'fai' },
+  FZH: { hi: 'fufa', gu: 'fuva' },
+  MB: { hi: 'mama', gu: 'mama' },
+  MBW: { hi: 'mami', gu: 'mami' },
+  MZ: { hi: 'mausi', gu: 'masi' },
+  MZH: { hi: 'mausa', gu: 'masa' },
+
+  BS: { hi: 'bhatija', gu: 'bhatrijo' },
+  BD: { hi: 'bhatiji', gu: 'bhatriji' },
+  ZS: { hi: 'bhanja', gu: 'bhanejo' },
+  ZD: { hi: 'bhanji', gu: 'bhaneji' },
+  BW: { hi: 'bhabhi', gu: 'bhabhi' },
+  ZH: { hi: 'jija', gu: 'banevi' },
+
+  FBS: { hi: 'chachera bhai', gu: 'pitrai bhai' },
+  FBD: { hi: 'chacheri behen', gu: 'pitrai ben' },
+  FZS: { hi: 'phuphera bhai', gu: 'fai no dikro' },
+  FZD: { hi: 'phupheri behen', gu: 'fai ni dikri' },
+  MBS: { hi: 'mamera bhai', gu: 'mama no dikro' },
+  MBD: { hi: 'mameri behen', gu: 'mama ni dikri' },
+  MZS: { hi: 'mausera bhai', gu: 'masi no dikro' },
+  MZD: { hi: 'mauseri behen', gu: 'masi ni dikri' },
+
+  SW: { hi: 'bahu', gu: 'vahu' },
+  DH: { hi: 'damad', gu: 'jamai' },
+  FW: { hi: 'sauteli maa', gu: 'apar ma' },
+  MH: { hi: 'sautele pita', gu: 'apar pita' },
+
+  HF: { hi: 'sasur', gu: 'sasra' },
+  HM: { hi: 'saas', gu: 'sasu' },
+  WF: { hi: 'sasur', gu: 'sasra' },
+  WM: { hi: 'saas', gu: 'sasu' },
+  HB: { hi: 'devar / jeth', gu: 'diyar / jeth' },
+  HZ: { hi: 'nanad', gu: 'nanand' },
+  HBW: { hi: 'devrani / jethani', gu: 'derani / jethani' },
+  WB: { hi: 'sala', gu: 'salo' },
+  WZ: { hi: 'sali', gu: 'sali' },
+  WZH: { hi: 'sadhu', gu: 'sadhu' },
+  WBW: { hi: 'salhaj', gu: 'salaj' },
+};
+
+function genderKey(person) {
+  return person?.gender === 'male' || person?.gender === 'female' ? person.gender : 'other';
+}
+
+const ORDINALS = ['', 'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+const TIMES = ['', 'once', 'twice', 'three times', 'four times', 'five times'];
+
+function gendered(gender, male, female, other) {
+  if (gender === 'male') return male;
+  if (gender === 'female') return female;
+  return other;
+}
+
+function greats(count) {
+  return 'great-'.repeat(Math.max(0, count));
+}
+
+/**
+ * English term for a blood relative `up` generations up to the common ancestor
+ * and `down` generations back down.
+ */
+function bloodTerm(up, down, gender) {
+  if (up === 0 && down === 0) return 'self';
+  if (down === 0) {
+    const base = gendered(gender, 'father', 'mother', 'parent');
+    if (up === 1) return base;
+    return `${greats(up - 2)}grand${base}`;
+  }
+  if (up === 0) {
+    const base = gendered(gender, 'son', 'daughter', 'child');
+    if (down === 1) return base;
+    return `${greats(down - 2)}grand${base}`;
+  }
+  if (up === 1 && down === 1) return gendered(gender, 'brother', 'sister', 'sibling');
+  if (up === 1) {
+    const base = gendered(gender, 'nephew', 'niece', 'nibling');
+    return down === 2 ? base : `${greats(down - 3)}grand${base}`;
+  }
+  if (down === 1) {
+    return `${greats(up - 2)}${gendered(gender, 'uncle', 'aunt', 'pibling')}`;
+  }
+
+  const degree = Math.min(up, down) - 1;
+  const removed = Math.abs(up - down);
+  const ordinal = ORDINALS[degree] || `${degree}th`;
+  const times = TIMES[removed] || `${removed} times`;
+  return `${ordinal} cousin${removed ? ` ${times} removed` : ''}`;
+}
+
+// Up steps, then at most one sibling step, then down steps
+function bloodShape(chain) {
+  const match = chain.match(/^([FMP]*)([BZG]?)([SDC]*)$/);
+  if (!match) return null;
+  const sibling = match[2] ? 1 : 0;
+  return { up: match[1].length + sibling, down: match[3].length + sibling };
+}
+
+function describeChain(chain) {
+  if (!chain) return 'self';
+  return [...chain].map((letter) => LETTER_WORDS[letter]).join("'s ");
+}
+
+/**
+ * English relationship for a kinship chain.
+ *
+ * @param {String} chain - e.g. 'FBS'
+ * @param {String} gender - gender of the last person in the chain
+ */
+function englishRelationship(chain, gender) {
+  if (!chain) return 'self';
+
+  const shape = bloodShape(chain);
+  if (shape) return bloodTerm(shape.up, shape.down, gender);
+
+  const startsWithSpouse = SPOUSE.includes(chain[0]);
+  const endsWithSpouse = SPOUSE.includes(chain[chain.length - 1]);
+
+  if (chain.length === 1 && startsWithSpouse) {
+    return gendered(gender, 'husband', 'wife', 'spouse');
+  }
+
+  // Spouse's relative: in-laws
+  if (startsWithSpouse && !endsWithSpouse) {
+    const inner = bloodShape(chain.slice(1));
+    if (inner) {
+      if (inner.up === 1 && inner.down === 0) return gendered(gender, 'father-in-law', 'mother-in-law', 'parent-in-law');
+      if (inner.up === 1 && inner.down === 1) return gendered(gender, 'brother-in-law', 'sister-in-law', 'sibling-in-law');
+      if (inner.up === 0 && inner.down === 1) return gendered(gender, 'stepson', 'stepdaughter', 'stepchild');
+      return `${LETTER_WORDS[chain[0]]}'s ${bloodTerm(inner.up, inner.down, gender)}`;
+    }
+  }
+
+  // Relative's spouse
+  if (endsWithSpouse && !startsWithSpouse) {
+    const inner = bloodShape(chain.slice(0, -1));
+    if (inner) {
+      if (inner.up === 1 && inner.down === 0) return gendered(gender, 'stepfather', 'stepmother', 'step-parent');
+      if (inner.up === 1 && inner.down === 1) return gendered(gender, 'brother-in-law', 'sister-in-law', 'sibling-in-law');
+      if (inner.up === 0 && inner.down === 1) return gendered(gender, 'son-in-law', 'daughter-in-law', 'child-in-law');
+      if (inner.up >= 2 && inner.down === 1) {
+        return `${bloodTerm(inner.up, inner.down, gender)} (by marriage)`;
+      }
+    }
+  }
+
+  // Spouse's sibling's spouse
+  if (startsWithSpouse && endsWithSpouse && chain.length === 3 && SIBLING.includes(chain[1])) {
+    return gendered(gender, 'brother-in-law', 'sister-in-law', 'sibling-in-law');
+  }
+
+  return describeChain(chain);
+}
+
+/**
+ * Turn raw steps into chain letters. An up step followed by a down step meets
+ * at a shared parent and collapses into one sibling step.
+ *
+ * @param {Array<{ direction: 'up'|'down'|'sibling'|'spouse', person }>} steps
+ */
+function chainFromSteps(steps) {
+  const letters = [];
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    const nextStep = steps[i + 1];
+    if (step.direction === 'up' && nextStep?.direction === 'down') {
+      letters.push(STEP_LETTERS.sibling[genderKey(nextStep.person)]);
+      i++;
+      continue;
+    }
+    letters.push(STEP_LETTERS[step.direction][genderKey(step.person)]);
+  }
+  return letters.join('');
+}
+
+function stepDirection(edge, fromId) {
+  if (edge.type === 'parent') return edge.toPersonId === fromId ? 'up' : 'down';
+  return edge.type;
+}
+
+/**
+ * Shortest chain of relationships from one person to another (breadth-first).
+ *
+ * @returns {Promise<Array<{ direction, personId }> | null>} null when not related within reach
+ */
+async function findPath(fromId, toId) {
+  const previous = new Map([[fromId, null]]);
+  let frontier = [fromId];
+
+  for (let step = 0; step < MAX_KINSHIP_STEPS && frontier.length > 0; step++) {
+    const next = [];
+    for (const personId of frontier) {
+      const edges = await getRelationshipsOf(personId);
+      // Blood links first, so equal-length paths prefer them over marriages
+      edges.sort((a, b) => (a.type === 'spouse') - (b.type === 'spouse'));
+
+      for (const edge of edges) {
+        const otherId = edge.fromPersonId === personId ? edge.toPersonId : edge.fromPersonId;
+        if (previous.has(otherId)) continue;
+        previous.set(otherId, { personId, direction: stepDirection(edge, personId) });
+
+        if (otherId === toId) {
+          const path = [];
+          let cursor = toId;
+          while (previous.get(cursor)) {
+            const { personId: prior, direction } = previous.get(cursor);
+            path.unshift({ direction, personId: cursor });
+            cursor = prior;
+          }
+          return path;
+        }
+        next.push(otherId);
+      }
+      if (previous.size >= MAX_KINSHIP_PERSONS) return null;
+    }
+    frontier = next;
+  }
+  return null;
+}
+
+/**
+ * How `toId` is related to `fromId`.
+ * With `access`, persons on the path the user cannot view are listed without a name.
+ *
+ * @returns {Promise<Object>} { related, from, to, chain, description, relationship, terms, generationsUp, generationsDown, path }
+ */
+async function calculateKinship(fromId, toId, access = null) {
+  const [from, to] = await Promise.all([
+    getDocumentById(COLLECTIONS.PERSONS, fromId),
+    getDocumentById(COLLECTIONS.PERSONS, toId),
+  ]);
+  if (!from || !to) throw graphError(404, 'Person not found');
+
+  const summary = (person) => ({ id: person.id, name: person.name, gender: person.gender || '' });
+
+  const rawPath = from.id === to.id ? [] : await findPath(from.id, to.id);
+  if (!rawPath) {
+    return {
+      related: false,
+      from: summary(from),
+      to: summary(to),
+      message: `No family link found between ${from.name} and ${to.name} within ${MAX_KINSHIP_STEPS} steps`,
+    };
+  }
+
+  const people = await Promise.all(rawPath.map(({ personId }) => getDocumentById(COLLECTIONS.PERSONS, personId)));
+  const steps = rawPath.map((step, index) => ({ ...step, person: people[index] }));
+
+  const chain = chainFromSteps(steps);
+  const relationship = englishRelationship(chain, genderKey(to));
+  const shape = bloodShape(chain);
+
+  return {
+    related: true,
+    from: summary(from),
+    to: summary(to),
+    chain,
+    description: describeChain(chain),
+    relationship,
+    terms: KINSHIP_TERMS[chain] || null,
+    generationsUp: shape ? shape.up : null,
+    generationsDown: shape ? shape.down : null,
+    message: chain
+      ? `${to.name} is ${from.name}'s ${relationship}`
+      : `${to.name} and ${from.name} are the same person`,
+    path: steps.map((step) => {
+      const hidden = access && step.personId !== to.id && !access.canView(step.person);
+      return {
+        personId: step.personId,
+        name: hidden ? '' : step.person?.name || '',
+        step: step.direction,
+        ...(hidden && { restricted: true }),
+      };
+    }),
+  };
+}
+
+module.exports = {
+  KINSHIP_TERMS,
+  MAX_KINSHIP_STEPS,
+  bloodTerm,
+  englishRelationship,
+  describeChain,
+  chainFromSteps,
+  calculateKinship,
+};
@@ -0,0 +1,316 @@
+/**
+ * Member Verification Engine
+ *
+ * Matches a signup's Member ID / phone against the authorizedMembers list and
+ * returns a structured decision. Used by signup (routes/auth.js) and the admin
+ * pending-users list so both apply the same rules.
+ *
+ * Decision shape:
+ * {
+ *   decision: 'auto_approve' | 'pending' | 'blocked',
+ *   reasons: ['phone_mismatch', ...],
+ *   authorizedMember,                 // matched authorizedMembers record or null
+ *   matches: { memberId, phone },     // booleans
+ *   provided: { memberId, phone },    // normalized input
+ *   authorized: { memberId, phone },  // normalized authorized record values
+ *   staleLockReset,                   // record was locked by a deleted user
+ * }
+ *
+ * Reason codes:
+ * - member_not_found       no authorized record for the Member ID (or phone)
+ * - member_id_mismatch     record found (by phone) but the Member ID differs
+ * - phone_mismatch         record found but the phone differs
+ * - phone_missing          no phone given while the policy requires a phone match
+ * - member_inactive        record was deactivated (member left the samaj)
+ * - already_used           record is claimed by another existing account
+ * - stale_lock_reset       record was claimed by a deleted account and was released
+ * - auto_approve_disabled  everything matched but the policy disables auto-approval
+ * - verification_error     lookup failed; falls back to admin review
+ */
+
+const {
+  COLLECTIONS,
+  getDocumentById,
+  findOneDocument,
+  updateDocument,
+} = require('../config/firestore');
+const { getVerificationPolicy } = require('../config/verificationPolicy');
+
+const DECISIONS = {
+  AUTO_APPROVE: 'auto_approve',
+  PENDING: 'pending',
+  BLOCKED: 'blocked',
+};
+
+function normalizeMemberId(value) {
+  const raw = String(value ?? '').trim();
+  if (!raw) return '';
+  // If Excel/JSON provides numeric-like strings (e.g. "999999.0" or "9.99999E5"), coerce safely.
+  if (/^[0-9]+\.[0]+$/.test(raw) || /e\+?/i.test(raw)) {
+    const n = Number(raw);
+    if (Number.isFinite(n)) return String(Math.trunc(n));
+  }
+  return raw;
+}
+
+// Lenient: used for stored/imported values. Compares on the last 10 digits.
+function normalizePhoneLenient(value) {
+  const raw = String(value ?? '').trim();
+  if (!raw) return '';
+  // Handle cases like "9428499522.0" or "9.428499522E9"
+  if (/[eE]|\./.test(raw)) {
+    const n = Number(raw);
+    if (Number.isFinite(n)) {
+      const asInt = String(Math.trunc(n));
+      return asInt.length > 10 ? asInt.slice(-10) : asInt;
+    }
+  }
+  const digits = raw.replace(/\D/g, '');
+  if (!digits) return '';
+  // Compare on last 10 digits to tolerate country codes like +91
+  return digits.length > 10 ? digits.slice(-10) : digits;
+}
+
+// Strict: used for user-provided values. Returns '' when empty and null when ambiguous.
+function normalizePhoneProvided(value) {
+  const raw = String(value ?? '').trim();
+  if (!raw) return '';
+
+  // Convert numeric-ish strings coming from clients
+  let digits = raw;
+  if (/[eE]|\./.test(digits)) {
+    const n = Number(digits);
+    if (Number.isFinite(n)) {
+      digits = String(Math.trunc(n));
+    }
+  }
+
+  digits = String(digits).replace(/\D/g, '');
+  if (!digits) return '';
+
+  // Accept common prefixes:
+  // - India trunk prefix 0xxxxxxxxxx (11 digits)
+  // - India country code 91xxxxxxxxxx (12 digits)
+  if (digits.length === 11 && digits.startsWith('0')) return digits.slice(1);
+  if (digits.length === 12 && digits.startsWith('91')) return digits.slice(2);
+
+  // Exact 10 digits is the required canonical format
+  if (digits.length === 10) return digits;
+
+  // Anything else is ambiguous; do not silently truncate
+  return null;
+}
+
+function maybeNumber(value) {
+  const str = String(value ?? '').trim();
+  if (!str) return null;
+  if (!/^\d+$/.test(str)) return null;
+  const n = Number(str);
+  return Number.isFinite(n) ? n : null;
+}
+
+async function getAuthorizedByMemberId(memberIdValue) {
+  if (!memberIdValue) return null;
+
+  // Common pattern: docId is the memberId (matches firestore.rules path)
+  const byDocId = await getDocumentById(COLLECTIONS.AUTHORIZED_MEMBERS, memberIdValue);
+  if (byDocId) return byDocId;
+
+  // Field-based lookup (string then number)
+  const byStringField = await findOneDocument(COLLECTIONS.AUTHORIZED_MEMBERS, [
+    { field: 'memberId', operator: '==', value: memberIdValue },
+  ]);
+  if (byStringField) return byStringField;
+
+  const asNumber = maybeNumber(memberIdValue);
+  if (asNumber !== null) {
+    const byNumberField = await findOneDocument(COLLECTIONS.AUTHORIZED_MEMBERS, [
+      { field: 'memberId', operator: '==', value: asNumber },
+    ]);
+    if (byNumberField) return byNumberField;
+  }
+
+  // Optional normalized field if present
+  const byNormalized = await findOneDocument(COLLECTIONS.AUTHORIZED_MEMBERS, [
+    { field: 'memberIdNormalized', operator: '==', value: memberIdValue },
+  ]);
+  if (byNormalized) return byNormalized;
+
+  return null;
+}
+
+async function getAuthorizedByPhone(phoneValue) {
+  if (!phoneValue) return null;
+
+  const byStringField = await findOneDocument(COLLECTIONS.AUTHORIZED_MEMBERS, [
+    { field: 'phoneNumber', operator: '==', value: phoneValue },
+  ]);
+  if (byStringField) return byStringField;
+
+  const asNumber = maybeNumber(phoneValue);
+  if (asNumber !== null) {
+    const byNumberField = await findOneDocument(COLLECTIONS.AUTHORIZED_MEMBERS, [
+      { field: 'phoneNumber', operator: '==', value: asNumber },
+    ]);
+    if (byNumberField) return byNumberField;
+  }
+
+  const byNormalized = await findOneDocument(COLLECTIONS.AUTHORIZED_MEMBERS, [
+    { field: 'phoneNormalized', operator: '==', value: phoneValue },
+  ]);
+  if (byNormalized) return byNormalized;
+
+  return null;
+}
+
+/**
+ * Verify a Member ID / phone pair against the authorized members list.
+ *
+ * @param {Object} input - { memberId, phone } as provided (raw or normalized)
+ * @param {Object} [options]
+ * @param {Object} [options.policy] - policy override (defaults to the stored policy)
+ * @param {Boolean} [options.applyStaleLockReset=false] - actually release stale locks
+ *   (signup does; read-only callers such as the admin list do not)
+ * @param {String} [options.userId] - the account being verified; its own lock is not "already used"
+ * @returns {Promise<Object>} decision (see top of file)
+ */
+async function verifyMember({ memberId, phone } = {}, options = {}) {
+  const policy = options.policy || await getVerificationPolicy();
+  const { applyStaleLockReset = false, userId = null } = options;
+
+  const providedPhone = normalizePhoneProvided(phone);
+  const provided = {
+    memberId: normalizeMemberId(memberId),
+    phone: providedPhone === null ? normalizePhoneLenient(phone) : providedPhone,
+  };
+
+  const reasons = [];
+  let authorizedMember = null;
+  let authorized = { memberId: '', phone: '' };
+  let matches = { memberId: false, phone: false };
+  let staleLockReset = false;
+
+  const result = (decision) => ({
+    decision,
+    reasons,
+    authorizedMember,
+    matches,
+    provided,
+    authorized,
+    staleLockReset,
+  });
+
+  try {
+    // Look up authorized record by memberId (primary) with multiple strategies.
+    authorizedMember = await getAuthorizedByMemberId(provided.memberId);
+
+    // If not found by memberId, try by phone (fallback)
+    if (!authorizedMember && policy.phoneFallbackLookup) {
+      authorizedMember = await getAuthorizedByPhone(provided.phone);
+    }
+
+    if (!authorizedMember) {
+      reasons.push('member_not_found');
+      return result(DECISIONS.PENDING);
+    }
+
+    authorized = {
+      memberId: normalizeMemberId(authorizedMember.memberId || authorizedMember.id),
+      phone: normalizePhoneLenient(authorizedMember.phoneNumber),
+    };
+    matches = {
+      memberId: !!authorized.memberId && provided.memberId === authorized.memberId,
+      phone: !!authorized.phone && provided.phone === authorized.phone,
+    };
+
+    if (authorizedMember.isActive === false) {
+      reasons.push('member_inactive');
+      return result(DECISIONS.PENDING);
+    }
+
+    if (authorizedMember.isUsed === true && authorizedMember.usedBy !== userId) {
+      // Someone unrelated holds this record: queue for review.
+      if (!matches.memberId && !matches.phone) {
+        reasons.push('already_used');
+        return result(DECISIONS.PENDING);
+      }
+
+      // The same member/phone is being reused. Only a live holder counts; if the
+      // user doc was deleted the lock is stale.
+      const holder = authorizedMember.usedBy
+        ? await getDocumentById(COLLECTIONS.USERS, authorizedMember.usedBy)
+        : null;
+
+      if (holder || !policy.resetStaleLocks) {
+        reasons.push('already_used');
+        return result(holder && policy.blockClaimedMember ? DECISIONS.BLOCKED : DECISIONS.PENDING);
+      }
+
+      staleLockReset = true;
+      reasons.push('stale_lock_reset');
+
+      if (applyStaleLockReset) {
+        try {
+          await updateDocument(COLLECTIONS.AUTHORIZED_MEMBERS, authorizedMember.id, {
+            isUsed: false,
+            usedBy: null,
+            usedAt: null,
+          });
+          authorizedMember.isUsed = false;
+          authorizedMember.usedBy = null;
+          authorizedMember.usedAt = null;
+        } catch (resetError) {
+          console.error('⚠️  Failed to reset stale authorized lock:', resetError.message);
+        }
+      }
+    }
+
+    if (policy.requireMemberIdMatch && !matches.memberId) {
+      reasons.push('member_id_mismatch');
+    }
+    if (policy.requirePhoneMatch && !matches.phone) {
+      reasons.push(provided.phone ? 'phone_mismatch' : 'phone_missing');
+    }
+    if (!matches.memberId && !matches.phone && !reasons.some((r) => r.endsWith('_mismatch') || r === 'phone_missing')) {
+      reasons.push(provided.phone ? 'phone_mismatch' : 'member_id_mismatch');
+    }
+
+    const satisfied = (matches.memberId || matches.phone) &&
+      (!policy.requireMemberIdMatch || matches.memberId) &&
+      (!policy.requirePhoneMatch || matches.phone);
+
+    if (!satisfied) {
+      return result(DECISIONS.PENDING);
+    }
+
+    if (!policy.autoApprove) {
+      reasons.push('auto_approve_disabled');
+      return result(DECISIONS.PENDING);
+    }
+
+    return result(DECISIONS.AUTO_APPROVE);
+  } catch (error) {
+    console.error('⚠️  Verification check failed:', error.message);
+    reasons.push('verification_error');
+    return result(DECISIONS.PENDING);
+  }
+}
+
+// Legacy matchStatus values shown in the admin pending list
+function toMatchStatus(verification) {
+  // A record found only through the phone fallback means the Member ID itself is unknown
+  if (!verification.authorizedMember || !verification.matches.memberId) return 'not_found';
+  if (verification.matches.phone) return 'exact_match';
+  return 'phone_mismatch';
+}
+
+module.exports = {
+  DECISIONS,
+  normalizeMemberId,
+  normalizePhoneLenient,
+  normalizePhoneProvided,
+  getAuthorizedByMemberId,
+  getAuthorizedByPhone,
+  verifyMember,
+  toMatchStatus,
+};
@@ -0,0 +1,405 @@
+/**
+ * Memorial notices and death anniversaries (punyatithi)
+ *
+ * A memorial notice is the community announcement of a member's passing
+ * (what used to go round as a WhatsApp forward): name, date of death, tithi,
+ * prayer meeting details and a family contact. Content managers can publish
+ * any notice; family members publish one for a person in a tree they can edit,
+ * which also marks that person deceased.
+ *
+ * memorialNotices/{id}:
+ *   { personId, memberId, deceasedName, age, dateOfDeath, deathMonthDay ('MM-DD'),
+ *     deathTithi, nativePlace, message, prayerMeetingDate, prayerMeetingTime,
+ *     prayerMeetingVenue, contactName, contactPhone, photoUrl,
+ *     status: 'published' | 'withdrawn',
+ *     publishedBy, publishedByName, withdrawnBy, withdrawnAt, withdrawReason }
+ *
+ * Anniversaries follow the Gregorian date of death; the tithi is shown as
+ * recorded, since the lunar date moves every year.
+ */
+
+const {
+  COLLECTIONS,
+  queryDocuments,
+  runTransaction,
+} = require('../config/firestore');
+const { normalizePhoneProvided } = require('./memberVerification');
+const { parsePartialDate } = require('./familyTreeValidation');
+
+const NOTICE_STATUSES = ['published', 'withdrawn'];
+
+const TEXT_LIMITS = {
+  deceasedName: 100,
+  deathTithi: 100,
+  nativePlace: 100,
+  message: 2000,
+  prayerMeetingTime: 50,
+  prayerMeetingVenue: 300,
+  contactName: 100,
+  photoUrl: 500,
+};
+
+const MAX_AGE = 130;
+const DEFAULT_REMINDER_DAYS = 30;
+const MAX_REMINDER_DAYS = 60;
+
+// Firestore 'in' queries take at most 30 values
+const IN_QUERY_LIMIT = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function memorialError(status, message, errors = null) {
+  const error = new Error(message);
+  error.status = status;
+  if (errors) error.errors = errors;
+  return error;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Validate notice fields. Only fields present in `body` are checked and returned.
+ *
+ * @returns {{ data: Object, errors: Object|null }}
+ */
+function validateNoticeFields(body = {}) {
+  const errors = {};
+  const data = {};
+  const has = (field) => body[field] !== undefined;
+
+  Object.entries(TEXT_LIMITS).forEach(([field, maxLength]) => {
+    if (!has(field)) return;
+    const value = body[field] === null ? '' : body[field];
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      errors[field] = 'Must be text';
+      return;
+    }
+    const text = String(value).trim();
+    if (text.length > maxLength) {
+      errors[field] = `Must be at most ${maxLength} characters`;
+      return;
+    }
+    data[field] = text;
+  });
+  if (data.photoUrl && !/^(https?:\/\/|\/uploads\/)/i.test(data.photoUrl)) {
+    errors.photoUrl = 'Must be an http(s) link or an uploaded file';
+  }
+
+  if (has('age')) {
+    const age = body.age === null || body.age === '' ? null : Number(body.age);
+    if (age !== null && (!Number.isInteger(age) || age < 0 || age > MAX_AGE)) {
+      errors.age = `Must be a whole number between 0 and ${MAX_AGE}`;
+    } else {
+      data.age = age;
+    }
+  }
+
+  if (has('dateOfDeath')) {
+    const date = parsePartialDate(body.dateOfDeath);
+    if (date === null) {
+      errors.dateOfDeath = 'Must be a valid date (YYYY-MM-DD, or DD/MM/YYYY)';
+    } else if (date > today()) {
+      errors.dateOfDeath = 'Date of death cannot be in the future';
+    } else {
+      data.dateOfDeath = date;
+    }
+  }
+
+  if (has('prayerMeetingDate')) {
+    const date = parsePartialDate(body.prayerMeetingDate);
+    if (date === null || (date && date.length !== 10)) {
+      errors.prayerMeetingDate = 'Must be a valid date (YYYY-MM-DD, or DD/MM/YYYY)';
+    } else {
+      data.prayerMeetingDate = date;
+    }
+  }
+
+  if (has('contactPhone')) {
+    const phone = normalizePhoneProvided(body.contactPhone);
+    if (phone === null) {
+      errors.contactPhone = 'Phone number must have 10 digits (or +91 / leading 0)';
+    } else {
+      data.contactPhone = phone;
+    }
+  }
+
+  return { data, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+// 'MM-DD' of a full date, '' when the day is not known
+function monthDayOf(date) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(date || '') ? date.slice(5) : '';
+}
+
+function canModifyNotice(access, notice, canManage) {
+  if (canManage) return true;
+  if (notice.publishedBy === access.user.id) return true;
+  return ['owner', 'editor'].includes(access.roleFor(notice.memberId));
+}
+
+/**
+ * Publish a notice. With `personId` the notice is prefilled from the person
+ * (family members need edit access to it) and the person is marked deceased.
+ *
+ * @param {Object} access - from loadTreeAccess()
+ * @param {Object} body - notice fields, plus personId
+ * @param {Object} [options] - { canManage: publisher manages community content }
+ * @returns {Promise<{ notice, person }>} person: the person as updated, if any
+ */
+async function publishMemorial(access, body = {}, { canManage = false } = {}) {
+  const { user } = access;
+  const personId = body.personId ? String(body.personId) : null;
+  if (!personId && !canManage) {
+    throw memorialError(403, 'Choose the person from your family tree, or ask an admin to publish this notice');
+  }
+
+  const { data, errors } = validateNoticeFields(body);
+  if (errors) throw memorialError(400, 'Please correct the highlighted fields', errors);
+
+  return await runTransaction(async (tx) => {
+    const person = personId ? await tx.getDocumentById(COLLECTIONS.PERSONS, personId) : null;
+    if (personId && !person) throw memorialError(404, 'Person not found');
+    if (person && !canManage && !access.canEdit(person)) {
+      throw memorialError(403, 'Only the family of this person can publish their notice');
+    }
+    if (person) {
+      const existing = await tx.queryDocuments(COLLECTIONS.MEMORIAL_NOTICES, [
+        { field: 'personId', operator: '==', value: person.id },
+        { field: 'status', operator: '==', value: 'published' },
+      ], null, 'asc', 1);
+      if (existing.length > 0) throw memorialError(409, 'A notice for this person is already published');
+    }
+
+    const notice = {
+      deceasedName: person?.name || '',
+      dateOfDeath: person?.dateOfDeath || '',
+      deathTithi: person?.deathTithi || '',
+      age: null,
+      nativePlace: '',
+      message: '',
+      prayerMeetingDate: '',
+      prayerMeetingTime: '',
+      prayerMeetingVenue: '',
+      contactName: '',
+      contactPhone: '',
+      photoUrl: '',
+      ...data,
+    };
+    const missing = {};
+    if (!notice.deceasedName) missing.deceasedName = 'Name is required';
+    if (!notice.dateOfDeath) missing.dateOfDeath = 'Date of death is required';
+    if (Object.keys(missing).length > 0) {
+      throw memorialError(400, 'Please correct the highlighted fields', missing);
+    }
+
+    const created = tx.createDocument(COLLECTIONS.MEMORIAL_NOTICES, {
+      ...notice,
+      personId: person ? person.id : null,
+      memberId: person ? person.memberId || '' : '',
+      deathMonthDay: monthDayOf(notice.dateOfDeath),
+      status: 'published',
+      publishedBy: user.id,
+      publishedByName: user.name || '',
+      withdrawnBy: null,
+      withdrawnAt: null,
+      withdrawReason: '',
+    });
+
+    let updatedPerson = null;
+    if (person) {
+      const lifeStatus = { isDeceased: true };
+      if (!person.dateOfDeath) lifeStatus.dateOfDeath = notice.dateOfDeath;
+      if (!person.deathTithi && notice.deathTithi) lifeStatus.deathTithi = notice.deathTithi;
+      tx.updateDocument(COLLECTIONS.PERSONS, person.id, lifeStatus);
+      updatedPerson = { ...person, ...lifeStatus };
+    }
+
+    return { notice: created, person: updatedPerson };
+  });
+}
+
+/**
+ * Edit a published notice (publisher, the family, or content managers).
+ *
+ * @returns {Promise<{ notice, previous }>}
+ */
+async function updateMemorial(access, id, body = {}, { canManage = false } = {}) {
+  const { data, errors } = validateNoticeFields(body);
+  if (errors) throw memorialError(400, 'Please correct the highlighted fields', errors);
+  if (data.deceasedName === '') {
+    throw memorialError(400, 'Please correct the highlighted fields', { deceasedName: 'Name is required' });
+  }
+  if (data.dateOfDeath === '') {
+    throw memorialError(400, 'Please correct the highlighted fields', { dateOfDeath: 'Date of death is required' });
+  }
+  if (Object.keys(data).length === 0) throw memorialError(400, 'No fields to update');
+
+  return await runTransaction(async (tx) => {
+    const notice = await tx.getDocumentById(COLLECTIONS.MEMORIAL_NOTICES, id);
+    if (!notice) throw memorialError(404, 'Notice not found');
+    if (!canModifyNotice(access, notice, canManage)) throw memorialError(403, 'Not authorized to edit this notice');
+    if (notice.status !== 'published') throw memorialError(409, 'This notice has been withdrawn');
+
+    const update = { ...data };
+    if (data.dateOfDeath) update.deathMonthDay = monthDayOf(data.dateOfDeath);
+    tx.updateDocument(COLLECTIONS.MEMORIAL_NOTICES, id, update);
+    return { notice: { ...notice, ...update }, previous: notice };
+  });
+}
+
+/**
+ * Take a notice out of the feed. The person stays marked deceased.
+ *
+ * @returns {Promise<{ notice, previous }>}
+ */
+async function withdrawMemorial(access, id, reason = '', { canManage = false } = {}) {
+  return await runTransaction(async (tx) => {
+    const notice = await tx.getDocumentById(COLLECTIONS.MEMORIAL_NOTICES, id);
+    if (!notice) throw memorialError(404, 'Notice not found');
+    if (!canModifyNotice(access, notice, canManage)) throw memorialError(403, 'Not authorized to withdraw this notice');
+    if (notice.status !== 'published') throw memorialError(409, 'This notice has already been withdrawn');
+
+    const update = {
+      status: 'withdrawn',
+      withdrawnBy: access.user.id,
+      withdrawnAt: new Date(),
+      withdrawReason: String(reason || '').trim().slice(0, 500),
+    };
+    tx.updateDocument(COLLECTIONS.MEMORIAL_NOTICES, id, update);
+    return { notice: { ...notice, ...update }, previous: notice };
+  });
+}
+
+/**
+ * Published notices, most recent death first.
+ */
+async function listMemorials() {
+  const notices = await queryDocuments(COLLECTIONS.MEMORIAL_NOTICES, [
+    { field: 'status', operator: '==', value: 'published' },
+  ]);
+  return notices.sort((a, b) => String(b.dateOfDeath).localeCompare(String(a.dateOfDeath)));
+}
+
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/**
+ * Next yearly occurrence of a date, on or after `from`.
+ *
+ * @param {String} date - YYYY-MM-DD
+ * @param {Number} from - UTC midnight, in millis
+ * @returns {{ date: String, daysAway: Number, years: Number }}
+ */
+function nextAnniversary(date, from) {
+  const [startYear, month, day] = date.split('-').map(Number);
+  const fromDate = new Date(from);
+  let year = fromDate.getUTCFullYear();
+  const occurrence = (y) => {
+    // 29 February falls on the 28th in other years
+    const dayInYear = month === 2 && day === 29 && !isLeapYear(y) ? 28 : day;
+    return Date.UTC(y, month - 1, dayInYear);
+  };
+  if (occurrence(year) < from) year++;
+  const time = occurrence(year);
+  return {
+    date: new Date(time).toISOString().slice(0, 10),
+    daysAway: Math.round((time - from) / DAY_MS),
+    years: year - startYear,
+  };
+}
+
+/**
+ * Reminder window for a `days` query value (default DEFAULT_REMINDER_DAYS,
+ * at most MAX_REMINDER_DAYS), starting today (UTC).
+ *
+ * @returns {{ horizon: Number, from: Number }}
+ */
+function reminderWindow(days) {
+  const parsed = parseInt(days, 10);
+  const horizon = Math.min(MAX_REMINDER_DAYS, Math.max(0, Number.isFinite(parsed) ? parsed : DEFAULT_REMINDER_DAYS));
+  const now = new Date();
+  return { horizon, from: Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) };
+}
+
+/**
+ * Death anniversaries in the next `days` days: deceased persons in the trees
+ * the user can view (`family`) and published community notices (`community`).
+ *
+ * @param {Object} access - from loadTreeAccess()
+ * @param {Object} [options] - { days, scope: 'all' | 'family' | 'community' }
+ * @returns {Promise<Array<{ source, personId, noticeId, name, dateOfDeath, deathTithi, anniversaryDate, daysAway, years }>>}
+ */
+async function upcomingAnniversaries(access, { days = DEFAULT_REMINDER_DAYS, scope = 'all' } = {}) {
+  const { horizon, from } = reminderWindow(days);
+
+  const monthDays = new Set();
+  for (let i = 0; i <= horizon; i++) {
+    const date = new Date(from + i * DAY_MS);
+    monthDays.add(date.toISOString().slice(5, 10));
+    if (date.getUTCMonth() === 1 && date.getUTCDate() === 28 && !isLeapYear(date.getUTCFullYear())) {
+      monthDays.add('02-29');
+    }
+  }
+
+  const reminders = [];
+  const add = (source, record, ids) => {
+    if (!monthDays.has(monthDayOf(record.dateOfDeath))) return;
+    const next = nextAnniversary(record.dateOfDeath, from);
+    if (next.years < 1 || next.daysAway > horizon) return;
+    reminders.push({
+      source,
+      ...ids,
+      name: source === 'family' ? record.name : record.deceasedName,
+      dateOfDeath: record.dateOfDeath,
+      deathTithi: record.deathTithi || '',
+      anniversaryDate: next.date,
+      daysAway: next.daysAway,
+      years: next.years,
+    });
+  };
+
+  const familyPersonIds = new Set();
+  if (scope === 'all' || scope === 'family') {
+    const treeMemberIds = [access.treeKey, ...access.sharedTrees.map((tree) => tree.memberId)].filter(Boolean);
+    const persons = (await Promise.all(treeMemberIds.map((memberId) => queryDocuments(COLLECTIONS.PERSONS, [
+      { field: 'memberId', operator: '==', value: memberId },
+      { field: 'isDeceased', operator: '==', value: true },
+    ])))).flat();
+    persons.forEach((person) => {
+      familyPersonIds.add(person.id);
+      add('family', person, { personId: person.id, noticeId: null });
+    });
+  }
+
+  if (scope === 'all' || scope === 'community') {
+    const keys = [...monthDays];
+    const chunks = [];
+    for (let i = 0; i < keys.length; i += IN_QUERY_LIMIT) chunks.push(keys.slice(i, i + IN_QUERY_LIMIT));
+    const notices = (await Promise.all(chunks.map((chunk) => queryDocuments(COLLECTIONS.MEMORIAL_NOTICES, [
+      { field: 'deathMonthDay', operator: 'in', value: chunk },
+      { field: 'status', operator: '==', value: 'published' },
+    ])))).flat();
+    notices
+      .filter((notice) => !notice.personId || !familyPersonIds.has(notice.personId))
+      .forEach((notice) => add('community', notice, { personId: notice.personId || null, noticeId: notice.id }));
+  }
+
+  return reminders.sort((a, b) => a.daysAway - b.daysAway || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  NOTICE_STATUSES,
+  DEFAULT_REMINDER_DAYS,
+  MAX_REMINDER_DAYS,
+  validateNoticeFields,
+  publishMemorial,
+  updateMemorial,
+  withdrawMemorial,
+  listMemorials,
+  nextAnniversary,
+  reminderWindow,
+  upcomingAnniversaries,
+};
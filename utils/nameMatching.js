@@ -0,0 +1,224 @@
+/**
+ * Name matching: transliteration and Indian-name phonetics
+ *
+ * Members type the same name many ways: "Bhavesh", "Bhavésh", "Bavesh",
+ * "भावेश", "ભાવેશ". Names are compared in three steps:
+ *
+ * 1. transliterate(): Gujarati and Devanagari script to Latin (ITRANS-like,
+ *    with the usual schwa deletion, so मेहता is "mehtaa", not "mehataa").
+ * 2. normalizeName(): lowercase, strip accents and punctuation.
+ * 3. phoneticKey(): one key per word, folding the spellings that differ only
+ *    in how a sound was romanized:
+ *    - an inherent "a" before "he" and one more syllable, as Gujarati writes
+ *      Mehta: મહેતા / Maheta / Mehta (Mahesh and Mahendra keep theirs)
+ *    - aspirates and sibilants: bh/b, dh/d, kh/k, sh/s, chh/ch/c, ph/f
+ *      (a run of h after a consonant goes at once, so Chhaya / Chaya)
+ *    - w/v, z/j, q/k, ee/i, oo/u, and a final h after a vowel (Shah / Sha)
+ *    - long vowels and double consonants: aa/a, tt/t, nn/n
+ *    - a trailing "a" after a consonant (Krishna / कृष्ण), except in short
+ *      words like "sha". Script drops that "a", so this also merges names
+ *      such as Amit / Amita (the information search lists rows spelled as
+ *      typed first)
+ *
+ * ज्ञ / જ્ઞ is spelled "gn", as in Jignesh (not the letter-by-letter "jn"),
+ * and a typed "jn" folds to "gn" too (Prajna / Pragna).
+ *
+ * Gujarati (U+0A80-U+0AFF) mirrors the Devanagari block (U+0900-U+097F) at a
+ * fixed offset, so both go through one table.
+ */
+
+const GUJARATI_OFFSET = 0x0a80 - 0x0900;
+
+const INDEPENDENT_VOWELS = {
+  0x0905: 'a', 0x0906: 'aa', 0x0907: 'i', 0x0908: 'ii', 0x0909: 'u', 0x090a: 'uu',
+  0x090b: 'ri', 0x090d: 'e', 0x090f: 'e', 0x0910: 'ai', 0x0911: 'o', 0x0913: 'o', 0x0914: 'au',
+};
+
+const CONSONANTS = {
+  0x0915: 'k', 0x0916: 'kh', 0x0917: 'g', 0x0918: 'gh', 0x0919: 'n',
+  0x091a: 'ch', 0x091b: 'chh', 0x091c: 'j', 0x091d: 'jh', 0x091e: 'n',
+  0x091f: 't', 0x0920: 'th', 0x0921: 'd', 0x0922: 'dh', 0x0923: 'n',
+  0x0924: 't', 0x0925: 'th', 0x0926: 'd', 0x0927: 'dh', 0x0928: 'n', 0x0929: 'n',
+  0x092a: 'p', 0x092b: 'ph', 0x092c: 'b', 0x092d: 'bh', 0x092e: 'm',
+  0x092f: 'y', 0x0930: 'r', 0x0931: 'r', 0x0932: 'l', 0x0933: 'l', 0x0934: 'l', 0x0935: 'v',
+  0x0936: 'sh', 0x0937: 'sh', 0x0938: 's', 0x0939: 'h',
+};
+
+const VOWEL_SIGNS = {
+  0x093e: 'aa', 0x093f: 'i', 0x0940: 'ii', 0x0941: 'u', 0x0942: 'uu', 0x0943: 'ri',
+  0x0945: 'e', 0x0947: 'e', 0x0948: 'ai', 0x0949: 'o', 0x094b: 'o', 0x094c: 'au',
+};
+
+const VIRAMA = 0x094d;
+const NUKTA = 0x093c;
+const ANUSVARA = [0x0901, 0x0902];
+const VISARGA = 0x0903;
+const LABIALS = ['p', 'ph', 'b', 'bh', 'm'];
+const JA = 0x091c;
+const NYA = 0x091e;
+
+function toDevanagari(codePoint) {
+  return codePoint >= 0x0a80 && codePoint <= 0x0aff ? codePoint - GUJARATI_OFFSET : codePoint;
+}
+
+function isIndic(codePoint) {
+  return (codePoint >= 0x0900 && codePoint <= 0x097f) || (codePoint >= 0x0a80 && codePoint <= 0x0aff);
+}
+
+// Does the unit carry a vowel sound (after schwa deletion so far)?
+function voiced(unit) {
+  return !!unit && (unit.vowel === null ? !unit.deleted : unit.vowel !== '');
+}
+
+// One word of Indic script: consonants with their vowel (null = inherent "a",
+// '' = virama), independent vowels, and the nasal / visarga that follows them
+function spellUnits(units) {
+  // Schwa deletion, right to left: word-final (not after a conjunct, as in
+  // narendra), and between two voiced syllables
+  for (let i = units.length - 1; i > 0; i--) {
+    const unit = units[i];
+    if (unit.type !== 'consonant' || unit.vowel !== null || unit.tail) continue;
+    const deletable = i === units.length - 1
+      ? units[i - 1].vowel !== ''
+      : voiced(units[i - 1]) && units[i + 1].type === 'consonant' && voiced(units[i + 1]);
+    if (deletable) {
+      unit.deleted = true;
+    }
+  }
+
+  return units.map((unit, i) => {
+    const next = units[i + 1];
+    const nasal = next && next.type === 'consonant' && LABIALS.includes(next.sound) ? 'm' : 'n';
+    const tail = unit.tail.replace('N', nasal);
+    if (unit.type === 'vowel') return unit.sound + tail;
+    const vowel = unit.vowel === null ? (unit.deleted ? '' : 'a') : unit.vowel;
+    return unit.sound + vowel + tail;
+  }).join('');
+}
+
+/**
+ * Gujarati and Devanagari text to Latin; anything else passes through.
+ *
+ * @param {*} value
+ * @returns {String}
+ */
+function transliterate(value) {
+  const text = String(value ?? '');
+  let result = '';
+  let units = [];
+
+  const flush = () => {
+    if (units.length > 0) result += spellUnits(units);
+    units = [];
+  };
+
+  for (const char of text) {
+    const raw = char.codePointAt(0);
+    if (!isIndic(raw)) {
+      flush();
+      result += char;
+      continue;
+    }
+
+    const codePoint = toDevanagari(raw);
+    const last = units[units.length - 1];
+    if (codePoint === NYA && last && last.sound === CONSONANTS[JA] && last.vowel === '' && !last.tail) {
+      // ज्ञ: pronounced (and romanized) "gn"
+      last.sound = 'g';
+      units.push({ type: 'consonant', sound: 'n', vowel: null, tail: '' });
+    } else if (CONSONANTS[codePoint]) {
+      units.push({ type: 'consonant', sound: CONSONANTS[codePoint], vowel: null, tail: '' });
+    } else if (INDEPENDENT_VOWELS[codePoint]) {
+      units.push({ type: 'vowel', sound: INDEPENDENT_VOWELS[codePoint], tail: '' });
+    } else if (VOWEL_SIGNS[codePoint] && last && last.type === 'consonant' && last.vowel === null) {
+      last.vowel = VOWEL_SIGNS[codePoint];
+    } else if (codePoint === VIRAMA && last && last.type === 'consonant') {
+      last.vowel = '';
+    } else if (ANUSVARA.includes(codePoint) && last) {
+      last.tail += 'N';
+    } else if (codePoint === VISARGA && last) {
+      last.tail += 'h';
+    } else if (codePoint >= 0x0966 && codePoint <= 0x096f) {
+      flush();
+      result += String(codePoint - 0x0966);
+    } else if (codePoint !== NUKTA) {
+      // Danda, avagraha and other signs separate words
+      flush();
+      result += ' ';
+    }
+  }
+  flush();
+  return result;
+}
+
+/**
+ * Transliterate, lowercase, strip accents and punctuation, collapse spaces.
+ *
+ * @param {*} value
+ * @returns {String}
+ */
+function normalizeName(value) {
+  return transliterate(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-zA-Z0-9\s]/g, ' ')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Phonetic key of one normalized word.
+ *
+ * @param {String} word - lowercase Latin, as from normalizeName()
+ * @returns {String}
+ */
+function phoneticKey(word) {
+  return String(word || '')
+    .replace(/ahe([bcdfgjklmnpqrstvwxyz])(?=[aeiou])/g, 'eh$1')
+    .replace(/ph/g, 'f')
+    .replace(/([bcdfgjklmnprstvwxz])h+/g, '$1')
+    .replace(/w/g, 'v')
+    .replace(/z/g, 'j')
+    .replace(/q/g, 'k')
+    .replace(/jn/g, 'gn')
+    .replace(/ck/g, 'k')
+    .replace(/ee/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/([aeiou])h$/, '$1')
+    .replace(/(.)\1+/g, '$1')
+    .replace(/^(.+[^aeiou])a$/, '$1');
+}
+
+/**
+ * Phonetic keys of the words of a name, in any script.
+ *
+ * @param {*} value
+ * @returns {String[]}
+ */
+function phoneticTokens(value) {
+  return normalizeName(value).split(' ').filter(Boolean).map(phoneticKey).filter(Boolean);
+}
+
+/**
+ * Whether every word of the query starts a word of one of the names,
+ * comparing phonetic keys (so "bavesh sha" matches "ભાવેશ શાહ").
+ *
+ * @param {String} query
+ * @param {...*} names
+ * @returns {Boolean}
+ */
+function nameMatches(query, ...names) {
+  const queryTokens = phoneticTokens(query);
+  if (queryTokens.length === 0) return false;
+  const nameTokens = names.flatMap(phoneticTokens);
+  return queryTokens.every((token) => nameTokens.some((word) => word.startsWith(token)));
+}
+
+module.exports = {
+  transliterate,
+  normalizeName,
+  phoneticKey,
+  phoneticTokens,
+  nameMatches,
+};
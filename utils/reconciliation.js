@@ -0,0 +1,359 @@
+/**
+ * Member data reconciliation
+ *
+ * Cross-checks users, authorizedMembers and information and lists every
+ * inconsistency by category. Used by GET /api/admin/reconciliation and
+ * scripts/reconcileMembers.js.
+ *
+ * Categories:
+ * - user_member_not_authorized      member account's Member ID has no authorizedMembers record
+ * - duplicate_user_member_id        several accounts (outside one household) use the same Member ID
+ * - dangling_user_link              user.authorizedMemberId points at a missing record      (auto-fix)
+ * - user_link_not_claimed           user is linked to a record that is not marked used      (auto-fix)
+ * - lock_holder_mismatch            record is used by another account than the linked one
+ * - stale_lock                      record is isUsed by a deleted (or no) account            (auto-fix)
+ * - missing_normalized_fields       memberIdNormalized / phoneNormalized missing or stale   (auto-fix)
+ * - duplicate_authorized_phone      several authorized records share a phone
+ * - information_phone_mismatch      information row shares a Member ID but not the phone
+ * - information_member_not_authorized  information row's Member ID has no authorized record
+ *
+ * Issue shape:
+ * {
+ *   category, message, suggestedFix,
+ *   refs: { userId, authorizedMemberId, informationId },
+ *   fix: { collectionName, docId, data } | null   // present only for safe auto-fixes
+ * }
+ *
+ * Safe fixes only release locks nobody holds, clear links to records that no
+ * longer exist, mark a linked record as used by its (only) linked account, or
+ * recompute normalized lookup fields. Everything else needs an admin decision.
+ */
+
+const {
+  COLLECTIONS,
+  getAllDocuments,
+  batchWrite,
+} = require('../config/firestore');
+const { normalizeMemberId, normalizePhoneLenient } = require('./memberVerification');
+
+const CATEGORIES = {
+  user_member_not_authorized: {
+    severity: 'warning',
+    description: "User's Member ID is not in the authorized members list",
+  },
+  duplicate_user_member_id: {
+    severity: 'error',
+    description: 'Several accounts use the same Member ID',
+  },
+  dangling_user_link: {
+    severity: 'warning',
+    description: 'User is linked to an authorized member record that no longer exists',
+  },
+  user_link_not_claimed: {
+    severity: 'warning',
+    description: 'User is linked to an authorized member record that is not marked as used',
+  },
+  lock_holder_mismatch: {
+    severity: 'error',
+    description: 'Authorized member record is used by a different account than the one linked to it',
+  },
+  stale_lock: {
+    severity: 'warning',
+    description: 'Authorized member record is marked used by an account that no longer exists',
+  },
+  missing_normalized_fields: {
+    severity: 'info',
+    description: 'memberIdNormalized / phoneNormalized are missing or out of date',
+  },
+  duplicate_authorized_phone: {
+    severity: 'warning',
+    description: 'Several authorized member records share a phone number',
+  },
+  information_phone_mismatch: {
+    severity: 'warning',
+    description: 'Information row has the same Member ID as an authorized record but a different phone',
+  },
+  information_member_not_authorized: {
+    severity: 'info',
+    description: "Information row's Member ID is not in the authorized members list",
+  },
+};
+
+const BATCH_SIZE = 400;
+
+function userLabel(user) {
+  return user.email || user.name || user.id;
+}
+
+function pushToMap(map, key, value) {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+}
+
+function indexAuthorized(authorizedMembers) {
+  const byId = new Map();
+  const byMemberId = new Map();
+  const byPhone = new Map();
+
+  authorizedMembers.forEach((record) => {
+    byId.set(record.id, record);
+    const memberId = normalizeMemberId(record.memberIdNormalized || record.memberId || record.id);
+    if (memberId && !byMemberId.has(memberId)) byMemberId.set(memberId, record);
+    const phone = normalizePhoneLenient(record.phoneNormalized || record.phoneNumber);
+    if (phone) pushToMap(byPhone, phone, record);
+  });
+  // Doc ids are Member IDs for records created by the import / admin API
+  authorizedMembers.forEach((record) => {
+    if (!byMemberId.has(record.id)) byMemberId.set(record.id, record);
+  });
+
+  return { byId, byMemberId, byPhone };
+}
+
+function checkUsers(users, authorized, issues) {
+  const usersById = new Map(users.map((user) => [user.id, user]));
+  const usersByMemberId = new Map();
+
+  users.forEach((user) => {
+    const memberId = normalizeMemberId(user.memberId);
+    if (memberId) pushToMap(usersByMemberId, memberId, user);
+
+    // Staff accounts (e.g. the bootstrap ADMIN001) are not verified against the list
+    const isMember = !user.role || user.role === 'user';
+    if (isMember && memberId && !authorized.byMemberId.has(memberId) && !user.authorizedMemberId) {
+      issues.push({
+        category: 'user_member_not_authorized',
+        message: `${userLabel(user)} has Member ID ${memberId}, which is not an authorized member`,
+        suggestedFix: 'Add the Member ID to the authorized members list, or correct the Member ID on the account',
+        refs: { userId: user.id },
+        fix: null,
+      });
+    }
+
+    if (!user.authorizedMemberId) return;
+
+    const record = authorized.byId.get(user.authorizedMemberId);
+    if (!record) {
+      issues.push({
+        category: 'dangling_user_link',
+        message: `${userLabel(user)} is linked to authorized member ${user.authorizedMemberId}, which does not exist`,
+        suggestedFix: "Clear the account's authorizedMemberId",
+        refs: { userId: user.id, authorizedMemberId: user.authorizedMemberId },
+        fix: { collectionName: COLLECTIONS.USERS, docId: user.id, data: { authorizedMemberId: null } },
+      });
+      return;
+    }
+
+    if (record.usedBy && record.usedBy !== user.id && usersById.has(record.usedBy)) {
+      const holder = usersById.get(record.usedBy);
+      issues.push({
+        category: 'lock_holder_mismatch',
+        message: `Authorized member ${record.id} is linked to ${userLabel(user)} but used by ${userLabel(holder)}`,
+        suggestedFix: 'Decide which account owns the record; release it from the other (POST /authorized-members/:id/release with force)',
+        refs: { userId: user.id, authorizedMemberId: record.id, holderId: holder.id },
+        fix: null,
+      });
+    } else if (record.isUsed !== true || record.usedBy !== user.id) {
+      // Only safe when no other account also points at this record
+      const otherLinks = users.filter((other) => other.id !== user.id && other.authorizedMemberId === record.id);
+      issues.push({
+        category: 'user_link_not_claimed',
+        message: `${userLabel(user)} is linked to authorized member ${record.id}, which is not marked as used by them`,
+        suggestedFix: 'Mark the record as used by the linked account',
+        refs: { userId: user.id, authorizedMemberId: record.id },
+        fix: otherLinks.length === 0 && record.isActive !== false
+          ? {
+            collectionName: COLLECTIONS.AUTHORIZED_MEMBERS,
+            docId: record.id,
+            data: { isUsed: true, usedBy: user.id, usedAt: new Date() },
+          }
+          : null,
+      });
+    }
+  });
+
+  usersByMemberId.forEach((accounts, memberId) => {
+    // Household logins (utils/household.js) share the Member ID on purpose
+    const holders = accounts.filter((user) => !(user.householdRole === 'member' && user.householdId === memberId));
+    if (holders.length < 2) return;
+    issues.push({
+      category: 'duplicate_user_member_id',
+      message: `Member ID ${memberId} is used by ${holders.length} accounts: ${holders.map(userLabel).join(', ')}`,
+      suggestedFix: 'Correct the Member ID on the accounts that do not own it, or delete duplicate accounts',
+      refs: { userIds: holders.map((user) => user.id), authorizedMemberId: authorized.byMemberId.get(memberId)?.id || null },
+      fix: null,
+    });
+  });
+
+  return usersById;
+}
+
+function checkAuthorizedMembers(authorizedMembers, authorized, users, usersById, issues) {
+  // Records some account links to are handled by user_link_not_claimed instead
+  const linkedIds = new Set(users.map((user) => user.authorizedMemberId).filter(Boolean));
+
+  authorizedMembers.forEach((record) => {
+    const label = record.memberId || record.id;
+
+    if (record.isUsed === true && (!record.usedBy || !usersById.has(record.usedBy)) && !linkedIds.has(record.id)) {
+      issues.push({
+        category: 'stale_lock',
+        message: record.usedBy
+          ? `Authorized member ${label} is marked used by deleted account ${record.usedBy}`
+          : `Authorized member ${label} is marked used by no account`,
+        suggestedFix: 'Release the lock (isUsed / usedBy / usedAt)',
+        refs: { authorizedMemberId: record.id, holderId: record.usedBy || null },
+        fix: {
+          collectionName: COLLECTIONS.AUTHORIZED_MEMBERS,
+          docId: record.id,
+          data: { isUsed: false, usedBy: null, usedAt: null },
+        },
+      });
+    }
+
+    const expected = {};
+    const memberId = normalizeMemberId(record.memberId);
+    const phone = normalizePhoneLenient(record.phoneNumber);
+    if (memberId && record.memberIdNormalized !== memberId) expected.memberIdNormalized = memberId;
+    if (phone && record.phoneNormalized !== phone) expected.phoneNormalized = phone;
+    if (Object.keys(expected).length > 0) {
+      issues.push({
+        category: 'missing_normalized_fields',
+        message: `Authorized member ${label} needs ${Object.keys(expected).join(' / ')} updated`,
+        suggestedFix: 'Recompute the normalized lookup fields',
+        refs: { authorizedMemberId: record.id },
+        fix: { collectionName: COLLECTIONS.AUTHORIZED_MEMBERS, docId: record.id, data: expected },
+      });
+    }
+  });
+
+  authorized.byPhone.forEach((records, phone) => {
+    if (records.length < 2) return;
+    issues.push({
+      category: 'duplicate_authorized_phone',
+      message: `Phone ${phone} is shared by Member IDs ${records.map((r) => r.memberId || r.id).join(', ')}`,
+      suggestedFix: 'Keep the phone on the member it belongs to and correct the others',
+      refs: { authorizedMemberIds: records.map((r) => r.id) },
+      fix: null,
+    });
+  });
+}
+
+function checkInformation(informationRecords, authorized, issues) {
+  informationRecords.forEach((info) => {
+    const memberId = normalizeMemberId(info.memberId);
+    if (!memberId) return;
+
+    const record = authorized.byMemberId.get(memberId);
+    if (!record) {
+      issues.push({
+        category: 'information_member_not_authorized',
+        message: `Information row ${info.fullName || info.id} has Member ID ${memberId}, which is not an authorized member`,
+        suggestedFix: 'Add the member to the authorized members list if they should be able to sign up',
+        refs: { informationId: info.id },
+        fix: null,
+      });
+      return;
+    }
+
+    const infoPhone = normalizePhoneLenient(info.number);
+    const authorizedPhone = normalizePhoneLenient(record.phoneNormalized || record.phoneNumber);
+    if (infoPhone && authorizedPhone && infoPhone !== authorizedPhone) {
+      issues.push({
+        category: 'information_phone_mismatch',
+        message: `Member ID ${memberId}: information has ${infoPhone}, authorized member has ${authorizedPhone}`,
+        suggestedFix: 'Confirm the current number with the member and update the authorized record or the information row',
+        refs: { informationId: info.id, authorizedMemberId: record.id },
+        fix: null,
+      });
+    }
+  });
+}
+
+/**
+ * Build the reconciliation report.
+ *
+ * @param {Object} [options] - { categories: [category, ...] } to limit the report
+ * @returns {Promise<{ generatedAt, summary, categories }>}
+ */
+async function buildReconciliationReport({ categories = null } = {}) {
+  const [users, authorizedMembers, informationRecords] = await Promise.all([
+    getAllDocuments(COLLECTIONS.USERS),
+    getAllDocuments(COLLECTIONS.AUTHORIZED_MEMBERS),
+    getAllDocuments(COLLECTIONS.INFORMATION),
+  ]);
+
+  const authorized = indexAuthorized(authorizedMembers);
+  const issues = [];
+
+  const usersById = checkUsers(users, authorized, issues);
+  checkAuthorizedMembers(authorizedMembers, authorized, users, usersById, issues);
+  checkInformation(informationRecords, authorized, issues);
+
+  const wanted = categories && categories.length > 0 ? categories : Object.keys(CATEGORIES);
+  const grouped = wanted.map((category) => {
+    const categoryIssues = issues.filter((issue) => issue.category === category);
+    return {
+      category,
+      ...CATEGORIES[category],
+      count: categoryIssues.length,
+      autoFixable: categoryIssues.filter((issue) => issue.fix).length,
+      issues: categoryIssues,
+    };
+  });
+
+  const byCategory = {};
+  grouped.forEach((group) => {
+    byCategory[group.category] = group.count;
+  });
+
+  return {
+    generatedAt: new Date(),
+    summary: {
+      users: users.length,
+      authorizedMembers: authorizedMembers.length,
+      information: informationRecords.length,
+      totalIssues: grouped.reduce((sum, group) => sum + group.count, 0),
+      autoFixable: grouped.reduce((sum, group) => sum + group.autoFixable, 0),
+      byCategory,
+    },
+    categories: grouped,
+  };
+}
+
+/**
+ * Apply the safe fixes of a report in batches.
+ *
+ * @returns {Promise<{ applied, writes, byCategory }>}
+ */
+async function applySafeFixes(report) {
+  const fixes = report.categories.flatMap((group) => group.issues.filter((issue) => issue.fix));
+
+  // Several fixes for one document (e.g. both normalized fields) are merged into one write
+  const operations = new Map();
+  fixes.forEach(({ fix }) => {
+    const key = `${fix.collectionName}/${fix.docId}`;
+    const existing = operations.get(key);
+    operations.set(key, existing
+      ? { ...existing, data: { ...existing.data, ...fix.data } }
+      : { type: 'update', collectionName: fix.collectionName, docId: fix.docId, data: fix.data });
+  });
+
+  const list = [...operations.values()];
+  for (let i = 0; i < list.length; i += BATCH_SIZE) {
+    await batchWrite(list.slice(i, i + BATCH_SIZE));
+  }
+
+  const byCategory = {};
+  fixes.forEach((issue) => {
+    byCategory[issue.category] = (byCategory[issue.category] || 0) + 1;
+  });
+
+  return { applied: fixes.length, writes: list.length, byCategory };
+}
+
+module.exports = {
+  CATEGORIES,
+  buildReconciliationReport,
+  applySafeFixes,
+};
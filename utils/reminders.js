@@ -0,0 +1,243 @@
+/**
+ * Birthday and wedding anniversary reminders
+ *
+ * Collected from the family trees the user can view (their own entries, their
+ * household's and the trees shared with them):
+ * - flat familyTree entries: personDateOfBirth, children[].dateOfBirth and
+ *   marriageDate (the person and spouseName)
+ * - family graph persons (dateOfBirth) and spouse relationships (marriageDate)
+ *
+ * Only full dates (YYYY-MM-DD) recur. Deceased persons (graph persons and the
+ * flat entries' personIsDeceased / spouseIsDeceased / children[].isDeceased)
+ * get no birthday or wedding reminders; their punyatithi comes from
+ * utils/memorials.js. Entries
+ * already migrated to the graph (persons with `migratedFrom`) are read from
+ * the graph only, so nobody is listed twice.
+ *
+ * The daily digest (config/cron.js) goes to approved users who opted in with
+ * notificationPreferences.familyReminders, and lists what falls today and in
+ * DIGEST_LEAD_DAYS days, family death anniversaries included. It is delivered
+ * to the user's in-app inbox (reminderDigests/{userId}, the latest digest
+ * only).
+ */
+
+const {
+  COLLECTIONS,
+  createDocument,
+  getDocumentById,
+  queryDocuments,
+  updateDocument,
+} = require('../config/firestore');
+const { loadTreeAccess } = require('./treeSharing');
+const { nextAnniversary, reminderWindow, upcomingAnniversaries } = require('./memorials');
+
+const REMINDER_TYPES = ['birthday', 'wedding_anniversary'];
+const DIGEST_LEAD_DAYS = 7;
+
+// Firestore 'array-contains-any' queries take at most 30 values
+const ARRAY_QUERY_LIMIT = 30;
+
+const FULL_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function todayKey() {
+  return new Date(reminderWindow(0).from).toISOString().slice(0, 10);
+}
+
+function chunk(values, size) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) chunks.push(values.slice(i, i + size));
+  return chunks;
+}
+
+// Flat entries, graph persons and spouse edges in the trees the user can view
+async function loadFamilyData(access) {
+  const treeMemberIds = [access.treeKey, ...access.sharedTrees.map((tree) => tree.memberId)].filter(Boolean);
+  const byMemberId = (collection) => Promise.all(treeMemberIds.map((memberId) => queryDocuments(collection, [
+    { field: 'memberId', operator: '==', value: memberId },
+  ]))).then((results) => results.flat());
+
+  const [ownEntries, treeEntries, persons] = await Promise.all([
+    queryDocuments(COLLECTIONS.FAMILY_TREE, [{ field: 'createdBy', operator: '==', value: access.user.id }]),
+    byMemberId(COLLECTIONS.FAMILY_TREE),
+    byMemberId(COLLECTIONS.PERSONS),
+  ]);
+
+  const entries = new Map([...ownEntries, ...treeEntries].map((entry) => [entry.id, entry]));
+  const personsById = new Map(persons.map((person) => [person.id, person]));
+
+  const edges = (await Promise.all(chunk([...personsById.keys()], ARRAY_QUERY_LIMIT).map((ids) => queryDocuments(
+    COLLECTIONS.RELATIONSHIPS,
+    [{ field: 'personIds', operator: 'array-contains-any', value: ids }]
+  )))).flat();
+  const spouseEdges = new Map(edges
+    .filter((edge) => edge.type === 'spouse' && edge.marriageDate)
+    .map((edge) => [edge.id, edge]));
+
+  // Spouses married into another family's tree, if the user can see them
+  const outside = [...spouseEdges.values()]
+    .flatMap((edge) => [edge.fromPersonId, edge.toPersonId])
+    .filter((id, index, ids) => !personsById.has(id) && ids.indexOf(id) === index);
+  (await Promise.all(outside.map((id) => getDocumentById(COLLECTIONS.PERSONS, id))))
+    .filter((person) => person && access.canView(person))
+    .forEach((person) => personsById.set(person.id, person));
+
+  return { entries: [...entries.values()], personsById, spouseEdges: [...spouseEdges.values()] };
+}
+
+/**
+ * Birthdays and wedding anniversaries in the next `days` days.
+ *
+ * @param {Object} access - from loadTreeAccess()
+ * @param {Object} [options] - { days (default 30, max 60), type: 'birthday' | 'wedding_anniversary' }
+ * @returns {Promise<Array<{ type, name, names?, date, nextDate, daysAway, years,
+ *   entryId, personId?, personIds?, relationshipId? }>>} years: age turned, or years married
+ */
+async function upcomingFamilyEvents(access, { days, type = null } = {}) {
+  const { horizon, from } = reminderWindow(days);
+  const { entries, personsById, spouseEdges } = await loadFamilyData(access);
+
+  const events = [];
+  const add = (eventType, date, fields) => {
+    if (type && type !== eventType) return;
+    if (!FULL_DATE.test(String(date || ''))) return;
+    const next = nextAnniversary(date, from);
+    if (next.years < 1 || next.daysAway > horizon) return;
+    events.push({
+      type: eventType,
+      ...fields,
+      date,
+      nextDate: next.date,
+      daysAway: next.daysAway,
+      years: next.years,
+    });
+  };
+
+  const migrated = new Set([...personsById.values()].map((person) => person.migratedFrom).filter(Boolean));
+  entries.filter((entry) => !migrated.has(entry.id)).forEach((entry) => {
+    if (!entry.personIsDeceased) {
+      add('birthday', entry.personDateOfBirth, { name: entry.personName, entryId: entry.id, personId: null });
+    }
+    (Array.isArray(entry.children) ? entry.children : []).forEach((child) => {
+      // Legacy children may have a date of birth but no name
+      if (child && typeof child === 'object' && !child.isDeceased && child.name) {
+        add('birthday', child.dateOfBirth, { name: child.name, entryId: entry.id, personId: null });
+      }
+    });
+    if (entry.spouseName && !entry.personIsDeceased && !entry.spouseIsDeceased) {
+      add('wedding_anniversary', entry.marriageDate, {
+        name: `${entry.personName} & ${entry.spouseName}`,
+        names: [entry.personName, entry.spouseName],
+        entryId: entry.id,
+        personIds: [],
+        relationshipId: null,
+      });
+    }
+  });
+
+  personsById.forEach((person) => {
+    if (person.isDeceased || !access.canView(person)) return;
+    add('birthday', person.dateOfBirth, { name: person.name, entryId: null, personId: person.id });
+  });
+
+  spouseEdges.forEach((edge) => {
+    const couple = [personsById.get(edge.fromPersonId), personsById.get(edge.toPersonId)];
+    if (!couple[0] && !couple[1]) return;
+    if (couple.some((person) => person && person.isDeceased)) return;
+    // A spouse the user cannot view is only named as 'Private'
+    const names = couple.map((person) => (person ? person.name : 'Private'));
+    add('wedding_anniversary', edge.marriageDate, {
+      name: names.join(' & '),
+      names,
+      entryId: null,
+      personIds: couple.map((person) => (person ? person.id : null)),
+      relationshipId: edge.id,
+    });
+  });
+
+  return events.sort((a, b) => a.daysAway - b.daysAway || String(a.name || '').localeCompare(String(b.name || '')));
+}
+
+/**
+ * Today's digest for one user: what falls today and in DIGEST_LEAD_DAYS days.
+ *
+ * @param {Object} user - user doc
+ * @returns {Promise<{ date: String, today: Array, upcoming: Array }>}
+ */
+async function buildReminderDigest(user) {
+  const access = await loadTreeAccess(user);
+  const [events, anniversaries] = await Promise.all([
+    upcomingFamilyEvents(access, { days: DIGEST_LEAD_DAYS }),
+    upcomingAnniversaries(access, { days: DIGEST_LEAD_DAYS, scope: 'family' }),
+  ]);
+
+  const items = [
+    ...events,
+    ...anniversaries.map((anniversary) => ({
+      type: 'death_anniversary',
+      name: anniversary.name,
+      date: anniversary.dateOfDeath,
+      nextDate: anniversary.anniversaryDate,
+      daysAway: anniversary.daysAway,
+      years: anniversary.years,
+      deathTithi: anniversary.deathTithi,
+      personId: anniversary.personId,
+    })),
+  ];
+
+  return {
+    date: todayKey(),
+    today: items.filter((item) => item.daysAway === 0),
+    upcoming: items.filter((item) => item.daysAway === DIGEST_LEAD_DAYS),
+  };
+}
+
+/**
+ * Send today's digest to every opted-in user who has something in it.
+ * Each user gets at most one digest a day (`reminderDigestSentOn`), so a
+ * restart or a second instance does not send it again.
+ *
+ * @returns {Promise<Number>} digests sent
+ */
+async function sendReminderDigests() {
+  const users = await queryDocuments(COLLECTIONS.USERS, [
+    { field: 'notificationPreferences.familyReminders', operator: '==', value: true },
+  ]);
+
+  const date = todayKey();
+  let sent = 0;
+  for (const user of users) {
+    if ((user.accountStatus || 'approved') !== 'approved' || user.reminderDigestSentOn === date) continue;
+    try {
+      const digest = await buildReminderDigest(user);
+      if (digest.today.length === 0 && digest.upcoming.length === 0) continue;
+
+      await createDocument(COLLECTIONS.REMINDER_DIGESTS, { userId: user.id, ...digest }, user.id);
+      await updateDocument(COLLECTIONS.USERS, user.id, { reminderDigestSentOn: date });
+      sent++;
+    } catch (error) {
+      console.error(`❌ Reminder digest failed for user ${user.id}:`, error.message);
+    }
+  }
+  return sent;
+}
+
+/**
+ * The user's latest digest, if it is today's.
+ *
+ * @param {Object} user - user doc
+ * @returns {Promise<{ date, today, upcoming }|null>}
+ */
+async function getTodaysDigest(user) {
+  const digest = await getDocumentById(COLLECTIONS.REMINDER_DIGESTS, user.id);
+  if (!digest || digest.date !== todayKey()) return null;
+  return { date: digest.date, today: digest.today || [], upcoming: digest.upcoming || [] };
+}
+
+module.exports = {
+  REMINDER_TYPES,
+  DIGEST_LEAD_DAYS,
+  upcomingFamilyEvents,
+  buildReminderDigest,
+  sendReminderDigests,
+  getTodaysDigest,
+};
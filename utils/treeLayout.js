@@ -0,0 +1,326 @@
+/**
+ * Family tree layout for rendering
+ *
+ * Builds a single-rooted, nested tree that d3.hierarchy() can take as is:
+ * starting from the focus person we climb `up` generations along the paternal
+ * (or maternal) line, then walk down through every descendant of that ancestor.
+ *
+ * Each node is one person with their spouses paired on the same node, so a
+ * couple renders as one unit and their children hang below it:
+ *
+ *   { id, personId, name, gender, dateOfBirth, isDeceased, dateOfDeath, generation, isFocus,
+ *     spouses: [{ personId, name, gender, dateOfBirth, isDeceased, dateOfDeath, isFocus }],
+ *     children: [...], collapsed, childCount, isReference }
+ *
+ * - `id` is stable across requests: the person id, or `<personId>@<parent personId>`
+ *   for a person reached a second time (cousin marriages), which is emitted as a
+ *   childless reference node.
+ * - `generation` is relative to the focus person (parents -1, children 1).
+ * - Branches below the `down` limit, or listed in `collapsed`, come back with
+ *   `collapsed: true` and `childCount`; re-request with that person as the
+ *   focus to expand them.
+ * - Persons in trees the user has no access to come back as `restricted: true`
+ *   with no details, and nothing is walked past them.
+ *
+ * renderTreeSvg() turns the same layout into a printable SVG.
+ */
+
+const { COLLECTIONS, getDocumentById } = require('../config/firestore');
+const { graphError, assertCanView, getRelationshipsOf, MAX_GENERATIONS } = require('./familyGraph');
+
+const MAX_LAYOUT_NODES = 500;
+
+// SVG geometry (px)
+const BOX_WIDTH = 150;
+const BOX_HEIGHT = 46;
+const SPOUSE_GAP = 14;
+const SIBLING_GAP = 26;
+const LEVEL_GAP = 64;
+const MARGIN = 24;
+
+function clampGenerations(value, fallback) {
+  const parsed = parseInt(value, 10);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.min(MAX_GENERATIONS, Math.max(0, parsed));
+}
+
+function birthOrder(a, b) {
+  const dateA = a.dateOfBirth || '9999';
+  const dateB = b.dateOfBirth || '9999';
+  if (dateA !== dateB) return dateA < dateB ? -1 : 1;
+  return String(a.name || '').localeCompare(String(b.name || ''));
+}
+
+function personSummary(person) {
+  return {
+    personId: person.id,
+    name: person.name || '',
+    gender: person.gender || '',
+    dateOfBirth: person.dateOfBirth || '',
+    isDeceased: !!person.isDeceased,
+    dateOfDeath: person.dateOfDeath || '',
+  };
+}
+
+function restrictedSummary(person) {
+  return {
+    personId: person.id,
+    name: '',
+    gender: '',
+    dateOfBirth: '',
+    isDeceased: false,
+    dateOfDeath: '',
+    restricted: true,
+  };
+}
+
+/**
+ * Build the nested layout.
+ *
+ * @param {String} focusId - person the tree is centred on
+ * @param {Object} [options] - { up, down, line: 'paternal'|'maternal', collapsed: node ids }
+ * @param {Object} [access] - from loadTreeAccess(); omitted means no restrictions
+ * @returns {Promise<{ focusPersonId, rootPersonId, generations, nodeCount, truncated, tree }>}
+ */
+async function buildTreeLayout(focusId, { up = 2, down = 2, line = 'paternal', collapsed = [] } = {}, access = null) {
+  const generationsUp = clampGenerations(up, 2);
+  const generationsDown = clampGenerations(down, 2);
+  const collapsedIds = new Set(collapsed);
+
+  const persons = new Map();
+  const edgesOf = new Map();
+  const loadPerson = async (id) => {
+    if (!persons.has(id)) persons.set(id, await getDocumentById(COLLECTIONS.PERSONS, id));
+    return persons.get(id);
+  };
+  const loadEdges = async (id) => {
+    if (!edgesOf.has(id)) edgesOf.set(id, await getRelationshipsOf(id));
+    return edgesOf.get(id);
+  };
+
+  const viewable = (person) => !access || access.canView(person);
+  const summarize = (person) => (viewable(person) ? personSummary(person) : restrictedSummary(person));
+
+  const focus = await loadPerson(focusId);
+  if (!focus) throw graphError(404, 'Person not found');
+  assertCanView(access, focus);
+
+  // Climb to the top ancestor along the chosen line
+  const preferred = line === 'maternal' ? 'female' : 'male';
+  let root = focus;
+  let rootGeneration = 0;
+  for (let i = 0; i < generationsUp; i++) {
+    const parentIds = (await loadEdges(root.id))
+      .filter((edge) => edge.type === 'parent' && edge.toPersonId === root.id)
+      .map((edge) => edge.fromPersonId);
+    const parents = (await Promise.all(parentIds.map(loadPerson))).filter((person) => person && viewable(person));
+    if (parents.length === 0) break;
+    root = parents.find((person) => person.gender === preferred) || parents.sort(birthOrder)[0];
+    rootGeneration--;
+  }
+
+  const expanded = new Set();
+  let nodeCount = 0;
+  let truncated = false;
+
+  const buildNode = async (person, generation, parentPersonId) => {
+    nodeCount++;
+    const node = {
+      id: person.id,
+      ...summarize(person),
+      generation,
+      isFocus: person.id === focus.id,
+      spouses: [],
+      children: [],
+    };
+
+    if (!viewable(person)) return node;
+
+    if (expanded.has(person.id)) {
+      node.id = `${person.id}@${parentPersonId}`;
+      node.isReference = true;
+      return node;
+    }
+    expanded.add(person.id);
+
+    const edges = await loadEdges(person.id);
+    const spouseIds = edges
+      .filter((edge) => edge.type === 'spouse')
+      .map((edge) => (edge.fromPersonId === person.id ? edge.toPersonId : edge.fromPersonId));
+    const spouses = (await Promise.all(spouseIds.map(loadPerson))).filter(Boolean);
+    node.spouses = spouses.map((spouse) => ({ ...summarize(spouse), isFocus: spouse.id === focus.id }));
+
+    // Children of the person and of their spouses, each once
+    const childIds = new Set();
+    for (const parent of [person, ...spouses.filter(viewable)]) {
+      (parent === person ? edges : await loadEdges(parent.id))
+        .filter((edge) => edge.type === 'parent' && edge.fromPersonId === parent.id)
+        .forEach((edge) => childIds.add(edge.toPersonId));
+    }
+    const children = (await Promise.all([...childIds].map(loadPerson))).filter(Boolean).sort(birthOrder);
+    if (children.length === 0) return node;
+
+    const atLimit = generation >= generationsDown;
+    if (atLimit || collapsedIds.has(node.id) || truncated) {
+      node.collapsed = true;
+      node.childCount = children.length;
+      return node;
+    }
+
+    for (const child of children) {
+      if (nodeCount >= MAX_LAYOUT_NODES) {
+        truncated = true;
+        node.collapsed = true;
+        node.childCount = children.length - node.children.length;
+        break;
+      }
+      node.children.push(await buildNode(child, generation + 1, person.id));
+    }
+    return node;
+  };
+
+  const tree = await buildNode(root, rootGeneration, null);
+
+  return {
+    focusPersonId: focus.id,
+    rootPersonId: root.id,
+    generations: { up: -rootGeneration, down: generationsDown },
+    nodeCount,
+    truncated,
+    tree,
+  };
+}
+
+// ============================================
+// SVG
+// ============================================
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function truncate(text, length) {
+  const value = String(text || '');
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+function nodeWidth(node) {
+  return BOX_WIDTH * (1 + node.spouses.length) + SPOUSE_GAP * node.spouses.length;
+}
+
+// Width of each subtree, children laid out side by side
+function measure(node) {
+  node.children.forEach(measure);
+  const childrenWidth = node.children.reduce((sum, child) => sum + child.subtreeWidth, 0) +
+    SIBLING_GAP * Math.max(0, node.children.length - 1);
+  node.subtreeWidth = Math.max(nodeWidth(node), childrenWidth);
+  node.childrenWidth = childrenWidth;
+}
+
+function place(node, left, depth) {
+  node.x = left + node.subtreeWidth / 2;
+  node.y = MARGIN + depth * (BOX_HEIGHT + LEVEL_GAP);
+  let cursor = left + (node.subtreeWidth - node.childrenWidth) / 2;
+  node.children.forEach((child) => {
+    place(child, cursor, depth + 1);
+    cursor += child.subtreeWidth + SIBLING_GAP;
+  });
+}
+
+// "1950", or "1920 – 2004" / "Late" for the deceased
+function lifeSpan(person) {
+  const born = person.dateOfBirth ? String(person.dateOfBirth).slice(0, 4) : '';
+  if (!person.isDeceased) return born;
+  const died = person.dateOfDeath ? String(person.dateOfDeath).slice(0, 4) : '';
+  return born || died ? `${born} – ${died}`.trim() : 'Late';
+}
+
+function personBox(person, x, y, { isFocus = false, isReference = false } = {}) {
+  const year = lifeSpan(person);
+  const fill = person.gender === 'female' ? '#fdeef4' : person.gender === 'male' ? '#eaf2fd' : '#f3f3f3';
+  return [
+    `<rect x="${x}" y="${y}" width="${BOX_WIDTH}" height="${BOX_HEIGHT}" rx="6" fill="${fill}"`,
+    ` stroke="${isFocus ? '#c0392b' : '#7f8c8d'}" stroke-width="${isFocus ? 2 : 1}"${isReference ? ' stroke-dasharray="4 3"' : ''}/>`,
+    `<text x="${x + BOX_WIDTH / 2}" y="${y + 19}" text-anchor="middle" font-size="13" font-weight="600">${escapeXml(person.restricted ? 'Private' : truncate(person.name, 20))}</text>`,
+    year || isReference
+      ? `<text x="${x + BOX_WIDTH / 2}" y="${y + 36}" text-anchor="middle" font-size="11" fill="#555">${escapeXml(isReference ? 'see above' : year)}</text>`
+      : '',
+  ].join('');
+}
+
+function drawNode(node, parts) {
+  const left = node.x - nodeWidth(node) / 2;
+  parts.push(personBox(node, left, node.y, node));
+
+  node.spouses.forEach((spouse, index) => {
+    const x = left + (BOX_WIDTH + SPOUSE_GAP) * (index + 1);
+    const lineY = node.y + BOX_HEIGHT / 2;
+    parts.push(`<line x1="${x - SPOUSE_GAP}" y1="${lineY}" x2="${x}" y2="${lineY}" stroke="#7f8c8d"/>`);
+    parts.push(personBox(spouse, x, node.y, spouse));
+  });
+
+  // Children hang from the middle of the couple
+  const fromX = node.spouses.length > 0 ? left + BOX_WIDTH + SPOUSE_GAP / 2 : left + BOX_WIDTH / 2;
+  const fromY = node.spouses.length > 0 ? node.y + BOX_HEIGHT / 2 : node.y + BOX_HEIGHT;
+  const busY = node.y + BOX_HEIGHT + LEVEL_GAP / 2;
+
+  if (node.children.length > 0) {
+    const childXs = node.children.map((child) => child.x - nodeWidth(child) / 2 + BOX_WIDTH / 2);
+    parts.push(`<line x1="${fromX}" y1="${fromY}" x2="${fromX}" y2="${busY}" stroke="#7f8c8d"/>`);
+    parts.push(`<line x1="${Math.min(fromX, ...childXs)}" y1="${busY}" x2="${Math.max(fromX, ...childXs)}" y2="${busY}" stroke="#7f8c8d"/>`);
+    node.children.forEach((child, index) => {
+      parts.push(`<line x1="${childXs[index]}" y1="${busY}" x2="${childXs[index]}" y2="${child.y}" stroke="#7f8c8d"/>`);
+      drawNode(child, parts);
+    });
+  } else if (node.collapsed) {
+    parts.push(`<line x1="${fromX}" y1="${fromY}" x2="${fromX}" y2="${busY - 9}" stroke="#7f8c8d" stroke-dasharray="3 3"/>`);
+    parts.push(`<circle cx="${fromX}" cy="${busY}" r="9" fill="#fff" stroke="#7f8c8d"/>`);
+    parts.push(`<text x="${fromX}" y="${busY + 4}" text-anchor="middle" font-size="10">+${node.childCount}</text>`);
+  }
+}
+
+/**
+ * Render a layout from buildTreeLayout() as a standalone SVG document.
+ */
+function renderTreeSvg(layout, { title = '' } = {}) {
+  // Work on a copy: measuring adds geometry to every node
+  const tree = JSON.parse(JSON.stringify(layout.tree));
+  measure(tree);
+  const titleHeight = title ? 32 : 0;
+  place(tree, MARGIN, 0);
+
+  let depth = 0;
+  const walk = (node, level) => {
+    depth = Math.max(depth, level);
+    node.children.forEach((child) => walk(child, level + 1));
+  };
+  walk(tree, 0);
+
+  const width = tree.subtreeWidth + MARGIN * 2;
+  const height = (depth + 1) * (BOX_HEIGHT + LEVEL_GAP) + MARGIN * 2 + titleHeight;
+
+  const parts = [];
+  drawNode(tree, parts);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="'Noto Sans', 'Noto Sans Gujarati', 'Noto Sans Devanagari', Arial, sans-serif">`,
+    `<rect width="100%" height="100%" fill="#fff"/>`,
+    title ? `<text x="${width / 2}" y="${MARGIN + 8}" text-anchor="middle" font-size="18" font-weight="700">${escapeXml(title)}</text>` : '',
+    `<g transform="translate(0 ${titleHeight})">`,
+    ...parts,
+    '</g>',
+    '</svg>',
+  ].join('\n');
+}
+
+module.exports = {
+  MAX_LAYOUT_NODES,
+  buildTreeLayout,
+  renderTreeSvg,
+};
@@ -0,0 +1,291 @@
+/**
+ * Family tree sharing
+ *
+ * A family tree belongs to a Member ID: every familyTree entry and person
+ * carries the `memberId` of the household that owns it, and all active members
+ * of that household are its owners. Owners can share the tree with another
+ * member (one login) or with another household (every active login of a
+ * Member ID), as viewer or editor. The grantee has to accept first.
+ *
+ * treeShares/{ownerMemberId}_{granteeType}_{granteeId}:
+ *   { ownerMemberId, granteeType: 'user' | 'household', granteeId, granteeName,
+ *     role: 'viewer' | 'editor',
+ *     status: 'pending' | 'active' | 'declined' | 'revoked',
+ *     invitedBy, invitedByName, message, respondedBy, respondedAt, revokedBy, revokedAt }
+ *
+ * The id is derived from both sides so firestore.rules can look a share up
+ * directly (see hasTreeShare there); keep the two in sync.
+ *
+ * Access per document:
+ *   view    creator, the person itself, owners, active viewer / editor shares
+ *   edit    creator, the person itself, owners, active editor shares
+ *   delete  creator, owners
+ */
+
+const {
+  COLLECTIONS,
+  getDocumentById,
+  queryDocuments,
+  runTransaction,
+} = require('../config/firestore');
+const { getAccountState } = require('./accountLifecycle');
+const { isActiveHouseholdMember, pickPrimaryHolder } = require('./household');
+const { normalizeMemberId } = require('./memberVerification');
+
+const TREE_ROLES = ['viewer', 'editor'];
+const GRANTEE_TYPES = ['user', 'household'];
+const SHARE_STATUSES = ['pending', 'active', 'declined', 'revoked'];
+
+function shareError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// The Member ID whose tree a user owns. Joiners that are pending, declined or
+// removed from a household own nothing, even though they carry its Member ID.
+function treeKeyOf(user) {
+  if (!user || getAccountState(user) !== 'approved') return '';
+  if (isActiveHouseholdMember(user)) return normalizeMemberId(user.householdId);
+  return user.householdId ? '' : normalizeMemberId(user.memberId);
+}
+
+function shareId(ownerMemberId, granteeType, granteeId) {
+  return `${ownerMemberId}_${granteeType}_${granteeId}`;
+}
+
+/**
+ * Resolve what a user may do with family tree documents. Loads the user's
+ * active shares once; the returned checks are synchronous.
+ *
+ * @returns {Promise<{ user, treeKey, roleFor, canView, canEdit, canDelete }>}
+ */
+async function loadTreeAccess(user) {
+  const treeKey = treeKeyOf(user);
+  const [userShares, householdShares] = await Promise.all([
+    queryDocuments(COLLECTIONS.TREE_SHARES, [
+      { field: 'granteeType', operator: '==', value: 'user' },
+      { field: 'granteeId', operator: '==', value: user.id },
+      { field: 'status', operator: '==', value: 'active' },
+    ]),
+    treeKey
+      ? queryDocuments(COLLECTIONS.TREE_SHARES, [
+        { field: 'granteeType', operator: '==', value: 'household' },
+        { field: 'granteeId', operator: '==', value: treeKey },
+        { field: 'status', operator: '==', value: 'active' },
+      ])
+      : [],
+  ]);
+
+  // An editor share wins over a viewer share of the same tree
+  const roles = new Map();
+  [...userShares, ...householdShares].forEach((share) => {
+    if (roles.get(share.ownerMemberId) !== 'editor') roles.set(share.ownerMemberId, share.role);
+  });
+
+  const roleFor = (memberId) => {
+    const key = normalizeMemberId(memberId);
+    if (!key) return null;
+    if (key === treeKey) return 'owner';
+    return roles.get(key) || null;
+  };
+  const isMine = (doc) => !!doc && (doc.createdBy === user.id || (!!doc.userId && doc.userId === user.id));
+
+  return {
+    user,
+    treeKey,
+    sharedTrees: [...roles.entries()].map(([memberId, role]) => ({ memberId, role })),
+    roleFor,
+    canView: (doc) => isMine(doc) || (!!doc && !!roleFor(doc.memberId)),
+    canEdit: (doc) => isMine(doc) || (!!doc && ['owner', 'editor'].includes(roleFor(doc.memberId))),
+    canDelete: (doc) => !!doc && (doc.createdBy === user.id || roleFor(doc.memberId) === 'owner'),
+  };
+}
+
+// Approved account, or the primary holder of a Member ID
+async function findGranteeUser({ userId, email, memberId }) {
+  let user = null;
+  if (userId) {
+    user = await getDocumentById(COLLECTIONS.USERS, String(userId));
+  } else if (email) {
+    const [match] = await queryDocuments(COLLECTIONS.USERS, [
+      { field: 'email', operator: '==', value: String(email).trim().toLowerCase() },
+    ], null, 'asc', 1);
+    user = match || null;
+  } else if (memberId) {
+    const users = await queryDocuments(COLLECTIONS.USERS, [
+      { field: 'memberId', operator: '==', value: normalizeMemberId(memberId) },
+    ]);
+    user = pickPrimaryHolder(users);
+  }
+  if (!user || getAccountState(user) !== 'approved') {
+    throw shareError(404, 'Member not found');
+  }
+  return user;
+}
+
+/**
+ * Invite a member or a household to the inviter's tree.
+ *
+ * @param {Object} invite - { granteeType, granteeUserId, granteeEmail, granteeMemberId, role, message }
+ * @returns {Promise<{ share, previous }>}
+ */
+async function inviteToTree(inviter, { granteeType = 'user', granteeUserId, granteeEmail, granteeMemberId, role = 'viewer', message = '' }) {
+  const ownerMemberId = treeKeyOf(inviter);
+  if (!ownerMemberId) throw shareError(400, 'Your account has no Member ID, so you have no tree to share');
+  if (!GRANTEE_TYPES.includes(granteeType)) {
+    throw shareError(400, `granteeType must be one of ${GRANTEE_TYPES.join(', ')}`);
+  }
+  if (!TREE_ROLES.includes(role)) {
+    throw shareError(400, `role must be one of ${TREE_ROLES.join(', ')}`);
+  }
+
+  let granteeId;
+  let granteeName;
+  if (granteeType === 'household') {
+    if (!granteeMemberId) throw shareError(400, 'granteeMemberId is required to share with a household');
+    const holder = await findGranteeUser({ memberId: granteeMemberId });
+    granteeId = treeKeyOf(holder);
+    granteeName = holder.name || '';
+    if (granteeId === ownerMemberId) throw shareError(400, 'Your household already owns this tree');
+  } else {
+    if (!granteeUserId && !granteeEmail && !granteeMemberId) {
+      throw shareError(400, 'granteeUserId, granteeEmail or granteeMemberId is required');
+    }
+    const grantee = await findGranteeUser({ userId: granteeUserId, email: granteeEmail, memberId: granteeMemberId });
+    if (treeKeyOf(grantee) === ownerMemberId) throw shareError(400, 'This member already owns this tree');
+    granteeId = grantee.id;
+    granteeName = grantee.name || '';
+  }
+
+  const id = shareId(ownerMemberId, granteeType, granteeId);
+  return await runTransaction(async (tx) => {
+    const existing = await tx.getDocumentById(COLLECTIONS.TREE_SHARES, id);
+    if (existing?.status === 'active') throw shareError(409, 'Already shared. Change the role instead.');
+    if (existing?.status === 'pending') throw shareError(409, 'An invitation is already pending');
+
+    const data = {
+      ownerMemberId,
+      granteeType,
+      granteeId,
+      granteeName,
+      role,
+      status: 'pending',
+      invitedBy: inviter.id,
+      invitedByName: inviter.name || '',
+      message: String(message || '').trim().slice(0, 500),
+      respondedBy: null,
+      respondedAt: null,
+      revokedBy: null,
+      revokedAt: null,
+    };
+    if (existing) {
+      tx.updateDocument(COLLECTIONS.TREE_SHARES, id, data);
+      return { share: { ...existing, ...data }, previous: existing };
+    }
+    return { share: tx.createDocument(COLLECTIONS.TREE_SHARES, data, id), previous: null };
+  });
+}
+
+function isGrantee(user, share) {
+  if (share.granteeType === 'user') return share.granteeId === user.id;
+  return share.granteeId === treeKeyOf(user);
+}
+
+/**
+ * Shares of the user's own tree, and invitations / shares addressed to them.
+ */
+async function listTreeShares(user) {
+  const treeKey = treeKeyOf(user);
+  const [outgoing, toUser, toHousehold] = await Promise.all([
+    treeKey
+      ? queryDocuments(COLLECTIONS.TREE_SHARES, [{ field: 'ownerMemberId', operator: '==', value: treeKey }])
+      : [],
+    queryDocuments(COLLECTIONS.TREE_SHARES, [
+      { field: 'granteeType', operator: '==', value: 'user' },
+      { field: 'granteeId', operator: '==', value: user.id },
+    ]),
+    treeKey
+      ? queryDocuments(COLLECTIONS.TREE_SHARES, [
+        { field: 'granteeType', operator: '==', value: 'household' },
+        { field: 'granteeId', operator: '==', value: treeKey },
+      ])
+      : [],
+  ]);
+
+  return {
+    outgoing: outgoing.filter((share) => ['pending', 'active'].includes(share.status)),
+    incoming: [...toUser, ...toHousehold].filter((share) => ['pending', 'active'].includes(share.status)),
+  };
+}
+
+/**
+ * Accept or decline an invitation (the invited member, or any active member
+ * of the invited household).
+ *
+ * @param {String} decision - 'accept' | 'decline'
+ * @returns {Promise<{ share, previous }>}
+ */
+async function respondToShare(user, id, decision) {
+  return await runTransaction(async (tx) => {
+    const share = await tx.getDocumentById(COLLECTIONS.TREE_SHARES, id);
+    if (!share || !isGrantee(user, share)) throw shareError(404, 'Invitation not found');
+    if (share.status !== 'pending') throw shareError(409, `This invitation is already ${share.status}`);
+
+    const update = {
+      status: decision === 'accept' ? 'active' : 'declined',
+      respondedBy: user.id,
+      respondedAt: new Date(),
+    };
+    tx.updateDocument(COLLECTIONS.TREE_SHARES, id, update);
+    return { share: { ...share, ...update }, previous: share };
+  });
+}
+
+/**
+ * Change the role of a share (owners only).
+ */
+async function updateShareRole(user, id, role) {
+  if (!TREE_ROLES.includes(role)) {
+    throw shareError(400, `role must be one of ${TREE_ROLES.join(', ')}`);
+  }
+  return await runTransaction(async (tx) => {
+    const share = await tx.getDocumentById(COLLECTIONS.TREE_SHARES, id);
+    if (!share || share.ownerMemberId !== treeKeyOf(user)) throw shareError(404, 'Share not found');
+    if (!['pending', 'active'].includes(share.status)) throw shareError(409, `This share is ${share.status}`);
+
+    tx.updateDocument(COLLECTIONS.TREE_SHARES, id, { role });
+    return { share: { ...share, role }, previous: share };
+  });
+}
+
+/**
+ * End a share: owners revoke it, grantees leave it.
+ */
+async function revokeShare(user, id) {
+  return await runTransaction(async (tx) => {
+    const share = await tx.getDocumentById(COLLECTIONS.TREE_SHARES, id);
+    const isOwner = share && share.ownerMemberId === treeKeyOf(user);
+    if (!share || (!isOwner && !isGrantee(user, share))) throw shareError(404, 'Share not found');
+    if (!['pending', 'active'].includes(share.status)) throw shareError(409, `This share is already ${share.status}`);
+
+    const update = { status: 'revoked', revokedBy: user.id, revokedAt: new Date() };
+    tx.updateDocument(COLLECTIONS.TREE_SHARES, id, update);
+    return { share: { ...share, ...update }, previous: share };
+  });
+}
+
+module.exports = {
+  TREE_ROLES,
+  GRANTEE_TYPES,
+  SHARE_STATUSES,
+  shareError,
+  treeKeyOf,
+  shareId,
+  loadTreeAccess,
+  inviteToTree,
+  listTreeShares,
+  respondToShare,
+  updateShareRole,
+  revokeShare,
+};